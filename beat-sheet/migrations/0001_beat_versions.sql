@@ -0,0 +1,107 @@
+-- Migration: beat version history
+-- Replaces UNIQUE(act_id, beat_number, is_current), which allowed only one
+-- non-current row per beat, with a partial unique index over live beats, and
+-- adds version_of to link earlier versions to their current beat.
+--
+-- Apply with: wrangler d1 migrations apply screenplay-draft
+
+PRAGMA defer_foreign_keys = true;
+
+DROP VIEW IF EXISTS beats_with_acts;
+DROP VIEW IF EXISTS beat_statistics;
+DROP TRIGGER IF EXISTS update_beats_timestamp;
+
+CREATE TABLE beats_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    act_id INTEGER NOT NULL,
+    beat_number INTEGER NOT NULL,
+    scene_number INTEGER,
+    title TEXT NOT NULL,
+    description TEXT,
+    conflict TEXT,
+    emotion TEXT,
+    location TEXT,
+    time_of_day TEXT,
+    characters TEXT,
+    purpose TEXT,
+    stakes TEXT,
+    tension_level INTEGER DEFAULT 1 CHECK (tension_level BETWEEN 1 AND 10),
+    page_count REAL,
+    estimated_minutes REAL,
+    notes TEXT,
+    tags TEXT,
+    version INTEGER DEFAULT 1,
+    is_current INTEGER DEFAULT 1 CHECK (is_current IN (0, 1)),
+    is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT,
+    updated_by TEXT,
+    version_of INTEGER,
+    FOREIGN KEY (act_id) REFERENCES acts(id) ON DELETE CASCADE,
+    -- Points at beats_new so dropping the old table does not cascade into it;
+    -- the rename below rewrites the reference to beats.
+    FOREIGN KEY (version_of) REFERENCES beats_new(id) ON DELETE CASCADE
+);
+
+INSERT INTO beats_new (
+    id, act_id, beat_number, scene_number, title, description, conflict, emotion,
+    location, time_of_day, characters, purpose, stakes, tension_level, page_count,
+    estimated_minutes, notes, tags, version, is_current, is_deleted, created_at,
+    updated_at, created_by, updated_by
+)
+SELECT
+    id, act_id, beat_number, scene_number, title, description, conflict, emotion,
+    location, time_of_day, characters, purpose, stakes, tension_level, page_count,
+    estimated_minutes, notes, tags, version, is_current, is_deleted, created_at,
+    updated_at, created_by, updated_by
+FROM beats;
+
+-- Link any existing non-current rows to the live beat in the same slot
+UPDATE beats_new
+SET version_of = (
+    SELECT c.id FROM beats_new c
+    WHERE c.act_id = beats_new.act_id
+      AND c.beat_number = beats_new.beat_number
+      AND c.is_current = 1
+)
+WHERE is_current = 0;
+
+DROP TABLE beats;
+ALTER TABLE beats_new RENAME TO beats;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_beats_current_slot ON beats(act_id, beat_number) WHERE is_current = 1 AND is_deleted = 0;
+CREATE INDEX IF NOT EXISTS idx_beats_act_beat ON beats(act_id, beat_number);
+CREATE INDEX IF NOT EXISTS idx_beats_version_of ON beats(version_of, version);
+CREATE INDEX IF NOT EXISTS idx_beats_current ON beats(is_current);
+CREATE INDEX IF NOT EXISTS idx_beats_scene ON beats(scene_number);
+CREATE INDEX IF NOT EXISTS idx_beats_updated ON beats(updated_at);
+
+CREATE TRIGGER IF NOT EXISTS update_beats_timestamp
+    AFTER UPDATE ON beats
+    FOR EACH ROW
+BEGIN
+    UPDATE beats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE VIEW IF NOT EXISTS beats_with_acts AS
+SELECT
+    b.*,
+    a.act_no,
+    a.title as act_title
+FROM beats b
+JOIN acts a ON b.act_id = a.id
+WHERE b.is_current = 1 AND b.is_deleted = 0;
+
+CREATE VIEW IF NOT EXISTS beat_statistics AS
+SELECT
+    a.act_no,
+    a.title as act_title,
+    COUNT(b.id) as total_beats,
+    AVG(b.tension_level) as avg_tension,
+    SUM(b.page_count) as total_pages,
+    SUM(b.estimated_minutes) as total_minutes
+FROM acts a
+LEFT JOIN beats b ON a.id = b.act_id AND b.is_current = 1 AND b.is_deleted = 0
+GROUP BY a.id, a.act_no, a.title
+ORDER BY a.act_no;
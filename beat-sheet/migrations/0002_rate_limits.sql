@@ -0,0 +1,11 @@
+-- Migration: API rate limit counters
+-- One row per caller and route class; the row is reset when a new window
+-- starts, so the table stays as small as the number of callers.
+--
+-- Apply with: wrangler d1 migrations apply screenplay-draft
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    window_start INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,22 @@
+-- Migration: audit log
+-- Records who changed which beat, when, through which route, and the
+-- before/after value of every changed field.
+--
+-- Apply with: wrangler d1 migrations apply screenplay-draft
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    beat_id INTEGER,
+    act_no INTEGER,
+    beat_number INTEGER,
+    action TEXT NOT NULL,
+    route TEXT,
+    changed_by TEXT,
+    changes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_beat ON audit_log(beat_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(changed_by);
+CREATE INDEX IF NOT EXISTS idx_audit_log_act ON audit_log(act_no);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
@@ -0,0 +1,43 @@
+-- Migration: full-text search
+-- FTS5 index over the beat text columns, kept in sync with beats by
+-- triggers, and filled from the existing rows.
+--
+-- Apply with: wrangler d1 migrations apply screenplay-draft
+
+CREATE VIRTUAL TABLE IF NOT EXISTS beats_fts USING fts5(
+    title,
+    description,
+    conflict,
+    emotion,
+    purpose,
+    stakes,
+    notes,
+    content = 'beats',
+    content_rowid = 'id',
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_insert
+    AFTER INSERT ON beats
+BEGIN
+    INSERT INTO beats_fts (rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES (NEW.id, NEW.title, NEW.description, NEW.conflict, NEW.emotion, NEW.purpose, NEW.stakes, NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_delete
+    AFTER DELETE ON beats
+BEGIN
+    INSERT INTO beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.conflict, OLD.emotion, OLD.purpose, OLD.stakes, OLD.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_update
+    AFTER UPDATE OF title, description, conflict, emotion, purpose, stakes, notes ON beats
+BEGIN
+    INSERT INTO beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.conflict, OLD.emotion, OLD.purpose, OLD.stakes, OLD.notes);
+    INSERT INTO beats_fts (rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES (NEW.id, NEW.title, NEW.description, NEW.conflict, NEW.emotion, NEW.purpose, NEW.stakes, NEW.notes);
+END;
+
+INSERT INTO beats_fts (beats_fts) VALUES ('rebuild');
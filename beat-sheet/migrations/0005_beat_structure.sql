@@ -0,0 +1,135 @@
+-- Migration: story-structure slots
+-- Adds structure_slot, the key of the structure template slot a beat fills
+-- (see src/structure.js). Earlier versions keep NULL.
+--
+-- SQLite has no ADD COLUMN IF NOT EXISTS, and a database created from
+-- schema.sql already has the column, so the table is rebuilt as in 0001
+-- rather than altered. Existing slot assignments are carried over when the
+-- column is there (see the copy below).
+--
+-- Apply with: wrangler d1 migrations apply screenplay-draft
+
+PRAGMA defer_foreign_keys = true;
+
+DROP VIEW IF EXISTS beats_with_acts;
+DROP VIEW IF EXISTS beat_statistics;
+DROP TRIGGER IF EXISTS update_beats_timestamp;
+DROP TRIGGER IF EXISTS beats_fts_insert;
+DROP TRIGGER IF EXISTS beats_fts_delete;
+DROP TRIGGER IF EXISTS beats_fts_update;
+
+CREATE TABLE beats_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    act_id INTEGER NOT NULL,
+    beat_number INTEGER NOT NULL,
+    scene_number INTEGER,
+    title TEXT NOT NULL,
+    description TEXT,
+    conflict TEXT,
+    emotion TEXT,
+    location TEXT,
+    time_of_day TEXT,
+    characters TEXT,
+    purpose TEXT,
+    stakes TEXT,
+    tension_level INTEGER DEFAULT 1 CHECK (tension_level BETWEEN 1 AND 10),
+    page_count REAL,
+    estimated_minutes REAL,
+    notes TEXT,
+    tags TEXT,
+    structure_slot TEXT,
+    version INTEGER DEFAULT 1,
+    is_current INTEGER DEFAULT 1 CHECK (is_current IN (0, 1)),
+    is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT,
+    updated_by TEXT,
+    version_of INTEGER,
+    FOREIGN KEY (act_id) REFERENCES acts(id) ON DELETE CASCADE,
+    -- Points at beats_new so dropping the old table does not cascade into it;
+    -- the rename below rewrites the reference to beats.
+    FOREIGN KEY (version_of) REFERENCES beats_new(id) ON DELETE CASCADE
+);
+
+-- The subquery reads beats.structure_slot when the column exists; without
+-- it the name resolves to the outer "missing" row, so the copy works on
+-- both kinds of database and slots are NULL only where there were none.
+INSERT INTO beats_new (
+    id, act_id, beat_number, scene_number, title, description, conflict, emotion,
+    location, time_of_day, characters, purpose, stakes, tension_level, page_count,
+    estimated_minutes, notes, tags, structure_slot, version, is_current, is_deleted,
+    created_at, updated_at, created_by, updated_by, version_of
+)
+SELECT
+    b.id, b.act_id, b.beat_number, b.scene_number, b.title, b.description, b.conflict, b.emotion,
+    b.location, b.time_of_day, b.characters, b.purpose, b.stakes, b.tension_level, b.page_count,
+    b.estimated_minutes, b.notes, b.tags,
+    (SELECT structure_slot FROM beats s WHERE s.id = b.id),
+    b.version, b.is_current, b.is_deleted,
+    b.created_at, b.updated_at, b.created_by, b.updated_by, b.version_of
+FROM beats b, (SELECT NULL AS structure_slot) missing;
+
+DROP TABLE beats;
+ALTER TABLE beats_new RENAME TO beats;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_beats_current_slot ON beats(act_id, beat_number) WHERE is_current = 1 AND is_deleted = 0;
+CREATE INDEX IF NOT EXISTS idx_beats_act_beat ON beats(act_id, beat_number);
+CREATE INDEX IF NOT EXISTS idx_beats_version_of ON beats(version_of, version);
+CREATE INDEX IF NOT EXISTS idx_beats_current ON beats(is_current);
+CREATE INDEX IF NOT EXISTS idx_beats_scene ON beats(scene_number);
+CREATE INDEX IF NOT EXISTS idx_beats_updated ON beats(updated_at);
+
+CREATE TRIGGER IF NOT EXISTS update_beats_timestamp
+    AFTER UPDATE ON beats
+    FOR EACH ROW
+BEGIN
+    UPDATE beats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_insert
+    AFTER INSERT ON beats
+BEGIN
+    INSERT INTO beats_fts (rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES (NEW.id, NEW.title, NEW.description, NEW.conflict, NEW.emotion, NEW.purpose, NEW.stakes, NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_delete
+    AFTER DELETE ON beats
+BEGIN
+    INSERT INTO beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.conflict, OLD.emotion, OLD.purpose, OLD.stakes, OLD.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_update
+    AFTER UPDATE OF title, description, conflict, emotion, purpose, stakes, notes ON beats
+BEGIN
+    INSERT INTO beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.conflict, OLD.emotion, OLD.purpose, OLD.stakes, OLD.notes);
+    INSERT INTO beats_fts (rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES (NEW.id, NEW.title, NEW.description, NEW.conflict, NEW.emotion, NEW.purpose, NEW.stakes, NEW.notes);
+END;
+
+INSERT INTO beats_fts (beats_fts) VALUES ('rebuild');
+
+CREATE VIEW IF NOT EXISTS beats_with_acts AS
+SELECT
+    b.*,
+    a.act_no,
+    a.title as act_title
+FROM beats b
+JOIN acts a ON b.act_id = a.id
+WHERE b.is_current = 1 AND b.is_deleted = 0;
+
+CREATE VIEW IF NOT EXISTS beat_statistics AS
+SELECT
+    a.act_no,
+    a.title as act_title,
+    COUNT(b.id) as total_beats,
+    AVG(b.tension_level) as avg_tension,
+    SUM(b.page_count) as total_pages,
+    SUM(b.estimated_minutes) as total_minutes
+FROM acts a
+LEFT JOIN beats b ON a.id = b.act_id AND b.is_current = 1 AND b.is_deleted = 0
+GROUP BY a.id, a.act_no, a.title
+ORDER BY a.act_no;
@@ -20,6 +20,7 @@ CREATE TABLE IF NOT EXISTS beats (
     estimated_minutes REAL,
     notes TEXT,
     tags TEXT, -- JSON array of tags
+    structure_slot TEXT, -- key of the structure template slot the beat fills (see src/structure.js)
     version INTEGER DEFAULT 1,
     is_current INTEGER DEFAULT 1 CHECK (is_current IN (0, 1)),
     is_deleted INTEGER DEFAULT 0 CHECK (is_deleted IN (0, 1)),
@@ -27,16 +28,20 @@ CREATE TABLE IF NOT EXISTS beats (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_by TEXT,
     updated_by TEXT,
+    version_of INTEGER, -- id of the current beat this row is an earlier version of (NULL on the current row)
     
     -- Foreign key constraint (assuming acts table exists)
     FOREIGN KEY (act_id) REFERENCES acts(id) ON DELETE CASCADE,
-    
-    -- Unique constraint to prevent duplicate beat numbers within an act
-    UNIQUE(act_id, beat_number, is_current) 
+    FOREIGN KEY (version_of) REFERENCES beats(id) ON DELETE CASCADE
 );
 
+-- Unique constraint to prevent duplicate beat numbers within an act.
+-- Only live beats hold a slot, so a beat can keep any number of earlier versions.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_beats_current_slot ON beats(act_id, beat_number) WHERE is_current = 1 AND is_deleted = 0;
+
 -- Index for performance
 CREATE INDEX IF NOT EXISTS idx_beats_act_beat ON beats(act_id, beat_number);
+CREATE INDEX IF NOT EXISTS idx_beats_version_of ON beats(version_of, version);
 CREATE INDEX IF NOT EXISTS idx_beats_current ON beats(is_current);
 CREATE INDEX IF NOT EXISTS idx_beats_scene ON beats(scene_number);
 CREATE INDEX IF NOT EXISTS idx_beats_updated ON beats(updated_at);
@@ -49,6 +54,72 @@ BEGIN
     UPDATE beats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
 
+-- Audit log: one row per beat change with field level before/after values
+-- (changes is JSON: { "field": { "from": ..., "to": ... } }). No foreign key,
+-- so entries outlive purged beats.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    beat_id INTEGER,
+    act_no INTEGER,
+    beat_number INTEGER,
+    action TEXT NOT NULL,
+    route TEXT,
+    changed_by TEXT,
+    changes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_beat ON audit_log(beat_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(changed_by);
+CREATE INDEX IF NOT EXISTS idx_audit_log_act ON audit_log(act_no);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+-- API rate limit counters, one row per caller and route class (see src/ratelimit.js)
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    window_start INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0
+);
+
+-- Full-text index over the beat text columns (see src/search.js). It is an
+-- external content table over beats, kept in sync by the triggers below; it
+-- covers every row, and searches keep only current, non-deleted beats.
+CREATE VIRTUAL TABLE IF NOT EXISTS beats_fts USING fts5(
+    title,
+    description,
+    conflict,
+    emotion,
+    purpose,
+    stakes,
+    notes,
+    content = 'beats',
+    content_rowid = 'id',
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_insert
+    AFTER INSERT ON beats
+BEGIN
+    INSERT INTO beats_fts (rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES (NEW.id, NEW.title, NEW.description, NEW.conflict, NEW.emotion, NEW.purpose, NEW.stakes, NEW.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_delete
+    AFTER DELETE ON beats
+BEGIN
+    INSERT INTO beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.conflict, OLD.emotion, OLD.purpose, OLD.stakes, OLD.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS beats_fts_update
+    AFTER UPDATE OF title, description, conflict, emotion, purpose, stakes, notes ON beats
+BEGIN
+    INSERT INTO beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES ('delete', OLD.id, OLD.title, OLD.description, OLD.conflict, OLD.emotion, OLD.purpose, OLD.stakes, OLD.notes);
+    INSERT INTO beats_fts (rowid, title, description, conflict, emotion, purpose, stakes, notes)
+    VALUES (NEW.id, NEW.title, NEW.description, NEW.conflict, NEW.emotion, NEW.purpose, NEW.stakes, NEW.notes);
+END;
+
 -- Sample data for testing (optional)
 -- INSERT INTO beats (act_id, beat_number, scene_number, title, description, conflict, emotion, location, time_of_day, characters) VALUES
 -- (1, 1, 1, 'Opening Scene', 'Ally discovers the first signs of corruption', 'Internal vs. conscience', 'Curiosity mixed with unease', 'City Hall Office', 'Morning', 'Ally, Secretary');
@@ -0,0 +1,125 @@
+/**
+ * Audit log for ALLY Beat Sheets Worker
+ *
+ * Every beat write adds rows to audit_log in the same batch as the change
+ * itself: who made it, when, through which route, and the before and after
+ * value of each field that changed. Rows are kept when a beat is purged, so
+ * the log also records what was removed.
+ *
+ * ROUTES:
+ * - GET /api/audit : Audit entries, newest first (filters: user, beat, act, action, since, until)
+ */
+
+import { jsonResponse, apiErrorResponse } from './utils.js';
+import { auditQuerySchema, parseQuery } from './schemas.js';
+
+export const DEFAULT_AUDIT_LIMIT = 100;
+
+/**
+ * Handle /api/audit
+ */
+export async function handleAuditRouting(request, env, path, method, corsHeaders) {
+  try {
+    const filters = parseQuery(auditQuerySchema, new URL(request.url));
+    return jsonResponse(await listAuditEntries(env.SCREENPLAY_DRAFT, filters), 200, corsHeaders);
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Statement adding one audit row. Without beatId the row refers to the beat
+ * inserted just before it in the same batch (a create).
+ */
+export function auditStatement(db, { beatId = null, actNo = null, beatNumber = null, action, route = null, user = null, changes = {} }) {
+  return db.prepare(`
+    INSERT INTO audit_log (beat_id, act_no, beat_number, action, route, changed_by, changes)
+    VALUES (COALESCE(?1, last_insert_rowid()), ?2, ?3, ?4, ?5, ?6, ?7)
+  `).bind(beatId, actNo, beatNumber, action, route, user, JSON.stringify(changes));
+}
+
+/**
+ * Field level differences between two versions of a beat:
+ * { field: { from, to } } for every listed field whose value changed
+ */
+export function diffFields(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * List audit entries, newest first. Filters: user, beat (id), act (act_no),
+ * action, since and until (a date covers the whole day), limit and before
+ * (an entry id, for paging).
+ */
+export async function listAuditEntries(db, filters = {}) {
+  const limit = filters.limit || DEFAULT_AUDIT_LIMIT;
+  const dateOnly = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  const rows = await db.prepare(`
+    SELECT * FROM audit_log
+    WHERE (?1 IS NULL OR changed_by = ?1)
+      AND (?2 IS NULL OR beat_id = ?2)
+      AND (?3 IS NULL OR act_no = ?3)
+      AND (?4 IS NULL OR action = ?4)
+      AND (?5 IS NULL OR created_at >= datetime(?5))
+      AND (?6 IS NULL OR created_at ${filters.until && dateOnly(filters.until) ? "< datetime(?6, '+1 day')" : '<= datetime(?6)'})
+      AND (?7 IS NULL OR id < ?7)
+    ORDER BY id DESC
+    LIMIT ?8
+  `).bind(
+    filters.user ?? null,
+    filters.beat ?? null,
+    filters.act ?? null,
+    filters.action ?? null,
+    filters.since ?? null,
+    filters.until ?? null,
+    filters.before ?? null,
+    limit
+  ).all();
+
+  const entries = rows.results.map(formatAuditEntry);
+  return {
+    filters: {
+      user: filters.user ?? null,
+      beat: filters.beat ?? null,
+      act: filters.act ?? null,
+      action: filters.action ?? null,
+      since: filters.since ?? null,
+      until: filters.until ?? null
+    },
+    entries,
+    next_before: entries.length === limit ? entries[entries.length - 1].id : null
+  };
+}
+
+/**
+ * Shape an audit_log row for API output, decoding the changes JSON
+ */
+function formatAuditEntry(row) {
+  let changes = {};
+  try {
+    changes = JSON.parse(row.changes || '{}');
+  } catch (error) {
+    changes = {};
+  }
+
+  return {
+    id: row.id,
+    beat_id: row.beat_id,
+    act_no: row.act_no,
+    beat_number: row.beat_number,
+    action: row.action,
+    route: row.route,
+    changed_by: row.changed_by,
+    changed_at: row.created_at,
+    changes
+  };
+}
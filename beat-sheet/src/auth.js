@@ -0,0 +1,374 @@
+/**
+ * Authentication for ALLY Beat Sheets Worker
+ *
+ * Requests are accepted with a valid API key (X-API-Key or a bearer token)
+ * or a Cloudflare Access JWT (Cf-Access-Jwt-Assertion header, or the
+ * CF_Authorization cookie). Access tokens are verified in full: RS256
+ * signature against the team's JWKS, audience, issuer and expiry. Browsers
+ * send the cookie on cross-site requests too, so a cookie only authorizes
+ * a write (anything but GET, HEAD and OPTIONS) whose Origin, or Referer
+ * when there is none, is the worker's own origin.
+ *
+ * Every caller gets a role: viewer (read-only pages and reports), writer
+ * (edits beats) or admin (also deletes, purges and imports). Named API keys
+ * carry their own role; Access users are mapped by email or email domain.
+ *
+ * ENVIRONMENT:
+ * - API_KEY : shared API key (admin)
+ * - API_KEYS : optional named keys as JSON,
+ *   { "<name>": { "key": "...", "role": "viewer" | "writer" | "admin" } }
+ * - ACCESS_ROLES : optional Access role mapping as JSON, role -> emails,
+ *   "@domain" suffixes or service token common names,
+ *   e.g. { "admin": ["producer@mobicycle.co.uk"], "writer": ["@mobicycle.co.uk"] }
+ * - ACCESS_DEFAULT_ROLE : role of Access users not listed in ACCESS_ROLES (default viewer)
+ * - ACCESS_TEAM_DOMAIN : e.g. https://mobicycle.cloudflareaccess.com (the token issuer)
+ * - ACCESS_AUD : Application Audience (AUD) tag of the Access application
+ * - ACCESS_JWKS : optional static JWKS JSON ({ "keys": [...] }) used instead of
+ *   fetching the team's certs, for local testing
+ */
+
+import { HttpError, readJSONSetting } from './utils.js';
+
+// Tolerated clock skew when checking exp and nbf, in seconds
+const CLOCK_SKEW = 60;
+
+// How long fetched signing keys are reused, and the minimum gap between
+// refetches when a token names an unknown key id
+const KEY_CACHE_TTL = 60 * 60 * 1000;
+const KEY_REFRESH_INTERVAL = 30 * 1000;
+
+// Methods a cookie alone may authorize from any origin
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Signing keys per JWKS source (certs URL or the static JWKS string)
+const keyCache = new Map();
+
+/**
+ * Roles from least to most privileged; each includes the ones before it
+ */
+export const ROLES = ['viewer', 'writer', 'admin'];
+
+/**
+ * Identify the caller, or throw a 401 HttpError.
+ *
+ * Returns { type: 'api_key' | 'access', user, email, role, cookie }, where
+ * user is the value recorded in created_by / updated_by and cookie is true
+ * when the CF_Authorization cookie alone authorized the request.
+ */
+export async function authenticate(request, env) {
+  const apiKey = request.headers.get('X-API-Key') ||
+                 request.headers.get('Authorization')?.replace('Bearer ', '');
+
+  if (apiKey && (env.API_KEY || env.API_KEYS)) {
+    const identity = resolveApiKey(apiKey, env);
+    if (!identity) {
+      throw new HttpError(401, 'Unauthorized', 'Invalid API key');
+    }
+    return identity;
+  }
+
+  const header = request.headers.get('Cf-Access-Jwt-Assertion');
+  const token = header || getCookie(request, 'CF_Authorization');
+  if (token) {
+    if (!header) {
+      assertSameOrigin(request);
+    }
+    const claims = await verifyAccessJWT(token, env);
+    const email = claims.email || null;
+    // Service tokens carry a common_name instead of an email
+    const user = email || claims.common_name || claims.sub || null;
+    return {
+      type: 'access',
+      user,
+      email,
+      role: resolveAccessRole(user, env),
+      cookie: !header
+    };
+  }
+
+  throw new HttpError(401, 'Unauthorized', 'Valid API key or Cloudflare Access login required');
+}
+
+/**
+ * Whether the caller holds a role (or a more privileged one)
+ */
+export function hasRole(identity, role) {
+  return ROLES.indexOf(identity?.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Throw a 403 HttpError unless the caller holds the role
+ */
+export function requireRole(identity, role) {
+  if (!hasRole(identity, role)) {
+    throw new HttpError(403, 'Forbidden', `This action requires the ${role} role`, {
+      role: identity?.role || null,
+      required: role
+    });
+  }
+}
+
+/**
+ * Match an API key against the named keys in API_KEYS, then the shared
+ * API_KEY. Every named key is compared so timing does not reveal which
+ * matched.
+ */
+function resolveApiKey(apiKey, env) {
+  let identity = null;
+
+  for (const [name, entry] of Object.entries(readJSONSetting(env, 'API_KEYS'))) {
+    if (entry && typeof entry.key === 'string' && timingSafeEqual(apiKey, entry.key) && !identity) {
+      identity = { type: 'api_key', user: `api-key:${name}`, email: null, role: normalizeRole(entry.role), cookie: false };
+    }
+  }
+
+  if (!identity && env.API_KEY && timingSafeEqual(apiKey, env.API_KEY)) {
+    identity = { type: 'api_key', user: 'api-key', email: null, role: 'admin', cookie: false };
+  }
+
+  return identity;
+}
+
+/**
+ * Role of an Access user: the most privileged ACCESS_ROLES entry that lists
+ * the email, its "@domain" or the service token name, else ACCESS_DEFAULT_ROLE
+ */
+function resolveAccessRole(user, env) {
+  const subject = (user || '').toLowerCase();
+  const mapping = readJSONSetting(env, 'ACCESS_ROLES');
+
+  for (const role of [...ROLES].reverse()) {
+    const entries = Array.isArray(mapping[role]) ? mapping[role] : [];
+    const listed = entries.some(entry => {
+      const pattern = String(entry).toLowerCase();
+      return pattern.startsWith('@') ? subject.endsWith(pattern) : subject === pattern;
+    });
+    if (subject && listed) {
+      return role;
+    }
+  }
+
+  return normalizeRole(env.ACCESS_DEFAULT_ROLE);
+}
+
+/**
+ * Unknown or missing roles fall back to the least privileged one
+ */
+function normalizeRole(role) {
+  return ROLES.includes(role) ? role : 'viewer';
+}
+
+/**
+ * Verify a Cloudflare Access JWT and return its claims
+ */
+export async function verifyAccessJWT(token, env) {
+  const issuer = normalizeTeamDomain(env.ACCESS_TEAM_DOMAIN);
+  if (!issuer || !env.ACCESS_AUD) {
+    console.error('Cloudflare Access is not configured: set ACCESS_TEAM_DOMAIN and ACCESS_AUD');
+    throw new HttpError(401, 'Unauthorized', 'Cloudflare Access verification is not configured');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new HttpError(401, 'Unauthorized', 'Malformed Access token');
+  }
+
+  let header, claims, signature;
+  try {
+    header = JSON.parse(base64UrlDecodeText(parts[0]));
+    claims = JSON.parse(base64UrlDecodeText(parts[1]));
+    signature = base64UrlDecode(parts[2]);
+  } catch (error) {
+    throw new HttpError(401, 'Unauthorized', 'Malformed Access token');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new HttpError(401, 'Unauthorized', `Unsupported Access token algorithm: ${header.alg}`);
+  }
+
+  const key = await getSigningKey(env, issuer, header.kid);
+  if (!key) {
+    throw new HttpError(401, 'Unauthorized', 'Access token signed with an unknown key');
+  }
+
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    signature,
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) {
+    throw new HttpError(401, 'Unauthorized', 'Invalid Access token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (!audiences.includes(env.ACCESS_AUD)) {
+    throw new HttpError(401, 'Unauthorized', 'Access token audience does not match this application');
+  }
+  if (normalizeTeamDomain(claims.iss) !== issuer) {
+    throw new HttpError(401, 'Unauthorized', 'Access token issuer does not match the team domain');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < now) {
+    throw new HttpError(401, 'Unauthorized', 'Access token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW > now) {
+    throw new HttpError(401, 'Unauthorized', 'Access token is not valid yet');
+  }
+
+  return claims;
+}
+
+/**
+ * Find the public key for a key id, from the static JWKS or the team's
+ * certs endpoint. Keys are cached; an unknown key id triggers a refetch so
+ * rotated keys are picked up.
+ */
+async function getSigningKey(env, issuer, kid) {
+  const source = env.ACCESS_JWKS
+    ? (typeof env.ACCESS_JWKS === 'string' ? env.ACCESS_JWKS : JSON.stringify(env.ACCESS_JWKS))
+    : `${issuer}/cdn-cgi/access/certs`;
+
+  let cached = keyCache.get(source);
+  const now = Date.now();
+  const stale = !cached || now - cached.fetchedAt > KEY_CACHE_TTL;
+  const missing = cached && !cached.keys.has(kid) && now - cached.fetchedAt > KEY_REFRESH_INTERVAL;
+
+  if (stale || missing) {
+    const jwks = env.ACCESS_JWKS ? parseStaticJWKS(source) : await fetchJWKS(source);
+    cached = { keys: await importKeys(jwks), fetchedAt: now };
+    keyCache.set(source, cached);
+  }
+
+  // Tokens without a kid are accepted when the set holds a single key
+  if (!kid && cached.keys.size === 1) {
+    return [...cached.keys.values()][0];
+  }
+  return cached.keys.get(kid) || null;
+}
+
+/**
+ * Fetch the team's signing keys
+ */
+async function fetchJWKS(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.error(`Failed to fetch Access certs from ${url}: ${response.status}`);
+    throw new HttpError(401, 'Unauthorized', 'Unable to load Cloudflare Access signing keys');
+  }
+  return await response.json();
+}
+
+/**
+ * Parse the ACCESS_JWKS setting
+ */
+function parseStaticJWKS(source) {
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    console.error(`ACCESS_JWKS is not valid JSON: ${error.message}`);
+    throw new HttpError(401, 'Unauthorized', 'Unable to load Cloudflare Access signing keys');
+  }
+}
+
+/**
+ * Import the RSA keys of a JWKS, keyed by kid
+ */
+async function importKeys(jwks) {
+  const keys = new Map();
+
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    keys.set(jwk.kid, key);
+  }
+
+  return keys;
+}
+
+/**
+ * "mobicycle.cloudflareaccess.com" or "https://.../" -> "https://mobicycle.cloudflareaccess.com"
+ */
+function normalizeTeamDomain(domain) {
+  if (!domain || typeof domain !== 'string') return null;
+  const withScheme = /^https?:\/\//i.test(domain) ? domain : `https://${domain}`;
+  return withScheme.replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Decode base64url (JWT segments) to bytes
+ */
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Decode a base64url segment to UTF-8 text
+ */
+function base64UrlDecodeText(value) {
+  return new TextDecoder().decode(base64UrlDecode(value));
+}
+
+/**
+ * Read a cookie value from the request
+ */
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return rest.join('=');
+    }
+  }
+  return null;
+}
+
+/**
+ * Throw a 403 HttpError for a write that did not come from a page of this
+ * worker (cross-site request forgery with the Access cookie)
+ */
+function assertSameOrigin(request) {
+  if (SAFE_METHODS.includes(request.method.toUpperCase())) {
+    return;
+  }
+
+  const expected = new URL(request.url).origin;
+  let origin = request.headers.get('Origin');
+  if (!origin || origin === 'null') {
+    try {
+      origin = new URL(request.headers.get('Referer')).origin;
+    } catch {
+      origin = null;
+    }
+  }
+
+  if (origin !== expected) {
+    throw new HttpError(403, 'Forbidden', 'Cross-site request rejected; send the request from this site or use the Cf-Access-Jwt-Assertion header');
+  }
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function timingSafeEqual(a, b) {
+  const left = new TextEncoder().encode(a);
+  const right = new TextEncoder().encode(b);
+  let difference = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    difference |= left[i] ^ (right[i % right.length] ?? 0);
+  }
+  return difference === 0;
+}
@@ -0,0 +1,882 @@
+/**
+ * Beat write API for ALLY Beat Sheets Worker
+ *
+ * Creates, updates and deletes rows in the beats table of SCREENPLAY_DRAFT.
+ * Every edit keeps the previous row as a non-current version (is_current = 0,
+ * version_of = current id), so the current row keeps a stable id.
+ * DELETE only sets is_deleted; rows are removed for good from the trash.
+ * Payloads are checked against the shared Zod schemas in schemas.js, and
+ * each write is recorded in the audit log (audit.js) in the same batch.
+ * Single beats carry an ETag; writes to an existing beat honour If-Match
+ * (cache.js).
+ *
+ * ROUTES:
+ * - POST /api/beats : Create a beat (act given by act_no or act_id in the body)
+ * - GET|PUT|PATCH|DELETE /api/beats/{id} : Single beat by id
+ * - GET /api/beats/{id}/history : Every version of a beat, newest first
+ * - POST /api/beats/{id}/history/{version}/restore : Make an earlier version current again
+ * - GET|POST /api/acts/{actNo}/beats : List or create beats in an act
+ * - GET|PUT|PATCH|DELETE /api/acts/{actNo}/beats/{beatNo} : Single beat by act and beat number
+ * - POST /api/beats/{id}/move : Move a beat to { act_no, position } and renumber
+ * - POST /api/acts/{actNo}/renumber : Close gaps in an act's beat numbers
+ * - GET|DELETE /api/trash : List or purge every deleted beat
+ * - GET|DELETE /api/trash/{id} : Inspect or permanently purge one deleted beat
+ * - POST /api/trash/{id}/restore : Bring a deleted beat back
+ */
+
+import {
+  jsonResponse,
+  parseRequestBody,
+  apiErrorResponse,
+  HttpError
+} from './utils.js';
+import { beatInputSchema, beatContentSchema, moveBeatSchema, renumberSchema, parseWith } from './schemas.js';
+import { auditStatement, diffFields } from './audit.js';
+import { beatETag, cacheHeaders, isNotModified, assertIfMatch } from './cache.js';
+
+/**
+ * Columns a client may write on a beat
+ */
+export const BEAT_FIELDS = [
+  'scene_number',
+  'title',
+  'description',
+  'conflict',
+  'emotion',
+  'location',
+  'time_of_day',
+  'characters',
+  'purpose',
+  'stakes',
+  'tension_level',
+  'page_count',
+  'estimated_minutes',
+  'notes',
+  'tags',
+  'structure_slot'
+];
+
+const ARCHIVE_COLUMNS = [
+  'act_id',
+  'beat_number',
+  ...BEAT_FIELDS,
+  'version',
+  'is_deleted',
+  'created_at',
+  'updated_at',
+  'created_by',
+  'updated_by'
+];
+
+const BEAT_SELECT = `
+  SELECT
+    b.*,
+    a.act_no,
+    a.title as act_title
+  FROM beats b
+  JOIN acts a ON b.act_id = a.id
+`;
+
+/**
+ * Handle /api/beats, /api/acts/{actNo}/beats and /api/trash routes
+ */
+export async function handleBeatRouting(request, env, path, method, corsHeaders, identity = null) {
+  try {
+    const db = env.SCREENPLAY_DRAFT;
+    // Who is writing and through which route, for created_by/updated_by and the audit log
+    const actor = { user: identity?.user ?? null, route: `${method} ${path}` };
+    let match;
+
+    if (path === '/api/beats' || path === '/api/beats/') {
+      assertMethod(method, ['POST']);
+      const data = await readBeatBody(request);
+      const act = await resolveAct(db, parseWith(beatInputSchema, data, 'Beat data is invalid'));
+      const beat = await createBeat(db, act, data, actor);
+      return await beatResponse(beat, 201, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)$/))) {
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      return await handleSingleBeat(request, db, beat, method, corsHeaders, actor);
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)\/history$/))) {
+      assertMethod(method, ['GET']);
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      return jsonResponse({
+        beat_id: beat.id,
+        current_version: beat.version,
+        versions: await getBeatHistory(db, beat.id)
+      }, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)\/history\/(\d+)\/restore$/))) {
+      assertMethod(method, ['POST']);
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      await assertIfMatch(request, beat);
+      const restored = await restoreBeatVersion(db, beat, parseInt(match[2]), actor);
+      return await beatResponse(restored, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/acts\/(\d+)\/beats\/?$/))) {
+      assertMethod(method, ['GET', 'POST']);
+      const act = await resolveAct(db, { act_no: parseInt(match[1]) });
+
+      if (method === 'GET') {
+        const beats = await listActBeats(db, act.id);
+        return jsonResponse({
+          act_no: act.act_no,
+          act_title: act.title,
+          beats: beats.map(serializeBeat)
+        }, 200, corsHeaders);
+      }
+
+      const data = await readBeatBody(request);
+      const beat = await createBeat(db, act, data, actor);
+      return await beatResponse(beat, 201, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/acts\/(\d+)\/beats\/(\d+)$/))) {
+      const beat = await requireBeat(getBeatByNumber(db, parseInt(match[1]), parseInt(match[2])));
+      return await handleSingleBeat(request, db, beat, method, corsHeaders, actor);
+    }
+
+    if (path === '/api/trash' || path === '/api/trash/') {
+      assertMethod(method, ['GET', 'DELETE']);
+      if (method === 'GET') {
+        const deleted = await listDeletedBeats(db);
+        return jsonResponse({
+          total: deleted.length,
+          beats: deleted.map(serializeBeat)
+        }, 200, corsHeaders);
+      }
+
+      const purged = await purgeAllDeletedBeats(db, actor);
+      return jsonResponse({ purged: purged.length }, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/trash\/(\d+)$/))) {
+      assertMethod(method, ['GET', 'DELETE']);
+      const beat = await requireBeat(getDeletedBeatById(db, parseInt(match[1])));
+
+      if (method === 'GET') {
+        return jsonResponse(serializeBeat(beat), 200, corsHeaders);
+      }
+
+      await purgeBeat(db, beat, actor);
+      return jsonResponse({ purged: 1, beat: serializeBeat(beat) }, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)\/move$/))) {
+      assertMethod(method, ['POST']);
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      await assertIfMatch(request, beat);
+      const data = parseWith(moveBeatSchema, await readBeatBody(request), 'Move request is invalid');
+      const result = await moveBeat(db, beat, {
+        actNo: data.act_no,
+        position: data.position,
+        syncScenes: data.sync_scenes === true,
+        ...actor
+      });
+      return jsonResponse({
+        beat: serializeBeat(result.beat),
+        renumbered: result.renumbered
+      }, 200, { ...corsHeaders, 'ETag': await beatETag(result.beat) });
+    }
+
+    if ((match = path.match(/^\/api\/acts\/(\d+)\/renumber$/))) {
+      assertMethod(method, ['POST']);
+      const act = await resolveAct(db, { act_no: parseInt(match[1]) });
+      const data = parseWith(renumberSchema, await readOptionalBody(request), 'Renumber request is invalid');
+      const renumbered = await renumberAct(db, act, {
+        syncScenes: data.sync_scenes === true,
+        ...actor
+      });
+      return jsonResponse({ act_no: act.act_no, renumbered }, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/trash\/(\d+)\/restore$/))) {
+      assertMethod(method, ['POST']);
+      const beat = await requireBeat(getDeletedBeatById(db, parseInt(match[1])));
+      const restored = await restoreDeletedBeat(db, beat, actor);
+      return await beatResponse(restored, 200, corsHeaders);
+    }
+
+    return jsonResponse({ error: 'Not found' }, 404, corsHeaders);
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Dispatch GET/PUT/PATCH/DELETE against one beat
+ */
+async function handleSingleBeat(request, db, beat, method, corsHeaders, actor) {
+  assertMethod(method, ['GET', 'PUT', 'PATCH', 'DELETE']);
+
+  if (method === 'GET') {
+    const headers = { ...corsHeaders, ...cacheHeaders(await beatETag(beat), beat.updated_at) };
+    if (isNotModified(request, headers)) {
+      return new Response(null, { status: 304, headers });
+    }
+    return jsonResponse(serializeBeat(beat), 200, headers);
+  }
+
+  await assertIfMatch(request, beat);
+
+  if (method === 'DELETE') {
+    await deleteBeat(db, beat, actor);
+    return jsonResponse({ deleted: true, beat: serializeBeat(beat) }, 200, corsHeaders);
+  }
+
+  const data = await readBeatBody(request);
+  const updated = await updateBeat(db, beat, data, { partial: method === 'PATCH', ...actor });
+  return await beatResponse(updated, 200, corsHeaders);
+}
+
+/**
+ * JSON response for a stored beat, with its ETag for the next If-Match
+ */
+async function beatResponse(beat, status, corsHeaders) {
+  return jsonResponse(serializeBeat(beat), status, { ...corsHeaders, 'ETag': await beatETag(beat) });
+}
+
+/**
+ * Get a current beat by row id
+ */
+export async function getBeatById(db, id) {
+  return await db.prepare(`${BEAT_SELECT} WHERE b.id = ? AND b.is_current = 1 AND b.is_deleted = 0`).bind(id).first();
+}
+
+/**
+ * Get a current beat by act number and beat number
+ */
+export async function getBeatByNumber(db, actNumber, beatNumber) {
+  return await db.prepare(`${BEAT_SELECT} WHERE a.act_no = ? AND b.beat_number = ? AND b.is_current = 1 AND b.is_deleted = 0`)
+    .bind(actNumber, beatNumber)
+    .first();
+}
+
+/**
+ * List every live beat in script order
+ */
+export async function listCurrentBeats(db) {
+  const beats = await db.prepare(`${BEAT_SELECT} WHERE b.is_current = 1 AND b.is_deleted = 0 ORDER BY a.act_no, b.beat_number`)
+    .all();
+  return beats.results;
+}
+
+/**
+ * List current beats for an act in beat order
+ */
+export async function listActBeats(db, actId) {
+  const beats = await db.prepare(`${BEAT_SELECT} WHERE b.act_id = ? AND b.is_current = 1 AND b.is_deleted = 0 ORDER BY b.beat_number`)
+    .bind(actId)
+    .all();
+  return beats.results;
+}
+
+/**
+ * Insert a new beat, appending it to the act when no beat_number is given.
+ * user is recorded as created_by and updated_by, and with route in the audit log.
+ */
+export async function createBeat(db, act, data, { user = null, route = null } = {}) {
+  const input = parseWith(beatContentSchema, data, 'Beat data is invalid');
+
+  if (input.beat_number === undefined || input.beat_number === null) {
+    const last = await db.prepare(`
+      SELECT MAX(beat_number) as max_beat FROM beats WHERE act_id = ? AND is_current = 1 AND is_deleted = 0
+    `).bind(act.id).first();
+    input.beat_number = (last?.max_beat || 0) + 1;
+  }
+
+  const [inserted] = await runWrite(db.batch(createStatements(db, act, input, { user, route })));
+
+  return await getBeatById(db, inserted.results[0].id);
+}
+
+/**
+ * Statements inserting a validated beat (beat_number set) into an act and
+ * logging the create. The insert returns the new id.
+ */
+export function createStatements(db, act, input, { user = null, route = null } = {}) {
+  // Omitted fields fall back to the column defaults
+  const fields = BEAT_FIELDS.filter(field => input[field] !== undefined);
+  const columns = ['act_id', 'beat_number', ...fields, 'created_by', 'updated_by'];
+  const values = [act.id, input.beat_number, ...fields.map(field => input[field]), user, user];
+
+  return [
+    db.prepare(`
+      INSERT INTO beats (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+      RETURNING id
+    `).bind(...values),
+    auditStatement(db, {
+      actNo: act.act_no,
+      beatNumber: input.beat_number,
+      action: 'create',
+      route,
+      user,
+      changes: diffFields({}, { act_no: act.act_no, ...input }, ['act_no', 'beat_number', ...fields])
+    })
+  ];
+}
+
+/**
+ * Update a beat, archiving the previous row as a version.
+ * PUT replaces every writable field, PATCH only those supplied.
+ * action names the change in the audit log.
+ */
+export async function updateBeat(db, beat, data, { partial = false, user = null, route = null, action = 'update' } = {}) {
+  const input = parseWith(beatInputSchema, data, 'Beat data is invalid');
+  const changes = {};
+
+  for (const field of ['beat_number', ...BEAT_FIELDS]) {
+    if (input[field] !== undefined) {
+      changes[field] = input[field];
+    } else if (!partial && field !== 'beat_number') {
+      changes[field] = null;
+    }
+  }
+
+  let act = { id: beat.act_id, act_no: beat.act_no };
+  if (input.act_no !== undefined || input.act_id !== undefined) {
+    act = await resolveAct(db, input);
+    changes.act_id = act.id;
+  }
+
+  // The beat as it would be saved must still be complete (e.g. PUT without a title)
+  parseWith(beatContentSchema, { ...beat, ...changes }, 'Beat data is invalid');
+
+  const statements = updateStatements(db, beat, changes, { act, user, route, action });
+  if (statements.length > 0) {
+    await runWrite(db.batch(statements));
+  }
+
+  return await getBeatById(db, beat.id);
+}
+
+/**
+ * Statements saving validated column changes to a beat as a new version:
+ * archive the current row, update it and log the change. Only fields whose
+ * value actually differs count; with none, the list is empty.
+ */
+export function updateStatements(db, beat, changes, { act = null, user = null, route = null, action = 'update' } = {}) {
+  const fields = Object.keys(changes).filter(field => changes[field] !== beat[field]);
+  if (fields.length === 0) {
+    return [];
+  }
+
+  // The audit log names the act by number rather than row id
+  const actNo = act ? act.act_no : beat.act_no;
+  const auditChanges = diffFields({ ...beat }, { ...beat, ...changes, act_no: actNo }, [
+    'act_no',
+    ...fields.filter(field => field !== 'act_id')
+  ]);
+
+  return [
+    archiveStatement(db, beat.id),
+    db.prepare(`
+      UPDATE beats SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_by = ?, version = version + 1 WHERE id = ?
+    `).bind(...fields.map(field => changes[field]), user, beat.id),
+    auditStatement(db, {
+      beatId: beat.id,
+      actNo,
+      beatNumber: changes.beat_number ?? beat.beat_number,
+      action,
+      route,
+      user,
+      changes: auditChanges
+    })
+  ];
+}
+
+/**
+ * Copy the current row of a beat into a non-current version row
+ */
+function archiveStatement(db, beatId) {
+  return db.prepare(`
+    INSERT INTO beats (${ARCHIVE_COLUMNS.join(', ')}, is_current, version_of)
+    SELECT ${ARCHIVE_COLUMNS.join(', ')}, 0, id FROM beats WHERE id = ?
+  `).bind(beatId);
+}
+
+/**
+ * List every version of a beat, newest first, with the fields each version changed
+ */
+export async function getBeatHistory(db, beatId) {
+  const rows = await db.prepare(`
+    SELECT * FROM beats
+    WHERE id = ? OR version_of = ?
+    ORDER BY version DESC
+  `).bind(beatId, beatId).all();
+
+  return rows.results.map((row, index, versions) => {
+    const previous = versions[index + 1];
+    return {
+      version: row.version,
+      is_current: row.is_current === 1,
+      updated_at: row.updated_at,
+      updated_by: row.updated_by,
+      changed_fields: previous
+        ? ['act_id', 'beat_number', ...BEAT_FIELDS].filter(field => row[field] !== previous[field])
+        : [],
+      beat: serializeBeat(row)
+    };
+  });
+}
+
+/**
+ * Make an earlier version current again by saving its content as a new version
+ */
+export async function restoreBeatVersion(db, beat, version, { user = null, route = null } = {}) {
+  const previous = await db.prepare(`
+    SELECT * FROM beats WHERE version_of = ? AND version = ?
+  `).bind(beat.id, version).first();
+
+  if (!previous) {
+    throw new HttpError(404, 'Not found', `Version ${version} of beat ${beat.id} does not exist`);
+  }
+
+  // Content only: the beat keeps its current act and position
+  const content = {};
+  for (const field of BEAT_FIELDS) {
+    content[field] = previous[field];
+  }
+
+  return await updateBeat(db, beat, content, { partial: false, user, route, action: 'restore_version' });
+}
+
+/**
+ * Move a beat to a position in the same or another act and renumber the
+ * affected acts 1..n. Runs as one batch so the move is atomic. With
+ * syncScenes, scene_number is rewritten to run 1..n across the whole script
+ * (1 scene = 1 beat).
+ */
+export async function moveBeat(db, beat, { actNo, position, syncScenes = false, user = null, route = null } = {}) {
+  if (position !== undefined && position !== null && (!Number.isInteger(position) || position < 1)) {
+    throw new HttpError(422, 'Validation failed', 'Move request is invalid', [
+      { path: 'position', message: 'Must be a positive integer' }
+    ]);
+  }
+
+  const targetAct = actNo === undefined || actNo === null || actNo === ''
+    ? { id: beat.act_id, act_no: beat.act_no }
+    : await resolveAct(db, { act_no: actNo });
+
+  const { acts, beatsByAct } = await loadScriptOrder(db, beat.id);
+  const target = beatsByAct.get(targetAct.id);
+  const index = position === undefined || position === null
+    ? target.length
+    : Math.min(position - 1, target.length);
+  target.splice(index, 0, { ...beat });
+
+  const plan = planRenumbering(acts, beatsByAct, {
+    actIds: [beat.act_id, targetAct.id],
+    movedId: beat.id,
+    syncScenes
+  });
+
+  await runWrite(db.batch([
+    archiveStatement(db, beat.id),
+    ...renumberStatements(db, plan, beat.id),
+    db.prepare('UPDATE beats SET updated_by = ? WHERE id = ?').bind(user, beat.id),
+    ...renumberAuditStatements(db, plan, { movedId: beat.id, user, route })
+  ]));
+
+  return {
+    beat: await getBeatById(db, beat.id),
+    renumbered: plan.filter(row => row.id !== beat.id).map(formatRenumbered)
+  };
+}
+
+/**
+ * Close gaps in an act's beat numbers, optionally resyncing scene numbers
+ */
+export async function renumberAct(db, act, { syncScenes = false, user = null, route = null } = {}) {
+  const { acts, beatsByAct } = await loadScriptOrder(db);
+  const plan = planRenumbering(acts, beatsByAct, { actIds: [act.id], syncScenes });
+
+  if (plan.length > 0) {
+    await runWrite(db.batch([
+      ...renumberStatements(db, plan),
+      ...renumberAuditStatements(db, plan, { user, route })
+    ]));
+  }
+
+  return plan.map(formatRenumbered);
+}
+
+/**
+ * Load every live beat grouped by act, acts in act_no order
+ */
+async function loadScriptOrder(db, excludeId = null) {
+  const acts = await db.prepare('SELECT id, act_no FROM acts ORDER BY act_no').all();
+  const live = await db.prepare(`
+    SELECT id, act_id, beat_number, scene_number FROM beats
+    WHERE is_current = 1 AND is_deleted = 0
+    ORDER BY beat_number
+  `).all();
+
+  const beatsByAct = new Map(acts.results.map(act => [act.id, []]));
+  for (const row of live.results) {
+    if (row.id !== excludeId && beatsByAct.has(row.act_id)) {
+      beatsByAct.get(row.act_id).push(row);
+    }
+  }
+
+  return { acts: acts.results, beatsByAct };
+}
+
+/**
+ * Work out the new act, beat number and scene number of every beat that changes
+ */
+function planRenumbering(acts, beatsByAct, { actIds, movedId = null, syncScenes }) {
+  const plan = [];
+  const actNumbers = new Map(acts.map(act => [act.id, act.act_no]));
+  let sceneNumber = 0;
+
+  for (const act of acts) {
+    const renumber = actIds.includes(act.id);
+
+    beatsByAct.get(act.id).forEach((row, i) => {
+      sceneNumber++;
+      const next = {
+        act_id: act.id,
+        beat_number: renumber ? i + 1 : row.beat_number,
+        scene_number: syncScenes ? sceneNumber : row.scene_number
+      };
+      if (row.id === movedId || next.act_id !== row.act_id
+          || next.beat_number !== row.beat_number || next.scene_number !== row.scene_number) {
+        plan.push({
+          id: row.id,
+          act_no: act.act_no,
+          from: row.beat_number,
+          from_act_no: actNumbers.get(row.act_id),
+          from_scene_number: row.scene_number,
+          ...next
+        });
+      }
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Statements applying a renumbering plan. Rows are parked on negative beat
+ * numbers first so the unique slot index never sees a duplicate mid-way.
+ */
+function renumberStatements(db, plan, movedId = null) {
+  const statements = plan.map(row => db.prepare(`
+    UPDATE beats SET act_id = ?, beat_number = ?, scene_number = ?${row.id === movedId ? ', version = version + 1' : ''}
+    WHERE id = ?
+  `).bind(row.act_id, -row.beat_number, row.scene_number, row.id));
+
+  statements.push(db.prepare(`
+    UPDATE beats SET beat_number = -beat_number
+    WHERE beat_number < 0 AND is_current = 1 AND is_deleted = 0
+  `));
+
+  return statements;
+}
+
+/**
+ * Audit rows for a renumbering plan: 'move' for the moved beat, 'renumber'
+ * for every beat shifted around it
+ */
+function renumberAuditStatements(db, plan, { movedId = null, user = null, route = null }) {
+  return plan.map(row => auditStatement(db, {
+    beatId: row.id,
+    actNo: row.act_no,
+    beatNumber: row.beat_number,
+    action: row.id === movedId ? 'move' : 'renumber',
+    route,
+    user,
+    changes: diffFields(
+      { act_no: row.from_act_no, beat_number: row.from, scene_number: row.from_scene_number },
+      row,
+      ['act_no', 'beat_number', 'scene_number']
+    )
+  }));
+}
+
+/**
+ * Shape a renumbering plan entry for API output
+ */
+function formatRenumbered(row) {
+  return {
+    id: row.id,
+    act_no: row.act_no,
+    from_beat_number: row.from,
+    beat_number: row.beat_number,
+    scene_number: row.scene_number
+  };
+}
+
+/**
+ * Find the beats either side of a beat in script order, crossing act boundaries
+ */
+export async function getAdjacentBeats(db, beat) {
+  const neighbours = await db.prepare(`
+    SELECT
+      (SELECT a2.act_no || ':' || b2.beat_number FROM beats b2 JOIN acts a2 ON b2.act_id = a2.id
+       WHERE b2.is_current = 1 AND b2.is_deleted = 0
+         AND (a2.act_no < a.act_no OR (a2.act_no = a.act_no AND b2.beat_number < b.beat_number))
+       ORDER BY a2.act_no DESC, b2.beat_number DESC LIMIT 1) as previous,
+      (SELECT a2.act_no || ':' || b2.beat_number FROM beats b2 JOIN acts a2 ON b2.act_id = a2.id
+       WHERE b2.is_current = 1 AND b2.is_deleted = 0
+         AND (a2.act_no > a.act_no OR (a2.act_no = a.act_no AND b2.beat_number > b.beat_number))
+       ORDER BY a2.act_no, b2.beat_number LIMIT 1) as next
+    FROM beats b
+    JOIN acts a ON b.act_id = a.id
+    WHERE b.id = ?
+  `).bind(beat.id).first();
+
+  const toLink = value => {
+    if (!value) return null;
+    const [actNo, beatNumber] = value.split(':').map(Number);
+    return { act_no: actNo, beat_number: beatNumber };
+  };
+
+  return {
+    previous: toLink(neighbours?.previous),
+    next: toLink(neighbours?.next)
+  };
+}
+
+/**
+ * Soft delete a beat by flagging it, which moves it to the trash
+ */
+export async function deleteBeat(db, beat, { user = null, route = null } = {}) {
+  await runWrite(db.batch(deleteStatements(db, beat, { user, route })));
+}
+
+/**
+ * Statements flagging a beat as deleted and logging it
+ */
+export function deleteStatements(db, beat, { user = null, route = null } = {}) {
+  return [
+    db.prepare('UPDATE beats SET is_deleted = 1, updated_by = ? WHERE id = ?').bind(user, beat.id),
+    auditStatement(db, {
+      beatId: beat.id,
+      actNo: beat.act_no,
+      beatNumber: beat.beat_number,
+      action: 'delete',
+      route,
+      user,
+      changes: { is_deleted: { from: 0, to: 1 } }
+    })
+  ];
+}
+
+/**
+ * List deleted beats, most recently deleted first
+ */
+export async function listDeletedBeats(db) {
+  const beats = await db.prepare(`
+    ${BEAT_SELECT}
+    WHERE b.is_current = 1 AND b.is_deleted = 1
+    ORDER BY b.updated_at DESC, a.act_no, b.beat_number
+  `).all();
+  return beats.results;
+}
+
+/**
+ * Get a deleted beat by row id
+ */
+export async function getDeletedBeatById(db, id) {
+  return await db.prepare(`${BEAT_SELECT} WHERE b.id = ? AND b.is_current = 1 AND b.is_deleted = 1`).bind(id).first();
+}
+
+/**
+ * Bring a deleted beat back. If another beat has taken its number in the
+ * meantime it is appended to the end of the act instead.
+ */
+export async function restoreDeletedBeat(db, beat, { user = null, route = null } = {}) {
+  const occupant = await db.prepare(`
+    SELECT id FROM beats
+    WHERE act_id = ? AND beat_number = ? AND is_current = 1 AND is_deleted = 0
+  `).bind(beat.act_id, beat.beat_number).first();
+
+  let beatNumber = beat.beat_number;
+  if (occupant) {
+    const last = await db.prepare(`
+      SELECT COALESCE(MAX(beat_number), 0) + 1 as next_beat FROM beats
+      WHERE act_id = ? AND is_current = 1 AND is_deleted = 0
+    `).bind(beat.act_id).first();
+    beatNumber = last.next_beat;
+  }
+
+  await runWrite(db.batch([
+    db.prepare('UPDATE beats SET is_deleted = 0, updated_by = ?, beat_number = ? WHERE id = ?').bind(user, beatNumber, beat.id),
+    auditStatement(db, {
+      beatId: beat.id,
+      actNo: beat.act_no,
+      beatNumber,
+      action: 'restore',
+      route,
+      user,
+      changes: diffFields(beat, { is_deleted: 0, beat_number: beatNumber }, ['is_deleted', 'beat_number'])
+    })
+  ]));
+
+  return await getBeatById(db, beat.id);
+}
+
+/**
+ * Permanently remove a deleted beat and all of its versions
+ */
+export async function purgeBeat(db, beat, { user = null, route = null } = {}) {
+  await runWrite(db.batch(purgeStatements(db, beat, { user, route })));
+}
+
+/**
+ * Empty the trash, returning the purged beats
+ */
+export async function purgeAllDeletedBeats(db, { user = null, route = null } = {}) {
+  const deleted = await listDeletedBeats(db);
+  if (deleted.length > 0) {
+    await runWrite(db.batch(deleted.flatMap(beat => purgeStatements(db, beat, { user, route }))));
+  }
+  return deleted;
+}
+
+/**
+ * Statements deleting a beat and its versions; the audit row keeps the
+ * last content of every field as its "from" value
+ */
+function purgeStatements(db, beat, { user, route }) {
+  return [
+    db.prepare('DELETE FROM beats WHERE version_of = ?').bind(beat.id),
+    db.prepare('DELETE FROM beats WHERE id = ?').bind(beat.id),
+    auditStatement(db, {
+      beatId: beat.id,
+      actNo: beat.act_no,
+      beatNumber: beat.beat_number,
+      action: 'purge',
+      route,
+      user,
+      changes: diffFields(beat, {}, ['beat_number', ...BEAT_FIELDS])
+    })
+  ];
+}
+
+/**
+ * Look up an act by act_no or act_id
+ */
+export async function resolveAct(db, data) {
+  let act = null;
+
+  if (data.act_no !== undefined && data.act_no !== null && data.act_no !== '') {
+    act = await db.prepare('SELECT id, act_no, title FROM acts WHERE act_no = ?')
+      .bind(parseInt(data.act_no))
+      .first();
+  } else if (data.act_id !== undefined && data.act_id !== null && data.act_id !== '') {
+    act = await db.prepare('SELECT id, act_no, title FROM acts WHERE id = ?')
+      .bind(parseInt(data.act_id))
+      .first();
+  } else {
+    throw new HttpError(422, 'Validation failed', 'act_no or act_id is required', [
+      { path: 'act_no', message: 'act_no or act_id is required' }
+    ]);
+  }
+
+  if (!act) {
+    throw new HttpError(404, 'Not found', `Act ${data.act_no ?? data.act_id} does not exist`);
+  }
+
+  return act;
+}
+
+/**
+ * Shape a beat row for API output, decoding the tags JSON array
+ */
+export function serializeBeat(beat) {
+  return {
+    ...beat,
+    tags: parseTags(beat.tags)
+  };
+}
+
+/**
+ * Decode the tags column into an array
+ */
+export function parseTags(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const tags = JSON.parse(value);
+    return Array.isArray(tags) ? tags : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Parse the request body and require an object
+ */
+export async function readBeatBody(request) {
+  let data;
+  try {
+    data = await parseRequestBody(request);
+  } catch (error) {
+    throw new HttpError(400, 'Invalid request body', error.message);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, 'Invalid request body', 'Request body must be a JSON object or form data');
+  }
+
+  return data;
+}
+
+/**
+ * Parse an optional request body, treating an empty body as {}
+ */
+async function readOptionalBody(request) {
+  if (!request.headers.get('Content-Type')) {
+    return {};
+  }
+  return await readBeatBody(request);
+}
+
+/**
+ * Await a beat lookup and 404 when it is missing
+ */
+export async function requireBeat(lookup) {
+  const beat = await lookup;
+  if (!beat) {
+    throw new HttpError(404, 'Not found', 'Beat does not exist');
+  }
+  return beat;
+}
+
+/**
+ * Reject methods a route does not support
+ */
+function assertMethod(method, allowed) {
+  if (!allowed.includes(method)) {
+    throw new HttpError(405, 'Method not allowed', `Use one of: ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Await a write, turning constraint failures into 409 Conflict (beat number
+ * taken) and 422 (CHECK). Other modules wrap their batches of beat
+ * statements in it too.
+ */
+export async function runWrite(operation) {
+  try {
+    return await operation;
+  } catch (error) {
+    if (/UNIQUE constraint failed/i.test(error.message)) {
+      throw new HttpError(409, 'Conflict', 'Another beat already uses that beat number in this act');
+    }
+    if (/CHECK constraint failed/i.test(error.message)) {
+      throw new HttpError(422, 'Validation failed', error.message);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Conditional requests for ALLY Beat Sheets Worker
+ *
+ * Reports and /ally pages carry a strong ETag derived from the state of the
+ * beats they show: row count and latest updated_at of the relevant beats,
+ * plus the latest audit log entry (updated_at only has one-second
+ * resolution, and renumbering and purges do not touch it). If-None-Match /
+ * If-Modified-Since answer 304 Not Modified. Responses are private and
+ * revalidated on every use (Cache-Control: private, no-cache) since they
+ * depend on the caller.
+ *
+ * Single beats get an ETag of their own row; PUT, PATCH, DELETE, move and
+ * version restore honour If-Match and fail with 412 when the beat has
+ * changed since the client read it. Browser sessions must send it (428).
+ */
+
+import { HttpError } from './utils.js';
+
+export const CACHE_CONTROL = 'private, no-cache';
+
+/**
+ * Count and latest change of the beats in a scope:
+ * { actNo } for one act, { deleted: true } for the trash, {} for the script.
+ * With static: true nothing is read (pages without beat data).
+ */
+export async function getBeatsState(db, scope = {}) {
+  if (scope.static) {
+    return { count: 0, lastUpdated: null, lastChange: 0, lastModified: null };
+  }
+
+  const state = await db.prepare(`
+    SELECT
+      COUNT(b.id) as count,
+      MAX(b.updated_at) as last_updated,
+      (SELECT COALESCE(MAX(id), 0) FROM audit_log) as last_change,
+      (SELECT MAX(created_at) FROM audit_log) as last_change_at
+    FROM beats b
+    JOIN acts a ON b.act_id = a.id
+    WHERE b.is_current = 1 AND b.is_deleted = ?1 AND (?2 IS NULL OR a.act_no = ?2)
+  `).bind(scope.deleted ? 1 : 0, scope.actNo ?? null).first();
+
+  const lastUpdated = state?.last_updated || null;
+  const lastChangeAt = state?.last_change_at || null;
+  return {
+    count: state?.count || 0,
+    lastUpdated,
+    lastChange: state?.last_change || 0,
+    // Both are "YYYY-MM-DD HH:MM:SS", so they compare as strings
+    lastModified: lastChangeAt && (!lastUpdated || lastChangeAt > lastUpdated) ? lastChangeAt : lastUpdated
+  };
+}
+
+/**
+ * Beats scope for a page's cache name in PAGE_ROUTES
+ */
+export function pageCacheScope(cache, params = {}) {
+  if (cache === 'static') return { static: true };
+  if (cache === 'act') return { actNo: params.actNo };
+  if (cache === 'trash') return { deleted: true };
+  return {};
+}
+
+/**
+ * Id of the deployed Worker version (the CF_VERSION_METADATA binding), so
+ * pages re-render after a deploy changes their markup; null when unbound
+ */
+export function deploymentVersion(env) {
+  return env.CF_VERSION_METADATA?.id || null;
+}
+
+/**
+ * Strong ETag: a quoted SHA-256 digest of the parts
+ */
+export async function computeETag(...parts) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(parts)));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * ETag of a single beat row
+ */
+export async function beatETag(beat) {
+  return await computeETag('beat', beat);
+}
+
+/**
+ * ETag, Last-Modified and Cache-Control headers
+ */
+export function cacheHeaders(etag, timestamp = null) {
+  const headers = { 'ETag': etag, 'Cache-Control': CACHE_CONTROL };
+  const lastModified = toHTTPDate(timestamp);
+  if (lastModified) {
+    headers['Last-Modified'] = lastModified;
+  }
+  return headers;
+}
+
+/**
+ * Whether a GET can be answered with 304. If-None-Match takes precedence
+ * over If-Modified-Since (RFC 9110).
+ */
+export function isNotModified(request, headers) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    return matchesETag(ifNoneMatch, headers.ETag, { weak: true });
+  }
+
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(headers['Last-Modified'] || '');
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Render a GET with validators for the beats in scope, or answer 304 when
+ * the client's copy is current. variant separates representations that
+ * share the same data (path, query string, role). If the state cannot be
+ * read the response is rendered without validators.
+ */
+export async function withConditionalGet(request, db, { scope = {}, variant, corsHeaders = {} }, render) {
+  let headers;
+  try {
+    const state = await getBeatsState(db, scope);
+    headers = cacheHeaders(await computeETag(variant, state.count, state.lastUpdated, state.lastChange), state.lastModified);
+  } catch (error) {
+    console.error('Unable to compute ETag:', error);
+    return await render();
+  }
+
+  if (isNotModified(request, headers)) {
+    return new Response(null, { status: 304, headers: { ...corsHeaders, ...headers } });
+  }
+
+  const response = await render();
+  if (response.status === 200) {
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+  }
+  return response;
+}
+
+/**
+ * Reject a write whose If-Match does not name the beat's current ETag
+ */
+export async function assertIfMatch(request, beat) {
+  const ifMatch = request.headers.get('If-Match');
+  if (!ifMatch) return;
+
+  const etag = await beatETag(beat);
+  if (!matchesETag(ifMatch, etag, { weak: false })) {
+    throw new HttpError(412, 'Precondition failed', 'The beat has changed since it was read; fetch it again and retry', {
+      etag
+    });
+  }
+}
+
+/**
+ * Require If-Match on a beat write from a browser session (the Access cookie
+ * alone), so a page never overwrites changes made after it was rendered.
+ * API clients may still write unconditionally.
+ */
+export function assertIfMatchSent(request, identity) {
+  if (identity?.cookie && !request.headers.get('If-Match')) {
+    throw new HttpError(428, 'Precondition required', 'Send If-Match with the beat\'s ETag from the page or GET /api/beats/{id}');
+  }
+}
+
+/**
+ * Match an If-Match / If-None-Match list against an ETag. Weak comparison
+ * ignores W/ prefixes; strong comparison never matches a weak tag.
+ */
+function matchesETag(header, etag, { weak }) {
+  return header.split(',').map(tag => tag.trim()).some(tag => {
+    if (tag === '*') return true;
+    if (tag.startsWith('W/')) return weak && tag.slice(2) === etag;
+    return tag === etag;
+  });
+}
+
+/**
+ * D1 timestamp ("YYYY-MM-DD HH:MM:SS", UTC) to an HTTP date
+ */
+function toHTTPDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date.toUTCString();
+}
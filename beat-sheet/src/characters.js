@@ -0,0 +1,227 @@
+/**
+ * Character presence for ALLY Beat Sheets Worker
+ *
+ * beats.characters is free text ("ALLY, Mark (V.O.) and the Mayor"). It is
+ * split here into names: commas, semicolons, slashes, ampersands, line
+ * breaks and "and" separate names, and parentheticals such as (V.O.) or
+ * (CONT'D) are dropped. Names match case-insensitively and are listed under
+ * the spelling used first in script order, unless CHARACTER_ALIASES maps
+ * them to a canonical name.
+ *
+ * The presence matrix marks which characters appear in which beat, with
+ * each character's first and last appearance, beat count and longest
+ * absence: the longest run of beats without them after their first
+ * appearance, up to the end of the script.
+ *
+ * ROUTES:
+ * - GET /api/reports/characters : Character x beat presence matrix with appearance stats
+ * - GET /api/reports/characters/csv : The same matrix as a CSV download
+ *
+ * ENVIRONMENT:
+ * - CHARACTER_ALIASES : optional JSON mapping a canonical name to its other
+ *   spellings, e.g. { "ALLY": ["Alison", "Al"], "MAYOR": ["Mayor Briggs"] }
+ */
+
+import { jsonResponse, apiErrorResponse, readJSONSetting } from './utils.js';
+import { characterAliasesSchema, formatIssues } from './schemas.js';
+import { withConditionalGet } from './cache.js';
+import { escapeCSV } from './csv.js';
+
+// Separators between names in beats.characters
+const NAME_SEPARATOR = /[,;/&+\n]|\band\b/i;
+
+// Values that mean "no characters" rather than a name
+const EMPTY_NAMES = new Set(['n/a', 'na', 'none', '-', 'tbd', 'characters not specified']);
+
+/**
+ * Handle /api/reports/characters and /api/reports/characters/csv
+ */
+export async function handleCharacterRouting(request, env, path, method, corsHeaders) {
+  try {
+    const aliases = readCharacterAliases(env);
+    const csv = path.replace(/\/$/, '').endsWith('/csv');
+
+    return await withConditionalGet(request, env.SCREENPLAY_DRAFT, {
+      scope: {},
+      variant: [path, aliases],
+      corsHeaders
+    }, async () => {
+      const matrix = await getCharacterMatrix(env.SCREENPLAY_DRAFT, aliases);
+      if (!csv) {
+        return jsonResponse(matrix, 200, corsHeaders);
+      }
+      return new Response(generateCharacterCSV(matrix), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv',
+          'Content-Disposition': `attachment; filename="beat-sheets-characters-${new Date().toISOString().split('T')[0]}.csv"`,
+          ...corsHeaders
+        }
+      });
+    });
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * The CHARACTER_ALIASES setting as { canonical: [alias, ...] }. An invalid
+ * setting is logged and ignored.
+ */
+export function readCharacterAliases(env) {
+  const parsed = characterAliasesSchema.safeParse(readJSONSetting(env, 'CHARACTER_ALIASES'));
+  if (!parsed.success) {
+    console.error(`CHARACTER_ALIASES is invalid: ${formatIssues(parsed.error).map(issue => `${issue.path}: ${issue.message}`).join('; ')}`);
+    return {};
+  }
+  return parsed.data;
+}
+
+/**
+ * Names in a beats.characters value, once each, with aliases replaced by
+ * their canonical name
+ */
+export function parseCharacters(text, aliases = {}) {
+  if (!text || EMPTY_NAMES.has(String(text).trim().toLowerCase())) return [];
+
+  const canonical = aliasIndex(aliases);
+  const names = new Map();
+  for (const part of String(text).replace(/\([^)]*\)/g, ' ').split(NAME_SEPARATOR)) {
+    const name = part.replace(/\s+/g, ' ').replace(/^[\s"'-]+|[\s"'-]+$/g, '');
+    if (!name || EMPTY_NAMES.has(name.toLowerCase())) continue;
+
+    const resolved = canonical.get(name.toLowerCase()) ?? name;
+    if (!names.has(resolved.toLowerCase())) {
+      names.set(resolved.toLowerCase(), resolved);
+    }
+  }
+  return [...names.values()];
+}
+
+/**
+ * Presence matrix of the current beats (see characterMatrixSchema).
+ * Characters are ordered by beat count, then first appearance.
+ */
+export async function getCharacterMatrix(db, aliases = {}) {
+  const rows = await db.prepare(`
+    SELECT b.id, b.beat_number, b.title, b.characters, a.act_no
+    FROM beats b
+    JOIN acts a ON b.act_id = a.id
+    WHERE b.is_current = 1 AND b.is_deleted = 0
+    ORDER BY a.act_no, b.beat_number
+  `).all();
+
+  const beats = rows.results.map((beat, index) => ({
+    position: index + 1,
+    id: beat.id,
+    act_no: beat.act_no,
+    beat_number: beat.beat_number,
+    title: beat.title,
+    url: `/ally/act/${beat.act_no}/beat/${beat.beat_number}`
+  }));
+
+  const characters = new Map();
+  let uncredited = 0;
+  rows.results.forEach((beat, index) => {
+    const names = parseCharacters(beat.characters, aliases);
+    if (names.length === 0) uncredited++;
+    for (const name of names) {
+      const key = name.toLowerCase();
+      const character = characters.get(key) || { name, positions: [] };
+      character.positions.push(index + 1);
+      characters.set(key, character);
+    }
+  });
+
+  return {
+    report_type: 'character_presence',
+    generated_at: new Date().toISOString(),
+    summary: {
+      total_beats: beats.length,
+      total_characters: characters.size,
+      uncredited_beats: uncredited
+    },
+    beats,
+    characters: [...characters.values()]
+      .map(character => describePresence(character, beats))
+      .sort((a, b) => b.beat_count - a.beat_count
+        || a.first_appearance.position - b.first_appearance.position
+        || a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }))
+  };
+}
+
+/**
+ * CSV of a presence matrix: one row per character with the appearance
+ * stats, then one column per beat marked X where the character appears
+ */
+export function generateCharacterCSV(matrix) {
+  const header = [
+    'Character',
+    'Beats',
+    'First Appearance',
+    'Last Appearance',
+    'Longest Absence (beats)',
+    ...matrix.beats.map(beat => `Act ${beat.act_no} Beat ${beat.beat_number}`)
+  ];
+  const label = appearance => `Act ${appearance.act_no} Beat ${appearance.beat_number}`;
+
+  const rows = matrix.characters.map(character => {
+    const present = new Set(character.positions);
+    return [
+      escapeCSV(character.name),
+      character.beat_count,
+      label(character.first_appearance),
+      label(character.last_appearance),
+      character.longest_absence?.beats ?? 0,
+      ...matrix.beats.map(beat => (present.has(beat.position) ? 'X' : ''))
+    ].join(',');
+  });
+
+  return [header.map(escapeCSV).join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Appearance stats for a character seen at the given beat positions
+ */
+function describePresence(character, beats) {
+  const { positions } = character;
+  const at = position => {
+    const beat = beats[position - 1];
+    return { position, act_no: beat.act_no, beat_number: beat.beat_number };
+  };
+
+  // Gaps between appearances, and after the last one to the end of the script
+  let longest = null;
+  [...positions, beats.length + 1].forEach((position, index) => {
+    const previous = index === 0 ? null : positions[index - 1];
+    if (previous === null || position - previous <= 1) return;
+    const gap = position - previous - 1;
+    if (!longest || gap > longest.beats) {
+      longest = { beats: gap, from_position: previous + 1, to_position: position - 1 };
+    }
+  });
+
+  return {
+    name: character.name,
+    beat_count: positions.length,
+    presence: Math.round(positions.length / beats.length * 1000) / 10,
+    first_appearance: at(positions[0]),
+    last_appearance: at(positions[positions.length - 1]),
+    longest_absence: longest,
+    positions
+  };
+}
+
+/**
+ * Lowercase name -> canonical name, for canonical names and their aliases
+ */
+function aliasIndex(aliases) {
+  const index = new Map();
+  for (const [name, others] of Object.entries(aliases)) {
+    index.set(name.toLowerCase(), name);
+    for (const alias of others) {
+      index.set(alias.toLowerCase(), name);
+    }
+  }
+  return index;
+}
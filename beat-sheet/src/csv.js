@@ -0,0 +1,100 @@
+/**
+ * CSV helpers for ALLY Beat Sheets Worker
+ *
+ * Shared by the CSV report export and the CSV import so both sides agree on
+ * the column layout.
+ */
+
+/**
+ * Column layout of the beat sheet CSV export, in order
+ */
+export const BEAT_CSV_COLUMNS = [
+  'Act Number',
+  'Act Title',
+  'Beat Number',
+  'Scene Number',
+  'Beat Title',
+  'Description',
+  'Conflict',
+  'Emotion',
+  'Location',
+  'Time of Day',
+  'Characters',
+  'Version',
+  'Created At',
+  'Updated At'
+];
+
+/**
+ * Start of the line a filtered export writes above the header, followed by
+ * the filters. Such a file lists only the matching beats, so the import
+ * refuses to prune with it.
+ */
+export const FILTERED_CSV_MARKER = '# Filtered export:';
+
+/**
+ * Escape CSV field values
+ */
+export function escapeCSV(field) {
+  if (field === null || field === undefined) return '';
+  const str = String(field);
+  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Parse CSV text into an array of rows (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks). Blank lines are skipped.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') {
+    rows.push(row);
+  }
+
+  return rows;
+}
@@ -0,0 +1,176 @@
+/**
+ * Final Draft (.fdx) format for ALLY Beat Sheets Worker
+ *
+ * Exports each act as a "New Act" paragraph and each beat as a scene heading
+ * whose scene properties carry the beat title and a summary. The import reads
+ * the same structure back, plus character cues and action from real drafts.
+ * Scene headings are read as in Fountain, so a time of day that is not a
+ * recognised one (NIGHT, MORNING...) comes back as part of the location.
+ */
+
+import { load } from 'cheerio';
+import { escapeXML } from './utils.js';
+import { buildSceneHeading, parseSceneHeading, descriptionLines, titleCase } from './fountain.js';
+
+/**
+ * Generate a Final Draft document from a beats report
+ */
+export function generateFDXReport(report) {
+  const paragraphs = [];
+
+  for (const act of report.acts) {
+    const actHeading = `ACT ${act.act_no}${act.act_title ? `: ${act.act_title}` : ''}`.toUpperCase();
+    paragraphs.push(`    <Paragraph Type="New Act">
+      <Text>${escapeXML(actHeading)}</Text>
+    </Paragraph>`);
+
+    for (const beat of act.beats) {
+      const heading = buildSceneHeading({ ...beat, scene_number: null });
+      const number = beat.scene_number ? ` Number="${escapeXML(beat.scene_number)}"` : '';
+      const summary = beat.description
+        ? `
+        <Summary>${descriptionLines(beat.description).map(line => `
+          <Paragraph Alignment="Left" FirstIndent="0.00" Leading="Regular" LeftIndent="0.00" RightIndent="1.39" SpaceBefore="0" Spacing="1" StartsNewPage="No">
+            <Text>${escapeXML(line)}</Text>
+          </Paragraph>`).join('')}
+        </Summary>`
+        : '';
+
+      paragraphs.push(`    <Paragraph${number} Type="Scene Heading">
+      <SceneProperties Length="" Page="" Title="${escapeXML(beat.title || `Beat ${beat.beat_number}`)}">${summary}
+      </SceneProperties>
+      <Text>${escapeXML(heading)}</Text>
+    </Paragraph>`);
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<FinalDraft DocumentType="Script" Template="No" Version="5">
+  <Content>
+${paragraphs.join('\n')}
+  </Content>
+  <TitlePage>
+    <Content>
+      <Paragraph Alignment="Center" Type="Text">
+        <Text>ALLY</Text>
+      </Paragraph>
+      <Paragraph Alignment="Center" Type="Text">
+        <Text>Beat Sheet</Text>
+      </Paragraph>
+      <Paragraph Alignment="Center" Type="Text">
+        <Text>MobiCycle Productions</Text>
+      </Paragraph>
+    </Content>
+  </TitlePage>
+</FinalDraft>
+`;
+}
+
+/**
+ * Parse a Final Draft document into beats grouped by act.
+ *
+ * "New Act" paragraphs start an act (numbered from their text, or counted).
+ * Each "Scene Heading" paragraph starts a beat: the slugline gives location
+ * and time of day, the Number attribute the scene number, the scene
+ * properties Title and Summary the title and description (one line per
+ * summary paragraph), and Character paragraphs in the scene fill characters.
+ * As with Fountain, scene number and characters are left out when the
+ * document has none, and the placeholder location reads as no location.
+ */
+export function parseFDX(text) {
+  let $;
+  try {
+    $ = load(String(text), { xmlMode: true });
+  } catch (error) {
+    throw new Error(`Invalid FDX document: ${error.message}`);
+  }
+
+  if ($('FinalDraft').length === 0) {
+    throw new Error('Invalid FDX document: missing FinalDraft root element');
+  }
+
+  const acts = [];
+  let act = null;
+  let beat = null;
+
+  const finishBeat = () => {
+    if (!beat) return;
+    if (!act) {
+      act = { act_no: 1, title: null, beats: [] };
+      acts.push(act);
+    }
+    act.beats.push(completeBeat(beat, act.beats.length + 1));
+    beat = null;
+  };
+
+  $('FinalDraft > Content > Paragraph').each((index, element) => {
+    const paragraph = $(element);
+    const type = paragraph.attr('Type') || '';
+    const content = paragraph.children('Text').map((i, node) => $(node).text()).get().join('').trim();
+
+    if (/^new act$/i.test(type)) {
+      finishBeat();
+      const actNo = content.match(/(\d+)/);
+      const title = content.replace(/^act\s*\w*\s*[:.\-–—]?\s*/i, '').trim();
+      act = { act_no: actNo ? parseInt(actNo[1]) : acts.length + 1, title: title || content || null, beats: [] };
+      acts.push(act);
+      return;
+    }
+
+    if (/^scene heading$/i.test(type)) {
+      finishBeat();
+      const heading = parseSceneHeading(content) || parseSceneHeading(`.${content}`) || {};
+      const number = parseInt(paragraph.attr('Number'));
+      const properties = paragraph.children('SceneProperties');
+      const summary = properties.find('Summary Paragraph')
+        .map((i, node) => $(node).children('Text').text().trim())
+        .get()
+        .filter(Boolean)
+        .join('\n');
+
+      beat = {
+        row: index + 1,
+        location: heading.location || null,
+        time_of_day: heading.time_of_day || null,
+        scene_number: Number.isNaN(number) ? heading.scene_number : number,
+        title: (properties.attr('Title') || '').trim(),
+        summary,
+        action: [],
+        characters: []
+      };
+      return;
+    }
+
+    if (!beat) return;
+
+    if (/^character$/i.test(type)) {
+      const name = titleCase(content.replace(/\(.*?\)/g, '').replace(/\^$/, '').trim());
+      if (name && !beat.characters.includes(name)) {
+        beat.characters.push(name);
+      }
+    } else if (/^action$/i.test(type) && content) {
+      beat.action.push(content);
+    }
+  });
+
+  finishBeat();
+  return acts;
+}
+
+/**
+ * Turn a parsed scene into a beat record
+ */
+function completeBeat(scene, beatNumber) {
+  const headingText = [scene.location, scene.time_of_day].filter(Boolean).join(' - ') || `Scene ${scene.scene_number ?? beatNumber}`;
+
+  return {
+    row: scene.row,
+    beat_number: beatNumber,
+    scene_number: scene.scene_number ?? undefined,
+    title: scene.title || headingText,
+    description: scene.summary || scene.action[0] || headingText,
+    location: scene.location ?? undefined,
+    time_of_day: scene.time_of_day,
+    characters: scene.characters.length > 0 ? scene.characters.join(', ') : undefined
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Report filters for ALLY Beat Sheets Worker
+ *
+ * Every /api/reports/beats format and the HTML report take the same query
+ * string (reportQuerySchema): act, character, location, time_of_day, tag,
+ * tension_min, tension_max and updated_since narrow the beats, and sort
+ * orders them by any report column ("-" prefix for descending, comma
+ * separated for several keys). Grouped reports (JSON, HTML and the script
+ * formats) keep act_no as the first key (descending if sort names -act_no),
+ * so the other keys order beats within each act. The flat CSV sorts by the
+ * keys as given, so ?sort=-tension_level orders the whole script. The JSON
+ * report also pages with limit and an opaque cursor.
+ *
+ * The column filters run in the report's SQL query. Tags are matched here,
+ * after decoding, and sorting and paging happen here too so that a single
+ * comparator defines both the order and where a cursor resumes.
+ */
+
+import { HttpError } from './utils.js';
+import { parseTags } from './beats.js';
+
+export const DEFAULT_REPORT_SORT = 'act_no,beat_number';
+
+// Query string names of the filters, in the order the HTML form shows them
+export const FILTER_PARAMS = {
+  act: 'act_no',
+  character: 'character',
+  location: 'location',
+  time_of_day: 'time_of_day',
+  tag: 'tag',
+  tension_min: 'tension_min',
+  tension_max: 'tension_max',
+  updated_since: 'updated_since',
+  sort: 'sort'
+};
+
+/**
+ * Report filters from a parsed reportQuerySchema query. Throws a 422
+ * HttpError when the tension range is inverted.
+ */
+export function readReportFilters(query = {}) {
+  const filters = {};
+  for (const [param, name] of Object.entries(FILTER_PARAMS)) {
+    filters[name] = query[param] ?? null;
+  }
+  filters.sort = normalizeSort(filters.sort);
+
+  if (filters.tension_min !== null && filters.tension_max !== null && filters.tension_min > filters.tension_max) {
+    throw new HttpError(422, 'Validation failed', 'Query parameters are invalid', [
+      { path: 'tension_min', message: 'Must not be greater than tension_max' }
+    ]);
+  }
+
+  return filters;
+}
+
+/**
+ * LIKE pattern matching text anywhere in a column, with % and _ taken literally
+ * (use with ESCAPE '\')
+ */
+export function containsPattern(text) {
+  if (text === null || text === undefined) return null;
+  return `%${String(text).replace(/[\\%_]/g, match => `\\${match}`)}%`;
+}
+
+/**
+ * Keep the beats carrying a tag (case-insensitive)
+ */
+export function filterByTag(beats, tag) {
+  if (!tag) return beats;
+  const wanted = tag.toLowerCase();
+  return beats.filter(beat => parseTags(beat.tags).some(value => String(value).toLowerCase() === wanted));
+}
+
+/**
+ * Sort beats by a sort string. Grouped (the default), act_no is always the
+ * first key (descending only if the sort names -act_no), so no sort moves a
+ * beat ahead of an earlier act; with grouped: false the keys apply across
+ * the whole script. Empty values go last in either direction, and act_no,
+ * beat_number and id break ties so the order is total.
+ */
+export function sortBeats(beats, sort = DEFAULT_REPORT_SORT, { grouped = true } = {}) {
+  return [...beats].sort(beatComparator(sort, grouped));
+}
+
+/**
+ * One page of sorted beats: the beats after the cursor, up to limit.
+ * Without a limit every beat after the cursor is returned.
+ */
+export function paginateBeats(beats, sort, { limit = null, cursor = null } = {}) {
+  let remaining = beats;
+
+  if (cursor) {
+    const after = decodeCursor(cursor, sort);
+    const compare = beatComparator(sort);
+    remaining = beats.filter(beat => compare(beat, after) > 0);
+  }
+
+  if (!limit || remaining.length <= limit) {
+    return { beats: remaining, nextCursor: null };
+  }
+
+  const page = remaining.slice(0, limit);
+  return { beats: page, nextCursor: encodeCursor(page[page.length - 1], sort) };
+}
+
+/**
+ * Query string ("?..." or "") that reproduces the filters, for links and
+ * downloads. extra adds or overrides parameters.
+ */
+export function filterQueryString(filters = {}, extra = {}) {
+  const params = new URLSearchParams();
+  for (const [param, name] of Object.entries(FILTER_PARAMS)) {
+    const value = filters[name];
+    if (value === null || value === undefined || value === '') continue;
+    if (name === 'sort' && value === DEFAULT_REPORT_SORT) continue;
+    params.set(param, String(value));
+  }
+  for (const [param, value] of Object.entries(extra)) {
+    if (value === null || value === undefined || value === '') {
+      params.delete(param);
+    } else {
+      params.set(param, String(value));
+    }
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Sort string without blanks, or the default
+ */
+function normalizeSort(sort) {
+  const keys = String(sort || '').split(',').map(key => key.trim()).filter(Boolean);
+  return keys.length > 0 ? keys.join(',') : DEFAULT_REPORT_SORT;
+}
+
+/**
+ * Sort keys as [{ field, descending }]: act_no when grouped, the requested
+ * keys, then the tie-breakers
+ */
+function sortKeys(sort, grouped = true) {
+  const requested = normalizeSort(sort).split(',').map(key => ({
+    field: key.replace(/^-/, ''),
+    descending: key.startsWith('-')
+  }));
+  let keys = requested;
+  if (grouped) {
+    const act = requested.find(key => key.field === 'act_no') || { field: 'act_no', descending: false };
+    keys = [act, ...requested.filter(key => key.field !== 'act_no')];
+  }
+  for (const field of ['act_no', 'beat_number', 'id']) {
+    if (!keys.some(key => key.field === field)) {
+      keys.push({ field, descending: false });
+    }
+  }
+  return keys;
+}
+
+/**
+ * Comparator for a sort string
+ */
+function beatComparator(sort, grouped = true) {
+  const keys = sortKeys(sort, grouped);
+  return (a, b) => {
+    for (const { field, descending } of keys) {
+      const order = compareValues(a[field], b[field], descending);
+      if (order !== 0) return order;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Compare two column values: numbers numerically, text case-insensitively
+ * with embedded numbers in numeric order, empty values last
+ */
+function compareValues(a, b, descending) {
+  const emptyA = a === null || a === undefined || a === '';
+  const emptyB = b === null || b === undefined || b === '';
+  if (emptyA || emptyB) {
+    return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+  }
+
+  const order = typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), 'en', { numeric: true, sensitivity: 'base' });
+  return descending ? -order : order;
+}
+
+/**
+ * Cursor naming the last beat of a page: its sort key values, base64url
+ * encoded together with the sort they belong to
+ */
+function encodeCursor(beat, sort) {
+  const normalized = normalizeSort(sort);
+  const values = sortKeys(normalized).map(({ field }) => beat[field] ?? null);
+  const json = JSON.stringify({ sort: normalized, values });
+  return btoa(String.fromCharCode(...new TextEncoder().encode(json)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Pseudo beat holding a cursor's sort key values. Throws a 422 HttpError for
+ * a malformed cursor or one issued for a different sort.
+ */
+function decodeCursor(cursor, sort) {
+  const normalized = normalizeSort(sort);
+  let decoded;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    decoded = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+  } catch (error) {
+    decoded = null;
+  }
+
+  const keys = sortKeys(normalized);
+  if (decoded && decoded.sort !== normalized) {
+    throw new HttpError(422, 'Validation failed', 'Query parameters are invalid', [
+      { path: 'cursor', message: 'Was issued for a different sort; start again without cursor' }
+    ]);
+  }
+  if (!decoded || !Array.isArray(decoded.values) || decoded.values.length !== keys.length) {
+    throw new HttpError(422, 'Validation failed', 'Query parameters are invalid', [
+      { path: 'cursor', message: 'Must be the next_cursor of a previous page' }
+    ]);
+  }
+
+  return Object.fromEntries(keys.map(({ field }, index) => [field, decoded.values[index]]));
+}
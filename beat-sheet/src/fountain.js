@@ -0,0 +1,358 @@
+/**
+ * Fountain screenplay format for ALLY Beat Sheets Worker
+ *
+ * Exports the beat sheet as a skeleton draft: each act becomes a section
+ * (#), each beat a scene heading built from location and time of day,
+ * followed by synopsis lines (= title, then one per description line) and
+ * [[notes]] for conflict, emotion and notes. Only a recognised time of day
+ * (NIGHT, MORNING, CONTINUOUS...) goes in the heading, so a location such as
+ * "BAR - BACK ROOM" reads back whole; any other time is kept in a [[Time: ...]]
+ * note.
+ *
+ * See https://fountain.io/syntax
+ */
+
+import { isTimeOfDay } from './locations.js';
+
+const SCENE_HEADING_PREFIX = /^(INT\.?\/EXT\.?|EXT\.?\/INT\.?|I\/E\.?|INT\.?|EXT\.?|EST\.?)(\s+|$)/i;
+
+// Heading text written for beats without a location; read back as no location
+const UNSPECIFIED_LOCATION = 'Unspecified location';
+
+/**
+ * Generate a Fountain document from a beats report
+ */
+export function generateFountainReport(report) {
+  const lines = [
+    'Title: ALLY',
+    'Credit: Beat Sheet',
+    'Author: MobiCycle Productions',
+    `Draft date: ${report.generated_at.split('T')[0]}`,
+    ''
+  ];
+
+  for (const act of report.acts) {
+    lines.push('', `# Act ${act.act_no}${act.act_title ? `: ${singleLine(act.act_title)}` : ''}`, '');
+
+    for (const beat of act.beats) {
+      const headingTime = beat.time_of_day && isTimeOfDay(beat.time_of_day);
+      lines.push(buildSceneHeading({ ...beat, time_of_day: headingTime ? beat.time_of_day : null }), '');
+      lines.push(`= ${singleLine(beat.title || `Beat ${beat.beat_number}`)}`);
+      if (beat.description) {
+        lines.push(...descriptionLines(beat.description).map(line => `= ${line}`));
+      }
+
+      const notes = [
+        ['Time', headingTime ? null : beat.time_of_day],
+        ['Conflict', beat.conflict],
+        ['Emotion', beat.emotion],
+        ['Notes', beat.notes]
+      ].filter(([, value]) => value);
+
+      if (notes.length > 0) {
+        lines.push('');
+        for (const [label, value] of notes) {
+          lines.push(`[[${label}: ${singleLine(value).replace(/\[\[/g, '[ [').replace(/\]\]/g, '] ]')}]]`);
+        }
+      }
+
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Build a scene heading such as "INT. CITY HALL OFFICE - MORNING #12#".
+ * Locations that already carry an INT/EXT prefix keep it; others default to INT.
+ */
+export function buildSceneHeading(beat) {
+  const location = singleLine(beat.location || UNSPECIFIED_LOCATION).toUpperCase();
+  const heading = SCENE_HEADING_PREFIX.test(location) ? location : `INT. ${location}`;
+  const time = beat.time_of_day ? ` - ${singleLine(beat.time_of_day).toUpperCase()}` : '';
+  const sceneNumber = beat.scene_number ? ` #${beat.scene_number}#` : '';
+
+  return `${heading}${time}${sceneNumber}`;
+}
+
+/**
+ * Collapse whitespace so a value fits on one Fountain line
+ */
+function singleLine(value) {
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a description into its non-blank lines, each on one line
+ */
+export function descriptionLines(value) {
+  return String(value).split(/\r\n?|\n/).map(singleLine).filter(Boolean);
+}
+
+/**
+ * Compare form of a beat field as it survives a Fountain or FDX round trip.
+ * Whitespace is collapsed within lines; location and time of day are
+ * upper-cased in the slugline, and location loses the default INT. prefix
+ * (and the placeholder written when it is empty).
+ */
+export function normalizeSceneValue(field, value) {
+  const text = descriptionLines(value ?? '').join('\n');
+  if (field === 'time_of_day') {
+    return text.toUpperCase();
+  }
+  if (field === 'location') {
+    const location = text.toUpperCase().replace(/^INT\.?\s+/, '');
+    return location === UNSPECIFIED_LOCATION.toUpperCase() ? '' : location;
+  }
+  return text;
+}
+
+const NOTE_FIELDS = {
+  time: 'time_of_day',
+  conflict: 'conflict',
+  emotion: 'emotion',
+  notes: 'notes',
+  note: 'notes'
+};
+
+/**
+ * Parse a Fountain document into beats grouped by act.
+ *
+ * Level-one sections (# Act 2: Title) start an act; the act number is taken
+ * from the section text, or counted when it has none. Each scene heading
+ * starts a beat: location, time of day and scene number (#12#) come from the
+ * slugline, the first synopsis line becomes the title and further synopsis
+ * lines the description (one line each), [[Conflict: ...]] style notes fill
+ * the matching fields and character cues in the scene fill characters.
+ * Fields the draft does not carry (no #12#, no cues, the placeholder
+ * location) are left out so an import keeps the stored values.
+ */
+export function parseFountain(text) {
+  const lines = stripBoneyard(String(text).replace(/^\uFEFF/, ''))
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+
+  const acts = [];
+  let act = null;
+  let beat = null;
+  let index = skipTitlePage(lines);
+
+  const startAct = (actNo, title) => {
+    act = { act_no: actNo, title, beats: [] };
+    acts.push(act);
+  };
+
+  const finishBeat = () => {
+    if (!beat) return;
+    if (!act) {
+      startAct(1, null);
+    }
+    act.beats.push(completeBeat(beat, act.beats.length + 1));
+    beat = null;
+  };
+
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const previousBlank = index === 0 || lines[index - 1].trim() === '';
+    const nextLine = (lines[index + 1] || '').trim();
+
+    if (!line) continue;
+
+    const section = line.match(/^(#+)\s*(.*)$/);
+    if (section) {
+      if (section[1].length === 1) {
+        finishBeat();
+        const actNo = section[2].match(/(\d+)/);
+        const title = section[2].replace(/^act\s*\w*\s*[:.\-–—]?\s*/i, '').trim();
+        startAct(actNo ? parseInt(actNo[1]) : acts.length + 1, title || section[2].trim() || null);
+      }
+      continue;
+    }
+
+    const heading = previousBlank ? parseSceneHeading(line) : null;
+    if (heading) {
+      finishBeat();
+      beat = {
+        line: index + 1,
+        ...heading,
+        synopses: [],
+        action: [],
+        characters: [],
+        notes: []
+      };
+      continue;
+    }
+
+    if (!beat) continue;
+
+    if (/^=(?!==)/.test(line)) {
+      beat.synopses.push(line.replace(/^=\s*/, ''));
+      continue;
+    }
+
+    const note = line.match(/^\[\[([\s\S]*?)\]\]$/);
+    if (note) {
+      beat.notes.push(note[1].trim());
+      continue;
+    }
+
+    const cue = previousBlank && nextLine ? parseCharacterCue(line) : null;
+    if (cue) {
+      if (!beat.characters.includes(cue)) {
+        beat.characters.push(cue);
+      }
+      // Skip the dialogue block that follows the cue
+      while (index + 1 < lines.length && lines[index + 1].trim() !== '') {
+        index++;
+      }
+      continue;
+    }
+
+    if (previousBlank && !/^(>|~|!?\s*[A-Z ]+TO:$)/.test(line)) {
+      beat.action.push(line.replace(/^!/, ''));
+    } else if (beat.action.length > 0 && !previousBlank) {
+      beat.action[beat.action.length - 1] += ` ${line}`;
+    }
+  }
+
+  finishBeat();
+  return acts;
+}
+
+/**
+ * Split a slugline into location, time of day and scene number, or null if
+ * the line is not a scene heading. The text after the last " - " is only the
+ * time of day when it names one; otherwise it stays part of the location.
+ * Location is null for the exporter's placeholder and scene number null
+ * without an explicit #12#.
+ */
+export function parseSceneHeading(line) {
+  let heading = line;
+
+  if (/^\.[^.]/.test(heading)) {
+    heading = heading.slice(1);
+  } else if (!SCENE_HEADING_PREFIX.test(heading)) {
+    return null;
+  }
+
+  let sceneNumber = null;
+  const numbered = heading.match(/\s*#([\w.\-]+)#\s*$/);
+  if (numbered) {
+    heading = heading.slice(0, numbered.index);
+    sceneNumber = /^\d+$/.test(numbered[1]) ? parseInt(numbered[1]) : null;
+  }
+
+  // INT. is the default the exporter adds, so it is dropped; EXT. and INT./EXT. are kept
+  let location = heading.replace(/^INT\.?\s+/i, '').trim();
+  let timeOfDay = null;
+  const dash = location.lastIndexOf(' - ');
+  if (dash !== -1 && isTimeOfDay(location.slice(dash + 3))) {
+    timeOfDay = location.slice(dash + 3).trim() || null;
+    location = location.slice(0, dash).trim();
+  }
+
+  const prefix = location.match(SCENE_HEADING_PREFIX);
+  if (prefix) {
+    location = `${prefix[1].toUpperCase()} ${titleCase(location.slice(prefix[0].length).trim()) || ''}`.trim();
+  } else {
+    location = titleCase(location);
+  }
+
+  return {
+    location: location && normalizeSceneValue('location', location) ? location : null,
+    time_of_day: titleCase(timeOfDay),
+    scene_number: sceneNumber
+  };
+}
+
+/**
+ * Return the character name for a character cue line, or null
+ */
+function parseCharacterCue(line) {
+  let cue = line;
+
+  if (cue.startsWith('@')) {
+    cue = cue.slice(1);
+  } else if (cue !== cue.toUpperCase() || !/[A-Z]/.test(cue) || /TO:$/.test(cue)) {
+    return null;
+  }
+
+  const name = cue
+    .replace(/\^$/, '')
+    .replace(/\(.*?\)/g, '')
+    .trim();
+
+  return name ? titleCase(name) : null;
+}
+
+/**
+ * Turn a parsed scene into a beat record
+ */
+function completeBeat(scene, beatNumber) {
+  const fields = {};
+  const freeNotes = [];
+
+  for (const note of scene.notes) {
+    const labelled = note.match(/^(\w+)\s*:\s*([\s\S]*)$/);
+    const field = labelled ? NOTE_FIELDS[labelled[1].toLowerCase()] : null;
+    if (field && !fields[field]) {
+      fields[field] = labelled[2].trim();
+    } else {
+      freeNotes.push(note);
+    }
+  }
+
+  if (freeNotes.length > 0) {
+    fields.notes = [fields.notes, ...freeNotes].filter(Boolean).join(' ');
+  }
+
+  const timeOfDay = fields.time_of_day || scene.time_of_day;
+  const headingText = [scene.location, timeOfDay].filter(Boolean).join(' - ') || `Scene ${scene.scene_number ?? beatNumber}`;
+  const [title, ...description] = scene.synopses;
+
+  return {
+    row: scene.line,
+    beat_number: beatNumber,
+    scene_number: scene.scene_number ?? undefined,
+    title: title || headingText,
+    description: description.join('\n') || scene.action[0] || headingText,
+    conflict: fields.conflict || null,
+    emotion: fields.emotion || null,
+    notes: fields.notes || null,
+    location: scene.location ?? undefined,
+    time_of_day: timeOfDay,
+    characters: scene.characters.length > 0 ? scene.characters.join(', ') : undefined
+  };
+}
+
+/**
+ * Skip a leading title page (Key: value lines up to the first blank line)
+ */
+function skipTitlePage(lines) {
+  if (!/^[A-Za-z][\w ]*:/.test(lines[0] || '')) {
+    return 0;
+  }
+  const end = lines.findIndex(line => line.trim() === '');
+  return end === -1 ? lines.length : end + 1;
+}
+
+/**
+ * Remove boneyard blocks, which Fountain uses to comment text out
+ */
+function stripBoneyard(text) {
+  // Keep the line breaks so reported line numbers still match the file
+  return text.replace(/\/\*[\s\S]*?\*\//g, block => block.replace(/[^\n]/g, ''));
+}
+
+/**
+ * Title case values that arrive in all capitals from a slugline or cue
+ */
+export function titleCase(value) {
+  if (!value) return null;
+  if (value !== value.toUpperCase()) return value;
+
+  return value
+    .toLowerCase()
+    .replace(/(^|[\s\-/.('])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
@@ -0,0 +1,344 @@
+/**
+ * Beat import for ALLY Beat Sheets Worker
+ *
+ * Loads edited beat sheets back into the beats table. Every import is a
+ * dry run returning a diff of added, changed and removed beats unless
+ * ?confirm=true is passed, in which case the diff is applied in one batch
+ * built from the same create/update/delete statements as the write API (so
+ * edits are versioned, removals go to the trash and a failure applies
+ * nothing). Beats missing from the file are only
+ * removed with ?prune=true, and only in the acts the file contains, so a
+ * partial or filtered file never touches the rest of the sheet. A filtered
+ * CSV export lists only the matching beats, so it cannot be pruned with.
+ *
+ * ROUTES:
+ * - POST /api/import/beats/csv : CSV in the layout of /api/reports/beats/csv
+ * - POST /api/import/beats/fountain : Fountain draft (sections = acts, scene headings = beats)
+ * - POST /api/import/beats/fdx : Final Draft document (New Act paragraphs = acts, scene headings = beats)
+ */
+
+import { jsonResponse, apiErrorResponse, HttpError } from './utils.js';
+import { beatInputSchema, beatContentSchema, importQuerySchema, formatIssues, parseQuery } from './schemas.js';
+import { BEAT_CSV_COLUMNS, FILTERED_CSV_MARKER, parseCSV } from './csv.js';
+import { createStatements, updateStatements, deleteStatements, listCurrentBeats, runWrite } from './beats.js';
+import { parseFountain, normalizeSceneValue } from './fountain.js';
+import { parseFDX } from './fdx.js';
+
+/**
+ * CSV columns that are written back to beats. Act Title, Version and the
+ * timestamps are read-only and ignored on import.
+ */
+const CSV_FIELD_MAP = {
+  'Scene Number': 'scene_number',
+  'Beat Title': 'title',
+  'Description': 'description',
+  'Conflict': 'conflict',
+  'Emotion': 'emotion',
+  'Location': 'location',
+  'Time of Day': 'time_of_day',
+  'Characters': 'characters'
+};
+
+/**
+ * Beat fields filled from a Fountain draft
+ */
+const FOUNTAIN_FIELDS = [
+  'scene_number',
+  'title',
+  'description',
+  'conflict',
+  'emotion',
+  'notes',
+  'location',
+  'time_of_day',
+  'characters'
+];
+
+/**
+ * Beat fields filled from a Final Draft document
+ */
+const FDX_FIELDS = [
+  'scene_number',
+  'title',
+  'description',
+  'location',
+  'time_of_day',
+  'characters'
+];
+
+/**
+ * Handle /api/import/* routes
+ */
+export async function handleImportRouting(request, env, path, method, corsHeaders, identity = null) {
+  try {
+    if (method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed', 'Use POST');
+    }
+
+    const { confirm = false, prune = false } = parseQuery(importQuerySchema, new URL(request.url));
+    const db = env.SCREENPLAY_DRAFT;
+    const actor = { prune, user: identity?.user ?? null, route: `${method} ${path}` };
+
+    if (path === '/api/import/beats/csv') {
+      const text = await readUploadedText(request);
+      const { beats: incoming, filters } = parseBeatCSV(text);
+      if (prune && filters) {
+        throw new HttpError(422, 'Validation failed', 'A filtered export only lists the matching beats, so it cannot prune', [
+          { path: 'prune', message: `Not allowed for a filtered export (${filters}); export the acts unfiltered to prune` }
+        ]);
+      }
+      const result = await importBeats(db, incoming, { confirm, ...actor });
+      return jsonResponse(result, 200, corsHeaders);
+    }
+
+    if (path === '/api/import/beats/fountain') {
+      const text = await readUploadedText(request);
+      const acts = parseFountain(text);
+      if (acts.length === 0) {
+        throw new HttpError(400, 'Invalid Fountain', 'No scene headings found');
+      }
+
+      const incoming = acts.flatMap(act => act.beats.map(beat => ({ ...beat, act_no: act.act_no })));
+      const result = await importBeats(db, incoming, { confirm, fields: FOUNTAIN_FIELDS, normalize: normalizeSceneValue, ...actor });
+      return jsonResponse({ ...result, preview: acts }, 200, corsHeaders);
+    }
+
+    if (path === '/api/import/beats/fdx') {
+      const text = await readUploadedText(request);
+      let acts;
+      try {
+        acts = parseFDX(text);
+      } catch (error) {
+        throw new HttpError(400, 'Invalid FDX', error.message);
+      }
+      if (acts.length === 0) {
+        throw new HttpError(400, 'Invalid FDX', 'No scene headings found');
+      }
+
+      const incoming = acts.flatMap(act => act.beats.map(beat => ({ ...beat, act_no: act.act_no })));
+      const result = await importBeats(db, incoming, { confirm, fields: FDX_FIELDS, normalize: normalizeSceneValue, ...actor });
+      return jsonResponse({ ...result, preview: acts }, 200, corsHeaders);
+    }
+
+    return jsonResponse({ error: 'Invalid import endpoint' }, 400, corsHeaders);
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Read an uploaded file from a multipart form field named "file", or the raw body
+ */
+export async function readUploadedText(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+
+  if (contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    const file = formData.get('file');
+    if (!file) {
+      throw new HttpError(400, 'Invalid request body', 'Multipart uploads need a "file" field');
+    }
+    return typeof file === 'string' ? file : await file.text();
+  }
+
+  return await request.text();
+}
+
+/**
+ * Turn CSV text in the export layout into beat records keyed by act and beat
+ * number. Returns { beats, filters }, filters being the query string on a
+ * filtered export's marker line, or null.
+ */
+export function parseBeatCSV(text) {
+  let rows;
+  try {
+    rows = parseCSV(text);
+  } catch (error) {
+    throw new HttpError(400, 'Invalid CSV', error.message);
+  }
+
+  let filters = null;
+  if (rows[0]?.[0].startsWith(FILTERED_CSV_MARKER)) {
+    filters = rows.shift()[0].slice(FILTERED_CSV_MARKER.length).trim();
+  }
+
+  if (rows.length === 0) {
+    throw new HttpError(400, 'Invalid CSV', 'File is empty');
+  }
+
+  const header = rows[0].map(column => column.trim());
+  if (header.join(',') !== BEAT_CSV_COLUMNS.join(',')) {
+    throw new HttpError(400, 'Invalid CSV', 'Header row does not match the beat sheet export', {
+      expected: BEAT_CSV_COLUMNS,
+      received: header
+    });
+  }
+
+  const firstRow = filters === null ? 2 : 3;
+  const beats = rows.slice(1).map((cells, index) => {
+    const record = { row: index + firstRow };
+    const value = column => cells[BEAT_CSV_COLUMNS.indexOf(column)] ?? '';
+
+    record.act_no = value('Act Number').trim();
+    record.beat_number = value('Beat Number').trim();
+    for (const [column, field] of Object.entries(CSV_FIELD_MAP)) {
+      record[field] = value(column);
+    }
+
+    return record;
+  });
+
+  return { beats, filters };
+}
+
+/**
+ * Diff incoming beat records against the live beats and apply when confirmed.
+ * Records are matched on act number and beat number. With prune, live beats
+ * of the imported acts that are missing from the import are removed; beats
+ * of other acts are never touched. Only fields a record carries are
+ * compared, through normalize(field, value), so formats that re-case or
+ * reflow a value leave the stored one alone. user and route are recorded on
+ * every applied change.
+ */
+export async function importBeats(db, incoming, { confirm = false, fields = Object.values(CSV_FIELD_MAP), normalize = exactValue, prune = false, user = null, route = null } = {}) {
+  const acts = await db.prepare('SELECT id, act_no, title FROM acts').all();
+  const actsByNumber = new Map(acts.results.map(act => [String(act.act_no), act]));
+  const current = await listCurrentBeats(db);
+  const currentByKey = new Map(current.map(beat => [`${beat.act_no}:${beat.beat_number}`, beat]));
+
+  const errors = [];
+  const seen = new Set();
+  const seenActs = new Set();
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const record of incoming) {
+    const actNo = String(record.act_no ?? '').trim();
+    const beatNumber = Number(record.beat_number);
+    const act = actsByNumber.get(actNo);
+
+    if (!act) {
+      errors.push({ row: record.row, path: 'act_no', message: `Act ${actNo || '(blank)'} does not exist` });
+      continue;
+    }
+    if (!Number.isInteger(beatNumber) || beatNumber < 1) {
+      errors.push({ row: record.row, path: 'beat_number', message: 'Beat Number must be a positive integer' });
+      continue;
+    }
+
+    const key = `${act.act_no}:${beatNumber}`;
+    if (seen.has(key)) {
+      errors.push({ row: record.row, path: 'beat_number', message: `Act ${act.act_no} beat ${beatNumber} appears more than once` });
+      continue;
+    }
+    seen.add(key);
+    seenActs.add(act.act_no);
+
+    const raw = {};
+    for (const field of fields) {
+      if (record[field] !== undefined) {
+        raw[field] = record[field] === '' ? null : record[field];
+      }
+    }
+
+    const parsed = beatInputSchema.safeParse(raw);
+    if (!parsed.success) {
+      errors.push(...formatIssues(parsed.error).map(issue => ({ row: record.row, ...issue })));
+      continue;
+    }
+    const values = parsed.data;
+
+    const existing = currentByKey.get(key);
+    const complete = beatContentSchema.safeParse({ ...(existing || {}), ...values, beat_number: beatNumber });
+    if (!complete.success) {
+      errors.push(...formatIssues(complete.error).map(issue => ({ row: record.row, ...issue })));
+      continue;
+    }
+
+    if (!existing) {
+      added.push({ act, beat_number: beatNumber, values: complete.data });
+      continue;
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(values)) {
+      if (normalize(field, existing[field]) !== normalize(field, value)) {
+        changes[field] = { from: existing[field] ?? null, to: value };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ beat: existing, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = prune
+    ? current.filter(beat => seenActs.has(beat.act_no) && !seen.has(`${beat.act_no}:${beat.beat_number}`))
+    : [];
+
+  const diff = {
+    dry_run: !confirm,
+    summary: {
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      unchanged,
+      errors: errors.length
+    },
+    added: added.map(entry => ({
+      act_no: entry.act.act_no,
+      beat_number: entry.beat_number,
+      title: entry.values.title ?? null
+    })),
+    changed: changed.map(entry => ({
+      id: entry.beat.id,
+      act_no: entry.beat.act_no,
+      beat_number: entry.beat.beat_number,
+      changes: entry.changes
+    })),
+    removed: removed.map(beat => ({
+      id: beat.id,
+      act_no: beat.act_no,
+      beat_number: beat.beat_number,
+      title: beat.title
+    })),
+    errors
+  };
+
+  if (!confirm) {
+    return diff;
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(422, 'Validation failed', 'Import contains invalid rows; nothing was applied', errors);
+  }
+
+  // Removals first so their beat numbers are free for added rows
+  const statements = [
+    ...removed.flatMap(beat => deleteStatements(db, beat, { user, route })),
+    ...changed.flatMap(entry => {
+      const values = {};
+      for (const [field, change] of Object.entries(entry.changes)) {
+        values[field] = change.to;
+      }
+      return updateStatements(db, entry.beat, values, { user, route });
+    }),
+    ...added.flatMap(entry => createStatements(db, entry.act, entry.values, { user, route }))
+  ];
+
+  if (statements.length > 0) {
+    await runWrite(db.batch(statements));
+  }
+
+  return { ...diff, applied: true };
+}
+
+/**
+ * Compare form of a field for formats that carry values exactly
+ */
+function exactValue(field, value) {
+  return String(value ?? '');
+}
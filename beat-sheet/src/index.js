@@ -1,20 +1,21 @@
 /**
  * BEAT-SHEETS - ALLY Beat Sheets UI Worker
  * 
- * Pure UI worker for displaying ALLY screenplay beats (1 scene = 1 beat).
+ * UI worker for displaying ALLY screenplay beats (1 scene = 1 beat).
  * Reads data from D1 database and presents beautiful HTML reports.
  * 
  * ARCHITECTURE:
- * - D1 Database (SCREENPLAY_DRAFT): Reads beat data for display
+ * - D1 Database (SCREENPLAY_DRAFT): Reads beat data for display, writes beat edits via /api/beats
  * - No KV operations: Sync handled by dedicated sync worker
  * - No sync logic: Pure UI presentation layer
  * 
  * KEY FEATURES:
  * 1. Interactive HTML UI for browsing beats by act
  * 2. Individual beat pages with navigation
- * 3. Export capabilities (HTML, JSON, CSV, PDF)
- * 4. Authentication via Cloudflare Access JWT
+ * 3. Export capabilities (HTML, JSON, CSV, PDF, Fountain, Final Draft, Markdown, OPML)
+ * 4. Authentication via API key or verified Cloudflare Access JWT, with per-role rate limits on /api
  * 5. Graceful empty state handling
+ * 6. Beat write API (create, update, delete)
  * 
  * MAIN ROUTES:
  * - / : MobiCycle Productions homepage
@@ -22,6 +23,17 @@
  * - /ally/act/{actNo} : Act-specific beats
  * - /ally/act/{actNo}/beat/{beatNo} : Individual beat pages
  * - /api/reports/* : Report generation endpoints
+ * - /api/beats/*, /api/acts/{actNo}/beats/* : Beat write API
+ * - /api/import/* : Beat sheet imports
+ * - /api/audit, /ally/activity : Audit log of beat changes
+ * - /api/search, /ally/search : Full-text search over beat text
+ * - /api/tags/*, /ally/tags/{tag} : Tag counts, tag editing and tag pages
+ * - /api/reports/tension, /ally/arc : Tension arc across the script
+ * - /api/reports/pacing, /ally/pacing : Runtime per act against a target structure
+ * - /api/reports/characters, /ally/characters : Character presence across beats
+ * - /api/reports/locations, /ally/locations : Beats grouped by location and time of day
+ * - /api/structure/*, /api/reports/structure, /ally/structure : Story-structure templates and slot assignments
+ * - /api/openapi.json, /api/docs : OpenAPI document and browsable docs
  * 
  * DATA FLOW:
  * 1. Sync worker maintains D1 data from KV
@@ -29,8 +41,38 @@
  * 3. Users see beautiful HTML reports
  */
 
-import { generateBeatPage, generateHomepage } from './ui.js';
-import { jsonResponse } from './utils.js';
+import { generateBeatPage, generateHomepage, generatePageHeader, generateTrashPage, generateApiDocsPage, generateActivityPage, generateSearchForm, generateSearchPage, generateTagsPage, generateTagPage, generateArcPage, generatePacingPage, generateCharactersPage, generateLocationsPage, generateStructurePage } from './ui.js';
+import { jsonResponse, apiErrorResponse, HttpError, escapeHTML } from './utils.js';
+import { reportQuerySchema, jsonReportQuerySchema, pdfReportQuerySchema, auditQuerySchema, searchQuerySchema, tagBeatsQuerySchema, pacingQuerySchema, structureQuerySchema, AUDIT_ACTIONS, REPORT_SORT_FIELDS, parseQuery, formatIssues } from './schemas.js';
+import { BEAT_CSV_COLUMNS, FILTERED_CSV_MARKER, escapeCSV } from './csv.js';
+import { generateFountainReport } from './fountain.js';
+import { generateFDXReport } from './fdx.js';
+import { generatePDFReport } from './pdf.js';
+import { generateMarkdownReport } from './markdown.js';
+import { generateOPMLReport } from './opml.js';
+import { handleImportRouting } from './import.js';
+import { handleBeatRouting, getBeatById, getBeatHistory, getAdjacentBeats, listCurrentBeats, listDeletedBeats, parseTags } from './beats.js';
+import { matchRoute, matchPage } from './routes.js';
+import { authenticate, hasRole, requireRole } from './auth.js';
+import { checkRateLimit } from './ratelimit.js';
+import { handleAuditRouting, listAuditEntries } from './audit.js';
+import { handleSearchRouting, searchBeats } from './search.js';
+import { handleTagRouting, countTags, getTagFacets } from './tags.js';
+import { handleTensionRouting, getTensionArc } from './tension.js';
+import { handlePacingRouting, getPacingReport, readPacingSettings } from './pacing.js';
+import { handleCharacterRouting, getCharacterMatrix, readCharacterAliases } from './characters.js';
+import { handleLocationRouting, getLocationBreakdown } from './locations.js';
+import { handleStructureRouting, getStructureReport, readStructureSettings, readStructureTemplates } from './structure.js';
+import { withConditionalGet, pageCacheScope, deploymentVersion, beatETag, assertIfMatchSent } from './cache.js';
+import { readReportFilters, containsPattern, filterByTag, sortBeats, paginateBeats, filterQueryString } from './filters.js';
+import { generateOpenAPIDocument } from './openapi.js';
+
+// Resolved settings a page renders with, by page name in PAGE_ROUTES
+const PAGE_SETTINGS = {
+  characters: env => readCharacterAliases(env),
+  pacing: env => readPacingSettings(env),
+  structure: env => [readStructureSettings(env), readStructureTemplates(env)]
+};
 
 /**
  * Main Worker handler
@@ -59,8 +101,9 @@ async function handleRequest(request, env) {
   // CORS headers for all responses
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, If-Match, If-None-Match, If-Modified-Since',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After'
   };
 
   // Handle CORS preflight
@@ -68,18 +111,183 @@ async function handleRequest(request, env) {
     return new Response(null, { headers: corsHeaders });
   }
 
-  // Authentication check
-  if (!isAuthenticated(request, env)) {
+  // Authentication check: API key or verified Cloudflare Access JWT
+  let identity;
+  try {
+    identity = await authenticate(request, env);
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+
+  // UI pages declared in the page table (routes.js)
+  const page = matchPage(path);
+  if (page) {
+    try {
+      requireRole(identity, page.route.role);
+    } catch (error) {
+      return apiErrorResponse(error, corsHeaders);
+    }
+
+    const { actNo, beatNo, tag } = page.params;
+    const pages = {
+      // MobiCycle Productions homepage with project links
+      home: () => new Response(generateHomepage(), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/html',
+          ...corsHeaders
+        }
+      }),
+      acts: () => generateActsOverview(corsHeaders, identity),
+      allBeats: () => generateAllBeatsPage(env, corsHeaders),
+      act: () => generateActBeatsPage(actNo, env, corsHeaders),
+      beat: () => generateBeatDetailPage(actNo, beatNo, env, corsHeaders, identity),
+      trash: () => generateTrashResponse(env, corsHeaders, identity),
+      activity: () => generateActivityResponse(url, env, corsHeaders),
+      search: () => generateSearchResponse(url, env, corsHeaders),
+      tags: () => generateTagsResponse(env, corsHeaders),
+      tag: () => generateTagResponse(tag, url, env, corsHeaders),
+      arc: () => generateArcResponse(env, corsHeaders),
+      pacing: () => generatePacingResponse(url, env, corsHeaders),
+      characters: () => generateCharactersResponse(env, corsHeaders),
+      locations: () => generateLocationsResponse(env, corsHeaders),
+      structure: () => generateStructureResponse(url, env, corsHeaders, identity),
+      report: () => generateReportPage(url, env, corsHeaders),
+      apiIndex: () => generateApiIndex(corsHeaders),
+      health: () => generateHealthResponse(env, corsHeaders)
+    };
+    const render = pages[page.route.page];
+    if (!page.route.cache || method !== 'GET') {
+      return await render();
+    }
+
+    // Pages hide actions by role and render with the code and settings deployed,
+    // so those are part of the representation too
+    return await withConditionalGet(request, env.SCREENPLAY_DRAFT, {
+      scope: pageCacheScope(page.route.cache, page.params),
+      variant: [path, url.search, identity.role, PAGE_SETTINGS[page.route.page]?.(env) ?? null, deploymentVersion(env)],
+      corsHeaders
+    }, render);
+  }
+
+  // API routes declared in the route table (routes.js)
+  const apiRoute = matchRoute(method, path);
+  if (apiRoute?.allowed) {
     return jsonResponse({
-      error: 'Unauthorized',
-      message: 'Valid API key required'
-    }, 401, corsHeaders);
+      error: 'Method not allowed',
+      message: `Use one of: ${apiRoute.allowed.join(', ')}`
+    }, 405, { ...corsHeaders, Allow: apiRoute.allowed.join(', ') });
   }
+  if (apiRoute) {
+    let rateLimitHeaders;
+    try {
+      requireRole(identity, apiRoute.route.role);
+      if (apiRoute.route.ifMatch) {
+        assertIfMatchSent(request, identity);
+      }
+      rateLimitHeaders = await checkRateLimit(env, identity, apiRoute.route);
+    } catch (error) {
+      return apiErrorResponse(error, corsHeaders);
+    }
 
-  // Route handling
-  if (path === '/' || path === '') {
-    // Show MobiCycle Productions homepage with project links
-    const htmlResponse = generateHomepage();
+    const routers = {
+      beats: handleBeatRouting,
+      import: handleImportRouting,
+      reports: handleReportRouting,
+      audit: handleAuditRouting,
+      search: handleSearchRouting,
+      tags: handleTagRouting,
+      tension: handleTensionRouting,
+      pacing: handlePacingRouting,
+      characters: handleCharacterRouting,
+      locations: handleLocationRouting,
+      structure: handleStructureRouting,
+      docs: handleDocsRouting
+    };
+    const headers = { ...corsHeaders, ...rateLimitHeaders };
+    return await routers[apiRoute.route.router](request, env, path, method, headers, identity);
+  }
+
+  return jsonResponse({ error: 'Not found' }, 404, corsHeaders);
+}
+
+/**
+ * Individual beat page
+ */
+async function generateBeatDetailPage(actNumber, beatNumber, env, corsHeaders, identity) {
+  // Get beat data from database
+  try {
+    const db = env.SCREENPLAY_DRAFT;
+    const beat = await db.prepare(`
+      SELECT 
+        b.id,
+        b.beat_number,
+        b.scene_number,
+        b.title,
+        b.description,
+        b.conflict,
+        b.emotion,
+        b.location,
+        b.time_of_day,
+        b.characters,
+        b.tags,
+        b.version,
+        b.created_at,
+        b.updated_at,
+        a.act_no,
+        a.title as act_title
+      FROM beats b
+      JOIN acts a ON b.act_id = a.id
+      WHERE a.act_no = ? AND b.beat_number = ? AND b.is_current = 1 AND b.is_deleted = 0
+    `).bind(actNumber, beatNumber).first();
+    
+    let beatData, actTitle;
+    let history = [];
+    
+    if (!beat) {
+      // Try to get act title even if beat doesn't exist
+      const act = await db.prepare(`
+        SELECT title FROM acts WHERE act_no = ?
+      `).bind(actNumber).first();
+      
+      actTitle = act ? act.title : `Act ${actNumber}`;
+      beatData = {
+        title: `Beat ${beatNumber}`,
+        description: `Beat ${beatNumber} was not found in ${actTitle}. This beat may not exist yet or may have been removed.`,
+        conflict: 'N/A',
+        emotion: 'N/A',
+        location: 'N/A',
+        timeOfDay: 'N/A',
+        characters: 'N/A',
+        sceneNumber: beatNumber,
+        lastUpdated: 'N/A',
+        createdDate: 'Not available'
+      };
+    } else {
+      beatData = {
+        id: beat.id,
+        // UI writes send it as If-Match
+        etag: await beatETag(await getBeatById(db, beat.id)),
+        title: beat.title || `Beat ${beatNumber}`,
+        description: beat.description || 'No description available.',
+        conflict: beat.conflict || 'No conflict defined',
+        emotion: beat.emotion || 'No emotion specified',
+        location: beat.location || 'Location not specified',
+        timeOfDay: beat.time_of_day || 'Time not specified',
+        characters: beat.characters || 'Characters not specified',
+        tags: parseTags(beat.tags),
+        sceneNumber: beat.scene_number || beatNumber,
+        lastUpdated: beat.updated_at ? new Date(beat.updated_at).toLocaleDateString() : 'Unknown',
+        createdDate: beat.created_at ? new Date(beat.created_at).toLocaleDateString() : 'Creation date unknown'
+      };
+      actTitle = beat.act_title || `Act ${actNumber}`;
+      history = await getBeatHistory(db, beat.id);
+      Object.assign(beatData, await getAdjacentBeats(db, beat));
+    }
+    
+    const htmlResponse = generateBeatPage(actNumber, beatNumber, beatData, actTitle, history, {
+      canEdit: hasRole(identity, 'writer')
+    });
     return new Response(htmlResponse, {
       status: 200,
       headers: {
@@ -87,202 +295,396 @@ async function handleRequest(request, env) {
         ...corsHeaders
       }
     });
+    
+  } catch (error) {
+    console.error('Database error:', error);
+    
+    // Show HTML error page instead of JSON
+    const actTitle = `Act ${actNumber}`;
+    const beatData = {
+      title: `Beat ${beatNumber}`,
+      description: `Unable to load beat data due to a database error: ${error.message}. Please try again later.`,
+      conflict: 'Error',
+      emotion: 'Error',
+      location: 'Error',
+      timeOfDay: 'Error',
+      characters: 'Error',
+      sceneNumber: beatNumber,
+      lastUpdated: 'Error',
+      createdDate: 'Error'
+    };
+    
+    const htmlResponse = generateBeatPage(actNumber, beatNumber, beatData, actTitle);
+    return new Response(htmlResponse, {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...corsHeaders
+      }
+    });
   }
+}
 
-  // Acts overview page
-  if (path === '/ally') {
-    return generateActsOverview(corsHeaders);
-  }
+/**
+ * Deleted beats awaiting restore or purge
+ */
+async function generateTrashResponse(env, corsHeaders, identity) {
+  const deletedBeats = await listDeletedBeats(env.SCREENPLAY_DRAFT);
+  return new Response(generateTrashPage(deletedBeats, { canManage: hasRole(identity, 'admin') }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
 
-  // All beats report
-  if (path === '/act/all') {
-    return await handleReportRequest(env, 'html', corsHeaders);
-  }
+/**
+ * Audit log page; invalid filters are reported on the page and ignored
+ */
+async function generateActivityResponse(url, env, corsHeaders) {
+  const parsed = auditQuerySchema.safeParse(Object.fromEntries(url.searchParams));
+  const log = await listAuditEntries(env.SCREENPLAY_DRAFT, parsed.success ? parsed.data : {});
+
+  return new Response(generateActivityPage(log, {
+    actions: AUDIT_ACTIONS,
+    error: parsed.success ? null : formatIssues(parsed.error)
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Search results page. Without q it shows just the search box; invalid
+ * parameters are reported on the page.
+ */
+async function generateSearchResponse(url, env, corsHeaders) {
+  const params = Object.fromEntries(url.searchParams);
+  let results = null;
+  let error = null;
 
-  // All beats across entire script
-  if (path === '/ally/beats/all') {
-    return await generateAllBeatsPage(env, corsHeaders);
+  if (params.q !== undefined && params.q.trim() !== '') {
+    try {
+      const query = parseQuery(searchQuerySchema, url);
+      results = await searchBeats(env.SCREENPLAY_DRAFT, query.q, query);
+    } catch (caught) {
+      if (!(caught instanceof HttpError)) throw caught;
+      error = caught.details;
+    }
   }
 
-  // Act-specific beats page
-  if (path.match(/^\/ally\/act\/\d+$/)) {
-    const actNumber = parseInt(path.split('/')[3]);
-    return await generateActBeatsPage(actNumber, env, corsHeaders);
+  return new Response(generateSearchPage(results, { query: params.q || '', error }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Tag index page: every tag with its beat count
+ */
+async function generateTagsResponse(env, corsHeaders) {
+  const tags = countTags(await listCurrentBeats(env.SCREENPLAY_DRAFT));
+  return new Response(generateTagsPage(tags), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Tag page: beats carrying the tag (and any ?and= tags) with related tags to
+ * narrow by. Invalid parameters are reported on the page and ignored.
+ */
+async function generateTagResponse(tag, url, env, corsHeaders) {
+  const parsed = tagBeatsQuerySchema.safeParse(Object.fromEntries(url.searchParams));
+  const query = parsed.success ? parsed.data : {};
+  const tags = [tag, ...(query.and || [])];
+  let facets = null;
+
+  try {
+    facets = await getTagFacets(env.SCREENPLAY_DRAFT, tags, query.act);
+  } catch (error) {
+    if (!(error instanceof HttpError) || error.status !== 404) throw error;
   }
 
-  // Individual beat pages
-  if (path.match(/^\/ally\/act\/\d+\/beat\/\d+$/)) {
-    const pathParts = path.split('/');
-    const actNumber = parseInt(pathParts[3]);
-    const beatNumber = parseInt(pathParts[5]);
-    
-    // Get beat data from database
+  return new Response(generateTagPage(tags, facets, {
+    act: query.act ?? null,
+    error: parsed.success ? null : formatIssues(parsed.error)
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Tension arc page
+ */
+async function generateArcResponse(env, corsHeaders) {
+  return new Response(generateArcPage(await getTensionArc(env.SCREENPLAY_DRAFT)), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Pacing page. Targets and thresholds in the query string override the
+ * PACING setting; invalid ones are reported on the page and ignored.
+ */
+async function generatePacingResponse(url, env, corsHeaders) {
+  const parsed = pacingQuerySchema.safeParse(Object.fromEntries(url.searchParams));
+  const settings = readPacingSettings(env, parsed.success ? parsed.data : {});
+  const report = await getPacingReport(env.SCREENPLAY_DRAFT, settings);
+
+  return new Response(generatePacingPage(report, {
+    query: Object.fromEntries(url.searchParams),
+    errors: parsed.success ? null : formatIssues(parsed.error)
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Character presence page
+ */
+async function generateCharactersResponse(env, corsHeaders) {
+  const matrix = await getCharacterMatrix(env.SCREENPLAY_DRAFT, readCharacterAliases(env));
+  return new Response(generateCharactersPage(matrix), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Location breakdown page
+ */
+async function generateLocationsResponse(env, corsHeaders) {
+  const breakdown = await getLocationBreakdown(env.SCREENPLAY_DRAFT);
+  return new Response(generateLocationsPage(breakdown), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
+
+/**
+ * Story-structure page. An invalid or unknown template in the query is
+ * reported and the configured one used instead.
+ */
+async function generateStructureResponse(url, env, corsHeaders, identity) {
+  const parsed = structureQuerySchema.safeParse(Object.fromEntries(url.searchParams));
+  let settings = readStructureSettings(env);
+  let errors = parsed.success ? null : formatIssues(parsed.error);
+
+  if (parsed.success) {
     try {
-      const db = env.SCREENPLAY_DRAFT;
-      const beat = await db.prepare(`
-        SELECT 
-          b.id,
-          b.beat_number,
-          b.scene_number,
-          b.title,
-          b.description,
-          b.conflict,
-          b.emotion,
-          b.location,
-          b.time_of_day,
-          b.characters,
-          b.version,
-          b.created_at,
-          b.updated_at,
-          a.act_no,
-          a.title as act_title
-        FROM beats b
-        JOIN acts a ON b.act_id = a.id
-        WHERE a.act_no = ? AND b.beat_number = ? AND b.is_current = 1
-      `).bind(actNumber, beatNumber).first();
-      
-      let beatData, actTitle;
-      
-      if (!beat) {
-        // Try to get act title even if beat doesn't exist
-        const act = await db.prepare(`
-          SELECT title FROM acts WHERE act_no = ?
-        `).bind(actNumber).first();
-        
-        actTitle = act ? act.title : `Act ${actNumber}`;
-        beatData = {
-          title: `Beat ${beatNumber}`,
-          description: `Beat ${beatNumber} was not found in ${actTitle}. This beat may not exist yet or may have been removed.`,
-          conflict: 'N/A',
-          emotion: 'N/A',
-          location: 'N/A',
-          timeOfDay: 'N/A',
-          characters: 'N/A',
-          sceneNumber: beatNumber,
-          lastUpdated: 'N/A',
-          createdDate: 'Not available'
-        };
-      } else {
-        beatData = {
-          title: beat.title || `Beat ${beatNumber}`,
-          description: beat.description || 'No description available.',
-          conflict: beat.conflict || 'No conflict defined',
-          emotion: beat.emotion || 'No emotion specified',
-          location: beat.location || 'Location not specified',
-          timeOfDay: beat.time_of_day || 'Time not specified',
-          characters: beat.characters || 'Characters not specified',
-          sceneNumber: beat.scene_number || beatNumber,
-          lastUpdated: beat.updated_at ? new Date(beat.updated_at).toLocaleDateString() : 'Unknown',
-          createdDate: beat.created_at ? new Date(beat.created_at).toLocaleDateString() : 'Creation date unknown'
-        };
-        actTitle = beat.act_title || `Act ${actNumber}`;
-      }
-      
-      const htmlResponse = generateBeatPage(actNumber, beatNumber, beatData, actTitle);
-      return new Response(htmlResponse, {
-        status: 200,
-        headers: {
-          'Content-Type': 'text/html',
-          ...corsHeaders
-        }
-      });
-      
+      settings = readStructureSettings(env, parsed.data);
     } catch (error) {
-      console.error('Database error:', error);
-      
-      // Show HTML error page instead of JSON
-      const actTitle = `Act ${actNumber}`;
-      const beatData = {
-        title: `Beat ${beatNumber}`,
-        description: `Unable to load beat data due to a database error: ${error.message}. Please try again later.`,
-        conflict: 'Error',
-        emotion: 'Error',
-        location: 'Error',
-        timeOfDay: 'Error',
-        characters: 'Error',
-        sceneNumber: beatNumber,
-        lastUpdated: 'Error',
-        createdDate: 'Error'
-      };
-      
-      const htmlResponse = generateBeatPage(actNumber, beatNumber, beatData, actTitle);
-      return new Response(htmlResponse, {
-        status: 500,
-        headers: {
-          'Content-Type': 'text/html',
-          ...corsHeaders
-        }
-      });
+      errors = error.details;
     }
   }
 
-  // Beats report dashboard
-  if (path === '/dashboard' || path === '/report') {
-    return await handleReportRequest(env, 'html', corsHeaders);
+  const report = await getStructureReport(env.SCREENPLAY_DRAFT, settings);
+  const canEdit = hasRole(identity, 'writer');
+  // Slot changes send each beat's ETag as If-Match
+  const etags = new Map();
+  if (canEdit) {
+    for (const beat of await listCurrentBeats(env.SCREENPLAY_DRAFT)) {
+      etags.set(beat.id, await beatETag(beat));
+    }
   }
 
-  // API documentation endpoint
-  if (path === '/api' || path === '/api/') {
-    return jsonResponse({
-      name: 'BEAT-SHEETS UI Worker',
-      version: '1.0.0',
-      description: 'Pure UI worker for ALLY Beat Sheets display and reporting',
-      endpoints: {
-        ui: {
-          home: 'GET / - MobiCycle Productions homepage',
-          ally: 'GET /ally - Acts overview page',
-          beats: 'GET /ally/beats/all - All beats across script',
-          act: 'GET /ally/act/{actNo} - Act-specific beats',
-          beat: 'GET /ally/act/{actNo}/beat/{beatNo} - Individual beat page'
-        },
-        reports: {
-          html: 'GET /api/reports/beats/html - HTML beats report',
-          json: 'GET /api/reports/beats - JSON beats report',
-          csv: 'GET /api/reports/beats/csv - CSV download',
-          pdf: 'GET /api/reports/beats/pdf - PDF download'
-        },
-        info: {
-          api: 'GET /api - API documentation',
-          health: 'GET /health - Health check'
-        }
-      },
-      features: [
-        'Beautiful HTML report UI with dark theme',
-        'Beat management with scene breakdown (1 scene = 1 beat)',
-        'Graceful empty state handling',
-        'Export capabilities (HTML, JSON, CSV, PDF)',
-        'Authentication via Cloudflare Access',
-        'Responsive design for all screen sizes'
-      ],
-      note: 'This is a pure UI worker. Data sync is handled by the dedicated sync worker at kv-d1-sync.mobicycle-productions.workers.dev'
-    }, 200, corsHeaders);
-  }
+  return new Response(generateStructurePage(report, {
+    templates: Object.values(readStructureTemplates(env)),
+    query: Object.fromEntries(url.searchParams),
+    errors,
+    canEdit,
+    etags
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      ...corsHeaders
+    }
+  });
+}
 
-  if (path === '/health') {
-    return jsonResponse({ 
-      status: 'healthy', 
-      timestamp: new Date().toISOString(),
-      service: 'beat-sheets-ui',
-      bindings: {
-        d1: !!env.SCREENPLAY_DRAFT
-      }
-    }, 200, corsHeaders);
-  }
+/**
+ * HTML report page (/report, /dashboard, /act/all) driven by the report
+ * filters in the query string; invalid filters are reported and ignored
+ */
+async function generateReportPage(url, env, corsHeaders) {
+  const parsed = reportQuerySchema.safeParse(Object.fromEntries(url.searchParams));
+  let filters = readReportFilters();
+  let errors = parsed.success ? null : formatIssues(parsed.error);
 
-  // Report routes
-  if (path.startsWith('/api/reports/')) {
-    return await handleReportRouting(request, env, path, method, corsHeaders);
+  if (parsed.success) {
+    try {
+      filters = readReportFilters(parsed.data);
+    } catch (error) {
+      errors = error.details;
+    }
   }
 
-  return jsonResponse({ error: 'Not found' }, 404, corsHeaders);
+  return await handleReportRequest(env, 'html', corsHeaders, { filters, action: url.pathname, errors });
+}
+
+/**
+ * API documentation endpoint
+ */
+function generateApiIndex(corsHeaders) {
+  return jsonResponse({
+    name: 'BEAT-SHEETS UI Worker',
+    version: '1.0.0',
+    description: 'Pure UI worker for ALLY Beat Sheets display and reporting',
+    endpoints: {
+      ui: {
+        home: 'GET / - MobiCycle Productions homepage',
+        ally: 'GET /ally - Acts overview page',
+        beats: 'GET /ally/beats/all - All beats across script',
+        act: 'GET /ally/act/{actNo} - Act-specific beats',
+        beat: 'GET /ally/act/{actNo}/beat/{beatNo} - Individual beat page',
+        trash: 'GET /ally/trash - Deleted beats with restore and purge',
+        activity: 'GET /ally/activity - Who changed which beat, with filters',
+        search: 'GET /ally/search?q= - Search beat text',
+        tags: 'GET /ally/tags - Every tag with its beat count',
+        tag: 'GET /ally/tags/{tag} - Beats carrying a tag, narrowed by related tags (?and=)',
+        arc: 'GET /ally/arc - Tension arc chart across the script',
+        pacing: 'GET /ally/pacing - Runtime per act against the target structure',
+        characters: 'GET /ally/characters - Character x beat presence grid',
+        locations: 'GET /ally/locations - Beats grouped by location, INT/EXT and day/night',
+        structure: 'GET /ally/structure - Story-structure slots filled, missing and against their ideal position (?template=)'
+      },
+      reports: {
+        html: 'GET /api/reports/beats/html - HTML beats report',
+        json: 'GET /api/reports/beats - JSON beats report (?limit=&cursor= for pages)',
+        csv: 'GET /api/reports/beats/csv - CSV download',
+        pdf: 'GET /api/reports/beats/pdf - PDF download (?size=letter|a4)',
+        fountain: 'GET /api/reports/beats/fountain - Fountain screenplay skeleton download',
+        fdx: 'GET /api/reports/beats/fdx - Final Draft document download',
+        md: 'GET /api/reports/beats/md - Markdown outline download',
+        opml: 'GET /api/reports/beats/opml - OPML outline (Act > Beat > field) download',
+        filter: 'All beat report formats accept ?act=&character=&location=&time_of_day=&tag=&tension_min=&tension_max=&updated_since=',
+        sort: 'All beat report formats accept ?sort=field,-field (within each act; CSV sorts across acts)',
+        tension: 'GET /api/reports/tension - Tension level by beat with act boundaries and averages',
+        pacing: 'GET /api/reports/pacing - Pages, minutes and runtime share per act (?targets=1:25,2:50,3:25&tolerance=&max_beat_minutes=)',
+        characters: 'GET /api/reports/characters - Character x beat presence matrix with appearance stats',
+        characters_csv: 'GET /api/reports/characters/csv - Character presence matrix CSV download',
+        locations: 'GET /api/reports/locations - Beats grouped by location with INT/EXT, day/night, pages and minutes',
+        locations_csv: 'GET /api/reports/locations/csv - Location breakdown CSV download',
+        structure: 'GET /api/reports/structure - Template slots filled, missing and by percent of runtime (?template=save_the_cat|heros_journey|custom&tolerance=)'
+      },
+      beats: {
+        create: 'POST /api/beats - Create a beat (body: act_no, title, description, ...)',
+        get: 'GET /api/beats/{id} - Single beat',
+        replace: 'PUT /api/beats/{id} - Replace a beat',
+        update: 'PATCH /api/beats/{id} - Update selected beat fields',
+        delete: 'DELETE /api/beats/{id} - Move a beat to the trash',
+        history: 'GET /api/beats/{id}/history - Every version of a beat',
+        restore_version: 'POST /api/beats/{id}/history/{version}/restore - Make an earlier version current',
+        move: 'POST /api/beats/{id}/move - Move a beat (body: act_no, position, sync_scenes) and renumber',
+        renumber: 'POST /api/acts/{actNo}/renumber - Close gaps in beat numbers (body: sync_scenes)',
+        list_act: 'GET /api/acts/{actNo}/beats - Beats in an act',
+        create_in_act: 'POST /api/acts/{actNo}/beats - Create a beat in an act',
+        by_number: 'GET|PUT|PATCH|DELETE /api/acts/{actNo}/beats/{beatNo} - Beat by act and beat number'
+      },
+      import: {
+        csv: 'POST /api/import/beats/csv - Import the CSV export layout (dry-run diff; ?confirm=true applies, ?prune=true removes missing beats)',
+        fountain: 'POST /api/import/beats/fountain - Seed beats from a Fountain draft (preview; ?confirm=true applies)',
+        fdx: 'POST /api/import/beats/fdx - Read scene headings and summaries from a Final Draft document (preview; ?confirm=true applies)'
+      },
+      trash: {
+        list: 'GET /api/trash - Deleted beats',
+        empty: 'DELETE /api/trash - Permanently purge every deleted beat',
+        get: 'GET /api/trash/{id} - Single deleted beat',
+        purge: 'DELETE /api/trash/{id} - Permanently purge a deleted beat',
+        restore: 'POST /api/trash/{id}/restore - Restore a deleted beat'
+      },
+      audit: {
+        list: 'GET /api/audit - Beat changes with before/after values (?user=&beat=&act=&action=&since=&until=&limit=&before=)'
+      },
+      search: {
+        beats: 'GET /api/search?q= - Ranked beats with highlighted snippets (?act=&limit=)'
+      },
+      tags: {
+        list: 'GET /api/tags - Every tag with its beat count (?act=)',
+        beats: 'GET /api/tags/{tag} - Beats carrying a tag, with related tags as facets (?and=&act=)',
+        rename: 'POST /api/tags/{tag}/rename - Rename or merge a tag on every beat (body: to)',
+        add: 'POST /api/beats/{id}/tags - Add tags to a beat (body: tags)',
+        remove: 'DELETE /api/beats/{id}/tags/{tag} - Remove a tag from a beat'
+      },
+      structure: {
+        templates: 'GET /api/structure/templates - Structure templates with their slots',
+        assign: 'PUT /api/beats/{id}/structure - Assign a beat to a slot (body: slot, template)'
+      },
+      info: {
+        api: 'GET /api - API documentation',
+        openapi: 'GET /api/openapi.json - OpenAPI 3.1 document (generated from the route table)',
+        docs: 'GET /api/docs - Browsable API documentation',
+        health: 'GET /health - Health check'
+      }
+    },
+    roles: {
+      viewer: 'Browse /ally pages, reports and exports',
+      writer: 'Also create, edit, move and renumber beats, restore earlier versions and view the trash',
+      admin: 'Also delete beats, restore or purge the trash and import'
+    },
+    features: [
+      'Beautiful HTML report UI with dark theme',
+      'Beat management with scene breakdown (1 scene = 1 beat)',
+      'Graceful empty state handling',
+      'Export capabilities (HTML, JSON, CSV, PDF)',
+      'Authentication via Cloudflare Access',
+      'Responsive design for all screen sizes'
+    ],
+    note: 'This is a pure UI worker. Data sync is handled by the dedicated sync worker at kv-d1-sync.mobicycle-productions.workers.dev'
+  }, 200, corsHeaders);
+}
+
+/**
+ * Health check
+ */
+function generateHealthResponse(env, corsHeaders) {
+  return jsonResponse({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    service: 'beat-sheets-ui',
+    bindings: {
+      d1: !!env.SCREENPLAY_DRAFT
+    }
+  }, 200, corsHeaders);
 }
 
 /**
  * Generate beats report grouped by act
  */
-async function generateBeatReport(env, format = 'json') {
+async function generateBeatReport(env, format = 'json', options = {}) {
   try {
     const db = env.SCREENPLAY_DRAFT;
+    const filters = options.filters || readReportFilters();
 
     // Get all current beats from D1 with act information
     const beats = await db.prepare(`
@@ -298,6 +700,13 @@ async function generateBeatReport(env, format = 'json') {
         b.location,
         b.time_of_day,
         b.characters,
+        b.purpose,
+        b.stakes,
+        b.tension_level,
+        b.page_count,
+        b.estimated_minutes,
+        b.tags,
+        b.notes,
         b.version,
         b.created_at,
         b.updated_at,
@@ -305,15 +714,46 @@ async function generateBeatReport(env, format = 'json') {
         a.title as act_title
       FROM beats b
       JOIN acts a ON b.act_id = a.id
-      WHERE b.is_current = 1
-      ORDER BY a.act_no, b.beat_number
-    `).all();
+      WHERE b.is_current = 1 AND b.is_deleted = 0
+        AND (?1 IS NULL OR a.act_no = ?1)
+        AND (?2 IS NULL OR b.characters LIKE ?2 ESCAPE '\\')
+        AND (?3 IS NULL OR b.location LIKE ?3 ESCAPE '\\')
+        AND (?4 IS NULL OR UPPER(TRIM(b.time_of_day)) = UPPER(TRIM(?4)))
+        AND (?5 IS NULL OR b.tension_level >= ?5)
+        AND (?6 IS NULL OR b.tension_level <= ?6)
+        AND (?7 IS NULL OR b.updated_at >= datetime(?7))
+    `).bind(
+      filters.act_no,
+      containsPattern(filters.character),
+      containsPattern(filters.location),
+      filters.time_of_day,
+      filters.tension_min,
+      filters.tension_max,
+      filters.updated_since
+    ).all();
+
+    // Tags are stored as JSON, so they are matched after decoding. CSV is the
+    // one flat format, so only there does the sort apply across acts
+    const matching = sortBeats(filterByTag(beats.results, filters.tag), filters.sort, { grouped: format !== 'csv' });
+    if (format === 'csv') {
+      return generateCSVReport(matching, filters);
+    }
+
+    const page = format === 'json'
+      ? paginateBeats(matching, filters.sort, { limit: options.limit, cursor: options.cursor })
+      : { beats: matching, nextCursor: null };
 
-    // Group beats by act
+    // Summary counts every matching beat; acts holds the beats of this page
+    const beatsPerAct = {};
+    for (const beat of matching) {
+      beatsPerAct[beat.act_no] = beatsPerAct[beat.act_no] || { act_no: beat.act_no, act_title: beat.act_title, beat_count: 0 };
+      beatsPerAct[beat.act_no].beat_count++;
+    }
+
+    // Group beats by act; act_no leads every sort, so groups stay contiguous
     const reportData = {};
-    let totalBeats = 0;
 
-    for (const beat of beats.results) {
+    for (const beat of page.beats) {
       const actKey = `Act ${beat.act_no}`;
 
       if (!reportData[actKey]) {
@@ -336,13 +776,19 @@ async function generateBeatReport(env, format = 'json') {
         location: beat.location,
         time_of_day: beat.time_of_day,
         characters: beat.characters,
+        purpose: beat.purpose,
+        stakes: beat.stakes,
+        tension_level: beat.tension_level,
+        page_count: beat.page_count,
+        estimated_minutes: beat.estimated_minutes,
+        tags: parseTags(beat.tags),
+        notes: beat.notes,
         version: beat.version,
         created_at: beat.created_at,
         updated_at: beat.updated_at
       });
 
       reportData[actKey].beat_count++;
-      totalBeats++;
     }
 
     // Convert to array and add summary
@@ -351,37 +797,57 @@ async function generateBeatReport(env, format = 'json') {
     const report = {
       report_type: 'beats_by_act',
       generated_at: new Date().toISOString(),
+      filters,
       summary: {
-        total_acts: acts.length,
-        total_beats: totalBeats,
-        beats_per_act: acts.map(act => ({
-          act_no: act.act_no,
-          act_title: act.act_title,
-          beat_count: act.beat_count
-        }))
+        total_acts: Object.keys(beatsPerAct).length,
+        total_beats: matching.length,
+        beats_per_act: Object.values(beatsPerAct)
       },
       acts: acts
     };
 
-    if (format === 'csv') {
-      return generateCSVReport(report);
-    } else if (format === 'html') {
-      return generateHTMLReport(report);
+    if (format === 'json') {
+      report.pagination = {
+        limit: options.limit ?? null,
+        returned: page.beats.length,
+        next_cursor: page.nextCursor
+      };
+    }
+
+    if (format === 'html') {
+      return generateHTMLReport(report, { action: options.action, errors: options.errors });
     } else if (format === 'pdf') {
-      return generatePDFOptimizedHTML(report);
+      return generatePDFReport(report, { pageSize: options.pageSize });
+    } else if (format === 'fountain') {
+      return generateFountainReport(report);
+    } else if (format === 'fdx') {
+      return generateFDXReport(report);
+    } else if (format === 'md') {
+      return generateMarkdownReport(report);
+    } else if (format === 'opml') {
+      return generateOPMLReport(report);
     }
 
     return report;
 
   } catch (error) {
+    if (error instanceof HttpError) throw error;
     throw new Error(`Failed to generate report: ${error.message}`);
   }
 }
 
 /**
- * Generate HTML format report
+ * Generate HTML format report. options.action is the path the filter form
+ * submits to; options.errors lists filters that were ignored.
  */
-function generateHTMLReport(report) {
+function generateHTMLReport(report, options = {}) {
+  const { action = '/api/reports/beats/html', errors = null } = options;
+  const filters = report.filters || readReportFilters();
+
+  // Keep the filters and sort on the download links
+  const query = filterQueryString(filters);
+  const filterHTML = generateReportFilterForm(filters, action, errors);
+
   // Generate sidebar navigation
   const sidebarHTML = `
     <nav class="sidebar">
@@ -407,14 +873,16 @@ function generateHTMLReport(report) {
       <div class="act-description">
         ${act.beats.map(beat => `
           <div class="beat-entry">
-            <h2>Beat ${beat.beat_number} ${beat.scene_number ? `(Scene ${beat.scene_number})` : ''}</h2>
-            <h3>${beat.title || 'Untitled Beat'}</h3>
-            <p><strong>Description:</strong> ${beat.description || 'No description available.'}</p>
-            ${beat.conflict ? `<p><strong>Conflict:</strong> ${beat.conflict}</p>` : ''}
-            ${beat.emotion ? `<p><strong>Emotion:</strong> ${beat.emotion}</p>` : ''}
-            ${beat.location ? `<p><strong>Location:</strong> ${beat.location}</p>` : ''}
-            ${beat.time_of_day ? `<p><strong>Time:</strong> ${beat.time_of_day}</p>` : ''}
-            ${beat.characters ? `<p><strong>Characters:</strong> ${beat.characters}</p>` : ''}
+            <h2>Beat ${beat.beat_number} ${beat.scene_number ? `(Scene ${escapeHTML(beat.scene_number)})` : ''}</h2>
+            <h3>${escapeHTML(beat.title || 'Untitled Beat')}</h3>
+            <p><strong>Description:</strong> ${escapeHTML(beat.description || 'No description available.')}</p>
+            ${beat.conflict ? `<p><strong>Conflict:</strong> ${escapeHTML(beat.conflict)}</p>` : ''}
+            ${beat.emotion ? `<p><strong>Emotion:</strong> ${escapeHTML(beat.emotion)}</p>` : ''}
+            ${beat.location ? `<p><strong>Location:</strong> ${escapeHTML(beat.location)}</p>` : ''}
+            ${beat.time_of_day ? `<p><strong>Time:</strong> ${escapeHTML(beat.time_of_day)}</p>` : ''}
+            ${beat.characters ? `<p><strong>Characters:</strong> ${escapeHTML(beat.characters)}</p>` : ''}
+            ${beat.tension_level ? `<p><strong>Tension:</strong> ${beat.tension_level}/10</p>` : ''}
+            ${beat.tags.length > 0 ? `<p><strong>Tags:</strong> ${beat.tags.map(escapeHTML).join(', ')}</p>` : ''}
             <hr>
           </div>
         `).join('')}
@@ -683,7 +1151,19 @@ function generateHTMLReport(report) {
                 </div>
                 <div style="text-align: right;">
                     <div style="margin-bottom: 0.5rem;">
-                        <a href="/api/reports/beats/csv" target="_blank" style="color: #f85149; text-decoration: none; font-size: 0.9rem; padding: 0.5rem 1rem; border: 1px solid #30363d; border-radius: 4px; background: transparent;">📄 Download CSV</a>
+                        <a href="/api/reports/beats/csv${query}" target="_blank" style="color: #f85149; text-decoration: none; font-size: 0.9rem; padding: 0.5rem 1rem; border: 1px solid #30363d; border-radius: 4px; background: transparent;">📄 Download CSV</a>
+                    </div>
+                    <div style="margin-bottom: 0.5rem;">
+                        <a href="/api/reports/beats/fountain${query}" target="_blank" style="color: #f85149; text-decoration: none; font-size: 0.9rem; padding: 0.5rem 1rem; border: 1px solid #30363d; border-radius: 4px; background: transparent;">🎬 Download Fountain</a>
+                    </div>
+                    <div style="margin-bottom: 0.5rem;">
+                        <a href="/api/reports/beats/fdx${query}" target="_blank" style="color: #f85149; text-decoration: none; font-size: 0.9rem; padding: 0.5rem 1rem; border: 1px solid #30363d; border-radius: 4px; background: transparent;">📝 Download Final Draft</a>
+                    </div>
+                    <div style="margin-bottom: 0.5rem;">
+                        <a href="/api/reports/beats/md${query}" target="_blank" style="color: #f85149; text-decoration: none; font-size: 0.9rem; padding: 0.5rem 1rem; border: 1px solid #30363d; border-radius: 4px; background: transparent;">📝 Download Markdown</a>
+                    </div>
+                    <div style="margin-bottom: 0.5rem;">
+                        <a href="/api/reports/beats/opml${query}" target="_blank" style="color: #f85149; text-decoration: none; font-size: 0.9rem; padding: 0.5rem 1rem; border: 1px solid #30363d; border-radius: 4px; background: transparent;">🗂️ Download OPML</a>
                     </div>
                 </div>
             </div>
@@ -706,8 +1186,13 @@ function generateHTMLReport(report) {
                     <div class="stat-label">Producer</div>
                 </div>
             </div>
-        
-            ${beatsHTML}
+
+            ${filterHTML}
+
+            ${report.acts.length === 0 ? `
+            <div class="act-section">
+                <div class="act-description">No beats match these filters.</div>
+            </div>` : beatsHTML}
             
         </main>
     </div>
@@ -718,64 +1203,77 @@ function generateHTMLReport(report) {
 }
 
 /**
- * Generate PDF-optimized HTML
+ * Filter and sort form at the top of the HTML report
  */
-function generatePDFOptimizedHTML(report) {
-  const html = generateHTMLReport(report);
-  return html
-    .replace('</head>', `
-      <style>
-        .actions { display: none !important; }
-        body { padding: 0 !important; background: white !important; }
-        .container { box-shadow: none !important; }
-      </style>
-    </head>`)
-    .replace(/<div class="actions">[\s\S]*?<\/div>/, '');
+function generateReportFilterForm(filters, action, errors) {
+  const value = name => escapeHTML(filters[name] ?? '');
+  const [firstKey = ''] = String(filters.sort || '').split(',');
+  const sortField = firstKey.replace(/^-/, '');
+  const descending = firstKey.startsWith('-');
+  const inputStyle = 'background: transparent; color: inherit; border: 1px solid #30363d; border-radius: 4px; padding: 0.4rem 0.5rem; font-size: 0.9rem; width: 100%;';
+  const field = (label, input) => `
+                <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.8rem; color: #8b949e;">${label}${input}</label>`;
+
+  const problems = errors ? `
+            <div style="border: 1px solid #f85149; border-radius: 6px; padding: 0.75rem 1rem; margin-bottom: 1rem;">
+                <strong>Some filters were ignored:</strong>
+                <ul style="margin: 0.5rem 0 0 1.25rem;">${errors.map(issue => `<li><code>${escapeHTML(issue.path || 'query')}</code> ${escapeHTML(issue.message)}</li>`).join('')}</ul>
+            </div>` : '';
+
+  return `${problems}
+            <form method="get" action="${escapeHTML(action)}" class="report-filters" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 0.75rem; align-items: end; border: 1px solid #30363d; border-radius: 6px; padding: 1rem; margin-bottom: 2rem;">
+                ${field('Act', `<input type="number" name="act" min="1" value="${value('act_no')}" style="${inputStyle}">`)}
+                ${field('Character', `<input type="text" name="character" value="${value('character')}" style="${inputStyle}">`)}
+                ${field('Location', `<input type="text" name="location" value="${value('location')}" style="${inputStyle}">`)}
+                ${field('Time of day', `<input type="text" name="time_of_day" value="${value('time_of_day')}" placeholder="DAY, NIGHT..." style="${inputStyle}">`)}
+                ${field('Tag', `<input type="text" name="tag" value="${value('tag')}" style="${inputStyle}">`)}
+                ${field('Tension from', `<input type="number" name="tension_min" min="1" max="10" value="${value('tension_min')}" style="${inputStyle}">`)}
+                ${field('Tension to', `<input type="number" name="tension_max" min="1" max="10" value="${value('tension_max')}" style="${inputStyle}">`)}
+                ${field('Updated since', `<input type="date" name="updated_since" value="${value('updated_since')}" style="${inputStyle}">`)}
+                ${field('Sort by', `<select name="sort" style="${inputStyle}">
+                    ${REPORT_SORT_FIELDS.map(name => `<option value="${name}"${name === sortField ? ' selected' : ''}>${name.replace(/_/g, ' ')}</option>`).join('')}
+                    ${REPORT_SORT_FIELDS.map(name => `<option value="-${name}"${descending && name === sortField ? ' selected' : ''}>${name.replace(/_/g, ' ')} (descending)</option>`).join('')}
+                </select>`)}
+                <div style="display: flex; gap: 0.5rem;">
+                    <button type="submit" style="${inputStyle} cursor: pointer; color: #58a6ff; width: auto;">Apply</button>
+                    <a href="${escapeHTML(action)}" style="color: #8b949e; font-size: 0.9rem; padding: 0.4rem 0;">Clear</a>
+                </div>
+            </form>`;
 }
 
 /**
- * Generate CSV format report
+ * Generate the CSV report from sorted beat rows, one line per beat. Filters
+ * other than act (which keeps every beat of its act) are written on a marker
+ * line above the header.
  */
-function generateCSVReport(report) {
-  let csv = 'Act Number,Act Title,Beat Number,Scene Number,Beat Title,Description,Conflict,Emotion,Location,Time of Day,Characters,Version,Created At,Updated At\n';
-
-  for (const act of report.acts) {
-    for (const beat of act.beats) {
-      const row = [
-        act.act_no,
-        escapeCSV(act.act_title || ''),
-        beat.beat_number,
-        beat.scene_number || '',
-        escapeCSV(beat.title || ''),
-        escapeCSV(beat.description || ''),
-        escapeCSV(beat.conflict || ''),
-        escapeCSV(beat.emotion || ''),
-        escapeCSV(beat.location || ''),
-        escapeCSV(beat.time_of_day || ''),
-        escapeCSV(beat.characters || ''),
-        beat.version || '',
-        beat.created_at || '',
-        beat.updated_at || ''
-      ];
-      csv += row.join(',') + '\n';
-    }
+function generateCSVReport(beats, filters = readReportFilters()) {
+  const narrowed = filterQueryString(filters, { act: null, sort: null });
+  let csv = narrowed ? `${escapeCSV(`${FILTERED_CSV_MARKER} ${narrowed.slice(1)}`)}\n` : '';
+  csv += BEAT_CSV_COLUMNS.join(',') + '\n';
+
+  for (const beat of beats) {
+    const row = [
+      beat.act_no,
+      escapeCSV(beat.act_title || ''),
+      beat.beat_number,
+      beat.scene_number || '',
+      escapeCSV(beat.title || ''),
+      escapeCSV(beat.description || ''),
+      escapeCSV(beat.conflict || ''),
+      escapeCSV(beat.emotion || ''),
+      escapeCSV(beat.location || ''),
+      escapeCSV(beat.time_of_day || ''),
+      escapeCSV(beat.characters || ''),
+      beat.version || '',
+      beat.created_at || '',
+      beat.updated_at || ''
+    ];
+    csv += row.join(',') + '\n';
   }
 
   return csv;
 }
 
-/**
- * Escape CSV field values
- */
-function escapeCSV(field) {
-  if (field === null || field === undefined) return '';
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
-}
-
 /**
  * Handle report routing for /dashboard and /api/reports endpoints
  */
@@ -784,31 +1282,68 @@ async function handleReportRouting(request, env, path, method, corsHeaders) {
     return jsonResponse({ error: 'Method not allowed' }, 405, corsHeaders);
   }
 
-  if (path === '/api/reports/beats') {
-    return await handleReportRequest(env, 'json', corsHeaders);
+  const formats = {
+    '/api/reports/beats': 'json',
+    '/api/reports/beats/csv': 'csv',
+    '/api/reports/beats/html': 'html',
+    '/api/reports/beats/pdf': 'pdf',
+    '/api/reports/beats/fountain': 'fountain',
+    '/api/reports/beats/fdx': 'fdx',
+    '/api/reports/beats/md': 'md',
+    '/api/reports/beats/opml': 'opml'
+  };
+  const format = formats[path];
+  if (!format) {
+    return jsonResponse({ error: 'Invalid report endpoint' }, 400, corsHeaders);
   }
 
-  if (path === '/api/reports/beats/csv') {
-    return await handleReportRequest(env, 'csv', corsHeaders);
+  // Every format takes the filters and sort (filters.js); JSON also pages
+  const schemas = { json: jsonReportQuerySchema, pdf: pdfReportQuerySchema };
+  let query;
+  let options;
+  try {
+    query = parseQuery(schemas[format] || reportQuerySchema, new URL(request.url));
+    options = { filters: readReportFilters(query), limit: query.limit, cursor: query.cursor };
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
   }
-
-  if (path === '/api/reports/beats/html') {
-    return await handleReportRequest(env, 'html', corsHeaders);
+  if (format === 'pdf') {
+    options.pageSize = query.size || 'letter';
   }
 
-  if (path === '/api/reports/beats/pdf') {
-    return await handleReportRequest(env, 'pdf', corsHeaders);
+  // ETag from the beats in the report; 304 when the client's copy is current
+  return await withConditionalGet(request, env.SCREENPLAY_DRAFT, {
+    scope: { actNo: query.act },
+    variant: [path, query],
+    corsHeaders
+  }, () => handleReportRequest(env, format, corsHeaders, options));
+}
+
+/**
+ * Serve the OpenAPI document and the browsable docs page
+ */
+async function handleDocsRouting(request, env, path, method, corsHeaders) {
+  const spec = generateOpenAPIDocument(new URL(request.url).origin);
+
+  if (path === '/api/docs') {
+    return new Response(generateApiDocsPage(spec), {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/html',
+        ...corsHeaders
+      }
+    });
   }
 
-  return jsonResponse({ error: 'Invalid report endpoint' }, 400, corsHeaders);
+  return jsonResponse(spec, 200, corsHeaders);
 }
 
 /**
  * Handle report generation requests
  */
-async function handleReportRequest(env, format, corsHeaders) {
+async function handleReportRequest(env, format, corsHeaders, options = {}) {
   try {
-    const report = await generateBeatReport(env, format);
+    const report = await generateBeatReport(env, format, options);
 
     if (format === 'csv') {
       return new Response(report, {
@@ -821,6 +1356,50 @@ async function handleReportRequest(env, format, corsHeaders) {
       });
     }
 
+    if (format === 'fountain') {
+      return new Response(report, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/plain; charset=utf-8',
+          'Content-Disposition': `attachment; filename="beat-sheets-${new Date().toISOString().split('T')[0]}.fountain"`,
+          ...corsHeaders
+        }
+      });
+    }
+
+    if (format === 'fdx') {
+      return new Response(report, {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/xml; charset=utf-8',
+          'Content-Disposition': `attachment; filename="beat-sheets-${new Date().toISOString().split('T')[0]}.fdx"`,
+          ...corsHeaders
+        }
+      });
+    }
+
+    if (format === 'md') {
+      return new Response(report, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Content-Disposition': `attachment; filename="beat-sheets-${new Date().toISOString().split('T')[0]}.md"`,
+          ...corsHeaders
+        }
+      });
+    }
+
+    if (format === 'opml') {
+      return new Response(report, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/x-opml; charset=utf-8',
+          'Content-Disposition': `attachment; filename="beat-sheets-${new Date().toISOString().split('T')[0]}.opml"`,
+          ...corsHeaders
+        }
+      });
+    }
+
     if (format === 'html') {
       return new Response(report, {
         status: 200,
@@ -835,7 +1414,8 @@ async function handleReportRequest(env, format, corsHeaders) {
       return new Response(report, {
         status: 200,
         headers: {
-          'Content-Type': 'text/html',
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="beat-sheets-report-${new Date().toISOString().split('T')[0]}.pdf"`,
           ...corsHeaders
         }
       });
@@ -843,6 +1423,9 @@ async function handleReportRequest(env, format, corsHeaders) {
 
     return jsonResponse(report, 200, corsHeaders);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return apiErrorResponse(error, corsHeaders);
+    }
     console.error('Report generation failed:', error);
     return jsonResponse({
       error: 'Report generation failed',
@@ -851,44 +1434,10 @@ async function handleReportRequest(env, format, corsHeaders) {
   }
 }
 
-/**
- * Generate consistent header template for all pages
- */
-function generatePageHeader(title, subtitle, subtitleColor = '#888') {
-  return `
-    <div class="header">
-        <h1>${title}</h1>
-        <p class="subtitle" style="color: ${subtitleColor}; font-weight: 600;">${subtitle}</p>
-    </div>
-  `;
-}
-
-/**
- * Check if request is authenticated via Cloudflare Access JWT
- */
-function isAuthenticated(request, env) {
-  const cfAccessJwt = request.headers.get('Cf-Access-Jwt-Assertion');
-  
-  if (cfAccessJwt) {
-    return true;
-  }
-
-  if (env.API_KEY) {
-    const apiKeyHeader = request.headers.get('X-API-Key') || 
-                        request.headers.get('Authorization')?.replace('Bearer ', '');
-    
-    if (apiKeyHeader) {
-      return apiKeyHeader === env.API_KEY;
-    }
-  }
-
-  return false;
-}
-
 /**
  * Generate acts overview page
  */
-function generateActsOverview(corsHeaders) {
+function generateActsOverview(corsHeaders, identity) {
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1005,6 +1554,8 @@ function generateActsOverview(corsHeaders) {
             <a href="/">&larr; Back to Projects</a>
         </div>
 
+        ${generateSearchForm()}
+
         <div class="acts-grid">
             <div class="act-card">
                 <a href="/ally/beats/all">
@@ -1041,6 +1592,62 @@ function generateActsOverview(corsHeaders) {
                 </a>
             </div>
             
+            <div class="act-card">
+                <a href="/ally/arc">
+                    <h3 style="color: #8b949e;">Tension Arc</h3>
+                    <p>Tension level beat by beat across the script, with each act's average, to spot where the story sags.</p>
+                </a>
+            </div>
+            
+            <div class="act-card">
+                <a href="/ally/pacing">
+                    <h3 style="color: #8b949e;">Pacing</h3>
+                    <p>Pages and minutes per act and each act's share of the runtime against the target structure.</p>
+                </a>
+            </div>
+            
+            <div class="act-card">
+                <a href="/ally/characters">
+                    <h3 style="color: #8b949e;">Characters</h3>
+                    <p>Who appears in which beat, with first and last appearances and the longest stretch each character is absent.</p>
+                </a>
+            </div>
+            
+            <div class="act-card">
+                <a href="/ally/locations">
+                    <h3 style="color: #8b949e;">Locations</h3>
+                    <p>Beats grouped by location with INT/EXT, day and night counts and pages, to count sets and night shoots.</p>
+                </a>
+            </div>
+            
+            <div class="act-card">
+                <a href="/ally/structure">
+                    <h3 style="color: #8b949e;">Structure</h3>
+                    <p>Beats mapped to Save the Cat, the Hero's Journey or a custom template, with missing slots and where each falls in the runtime.</p>
+                </a>
+            </div>
+            
+            <div class="act-card">
+                <a href="/ally/tags">
+                    <h3 style="color: #8b949e;">Tags</h3>
+                    <p>Every tag in the script with its beat count. Open a tag to see its beats and narrow by related tags.</p>
+                </a>
+            </div>
+            
+            <div class="act-card">
+                <a href="/ally/activity">
+                    <h3 style="color: #8b949e;">Activity</h3>
+                    <p>Who changed which beat and when, with the before and after value of every field.</p>
+                </a>
+            </div>
+            
+            ${hasRole(identity, 'writer') ? `<div class="act-card">
+                <a href="/ally/trash">
+                    <h3 style="color: #8b949e;">Trash</h3>
+                    <p>Deleted beats. Restore them to their act or remove them permanently.</p>
+                </a>
+            </div>` : ''}
+            
             <div class="act-card">
                 <a href="https://sequences.mobicycle.productions/">
                     <h3 style="color: #58a6ff;">Sequences</h3>
@@ -1065,6 +1672,8 @@ function generateActsOverview(corsHeaders) {
  * Generate all beats page
  */
 async function generateAllBeatsPage(env, corsHeaders) {
+  let allBeatCards = '';
+
   try {
     const db = env.SCREENPLAY_DRAFT;
     
@@ -1078,11 +1687,9 @@ async function generateAllBeatsPage(env, corsHeaders) {
         a.title as act_title
       FROM beats b
       JOIN acts a ON b.act_id = a.id
-      WHERE b.is_current = 1
+      WHERE b.is_current = 1 AND b.is_deleted = 0
       ORDER BY a.act_no, b.beat_number
     `).all();
-
-    let allBeatCards = '';
     
     if (beats.results.length === 0) {
       allBeatCards = `
@@ -1104,14 +1711,14 @@ async function generateAllBeatsPage(env, corsHeaders) {
       });
 
       Object.entries(beatsByAct).forEach(([actNo, act]) => {
-        allBeatCards += `<div class="act-divider"><h2>${act.title}</h2></div>`;
+        allBeatCards += `<div class="act-divider"><h2>${escapeHTML(act.title)}</h2></div>`;
         
         act.beats.forEach(beat => {
           allBeatCards += `
             <div class="beat-card">
               <a href="/ally/act/${actNo}/beat/${beat.beat_number}">
-                <h3>Beat ${beat.beat_number} ${beat.scene_number ? `(Scene ${beat.scene_number})` : ''}</h3>
-                <p>${beat.title || `Beat ${beat.beat_number} from ${act.title}`}</p>
+                <h3>Beat ${beat.beat_number} ${beat.scene_number ? `(Scene ${escapeHTML(beat.scene_number)})` : ''}</h3>
+                <p>${escapeHTML(beat.title || `Beat ${beat.beat_number} from ${act.title}`)}</p>
               </a>
             </div>
           `;
@@ -1265,6 +1872,8 @@ async function generateAllBeatsPage(env, corsHeaders) {
             <a href="/ally">&larr; Back to Acts</a>
         </div>
 
+        ${generateSearchForm()}
+
         <div class="beats-grid">
             ${allBeatCards}
         </div>
@@ -1300,7 +1909,7 @@ async function generateActBeatsPage(actNumber, env, corsHeaders) {
         a.title as act_title
       FROM beats b
       JOIN acts a ON b.act_id = a.id
-      WHERE a.act_no = ? AND b.is_current = 1
+      WHERE a.act_no = ? AND b.is_current = 1 AND b.is_deleted = 0
       ORDER BY b.beat_number
     `).bind(actNumber).all();
     
@@ -1317,7 +1926,7 @@ async function generateActBeatsPage(actNumber, env, corsHeaders) {
         <div class="beat-card">
           <div style="text-align: center; padding: 3rem; color: #8b949e;">
             <h3>No Beats Found</h3>
-            <p>There are currently no beats for ${actTitle}. Add some beats to see them here.</p>
+            <p>There are currently no beats for ${escapeHTML(actTitle)}. Add some beats to see them here.</p>
           </div>
         </div>
       `;
@@ -1327,8 +1936,8 @@ async function generateActBeatsPage(actNumber, env, corsHeaders) {
       beatCards = beats.results.map(beat => `
         <div class="beat-card">
           <a href="/ally/act/${actNumber}/beat/${beat.beat_number}">
-            <h3>Beat ${beat.beat_number} ${beat.scene_number ? `(Scene ${beat.scene_number})` : ''}</h3>
-            <p>${beat.title || `Beat ${beat.beat_number} content for ${actTitle}`}</p>
+            <h3>Beat ${beat.beat_number} ${beat.scene_number ? `(Scene ${escapeHTML(beat.scene_number)})` : ''}</h3>
+            <p>${escapeHTML(beat.title || `Beat ${beat.beat_number} content for ${actTitle}`)}</p>
           </a>
         </div>
       `).join('');
@@ -1339,7 +1948,7 @@ async function generateActBeatsPage(actNumber, env, corsHeaders) {
       <div class="beat-card">
         <div style="text-align: center; padding: 3rem; color: #f85149;">
           <h3>Database Error</h3>
-          <p>Unable to load beats for ${actTitle}. Please try again later.</p>
+          <p>Unable to load beats for ${escapeHTML(actTitle)}. Please try again later.</p>
         </div>
       </div>
     `;
@@ -1350,7 +1959,7 @@ async function generateActBeatsPage(actNumber, env, corsHeaders) {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>ALLY - ${actTitle} Beats</title>
+    <title>ALLY - ${escapeHTML(actTitle)} Beats</title>
     <style>
         * {
             margin: 0;
@@ -0,0 +1,222 @@
+/**
+ * Location breakdown for ALLY Beat Sheets Worker
+ *
+ * Groups the current beats by set. beats.location may be a bare name
+ * ("Kitchen") or a scene heading ("INT. KITCHEN - NIGHT"): the INT./EXT.
+ * prefix gives the setting, a trailing "- NIGHT" the time when
+ * beats.time_of_day is empty, and what remains, upper-cased with spacing
+ * collapsed, names the location. Times of day are sorted into day and night
+ * (DUSK and EVENING count as night shoots); others such as CONTINUOUS stay
+ * unclassified.
+ *
+ * Pages and minutes are summed per location, with minutes estimated from
+ * page count as in the pacing report.
+ *
+ * ROUTES:
+ * - GET /api/reports/locations : Beats grouped by location with INT/EXT, day/night, pages and minutes
+ * - GET /api/reports/locations/csv : The same breakdown as a CSV download
+ */
+
+import { jsonResponse, apiErrorResponse } from './utils.js';
+import { withConditionalGet } from './cache.js';
+import { escapeCSV } from './csv.js';
+import { estimateMinutes } from './pacing.js';
+
+// Scene heading prefixes, longest first, and the setting each stands for
+const SETTING_PREFIXES = [
+  [/^(INT\.?\s*\/\s*EXT|EXT\.?\s*\/\s*INT|I\s*\/\s*E)\.?(\s+|$)/i, 'INT/EXT'],
+  [/^INT(\.|\s+|$)\s*/i, 'INT'],
+  [/^EXT(\.|\s+|$)\s*/i, 'EXT']
+];
+
+const DAY_TIMES = ['DAY', 'DAYTIME', 'MORNING', 'AFTERNOON', 'NOON', 'MIDDAY', 'DAWN', 'SUNRISE'];
+const NIGHT_TIMES = ['NIGHT', 'NIGHTTIME', 'EVENING', 'DUSK', 'SUNSET', 'MIDNIGHT'];
+const OTHER_TIMES = ['CONTINUOUS', 'LATER', 'MOMENTS LATER', 'SAME', 'SAME TIME'];
+
+/**
+ * Handle /api/reports/locations and /api/reports/locations/csv
+ */
+export async function handleLocationRouting(request, env, path, method, corsHeaders) {
+  try {
+    const csv = path.replace(/\/$/, '').endsWith('/csv');
+
+    return await withConditionalGet(request, env.SCREENPLAY_DRAFT, {
+      scope: {},
+      variant: [path],
+      corsHeaders
+    }, async () => {
+      const breakdown = await getLocationBreakdown(env.SCREENPLAY_DRAFT);
+      if (!csv) {
+        return jsonResponse(breakdown, 200, corsHeaders);
+      }
+      return new Response(generateLocationCSV(breakdown), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv',
+          'Content-Disposition': `attachment; filename="beat-sheets-locations-${new Date().toISOString().split('T')[0]}.csv"`,
+          ...corsHeaders
+        }
+      });
+    });
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Split a location and time of day into { location, setting, time_of_day,
+ * day_night }: the normalised set name (null when empty), INT, EXT, INT/EXT
+ * or null, the upper-cased time and 'day', 'night' or null
+ */
+export function parseLocation(location, timeOfDay = null) {
+  let name = String(location ?? '').replace(/\s+/g, ' ').trim();
+  let setting = null;
+
+  for (const [prefix, value] of SETTING_PREFIXES) {
+    if (prefix.test(name)) {
+      setting = value;
+      name = name.replace(prefix, '');
+      break;
+    }
+  }
+
+  // A trailing " - NIGHT" is the time of day, as in a scene heading
+  let time = String(timeOfDay ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
+  const suffix = name.match(/\s+[-–—]+\s*([^-–—]+)$/);
+  if (suffix && isTimeOfDay(suffix[1])) {
+    time = time || suffix[1].trim().toUpperCase();
+    name = name.slice(0, suffix.index);
+  }
+
+  name = name.replace(/^[\s.\-–—]+|[\s.\-–—]+$/g, '').toUpperCase();
+  return {
+    location: name || null,
+    setting,
+    time_of_day: time || null,
+    day_night: dayOrNight(time)
+  };
+}
+
+/**
+ * Beats grouped by location (see locationReportSchema), most used first.
+ * Beats without a location are counted in summary.unlocated_beats.
+ */
+export async function getLocationBreakdown(db) {
+  const rows = await db.prepare(`
+    SELECT b.id, b.beat_number, b.title, b.location, b.time_of_day, b.page_count, b.estimated_minutes, a.act_no
+    FROM beats b
+    JOIN acts a ON b.act_id = a.id
+    WHERE b.is_current = 1 AND b.is_deleted = 0
+    ORDER BY a.act_no, b.beat_number
+  `).all();
+
+  const groups = new Map();
+  let unlocated = 0;
+
+  for (const row of rows.results) {
+    const parsed = parseLocation(row.location, row.time_of_day);
+    if (!parsed.location) {
+      unlocated++;
+      continue;
+    }
+
+    const { minutes, estimated } = estimateMinutes(row);
+    const group = groups.get(parsed.location) || { location: parsed.location, beats: [] };
+    group.beats.push({
+      id: row.id,
+      act_no: row.act_no,
+      beat_number: row.beat_number,
+      title: row.title,
+      url: `/ally/act/${row.act_no}/beat/${row.beat_number}`,
+      setting: parsed.setting,
+      time_of_day: parsed.time_of_day,
+      day_night: parsed.day_night,
+      pages: row.page_count ?? null,
+      minutes,
+      minutes_estimated: estimated
+    });
+    groups.set(parsed.location, group);
+  }
+
+  const locations = [...groups.values()]
+    .map(summarizeLocation)
+    .sort((a, b) => b.beat_count - a.beat_count || a.location.localeCompare(b.location, 'en', { numeric: true }));
+  const located = locations.flatMap(location => location.beats);
+
+  return {
+    report_type: 'location_breakdown',
+    generated_at: new Date().toISOString(),
+    summary: {
+      total_beats: rows.results.length,
+      total_locations: locations.length,
+      interior_locations: locations.filter(location => location.settings.includes('INT') || location.settings.includes('INT/EXT')).length,
+      exterior_locations: locations.filter(location => location.settings.includes('EXT') || location.settings.includes('INT/EXT')).length,
+      night_locations: locations.filter(location => location.night_beats > 0).length,
+      day_beats: located.filter(beat => beat.day_night === 'day').length,
+      night_beats: located.filter(beat => beat.day_night === 'night').length,
+      unlocated_beats: unlocated
+    },
+    locations
+  };
+}
+
+/**
+ * CSV of a location breakdown: one row per location, its beats listed as
+ * act.beat numbers
+ */
+export function generateLocationCSV(breakdown) {
+  const header = ['Location', 'INT/EXT', 'Beats', 'Day', 'Night', 'Other Time', 'Pages', 'Minutes', 'Beat Numbers'];
+  const rows = breakdown.locations.map(location => [
+    escapeCSV(location.location),
+    escapeCSV(location.settings.join(' ')),
+    location.beat_count,
+    location.day_beats,
+    location.night_beats,
+    location.beat_count - location.day_beats - location.night_beats,
+    location.pages,
+    location.minutes,
+    escapeCSV(location.beats.map(beat => `${beat.act_no}.${beat.beat_number}`).join(' '))
+  ].join(','));
+
+  return [header.map(escapeCSV).join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Counts and totals for one location's beats
+ */
+function summarizeLocation(group) {
+  const { beats } = group;
+  const total = values => Math.round(values.reduce((sum, value) => sum + (value ?? 0), 0) * 100) / 100;
+  const settings = [...new Set(beats.map(beat => beat.setting).filter(Boolean))];
+
+  return {
+    location: group.location,
+    settings: ['INT', 'EXT', 'INT/EXT'].filter(setting => settings.includes(setting)),
+    beat_count: beats.length,
+    day_beats: beats.filter(beat => beat.day_night === 'day').length,
+    night_beats: beats.filter(beat => beat.day_night === 'night').length,
+    pages: total(beats.map(beat => beat.pages)),
+    minutes: total(beats.map(beat => beat.minutes)),
+    beats
+  };
+}
+
+/**
+ * Whether text names a time of day (used to spot a heading's time suffix)
+ */
+export function isTimeOfDay(text) {
+  const time = text.trim().toUpperCase();
+  return OTHER_TIMES.includes(time) || dayOrNight(time) !== null;
+}
+
+/**
+ * 'day', 'night' or null for an upper-cased time of day. Matches whole
+ * words, so "EARLY MORNING" is day and "LATE EVENING" night.
+ */
+function dayOrNight(time) {
+  if (!time) return null;
+  const has = words => words.some(word => new RegExp(`\\b${word}\\b`).test(time));
+  if (has(NIGHT_TIMES)) return 'night';
+  if (has(DAY_TIMES)) return 'day';
+  return null;
+}
@@ -0,0 +1,101 @@
+/**
+ * Markdown format for ALLY Beat Sheets Worker
+ *
+ * Exports the beat sheet as a plain Markdown outline: one heading per act
+ * (##) and per beat (###), the description as a paragraph and the remaining
+ * beat metadata as a bullet list, so the file opens cleanly in Obsidian,
+ * Notion, Typora and other outlining tools.
+ */
+
+/**
+ * Beat metadata written as "- **Label:** value" list items, in order
+ */
+const MARKDOWN_FIELDS = [
+  ['Scene', 'scene_number'],
+  ['Location', 'location'],
+  ['Time of Day', 'time_of_day'],
+  ['Characters', 'characters'],
+  ['Conflict', 'conflict'],
+  ['Emotion', 'emotion'],
+  ['Purpose', 'purpose'],
+  ['Stakes', 'stakes'],
+  ['Tension', 'tension_level'],
+  ['Pages', 'page_count'],
+  ['Minutes', 'estimated_minutes'],
+  ['Tags', 'tags'],
+  ['Notes', 'notes']
+];
+
+/**
+ * Generate a Markdown document from a beats report
+ */
+export function generateMarkdownReport(report) {
+  const lines = [
+    '# ALLY — Beat Sheet',
+    '',
+    `_MobiCycle Productions · ${report.generated_at.split('T')[0]} · ` +
+      `${report.summary.total_acts} acts · ${report.summary.total_beats} beats_`,
+    ''
+  ];
+
+  if (report.acts.length === 0) {
+    lines.push('There are currently no beats in the database.', '');
+  }
+
+  for (const act of report.acts) {
+    lines.push(`## Act ${act.act_no}${act.act_title ? `: ${escapeInline(act.act_title)}` : ''}`, '');
+
+    for (const beat of act.beats) {
+      lines.push(`### Beat ${beat.beat_number}: ${escapeInline(beat.title || 'Untitled Beat')}`, '');
+
+      if (beat.description) {
+        lines.push(escapeBlock(beat.description), '');
+      }
+
+      const items = MARKDOWN_FIELDS
+        .map(([label, field]) => [label, formatValue(beat[field])])
+        .filter(([, value]) => value !== '');
+
+      if (items.length > 0) {
+        for (const [label, value] of items) {
+          lines.push(`- **${label}:** ${value}`);
+        }
+        lines.push('');
+      }
+    }
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Format a metadata value as single-line Markdown ('' when empty)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => `\`${String(item).replace(/`/g, '')}\``).join(' ');
+  }
+  return escapeInline(String(value).replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Escape Markdown syntax characters in inline text
+ */
+function escapeInline(text) {
+  return String(text).replace(/([\\`*_{}[\]<>#|!])/g, '\\$1');
+}
+
+/**
+ * Escape a multi-line paragraph so no line is read as a heading, list or quote
+ */
+function escapeBlock(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => escapeInline(line.trim())
+      .replace(/^([-+=])(\s|$)/, '\\$1$2')
+      .replace(/^(\d+)\.(\s|$)/, '$1\\.$2'))
+    .join('\n')
+    .replace(/\n{2,}/g, '\n\n');
+}
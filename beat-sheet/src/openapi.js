@@ -0,0 +1,378 @@
+/**
+ * OpenAPI document for ALLY Beat Sheets Worker
+ *
+ * Builds an OpenAPI 3.1 document from the route table in routes.js and the
+ * Zod schemas in schemas.js. Zod schemas are converted to JSON Schema here
+ * (request bodies are described by the shape clients send, before the
+ * preprocessors coerce it), and the shared ones are emitted once under
+ * components.schemas so generated clients get named types.
+ */
+
+import { API_ROUTES, STRING_PARAMS } from './routes.js';
+import {
+  beatSchema,
+  beatInputSchema,
+  beatContentSchema,
+  beatResponseSchema,
+  beatHistorySchema,
+  beatReportSchema,
+  moveBeatSchema,
+  renumberSchema,
+  importResultSchema,
+  auditLogSchema,
+  searchResultSchema,
+  addTagsSchema,
+  renameTagSchema,
+  tagListSchema,
+  tagBeatsSchema,
+  renameTagResultSchema,
+  tensionReportSchema,
+  pacingReportSchema,
+  characterMatrixSchema,
+  locationReportSchema,
+  structureReportSchema,
+  structureTemplatesSchema,
+  assignSlotSchema,
+  errorSchema
+} from './schemas.js';
+
+/**
+ * Schemas published under components.schemas, by name
+ */
+const COMPONENTS = {
+  Beat: beatResponseSchema,
+  BeatRecord: beatSchema,
+  BeatInput: beatInputSchema,
+  BeatContent: beatContentSchema,
+  BeatHistory: beatHistorySchema,
+  BeatReport: beatReportSchema,
+  TensionReport: tensionReportSchema,
+  PacingReport: pacingReportSchema,
+  CharacterMatrix: characterMatrixSchema,
+  LocationReport: locationReportSchema,
+  StructureReport: structureReportSchema,
+  StructureTemplates: structureTemplatesSchema,
+  AssignSlotRequest: assignSlotSchema,
+  MoveBeatRequest: moveBeatSchema,
+  RenumberRequest: renumberSchema,
+  ImportResult: importResultSchema,
+  AuditLog: auditLogSchema,
+  SearchResults: searchResultSchema,
+  TagList: tagListSchema,
+  TagBeats: tagBeatsSchema,
+  AddTagsRequest: addTagsSchema,
+  RenameTagRequest: renameTagSchema,
+  RenameTagResult: renameTagResultSchema,
+  Error: errorSchema
+};
+
+const PARAM_DESCRIPTIONS = {
+  id: 'Beat id',
+  version: 'Version number from the beat history',
+  actNo: 'Act number',
+  beatNo: 'Beat number within the act',
+  tag: 'Tag name, URL-encoded; matched case-insensitively'
+};
+
+const ERROR_DESCRIPTIONS = {
+  401: 'Missing or invalid credentials',
+  403: 'The caller\'s role does not allow this route',
+  404: 'Beat, act or tag not found',
+  409: 'Another beat already uses that beat number in the act',
+  412: 'If-Match does not match the beat\'s current ETag; details.etag is the current one',
+  428: 'If-Match is required for writes authorized by the Access cookie alone',
+  422: 'Validation failed; details lists each field path',
+  429: 'Rate limit exceeded; retry after the Retry-After seconds'
+};
+
+/**
+ * Rate limit and caching headers published under components.headers
+ */
+const RESPONSE_HEADERS = {
+  'ETag': { description: 'Strong validator of the representation, for If-None-Match and If-Match', schema: { type: 'string' } },
+  'Last-Modified': { description: 'Latest change to the beats in the response', schema: { type: 'string' } },
+  'Cache-Control': { description: 'private, no-cache: revalidate with If-None-Match before reuse', schema: { type: 'string' } },
+  'RateLimit-Limit': { description: 'Requests allowed in the current window for this route class', schema: { type: 'integer' } },
+  'RateLimit-Remaining': { description: 'Requests left in the current window', schema: { type: 'integer' } },
+  'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } },
+  'RateLimit-Policy': { description: 'Limit and window length in seconds, e.g. 120;w=60', schema: { type: 'string' } },
+  'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } }
+};
+
+// Sent with every API response
+const RATE_LIMIT_HEADER_NAMES = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'];
+const CACHE_HEADER_NAMES = ['ETag', 'Last-Modified', 'Cache-Control'];
+
+/**
+ * Conditional request headers, by route flag
+ */
+const CONDITIONAL_PARAMETERS = {
+  conditional: [
+    { name: 'If-None-Match', in: 'header', required: false, description: 'ETag from an earlier response; answered with 304 when unchanged', schema: { type: 'string' } },
+    { name: 'If-Modified-Since', in: 'header', required: false, description: 'Last-Modified from an earlier response; ignored when If-None-Match is sent', schema: { type: 'string' } }
+  ],
+  ifMatch: [
+    { name: 'If-Match', in: 'header', required: false, description: 'ETag of the beat as last read; the write fails with 412 if it has changed since', schema: { type: 'string' } }
+  ]
+};
+
+/**
+ * Generate the OpenAPI 3.1 document for the worker at the given origin
+ */
+export function generateOpenAPIDocument(origin) {
+  const componentNames = new Map(Object.entries(COMPONENTS).map(([name, schema]) => [schema, name]));
+  const convert = schema => toJSONSchema(schema, componentNames);
+
+  const paths = {};
+  for (const route of API_ROUTES) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route, convert);
+  }
+
+  const schemas = {};
+  for (const [name, schema] of Object.entries(COMPONENTS)) {
+    schemas[name] = toJSONSchema(schema, componentNames, true);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'ALLY Beat Sheets API',
+      version: '1.0.0',
+      description: 'Beat sheet reports, search, tags, structure templates, beat editing, imports, trash and the audit log for the ALLY screenplay (1 scene = 1 beat). ' +
+        'Each operation lists the role it requires (x-required-role): viewer, writer or admin.'
+    },
+    servers: [{ url: origin }],
+    security: [{ apiKey: [] }, { bearerAuth: [] }, { cloudflareAccess: [] }],
+    tags: [...new Set(API_ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      headers: RESPONSE_HEADERS,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'The API key sent as a bearer token' },
+        cloudflareAccess: { type: 'apiKey', in: 'header', name: 'Cf-Access-Jwt-Assertion' }
+      }
+    }
+  };
+}
+
+/**
+ * Describe one route as an OpenAPI operation
+ */
+function buildOperation(route, convert) {
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    description: `Requires the ${route.role} role.`,
+    tags: [route.tag],
+    'x-required-role': route.role,
+    parameters: []
+  };
+
+  for (const [, name] of route.path.matchAll(/\{(\w+)\}/g)) {
+    operation.parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      description: PARAM_DESCRIPTIONS[name],
+      schema: STRING_PARAMS.includes(name) ? { type: 'string', minLength: 1 } : { type: 'integer', minimum: 1 }
+    });
+  }
+
+  if (route.query) {
+    for (const [name, schema] of Object.entries(route.query.shape)) {
+      const parameter = { name, in: 'query', required: !schema.isOptional(), schema: convert(schema) };
+      if (parameter.schema.description) {
+        parameter.description = parameter.schema.description;
+        delete parameter.schema.description;
+      }
+      operation.parameters.push(parameter);
+    }
+  }
+
+  for (const [flag, parameters] of Object.entries(CONDITIONAL_PARAMETERS)) {
+    if (route[flag]) operation.parameters.push(...parameters);
+  }
+
+  if (route.body) {
+    const schema = convert(route.body);
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema },
+        'application/x-www-form-urlencoded': { schema }
+      }
+    };
+  }
+
+  if (route.upload) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        [route.upload]: { schema: { type: 'string' } },
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: { file: { type: 'string', format: 'binary' } },
+            required: ['file']
+          }
+        }
+      }
+    };
+  }
+
+  const successHeaders = [...RATE_LIMIT_HEADER_NAMES];
+  if (route.conditional) successHeaders.push(...CACHE_HEADER_NAMES);
+  else if (route.ifMatch) successHeaders.push('ETag');
+  const success = { description: route.summary, headers: headerRefs(successHeaders) };
+  if (route.response) {
+    success.content = { 'application/json': { schema: convert(route.response) } };
+  } else if (route.produces) {
+    const binary = route.produces === 'application/pdf';
+    success.content = { [route.produces]: { schema: binary ? { type: 'string', format: 'binary' } : { type: 'string' } } };
+  }
+  operation.responses = { [route.status || 200]: success };
+  if (route.conditional) {
+    operation.responses[304] = { description: 'Not modified: the ETag in If-None-Match is current', headers: headerRefs(CACHE_HEADER_NAMES) };
+  }
+
+  const errors = [401];
+  if (route.role !== 'viewer') errors.push(403);
+  if (operation.parameters.some(parameter => parameter.in === 'path')) errors.push(404);
+  if (route.body === beatContentSchema || route.body === beatInputSchema) errors.push(409);
+  if (route.ifMatch) errors.push(412, 428);
+  if (route.query || route.body || route.upload) errors.push(422);
+  errors.push(429);
+
+  for (const status of errors.sort()) {
+    operation.responses[status] = {
+      description: ERROR_DESCRIPTIONS[status],
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+  operation.responses[429].headers = headerRefs([...RATE_LIMIT_HEADER_NAMES, 'Retry-After']);
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  return operation;
+}
+
+/**
+ * $refs to headers under components.headers
+ */
+function headerRefs(names) {
+  return Object.fromEntries(names.map(name => [name, { $ref: `#/components/headers/${name}` }]));
+}
+
+/**
+ * Convert a Zod schema to JSON Schema (draft 2020-12, as used by OpenAPI 3.1).
+ * Schemas registered as components become $refs unless inline is set.
+ */
+export function toJSONSchema(schema, componentNames = new Map(), inline = false) {
+  if (!inline && componentNames.has(schema)) {
+    return { $ref: `#/components/schemas/${componentNames.get(schema)}` };
+  }
+
+  const json = convertDefinition(schema, componentNames);
+  if (schema.description && !json.$ref) {
+    json.description = schema.description;
+  }
+  return json;
+}
+
+/**
+ * Convert the definition behind a Zod schema
+ */
+function convertDefinition(schema, componentNames) {
+  const def = schema._def;
+  const convert = inner => toJSONSchema(inner, componentNames);
+
+  switch (def.typeName) {
+    case 'ZodEffects':
+      // preprocess, transform and refine: describe the wrapped type
+      return convert(def.schema);
+
+    case 'ZodOptional':
+    case 'ZodDefault':
+      return convert(def.innerType);
+
+    case 'ZodNullable': {
+      const inner = convert(def.innerType);
+      if (typeof inner.type === 'string') {
+        return { ...inner, type: [inner.type, 'null'] };
+      }
+      if (inner.enum) {
+        return { ...inner, enum: [...inner.enum, null] };
+      }
+      return { anyOf: [inner, { type: 'null' }] };
+    }
+
+    case 'ZodString': {
+      const json = { type: 'string' };
+      for (const check of def.checks) {
+        if (check.kind === 'min') json.minLength = check.value;
+        if (check.kind === 'max') json.maxLength = check.value;
+      }
+      return json;
+    }
+
+    case 'ZodNumber': {
+      const json = { type: 'number' };
+      for (const check of def.checks) {
+        if (check.kind === 'int') json.type = 'integer';
+        if (check.kind === 'min' && check.value > Number.MIN_SAFE_INTEGER) json.minimum = check.value;
+        if (check.kind === 'max' && check.value < Number.MAX_SAFE_INTEGER) json.maximum = check.value;
+      }
+      return json;
+    }
+
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+
+    case 'ZodLiteral':
+      return { const: def.value };
+
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+
+    case 'ZodUnion': {
+      const options = def.options.map(convert);
+      if (options.every(option => 'const' in option)) {
+        return { enum: options.map(option => option.const) };
+      }
+      return { anyOf: options };
+    }
+
+    case 'ZodArray': {
+      const json = { type: 'array', items: convert(def.type) };
+      if (def.maxLength) json.maxItems = def.maxLength.value;
+      return json;
+    }
+
+    case 'ZodObject': {
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(def.shape())) {
+        properties[key] = convert(value);
+        if (!value.isOptional()) {
+          required.push(key);
+        }
+      }
+      const json = { type: 'object', properties };
+      if (required.length > 0) json.required = required;
+      if (def.unknownKeys === 'strict') json.additionalProperties = false;
+      return json;
+    }
+
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: convert(def.valueType) };
+
+    default:
+      // ZodAny, ZodUnknown and anything without a JSON Schema equivalent
+      return {};
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * OPML format for ALLY Beat Sheets Worker
+ *
+ * Exports the beat sheet as an OPML 2.0 outline tree of Act → Beat → field,
+ * which imports into outliners (OmniOutliner, Workflowy, Dynalist) and
+ * mind-mapping tools (XMind, MindNode, FreeMind).
+ */
+
+import { escapeXML } from './utils.js';
+
+/**
+ * Beat fields written as "Label: value" child outlines, in order
+ */
+const OPML_FIELDS = [
+  ['Description', 'description'],
+  ['Scene', 'scene_number'],
+  ['Location', 'location'],
+  ['Time of Day', 'time_of_day'],
+  ['Characters', 'characters'],
+  ['Conflict', 'conflict'],
+  ['Emotion', 'emotion'],
+  ['Purpose', 'purpose'],
+  ['Stakes', 'stakes'],
+  ['Tension', 'tension_level'],
+  ['Pages', 'page_count'],
+  ['Minutes', 'estimated_minutes'],
+  ['Tags', 'tags'],
+  ['Notes', 'notes']
+];
+
+/**
+ * Generate an OPML document from a beats report
+ */
+export function generateOPMLReport(report) {
+  const acts = report.acts.map(act => {
+    const beats = act.beats.map(beat => {
+      const fields = OPML_FIELDS
+        .map(([label, field]) => [label, formatValue(beat[field])])
+        .filter(([, value]) => value !== '')
+        .map(([label, value]) => `        <outline text="${attribute(`${label}: ${value}`)}"/>`);
+
+      const note = beat.description ? ` _note="${attribute(beat.description)}"` : '';
+      const text = `Beat ${beat.beat_number}: ${beat.title || 'Untitled Beat'}`;
+
+      return fields.length > 0
+        ? `      <outline text="${attribute(text)}"${note}>\n${fields.join('\n')}\n      </outline>`
+        : `      <outline text="${attribute(text)}"${note}/>`;
+    });
+
+    const text = `Act ${act.act_no}${act.act_title ? `: ${act.act_title}` : ''}`;
+    return beats.length > 0
+      ? `    <outline text="${attribute(text)}">\n${beats.join('\n')}\n    </outline>`
+      : `    <outline text="${attribute(text)}"/>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>ALLY - Beat Sheet</title>
+    <dateCreated>${new Date(report.generated_at).toUTCString()}</dateCreated>
+    <ownerName>MobiCycle Productions</ownerName>
+  </head>
+  <body>
+${acts.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Format a field value as one line of text ('' when empty)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape an attribute value, keeping line breaks (which XML parsers would
+ * otherwise normalize to spaces)
+ */
+function attribute(value) {
+  return escapeXML(value).replace(/\r\n?|\n/g, '&#10;').replace(/\t/g, '&#9;');
+}
@@ -0,0 +1,184 @@
+/**
+ * Pacing for ALLY Beat Sheets Worker
+ *
+ * Totals pages and minutes per act from beats.page_count and
+ * beats.estimated_minutes, and each act's share of the runtime, against a
+ * target structure (by default 25/50/25 for three acts). A beat without
+ * estimated_minutes is timed from its page count at MINUTES_PER_PAGE, the
+ * usual page-a-minute rule. Acts more than tolerance percentage points over
+ * their target, and beats longer than max_beat_minutes, are flagged.
+ *
+ * ROUTES:
+ * - GET /api/reports/pacing : Pages, minutes and runtime share per act, with flags
+ *
+ * ENVIRONMENT:
+ * - PACING : optional JSON overriding DEFAULT_PACING, e.g.
+ *   { "targets": { "1": 20, "2": 55, "3": 25 }, "max_beat_minutes": 4 }
+ */
+
+import { jsonResponse, apiErrorResponse, readJSONSetting } from './utils.js';
+import { pacingQuerySchema, parseQuery, formatIssues } from './schemas.js';
+import { withConditionalGet } from './cache.js';
+
+export const MINUTES_PER_PAGE = 1;
+
+/**
+ * Target share of the runtime per act (percent), how far an act may miss it
+ * (percentage points) and the longest a beat should run (minutes)
+ */
+export const DEFAULT_PACING = {
+  targets: { 1: 25, 2: 50, 3: 25 },
+  tolerance: 5,
+  max_beat_minutes: 5
+};
+
+/**
+ * Handle /api/reports/pacing
+ */
+export async function handlePacingRouting(request, env, path, method, corsHeaders) {
+  try {
+    const settings = readPacingSettings(env, parseQuery(pacingQuerySchema, new URL(request.url)));
+    return await withConditionalGet(request, env.SCREENPLAY_DRAFT, {
+      scope: {},
+      variant: [path, settings],
+      corsHeaders
+    }, async () => jsonResponse(await getPacingReport(env.SCREENPLAY_DRAFT, settings), 200, corsHeaders));
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Pacing settings: DEFAULT_PACING, then the PACING setting, then the parsed
+ * query (pacingQuerySchema). An invalid PACING setting is logged and ignored.
+ */
+export function readPacingSettings(env, query = {}) {
+  const parsed = pacingQuerySchema.safeParse(readJSONSetting(env, 'PACING'));
+  if (!parsed.success) {
+    console.error(`PACING is invalid: ${formatIssues(parsed.error).map(issue => `${issue.path}: ${issue.message}`).join('; ')}`);
+  }
+  const configured = parsed.success ? parsed.data : {};
+
+  const pick = name => query[name] ?? configured[name] ?? DEFAULT_PACING[name];
+  return {
+    targets: Object.fromEntries(Object.entries(pick('targets')).map(([act, percent]) => [String(act), percent])),
+    tolerance: pick('tolerance'),
+    max_beat_minutes: pick('max_beat_minutes'),
+    minutes_per_page: MINUTES_PER_PAGE
+  };
+}
+
+/**
+ * Pacing report for the current beats (see pacingReportSchema)
+ */
+export async function getPacingReport(db, settings = readPacingSettings({})) {
+  const [actRows, beatRows] = await db.batch([
+    db.prepare(`
+      SELECT act_no, act_title, total_beats
+      FROM beat_statistics
+      ORDER BY act_no
+    `),
+    db.prepare(`
+      SELECT b.id, b.beat_number, b.title, b.page_count, b.estimated_minutes, a.act_no
+      FROM beats b
+      JOIN acts a ON b.act_id = a.id
+      WHERE b.is_current = 1 AND b.is_deleted = 0
+      ORDER BY a.act_no, b.beat_number
+    `)
+  ]);
+
+  const beats = beatRows.results.map(timeBeat);
+  const totalMinutes = sum(beats.map(beat => beat.minutes));
+  const overlongBeats = beats.filter(beat => beat.minutes !== null && beat.minutes > settings.max_beat_minutes);
+
+  const acts = actRows.results.map(act => {
+    const actBeats = beats.filter(beat => beat.act_no === act.act_no);
+    const minutes = sum(actBeats.map(beat => beat.minutes));
+    const share = totalMinutes > 0 ? round(minutes / totalMinutes * 100, 1) : null;
+    const target = settings.targets[String(act.act_no)] ?? null;
+    const difference = share !== null && target !== null ? round(share - target, 1) : null;
+
+    let status = null;
+    if (difference !== null) {
+      status = difference > settings.tolerance ? 'over' : difference < -settings.tolerance ? 'under' : 'on_target';
+    }
+
+    return {
+      act_no: act.act_no,
+      act_title: act.act_title,
+      beat_count: act.total_beats,
+      pages: round(sum(actBeats.map(beat => beat.pages)), 2),
+      minutes: round(minutes, 2),
+      share,
+      target_share: target,
+      difference,
+      status,
+      overlong: status === 'over',
+      overlong_beats: overlongBeats.filter(beat => beat.act_no === act.act_no).length
+    };
+  });
+
+  return {
+    report_type: 'pacing',
+    generated_at: new Date().toISOString(),
+    settings,
+    summary: {
+      total_beats: beats.length,
+      total_pages: round(sum(beats.map(beat => beat.pages)), 2),
+      total_minutes: round(totalMinutes, 2),
+      estimated_beats: beats.filter(beat => beat.minutes_estimated).length,
+      untimed_beats: beats.filter(beat => beat.minutes === null).length,
+      overlong_acts: acts.filter(act => act.overlong).length,
+      overlong_beats: overlongBeats.length
+    },
+    acts,
+    overlong_beats: [...overlongBeats].sort((a, b) => b.minutes - a.minutes)
+  };
+}
+
+/**
+ * A beat's runtime: estimated_minutes, or its page count at MINUTES_PER_PAGE
+ * when that is missing. Returns { minutes, estimated }; minutes is null when
+ * the beat has neither.
+ */
+export function estimateMinutes(beat) {
+  if (beat.estimated_minutes !== null && beat.estimated_minutes !== undefined) {
+    return { minutes: beat.estimated_minutes, estimated: false };
+  }
+  if (beat.page_count !== null && beat.page_count !== undefined) {
+    return { minutes: round(beat.page_count * MINUTES_PER_PAGE, 2), estimated: true };
+  }
+  return { minutes: null, estimated: false };
+}
+
+/**
+ * A beat's pages and minutes for the report
+ */
+function timeBeat(beat) {
+  const { minutes, estimated } = estimateMinutes(beat);
+  return {
+    id: beat.id,
+    act_no: beat.act_no,
+    beat_number: beat.beat_number,
+    title: beat.title,
+    pages: beat.page_count ?? null,
+    minutes,
+    minutes_estimated: estimated,
+    url: `/ally/act/${beat.act_no}/beat/${beat.beat_number}`
+  };
+}
+
+/**
+ * Sum of the non-null values
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + (value ?? 0), 0);
+}
+
+/**
+ * Round to a number of decimal places
+ */
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
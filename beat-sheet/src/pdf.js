@@ -0,0 +1,310 @@
+/**
+ * PDF generation for ALLY Beat Sheets Worker
+ *
+ * Renders the beats report to a PDF in plain JavaScript (no headless
+ * browser). Uses the standard Helvetica fonts, which every PDF reader ships,
+ * so nothing is embedded; text is encoded as WinAnsi and wrapped using the
+ * Helvetica glyph widths.
+ *
+ * Layout: a title page, then one section per act starting on a new page,
+ * with "Page x of y" footers on every page after the title page.
+ */
+
+import { PAGE_SIZES } from './schemas.js';
+
+const MARGIN = 72;
+const FOOTER_Y = 40;
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Adobe Helvetica AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+  regular: { resource: 'F1', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// Unicode punctuation that WinAnsiEncoding places in the 0x80-0x9F range
+const WIN_ANSI_EXTRAS = {
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '…': 0x85,
+  '€': 0x80
+};
+
+/**
+ * Generate a PDF document from a beats report
+ */
+export function generatePDFReport(report, { pageSize = 'letter' } = {}) {
+  const size = PAGE_SIZES[pageSize] || PAGE_SIZES.letter;
+  const layout = createLayout(size);
+  const generatedOn = new Date(report.generated_at).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+  // Title page
+  layout.y = size.height * 0.62;
+  layout.centered('ALLY', 'bold', 40);
+  layout.space(16);
+  layout.centered('BEAT SHEET', 'regular', 18);
+  layout.space(40);
+  layout.centered('MobiCycle Productions', 'regular', 13);
+  layout.centered(generatedOn, 'regular', 11);
+  layout.space(24);
+  layout.centered(`${report.summary.total_acts} acts • ${report.summary.total_beats} beats`, 'regular', 11);
+
+  if (report.acts.length === 0) {
+    layout.newPage();
+    layout.paragraph('There are currently no beats in the database.', 'regular', 11);
+  }
+
+  for (const act of report.acts) {
+    layout.newPage();
+    layout.paragraph(`Act ${act.act_no}${act.act_title ? `: ${act.act_title}` : ''}`, 'bold', 20);
+    layout.paragraph(`${act.beat_count} beat${act.beat_count === 1 ? '' : 's'}`, 'regular', 10);
+    layout.rule();
+
+    for (const beat of act.beats) {
+      layout.ensureSpace(60);
+      layout.paragraph(
+        `Beat ${beat.beat_number}${beat.scene_number ? ` (Scene ${beat.scene_number})` : ''} — ${beat.title || 'Untitled Beat'}`,
+        'bold',
+        12
+      );
+      layout.paragraph(beat.description || 'No description available.', 'regular', 10.5);
+
+      for (const [label, value] of [
+        ['Conflict', beat.conflict],
+        ['Emotion', beat.emotion],
+        ['Location', beat.location],
+        ['Time', beat.time_of_day],
+        ['Characters', beat.characters]
+      ]) {
+        if (value) {
+          layout.paragraph(`${label}: ${value}`, 'regular', 10, { indent: 12 });
+        }
+      }
+
+      layout.space(10);
+    }
+  }
+
+  return buildDocument(layout.pages, size, 'ALLY - Beat Sheet');
+}
+
+/**
+ * Create a page layout cursor that records text operations per page
+ */
+function createLayout(size) {
+  const pages = [[]];
+  const contentWidth = size.width - MARGIN * 2;
+
+  const layout = {
+    pages,
+    y: size.height - MARGIN,
+
+    get page() {
+      return pages[pages.length - 1];
+    },
+
+    newPage() {
+      pages.push([]);
+      layout.y = size.height - MARGIN;
+    },
+
+    ensureSpace(height) {
+      if (layout.y - height < MARGIN) {
+        layout.newPage();
+      }
+    },
+
+    space(height) {
+      layout.y -= height;
+    },
+
+    text(x, y, value, font, fontSize) {
+      layout.page.push(`BT /${FONTS[font].resource} ${fontSize} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${encodeText(value)}) Tj ET`);
+    },
+
+    centered(value, font, fontSize) {
+      const width = measureText(value, font, fontSize);
+      layout.y -= fontSize * 1.2;
+      layout.text((size.width - width) / 2, layout.y, value, font, fontSize);
+    },
+
+    paragraph(value, font, fontSize, { indent = 0 } = {}) {
+      const lineHeight = fontSize * 1.4;
+      for (const line of wrapText(value, font, fontSize, contentWidth - indent)) {
+        layout.ensureSpace(lineHeight);
+        layout.y -= lineHeight;
+        layout.text(MARGIN + indent, layout.y, line, font, fontSize);
+      }
+      layout.y -= fontSize * 0.4;
+    },
+
+    rule() {
+      layout.y -= 6;
+      layout.page.push(`0.75 G 0.5 w ${MARGIN} ${layout.y.toFixed(2)} m ${(size.width - MARGIN).toFixed(2)} ${layout.y.toFixed(2)} l S 0 G`);
+      layout.y -= 12;
+    }
+  };
+
+  return layout;
+}
+
+/**
+ * Serialize pages into a PDF file, adding page number footers
+ */
+function buildDocument(pages, size, title) {
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${encodeText(title)}) /Producer (MobiCycle Productions Beat Sheets) /CreationDate (D:${pdfDate(new Date())}) >>`);
+
+  const pageIds = pages.map((operations, index) => {
+    const footer = [];
+    if (index > 0) {
+      const label = `Page ${index + 1} of ${pages.length}`;
+      const width = measureText(label, 'regular', 9);
+      footer.push(`0.4 g BT /F1 9 Tf ${MARGIN} ${FOOTER_Y} Td (${encodeText(title)}) Tj ET`);
+      footer.push(`BT /F1 9 Tf ${(size.width - MARGIN - width).toFixed(2)} ${FOOTER_Y} Td (${encodeText(label)}) Tj ET 0 g`);
+    }
+
+    const stream = [...operations, ...footer].join('\n');
+    const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${size.width} ${size.height}] ` +
+      `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every character is a single byte (see encodeText), so string length equals byte offset
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(output.length);
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(output.length);
+  for (let i = 0; i < output.length; i++) {
+    bytes[i] = output.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Break text into lines that fit the given width
+ */
+function wrapText(value, font, fontSize, maxWidth) {
+  const lines = [];
+
+  for (const paragraph of String(value).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, font, fontSize) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      // Hard-break words longer than a whole line
+      let rest = word;
+      while (measureText(rest, font, fontSize) > maxWidth) {
+        let cut = rest.length - 1;
+        while (cut > 1 && measureText(rest.slice(0, cut), font, fontSize) > maxWidth) {
+          cut--;
+        }
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Width of a string in points
+ */
+function measureText(value, font, fontSize) {
+  const widths = FONTS[font].widths;
+  let total = 0;
+  for (const char of String(value)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * fontSize) / 1000;
+}
+
+/**
+ * Encode a string as an escaped WinAnsi PDF string body
+ */
+function encodeText(value) {
+  let encoded = '';
+
+  for (const char of String(value)) {
+    let code = WIN_ANSI_EXTRAS[char] ?? char.codePointAt(0);
+    if (code > 0xFF || (code < 32 && code !== 9)) {
+      code = 0x3F; // ?
+    }
+
+    if (char === '(' || char === ')' || char === '\\') {
+      encoded += `\\${char}`;
+    } else if (code > 126) {
+      encoded += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += String.fromCharCode(code);
+    }
+  }
+
+  return encoded;
+}
+
+/**
+ * Format a date as a PDF date string (YYYYMMDDHHmmSSZ)
+ */
+function pdfDate(date) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+}
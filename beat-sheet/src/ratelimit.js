@@ -0,0 +1,89 @@
+/**
+ * Rate limits for ALLY Beat Sheets Worker
+ *
+ * Every /api route is limited per caller (identity type and user), with a
+ * separate budget for each route class: reads (GET), writes (everything
+ * else, imports included) and exports (everything under /api/reports). Limits
+ * depend on the caller's role. Counters are kept in D1 by RateLimiter so
+ * they hold across isolates.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy; over the limit the request fails with 429 and
+ * Retry-After.
+ *
+ * ENVIRONMENT:
+ * - RATE_LIMITS : optional JSON overriding RATE_LIMITS per role and class,
+ *   e.g. { "viewer": { "exports": 10 } }
+ */
+
+import { RateLimiter, HttpError, readJSONSetting } from './utils.js';
+
+// Length of a rate limit window, in milliseconds
+export const RATE_LIMIT_WINDOW = 60 * 1000;
+
+/**
+ * Requests allowed per window, by role and route class
+ */
+export const RATE_LIMITS = {
+  viewer: { reads: 120, writes: 30, exports: 20 },
+  writer: { reads: 300, writes: 60, exports: 30 },
+  admin: { reads: 600, writes: 120, exports: 60 }
+};
+
+/**
+ * Route class of an API route from routes.js
+ */
+export function rateLimitClass(route) {
+  if (route.path.startsWith('/api/reports/')) return 'exports';
+  return route.method === 'GET' ? 'reads' : 'writes';
+}
+
+/**
+ * Limit for a role and route class, with RATE_LIMITS overrides from env
+ */
+export function getRateLimit(env, role, routeClass) {
+  const override = readJSONSetting(env, 'RATE_LIMITS')[role]?.[routeClass];
+  if (Number.isInteger(override) && override >= 0) {
+    return override;
+  }
+  return (RATE_LIMITS[role] || RATE_LIMITS.viewer)[routeClass];
+}
+
+/**
+ * Count the request and return the RateLimit-* headers for the response.
+ * Throws a 429 HttpError (with the same headers and Retry-After) when the
+ * caller is over the limit. If the counter cannot be stored the request is
+ * let through.
+ */
+export async function checkRateLimit(env, identity, route) {
+  const db = env.SCREENPLAY_DRAFT;
+  if (!db) return {};
+
+  const routeClass = rateLimitClass(route);
+  const limit = getRateLimit(env, identity.role, routeClass);
+  const limiter = new RateLimiter(db, limit, RATE_LIMIT_WINDOW);
+
+  let result;
+  try {
+    result = await limiter.check(`${identity.type}:${identity.user}:${routeClass}`);
+  } catch (error) {
+    console.error('Rate limit check failed:', error);
+    return {};
+  }
+
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset),
+    'RateLimit-Policy': `${result.limit};w=${RATE_LIMIT_WINDOW / 1000}`
+  };
+
+  if (!result.allowed) {
+    throw new HttpError(429, 'Too many requests',
+      `Rate limit of ${result.limit} ${routeClass} per minute exceeded; retry in ${result.reset} seconds`,
+      { limit: result.limit, class: routeClass, retry_after: result.reset },
+      { ...headers, 'Retry-After': String(result.reset) });
+  }
+
+  return headers;
+}
@@ -0,0 +1,441 @@
+/**
+ * API route table for ALLY Beat Sheets Worker
+ *
+ * Every /api route is declared here once: method, path template, the module
+ * router that serves it, the role it requires and the Zod schemas of its
+ * query string, body and response. handleRequest dispatches through this
+ * table and /api/openapi.json is generated from it, so the document cannot
+ * drift from what the worker actually serves. The UI pages are declared in
+ * PAGE_ROUTES the same way.
+ *
+ * conditional marks GETs that send an ETag and answer If-None-Match with 304;
+ * ifMatch marks beat writes that honour If-Match (412 when stale, 428 when a
+ * browser session leaves it out). On pages,
+ * cache names the beats their ETag is computed from (see cache.js).
+ *
+ * Roles (see auth.js): viewer reads pages and reports, writer edits beats,
+ * admin deletes, purges, restores from the trash and imports.
+ *
+ * Path parameters ({id}, {actNo}, ...) are positive integers, except the
+ * names in STRING_PARAMS ({tag}), which are any URL-encoded path segment.
+ */
+
+import { z } from 'zod';
+import {
+  beatInputSchema,
+  beatContentSchema,
+  beatResponseSchema,
+  beatHistorySchema,
+  beatReportSchema,
+  moveBeatSchema,
+  renumberSchema,
+  reportQuerySchema,
+  jsonReportQuerySchema,
+  pdfReportQuerySchema,
+  importQuerySchema,
+  importResultSchema,
+  auditQuerySchema,
+  auditLogSchema,
+  searchQuerySchema,
+  searchResultSchema,
+  addTagsSchema,
+  renameTagSchema,
+  tagQuerySchema,
+  tagBeatsQuerySchema,
+  tagListSchema,
+  tagBeatsSchema,
+  renameTagResultSchema,
+  tensionReportSchema,
+  pacingQuerySchema,
+  pacingReportSchema,
+  characterMatrixSchema,
+  locationReportSchema,
+  structureQuerySchema,
+  structureReportSchema,
+  structureTemplatesSchema,
+  assignSlotSchema
+} from './schemas.js';
+
+// Path parameters that are text rather than integers
+export const STRING_PARAMS = ['tag'];
+
+const deletedBeatSchema = z.object({ deleted: z.literal(true), beat: beatResponseSchema });
+const purgedBeatSchema = z.object({ purged: z.number().int(), beat: beatResponseSchema.optional() });
+const beatListSchema = z.object({ total: z.number().int(), beats: z.array(beatResponseSchema) });
+const actBeatsSchema = z.object({
+  act_no: z.number().int(),
+  act_title: z.string().nullable(),
+  beats: z.array(beatResponseSchema)
+});
+const renumberedSchema = z.array(z.object({
+  id: z.number().int(),
+  act_no: z.number().int(),
+  from_beat_number: z.number().int(),
+  beat_number: z.number().int(),
+  scene_number: z.number().int().nullable()
+}));
+const moveResultSchema = z.object({ beat: beatResponseSchema, renumbered: renumberedSchema });
+const renumberResultSchema = z.object({ act_no: z.number().int(), renumbered: renumberedSchema });
+
+export const API_ROUTES = [
+  // Reports
+  {
+    method: 'GET', path: '/api/reports/beats', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReport', summary: 'Beats grouped by act',
+    query: jsonReportQuerySchema, response: beatReportSchema, conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/html', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportHTML', summary: 'HTML beats report',
+    query: reportQuerySchema, produces: 'text/html', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/csv', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportCSV', summary: 'CSV download (the layout /api/import/beats/csv accepts)',
+    query: reportQuerySchema, produces: 'text/csv', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/pdf', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportPDF', summary: 'PDF download with title page and page numbers',
+    query: pdfReportQuerySchema, produces: 'application/pdf', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/fountain', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportFountain', summary: 'Fountain screenplay skeleton download',
+    query: reportQuerySchema, produces: 'text/plain', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/fdx', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportFDX', summary: 'Final Draft document download',
+    query: reportQuerySchema, produces: 'application/xml', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/md', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportMarkdown', summary: 'Markdown outline download',
+    query: reportQuerySchema, produces: 'text/markdown', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/beats/opml', router: 'reports', role: 'viewer', tag: 'Reports',
+    operationId: 'getBeatReportOPML', summary: 'OPML outline (Act > Beat > field) download',
+    query: reportQuerySchema, produces: 'text/x-opml', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/tension', router: 'tension', role: 'viewer', tag: 'Reports',
+    operationId: 'getTensionReport', summary: 'Tension level by beat across the script, with act boundaries and averages',
+    response: tensionReportSchema, conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/pacing', router: 'pacing', role: 'viewer', tag: 'Reports',
+    operationId: 'getPacingReport', summary: 'Pages, minutes and runtime share per act against a target structure, with overlong acts and beats flagged',
+    query: pacingQuerySchema, response: pacingReportSchema, conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/characters', router: 'characters', role: 'viewer', tag: 'Reports',
+    operationId: 'getCharacterReport', summary: 'Character x beat presence matrix with first and last appearance, beat count and longest absence',
+    response: characterMatrixSchema, conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/characters/csv', router: 'characters', role: 'viewer', tag: 'Reports',
+    operationId: 'getCharacterReportCSV', summary: 'Character presence matrix as a CSV download',
+    produces: 'text/csv', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/locations', router: 'locations', role: 'viewer', tag: 'Reports',
+    operationId: 'getLocationReport', summary: 'Beats grouped by location with INT/EXT, day/night, pages and minutes',
+    response: locationReportSchema, conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/locations/csv', router: 'locations', role: 'viewer', tag: 'Reports',
+    operationId: 'getLocationReportCSV', summary: 'Location breakdown as a CSV download',
+    produces: 'text/csv', conditional: true
+  },
+  {
+    method: 'GET', path: '/api/reports/structure', router: 'structure', role: 'viewer', tag: 'Reports',
+    operationId: 'getStructureReport', summary: 'Filled, missing and off-position slots of a story-structure template, by percent of runtime',
+    query: structureQuerySchema, response: structureReportSchema, conditional: true
+  },
+
+  // Beats
+  {
+    method: 'POST', path: '/api/beats', router: 'beats', role: 'writer', tag: 'Beats',
+    operationId: 'createBeat', summary: 'Create a beat (act_no or act_id in the body; appended when beat_number is omitted)',
+    body: beatContentSchema, status: 201, response: beatResponseSchema
+  },
+  {
+    method: 'GET', path: '/api/beats/{id}', router: 'beats', role: 'viewer', tag: 'Beats',
+    operationId: 'getBeat', summary: 'Single beat',
+    response: beatResponseSchema, conditional: true
+  },
+  {
+    method: 'PUT', path: '/api/beats/{id}', router: 'beats', role: 'writer', tag: 'Beats',
+    operationId: 'replaceBeat', summary: 'Replace every writable field of a beat',
+    body: beatContentSchema, response: beatResponseSchema, ifMatch: true
+  },
+  {
+    method: 'PATCH', path: '/api/beats/{id}', router: 'beats', role: 'writer', tag: 'Beats',
+    operationId: 'updateBeat', summary: 'Update selected beat fields',
+    body: beatInputSchema, response: beatResponseSchema, ifMatch: true
+  },
+  {
+    method: 'DELETE', path: '/api/beats/{id}', router: 'beats', role: 'admin', tag: 'Beats',
+    operationId: 'deleteBeat', summary: 'Move a beat to the trash',
+    response: deletedBeatSchema, ifMatch: true
+  },
+  {
+    method: 'GET', path: '/api/beats/{id}/history', router: 'beats', role: 'viewer', tag: 'Beats',
+    operationId: 'getBeatHistory', summary: 'Every version of a beat, newest first',
+    response: beatHistorySchema
+  },
+  {
+    method: 'POST', path: '/api/beats/{id}/history/{version}/restore', router: 'beats', role: 'writer', tag: 'Beats',
+    operationId: 'restoreBeatVersion', summary: 'Make an earlier version current again (saved as a new version)',
+    response: beatResponseSchema, ifMatch: true
+  },
+  {
+    method: 'POST', path: '/api/beats/{id}/move', router: 'beats', role: 'writer', tag: 'Beats',
+    operationId: 'moveBeat', summary: 'Move a beat to a position in an act and renumber',
+    body: moveBeatSchema, response: moveResultSchema, ifMatch: true
+  },
+  {
+    method: 'GET', path: '/api/acts/{actNo}/beats', router: 'beats', role: 'viewer', tag: 'Acts',
+    operationId: 'listActBeats', summary: 'Beats in an act',
+    response: actBeatsSchema
+  },
+  {
+    method: 'POST', path: '/api/acts/{actNo}/beats', router: 'beats', role: 'writer', tag: 'Acts',
+    operationId: 'createActBeat', summary: 'Create a beat in an act',
+    body: beatContentSchema, status: 201, response: beatResponseSchema
+  },
+  {
+    method: 'GET', path: '/api/acts/{actNo}/beats/{beatNo}', router: 'beats', role: 'viewer', tag: 'Acts',
+    operationId: 'getActBeat', summary: 'Beat by act and beat number',
+    response: beatResponseSchema, conditional: true
+  },
+  {
+    method: 'PUT', path: '/api/acts/{actNo}/beats/{beatNo}', router: 'beats', role: 'writer', tag: 'Acts',
+    operationId: 'replaceActBeat', summary: 'Replace a beat addressed by act and beat number',
+    body: beatContentSchema, response: beatResponseSchema, ifMatch: true
+  },
+  {
+    method: 'PATCH', path: '/api/acts/{actNo}/beats/{beatNo}', router: 'beats', role: 'writer', tag: 'Acts',
+    operationId: 'updateActBeat', summary: 'Update a beat addressed by act and beat number',
+    body: beatInputSchema, response: beatResponseSchema, ifMatch: true
+  },
+  {
+    method: 'DELETE', path: '/api/acts/{actNo}/beats/{beatNo}', router: 'beats', role: 'admin', tag: 'Acts',
+    operationId: 'deleteActBeat', summary: 'Move a beat addressed by act and beat number to the trash',
+    response: deletedBeatSchema, ifMatch: true
+  },
+  {
+    method: 'POST', path: '/api/acts/{actNo}/renumber', router: 'beats', role: 'writer', tag: 'Acts',
+    operationId: 'renumberAct', summary: 'Close gaps in an act\'s beat numbers',
+    body: renumberSchema, response: renumberResultSchema
+  },
+
+  // Trash
+  {
+    method: 'GET', path: '/api/trash', router: 'beats', role: 'writer', tag: 'Trash',
+    operationId: 'listTrash', summary: 'Deleted beats',
+    response: beatListSchema
+  },
+  {
+    method: 'DELETE', path: '/api/trash', router: 'beats', role: 'admin', tag: 'Trash',
+    operationId: 'emptyTrash', summary: 'Permanently purge every deleted beat',
+    response: purgedBeatSchema
+  },
+  {
+    method: 'GET', path: '/api/trash/{id}', router: 'beats', role: 'writer', tag: 'Trash',
+    operationId: 'getTrashedBeat', summary: 'Single deleted beat',
+    response: beatResponseSchema
+  },
+  {
+    method: 'DELETE', path: '/api/trash/{id}', router: 'beats', role: 'admin', tag: 'Trash',
+    operationId: 'purgeBeat', summary: 'Permanently purge a deleted beat',
+    response: purgedBeatSchema
+  },
+  {
+    method: 'POST', path: '/api/trash/{id}/restore', router: 'beats', role: 'admin', tag: 'Trash',
+    operationId: 'restoreDeletedBeat', summary: 'Restore a deleted beat',
+    response: beatResponseSchema
+  },
+
+  // Import
+  {
+    method: 'POST', path: '/api/import/beats/csv', router: 'import', role: 'admin', tag: 'Import',
+    operationId: 'importBeatsCSV', summary: 'Import the CSV export layout (dry-run diff unless confirm=true)',
+    query: importQuerySchema, upload: 'text/csv', response: importResultSchema
+  },
+  {
+    method: 'POST', path: '/api/import/beats/fountain', router: 'import', role: 'admin', tag: 'Import',
+    operationId: 'importBeatsFountain', summary: 'Seed beats from a Fountain draft (preview unless confirm=true)',
+    query: importQuerySchema, upload: 'text/plain', response: importResultSchema
+  },
+  {
+    method: 'POST', path: '/api/import/beats/fdx', router: 'import', role: 'admin', tag: 'Import',
+    operationId: 'importBeatsFDX', summary: 'Read a Final Draft document into beats (preview unless confirm=true)',
+    query: importQuerySchema, upload: 'application/xml', response: importResultSchema
+  },
+
+  // Audit
+  {
+    method: 'GET', path: '/api/audit', router: 'audit', role: 'viewer', tag: 'Audit',
+    operationId: 'listAuditLog', summary: 'Who changed which beat, when, through which route, with before/after values',
+    query: auditQuerySchema, response: auditLogSchema
+  },
+
+  // Search
+  {
+    method: 'GET', path: '/api/search', router: 'search', role: 'viewer', tag: 'Search',
+    operationId: 'searchBeats', summary: 'Full-text search over beat text, ranked, with highlighted snippets',
+    query: searchQuerySchema, response: searchResultSchema
+  },
+
+  // Tags
+  {
+    method: 'GET', path: '/api/tags', router: 'tags', role: 'viewer', tag: 'Tags',
+    operationId: 'listTags', summary: 'Every tag with the number of beats carrying it, most used first',
+    query: tagQuerySchema, response: tagListSchema
+  },
+  {
+    method: 'GET', path: '/api/tags/{tag}', router: 'tags', role: 'viewer', tag: 'Tags',
+    operationId: 'getTagBeats', summary: 'Beats carrying a tag (and any further and tags), with related tags as facets',
+    query: tagBeatsQuerySchema, response: tagBeatsSchema
+  },
+  {
+    method: 'POST', path: '/api/tags/{tag}/rename', router: 'tags', role: 'writer', tag: 'Tags',
+    operationId: 'renameTag', summary: 'Rename a tag on every beat, merging it into the new name if that exists',
+    body: renameTagSchema, response: renameTagResultSchema
+  },
+  {
+    method: 'POST', path: '/api/beats/{id}/tags', router: 'tags', role: 'writer', tag: 'Tags',
+    operationId: 'addBeatTags', summary: 'Add tags to a beat (tags it already carries are skipped)',
+    body: addTagsSchema, response: beatResponseSchema, ifMatch: true
+  },
+  {
+    method: 'DELETE', path: '/api/beats/{id}/tags/{tag}', router: 'tags', role: 'writer', tag: 'Tags',
+    operationId: 'removeBeatTag', summary: 'Remove a tag from a beat',
+    response: beatResponseSchema, ifMatch: true
+  },
+
+  // Structure
+  {
+    method: 'GET', path: '/api/structure/templates', router: 'structure', role: 'viewer', tag: 'Structure',
+    operationId: 'listStructureTemplates', summary: 'Story-structure templates (Save the Cat, Hero\'s Journey, custom) with their slots',
+    response: structureTemplatesSchema
+  },
+  {
+    method: 'PUT', path: '/api/beats/{id}/structure', router: 'structure', role: 'writer', tag: 'Structure',
+    operationId: 'assignBeatSlot', summary: 'Assign a beat to a template slot (slot: null clears it)',
+    body: assignSlotSchema, response: beatResponseSchema, ifMatch: true
+  },
+
+  // Documentation
+  {
+    method: 'GET', path: '/api/openapi.json', router: 'docs', role: 'viewer', tag: 'Documentation',
+    operationId: 'getOpenAPIDocument', summary: 'This OpenAPI document',
+    produces: 'application/json'
+  },
+  {
+    method: 'GET', path: '/api/docs', router: 'docs', role: 'viewer', tag: 'Documentation',
+    operationId: 'getAPIDocsPage', summary: 'Browsable API documentation',
+    produces: 'text/html'
+  }
+];
+
+/**
+ * UI and service pages served by handleRequest, with the role each requires.
+ * Pages answer any method, as they always have.
+ */
+export const PAGE_ROUTES = [
+  { path: '/', page: 'home', role: 'viewer' },
+  { path: '/ally', page: 'acts', role: 'viewer', cache: 'static' },
+  { path: '/ally/beats/all', page: 'allBeats', role: 'viewer', cache: 'script' },
+  { path: '/ally/act/{actNo}', page: 'act', role: 'viewer', cache: 'act' },
+  { path: '/ally/act/{actNo}/beat/{beatNo}', page: 'beat', role: 'viewer', cache: 'script' },
+  { path: '/ally/trash', page: 'trash', role: 'writer', cache: 'trash' },
+  { path: '/ally/activity', page: 'activity', role: 'viewer', cache: 'script' },
+  { path: '/ally/search', page: 'search', role: 'viewer', cache: 'script' },
+  { path: '/ally/tags', page: 'tags', role: 'viewer', cache: 'script' },
+  { path: '/ally/tags/{tag}', page: 'tag', role: 'viewer', cache: 'script' },
+  { path: '/ally/arc', page: 'arc', role: 'viewer', cache: 'script' },
+  { path: '/ally/pacing', page: 'pacing', role: 'viewer', cache: 'script' },
+  { path: '/ally/characters', page: 'characters', role: 'viewer', cache: 'script' },
+  { path: '/ally/locations', page: 'locations', role: 'viewer', cache: 'script' },
+  { path: '/ally/structure', page: 'structure', role: 'viewer', cache: 'script' },
+  { path: '/act/all', page: 'report', role: 'viewer', cache: 'script' },
+  { path: '/dashboard', page: 'report', role: 'viewer', cache: 'script' },
+  { path: '/report', page: 'report', role: 'viewer', cache: 'script' },
+  { path: '/api', page: 'apiIndex', role: 'viewer' },
+  { path: '/health', page: 'health', role: 'viewer' }
+];
+
+/**
+ * Compile a path template: "/api/beats/{id}" -> /^\/api\/beats\/(\d+)\/?$/
+ * (string parameters match any segment: "([^/]+)")
+ */
+function compileRoute(route) {
+  return {
+    route,
+    params: [...route.path.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+    pattern: new RegExp(`^${route.path.replace(/\/$/, '').replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g,
+      (placeholder, name) => STRING_PARAMS.includes(name) ? '([^/]+)' : '(\\d+)')}/?$`)
+  };
+}
+
+const COMPILED_ROUTES = API_ROUTES.map(compileRoute);
+const COMPILED_PAGES = PAGE_ROUTES.map(compileRoute);
+
+/**
+ * Read the path parameters of a compiled route from a regex match
+ */
+function readParams(compiled, match) {
+  const params = {};
+  compiled.params.forEach((name, index) => {
+    params[name] = STRING_PARAMS.includes(name) ? decodeSegment(match[index + 1]) : parseInt(match[index + 1]);
+  });
+  return params;
+}
+
+/**
+ * Decode a URL-encoded path segment, leaving malformed escapes as they are
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Find the route for a request. Returns { route, params } on a match,
+ * { allowed } when the path exists under other methods, or null.
+ */
+export function matchRoute(method, path) {
+  const allowed = [];
+
+  for (const compiled of COMPILED_ROUTES) {
+    const match = path.match(compiled.pattern);
+    if (!match) continue;
+
+    if (compiled.route.method === method) {
+      return { route: compiled.route, params: readParams(compiled, match) };
+    }
+    allowed.push(compiled.route.method);
+  }
+
+  return allowed.length > 0 ? { allowed } : null;
+}
+
+/**
+ * Find the UI page for a path. Returns { route, params } or null.
+ */
+export function matchPage(path) {
+  for (const compiled of COMPILED_PAGES) {
+    const match = (path || '/').match(compiled.pattern);
+    if (match) {
+      return { route: compiled.route, params: readParams(compiled, match) };
+    }
+  }
+  return null;
+}
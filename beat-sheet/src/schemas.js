@@ -0,0 +1,988 @@
+/**
+ * Zod schemas for ALLY Beat Sheets Worker
+ *
+ * One beat schema mirrors every column of the beats table in schema.sql.
+ * The write API, the importers and the query string parsers all validate
+ * through it, and failures become 422 responses listing each field path.
+ *
+ * Values arrive as JSON, form posts or CSV cells, so numbers may be strings
+ * and empty strings mean "no value"; the preprocessors below coerce them
+ * before the column rules run.
+ */
+
+import { z } from 'zod';
+import { HttpError } from './utils.js';
+
+/**
+ * Length limits for beat text columns
+ */
+export const BEAT_TEXT_LIMITS = {
+  title: 200,
+  description: 5000,
+  conflict: 2000,
+  emotion: 200,
+  location: 200,
+  time_of_day: 100,
+  characters: 1000,
+  purpose: 2000,
+  stakes: 2000,
+  notes: 10000,
+  created_by: 320,
+  updated_by: 320
+};
+
+export const MAX_TAGS = 30;
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * PDF page sizes in points (1/72 inch)
+ */
+export const PAGE_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+
+/**
+ * Actions recorded in the audit log
+ */
+export const AUDIT_ACTIONS = ['create', 'update', 'restore_version', 'move', 'renumber', 'delete', 'restore', 'purge'];
+
+/**
+ * Report columns that sort accepts; each may be prefixed with - for descending
+ */
+export const REPORT_SORT_FIELDS = [
+  'act_no',
+  'act_title',
+  'beat_number',
+  'scene_number',
+  'title',
+  'description',
+  'conflict',
+  'emotion',
+  'location',
+  'time_of_day',
+  'characters',
+  'purpose',
+  'stakes',
+  'tension_level',
+  'page_count',
+  'estimated_minutes',
+  'notes',
+  'version',
+  'created_at',
+  'updated_at'
+];
+
+const REPORT_SORT_KEYS = REPORT_SORT_FIELDS.flatMap(field => [field, `-${field}`]);
+
+/**
+ * Treat '' as null and numeric strings as numbers
+ */
+function toNumber(value) {
+  if (value === '') return null;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return value;
+}
+
+/**
+ * Accept numbers and booleans in text columns as their string form
+ */
+function toText(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return value;
+}
+
+/**
+ * Accept tags as an array, a JSON array string or a comma separated list
+ */
+function toTagList(value) {
+  if (value === '' || value === null) return null;
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return value;
+    }
+  }
+  return trimmed.split(',');
+}
+
+/**
+ * Accept act targets as an object, a JSON object string or "1:25,2:50,3:25"
+ */
+function toTargetMap(value) {
+  if (value === '' || value === null) return null;
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return value;
+    }
+  }
+  return Object.fromEntries(trimmed.split(',').map(pair => {
+    const [act = '', percent = ''] = pair.split(':');
+    return [act.trim(), toNumber(percent.trim())];
+  }));
+}
+
+/**
+ * Accept true/false, 'true'/'false' and '1'/'0'
+ */
+function toBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0' || value === '') return false;
+  return value;
+}
+
+const text = field => z.preprocess(
+  toText,
+  z.string({ invalid_type_error: 'Must be text' })
+    .max(BEAT_TEXT_LIMITS[field], `Must be at most ${BEAT_TEXT_LIMITS[field]} characters`)
+    .nullable()
+);
+
+const requiredText = (field, label) => z.preprocess(
+  toText,
+  z.string({ required_error: `${label} is required`, invalid_type_error: `${label} is required` })
+    .trim()
+    .min(1, `${label} is required`)
+    .max(BEAT_TEXT_LIMITS[field], `Must be at most ${BEAT_TEXT_LIMITS[field]} characters`)
+);
+
+const integer = (min, max) => z.preprocess(
+  toNumber,
+  z.number({ invalid_type_error: 'Must be a number' })
+    .int('Must be a whole number')
+    .min(min, `Must be at least ${min}`)
+    .max(max, `Must be at most ${max}`)
+    .nullable()
+);
+
+/**
+ * A beat's position in its act. It can be left out (append on create, keep on
+ * update) but never cleared: a blank form field counts as left out.
+ */
+const beatNumber = z.preprocess(
+  value => (value === '' ? undefined : toNumber(value)),
+  z.number({ invalid_type_error: 'Must be a number' })
+    .int('Must be a whole number')
+    .min(1, 'Must be at least 1')
+    .max(10000, 'Must be at most 10000')
+    .optional()
+);
+
+const decimal = max => z.preprocess(
+  toNumber,
+  z.number({ invalid_type_error: 'Must be a number' })
+    .min(0, 'Must not be negative')
+    .max(max, `Must be at most ${max}`)
+    .nullable()
+);
+
+const flag = z.preprocess(toNumber, z.union([z.literal(0), z.literal(1)]));
+
+const timestamp = z.string().nullable();
+
+/**
+ * Tags are stored as a JSON array string; duplicates and blanks are dropped
+ */
+const tags = z.preprocess(
+  toTagList,
+  z.array(
+    z.string({ invalid_type_error: 'Each tag must be text' })
+      .trim()
+      .max(MAX_TAG_LENGTH, `Each tag must be at most ${MAX_TAG_LENGTH} characters`),
+    { invalid_type_error: 'Must be a JSON array of tags or a comma separated list' }
+  )
+    .transform(list => [...new Set(list.filter(Boolean))])
+    .refine(list => list.length <= MAX_TAGS, `At most ${MAX_TAGS} tags are allowed`)
+    .nullable()
+).transform(list => (list === null ? null : JSON.stringify(list)));
+
+/**
+ * Key of a story-structure template slot, such as catalyst (see structure.js)
+ */
+const slotKey = z.string({ invalid_type_error: 'Must be a slot key' })
+  .trim()
+  .toLowerCase()
+  .min(1, 'Must not be empty')
+  .max(50, 'Must be at most 50 characters')
+  .regex(/^[a-z0-9_]+$/, 'Must be letters, digits and underscores, e.g. break_into_two');
+
+const booleanFlag = z.preprocess(toBoolean, z.boolean({ invalid_type_error: 'Must be true or false' }));
+
+/**
+ * Every column of the beats table
+ */
+export const beatSchema = z.object({
+  id: integer(1, Number.MAX_SAFE_INTEGER),
+  act_id: integer(1, Number.MAX_SAFE_INTEGER),
+  beat_number: integer(1, 10000),
+  scene_number: integer(1, 10000),
+  title: requiredText('title', 'Beat title'),
+  description: requiredText('description', 'Beat description'),
+  conflict: text('conflict'),
+  emotion: text('emotion'),
+  location: text('location'),
+  time_of_day: text('time_of_day'),
+  characters: text('characters'),
+  purpose: text('purpose'),
+  stakes: text('stakes'),
+  tension_level: integer(1, 10),
+  page_count: decimal(1000),
+  estimated_minutes: decimal(1000),
+  notes: text('notes'),
+  tags: tags.describe(`Up to ${MAX_TAGS} tags; accepts a JSON array or a comma separated list`),
+  structure_slot: z.preprocess(value => (value === '' ? null : value), slotKey.nullable())
+    .describe('Key of the structure template slot the beat fills, e.g. catalyst'),
+  version: integer(1, Number.MAX_SAFE_INTEGER),
+  is_current: flag,
+  is_deleted: flag,
+  created_at: timestamp,
+  updated_at: timestamp,
+  created_by: text('created_by'),
+  updated_by: text('updated_by'),
+  version_of: integer(1, Number.MAX_SAFE_INTEGER)
+});
+
+/**
+ * Fields a client may send when writing a beat, all optional (PATCH).
+ * The act is given by act_no or act_id; unknown keys are ignored.
+ */
+export const beatInputSchema = beatSchema
+  .pick({
+    act_id: true,
+    beat_number: true,
+    scene_number: true,
+    title: true,
+    description: true,
+    conflict: true,
+    emotion: true,
+    location: true,
+    time_of_day: true,
+    characters: true,
+    purpose: true,
+    stakes: true,
+    tension_level: true,
+    page_count: true,
+    estimated_minutes: true,
+    notes: true,
+    tags: true,
+    structure_slot: true
+  })
+  .extend({ act_no: integer(1, 1000), beat_number: beatNumber })
+  .partial();
+
+/**
+ * A complete beat: what a create, a PUT or the result of a PATCH must satisfy
+ */
+export const beatContentSchema = beatInputSchema.required({ title: true, description: true });
+
+/**
+ * POST /api/beats/{id}/move body. Unknown keys (e.g. beat_number) are
+ * rejected, and a move needs a target position, act or both.
+ */
+export const moveBeatSchema = z.object({
+  act_no: integer(1, 1000).optional(),
+  position: integer(1, 10000).optional(),
+  sync_scenes: booleanFlag.optional()
+})
+  .strict()
+  .refine(move => (move.act_no ?? null) !== null || (move.position ?? null) !== null, {
+    message: 'Give position, act_no or both',
+    path: ['position']
+  });
+
+/**
+ * POST /api/acts/{actNo}/renumber body
+ */
+export const renumberSchema = z.object({
+  sync_scenes: booleanFlag.optional()
+});
+
+const dateFilter = z.string()
+  .trim()
+  .regex(/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/, 'Must be a date (YYYY-MM-DD) or an ISO 8601 timestamp');
+
+const filterText = max => z.string().trim().min(1, 'Must not be empty').max(max, `Must be at most ${max} characters`);
+
+/**
+ * Query string accepted by every /api/reports/beats format and the HTML report
+ */
+export const reportQuerySchema = z.object({
+  act: integer(1, 1000).optional().describe('Limit the report to one act number'),
+  character: filterText(BEAT_TEXT_LIMITS.characters).optional().describe('Beats whose characters mention this name (case-insensitive)'),
+  location: filterText(BEAT_TEXT_LIMITS.location).optional().describe('Beats whose location contains this text (case-insensitive)'),
+  time_of_day: filterText(BEAT_TEXT_LIMITS.time_of_day).optional().describe('Beats with this time of day, e.g. NIGHT (case-insensitive)'),
+  tag: filterText(MAX_TAG_LENGTH).optional().describe('Beats carrying this tag (case-insensitive)'),
+  tension_min: integer(1, 10).optional().describe('Beats with tension_level at least this'),
+  tension_max: integer(1, 10).optional().describe('Beats with tension_level at most this'),
+  updated_since: dateFilter.optional().describe('Beats updated at or after this date or timestamp (UTC)'),
+  sort: z.string().trim().refine(
+    value => value.split(',').every(key => REPORT_SORT_KEYS.includes(key.trim())),
+    { message: `Must be a comma separated list of: ${REPORT_SORT_FIELDS.join(', ')} (prefix - for descending)` }
+  ).optional().describe('Sort keys, comma separated; prefix - for descending (default act_no,beat_number). Grouped formats sort within each act (-act_no reverses the acts); CSV sorts across acts')
+});
+
+/**
+ * Query string of /api/reports/beats (JSON): the filters plus cursor paging
+ */
+export const jsonReportQuerySchema = reportQuerySchema.extend({
+  limit: integer(1, 500).optional().describe('Beats per page (default: all)'),
+  cursor: z.string().trim().min(1).max(2000).optional().describe('next_cursor of the previous page')
+});
+
+/**
+ * Query string of /api/reports/beats/pdf
+ */
+export const pdfReportQuerySchema = reportQuerySchema.extend({
+  size: z.preprocess(
+    value => (typeof value === 'string' ? value.toLowerCase() : value),
+    z.enum(Object.keys(PAGE_SIZES), { errorMap: () => ({ message: `Must be one of: ${Object.keys(PAGE_SIZES).join(', ')}` }) })
+  ).optional().describe('Page size (default letter)')
+});
+
+/**
+ * Query string accepted by /api/import/* routes
+ */
+export const importQuerySchema = z.object({
+  confirm: booleanFlag.optional().describe('Apply the import; without it the response is a dry-run diff'),
+  prune: booleanFlag.optional().describe('Remove beats of the imported acts that the file no longer lists')
+});
+
+/**
+ * Query string of GET /api/audit and the /ally/activity page
+ */
+export const auditQuerySchema = z.object({
+  user: z.string().trim().min(1).max(BEAT_TEXT_LIMITS.updated_by).optional().describe('Only changes made by this user (email, api-key or api-key:<name>)'),
+  beat: integer(1, Number.MAX_SAFE_INTEGER).optional().describe('Only changes to this beat id'),
+  act: integer(1, 1000).optional().describe('Only changes to beats in this act number'),
+  action: z.enum(AUDIT_ACTIONS, { errorMap: () => ({ message: `Must be one of: ${AUDIT_ACTIONS.join(', ')}` }) }).optional().describe('Only this kind of change'),
+  since: dateFilter.optional().describe('Changes at or after this date or timestamp (UTC)'),
+  until: dateFilter.optional().describe('Changes up to this timestamp, or to the end of this date (UTC)'),
+  limit: integer(1, 500).optional().describe('Entries per page (default 100)'),
+  before: integer(1, Number.MAX_SAFE_INTEGER).optional().describe('Return entries older than this entry id (next_before of the previous page)')
+});
+
+/**
+ * One tag name, as given in a body or a /api/tags/{tag} path
+ */
+export const tagNameSchema = z.string({ invalid_type_error: 'Must be text' })
+  .trim()
+  .min(1, 'Must not be empty')
+  .max(MAX_TAG_LENGTH, `Must be at most ${MAX_TAG_LENGTH} characters`)
+  .refine(value => !value.includes(','), 'Must not contain commas');
+
+/**
+ * POST /api/beats/{id}/tags body
+ */
+export const addTagsSchema = z.object({
+  tags: z.preprocess(
+    toTagList,
+    z.array(tagNameSchema, { invalid_type_error: 'Must be a JSON array of tags or a comma separated list' })
+      .min(1, 'Give at least one tag')
+      .max(MAX_TAGS, `At most ${MAX_TAGS} tags are allowed`)
+  ).describe('Tags to add; accepts a JSON array or a comma separated list')
+});
+
+/**
+ * POST /api/tags/{tag}/rename body
+ */
+export const renameTagSchema = z.object({
+  to: tagNameSchema.describe('New name; if another tag already has it, the two are merged')
+});
+
+/**
+ * Query string of GET /api/tags and GET /api/tags/{tag}
+ */
+export const tagQuerySchema = z.object({
+  act: integer(1, 1000).optional().describe('Only count beats in this act number')
+});
+
+/**
+ * Query string of GET /api/tags/{tag} and the /ally/tags/{tag} page
+ */
+export const tagBeatsQuerySchema = tagQuerySchema.extend({
+  and: z.preprocess(
+    toTagList,
+    z.array(tagNameSchema, { invalid_type_error: 'Must be a comma separated list of tags' }).max(10, 'At most 10 tags')
+  ).optional().describe('Further tags the beats must also carry, comma separated')
+});
+
+/**
+ * Pacing targets and thresholds: the PACING setting, and the query string of
+ * GET /api/reports/pacing and /ally/pacing, which overrides it
+ */
+export const pacingQuerySchema = z.object({
+  targets: z.preprocess(
+    toTargetMap,
+    z.record(
+      z.string().regex(/^\d+$/, 'Act numbers must be whole numbers'),
+      z.number({ invalid_type_error: 'Each target must be a percentage' })
+        .min(0, 'Each target must be at least 0')
+        .max(100, 'Each target must be at most 100'),
+      { invalid_type_error: 'Must be act:percent pairs, e.g. 1:25,2:50,3:25' }
+    ).refine(
+      targets => Object.values(targets).reduce((sum, percent) => sum + percent, 0) <= 100,
+      'Targets must not add up to more than 100%'
+    ).nullable()
+  ).optional().describe('Target share of the runtime per act, as act:percent pairs, e.g. 1:25,2:50,3:25'),
+  tolerance: decimal(50).optional().describe('Percentage points an act may miss its target by before it is flagged'),
+  max_beat_minutes: decimal(120).optional().describe('Beats running longer than this many minutes are flagged')
+});
+
+/**
+ * A custom structure template: slots in story order, each with the percent
+ * of the runtime where it ideally falls
+ */
+const customTemplateSchema = z.object({
+  name: z.string({ invalid_type_error: 'Must be text' }).trim().min(1, 'Must not be empty').max(100, 'Must be at most 100 characters').default('Custom'),
+  slots: z.array(z.object({
+    key: slotKey,
+    name: z.string({ required_error: 'Slot name is required', invalid_type_error: 'Must be text' }).trim().min(1, 'Slot name is required').max(100, 'Must be at most 100 characters'),
+    position: z.number({ required_error: 'Position is required', invalid_type_error: 'Must be a percentage' })
+      .min(0, 'Must be at least 0')
+      .max(100, 'Must be at most 100')
+  }), { invalid_type_error: 'Must be a list of slots' })
+    .min(1, 'At least one slot is required')
+    .max(50, 'At most 50 slots are allowed')
+    .refine(slots => new Set(slots.map(slot => slot.key)).size === slots.length, 'Slot keys must be unique')
+});
+
+/**
+ * Query string of GET /api/reports/structure and /ally/structure
+ */
+export const structureQuerySchema = z.object({
+  template: slotKey.optional().describe('Template to compare against: save_the_cat, heros_journey or custom'),
+  tolerance: decimal(50).optional().describe('Percentage points a slot may miss its ideal position by before it is flagged')
+});
+
+/**
+ * The STRUCTURE setting: default template and tolerance, and the custom
+ * template
+ */
+export const structureSettingsSchema = structureQuerySchema.extend({
+  custom: customTemplateSchema.optional()
+});
+
+/**
+ * PUT /api/beats/{id}/structure body
+ */
+export const assignSlotSchema = z.object({
+  slot: z.preprocess(value => (value === '' ? null : value), slotKey.nullable({ invalid_type_error: 'Must be a slot key' }))
+    .describe('Slot key, or null to clear the assignment'),
+  template: slotKey.optional().describe('Template the slot belongs to (default: the configured template)')
+});
+
+const characterName = z.string({ invalid_type_error: 'Must be a name' })
+  .trim()
+  .min(1, 'Must not be empty')
+  .max(BEAT_TEXT_LIMITS.characters, `Must be at most ${BEAT_TEXT_LIMITS.characters} characters`)
+  .transform(name => name.replace(/\s+/g, ' '));
+
+/**
+ * The CHARACTER_ALIASES setting: canonical name -> other spellings (a list,
+ * or a single name)
+ */
+export const characterAliasesSchema = z.record(
+  characterName,
+  z.preprocess(value => (typeof value === 'string' ? [value] : value), z.array(characterName, {
+    invalid_type_error: 'Must be a list of names'
+  }))
+);
+
+/**
+ * Query string of GET /api/search and the /ally/search page
+ */
+export const searchQuerySchema = z.object({
+  q: z.string().trim().min(1, 'Enter something to search for').max(200, 'Must be at most 200 characters').describe('Words to find; "quoted phrases" match exactly and words match as prefixes'),
+  act: integer(1, 1000).optional().describe('Only beats in this act number'),
+  limit: integer(1, 100).optional().describe('Results to return (default 20)')
+});
+
+/*
+ * Response shapes. The worker builds these objects directly; the schemas
+ * describe them in the OpenAPI document.
+ */
+
+/**
+ * A beat as returned by the API (tags decoded to an array)
+ */
+export const beatResponseSchema = beatSchema.extend({
+  act_no: z.number().int(),
+  act_title: z.string().nullable()
+});
+
+/**
+ * A beat inside a report
+ */
+const reportBeatSchema = beatSchema.pick({
+  beat_number: true,
+  scene_number: true,
+  title: true,
+  description: true,
+  conflict: true,
+  emotion: true,
+  location: true,
+  time_of_day: true,
+  characters: true,
+  purpose: true,
+  stakes: true,
+  tension_level: true,
+  page_count: true,
+  estimated_minutes: true,
+  tags: true,
+  notes: true,
+  version: true,
+  created_at: true,
+  updated_at: true
+});
+
+/**
+ * GET /api/reports/beats
+ */
+export const beatReportSchema = z.object({
+  report_type: z.literal('beats_by_act'),
+  generated_at: z.string(),
+  filters: z.object({
+    act_no: z.number().int().nullable(),
+    character: z.string().nullable(),
+    location: z.string().nullable(),
+    time_of_day: z.string().nullable(),
+    tag: z.string().nullable(),
+    tension_min: z.number().int().nullable(),
+    tension_max: z.number().int().nullable(),
+    updated_since: z.string().nullable(),
+    sort: z.string()
+  }),
+  summary: z.object({
+    total_acts: z.number().int(),
+    total_beats: z.number().int(),
+    beats_per_act: z.array(z.object({
+      act_no: z.number().int(),
+      act_title: z.string().nullable(),
+      beat_count: z.number().int()
+    }))
+  }),
+  acts: z.array(z.object({
+    act_no: z.number().int(),
+    act_id: z.number().int(),
+    act_title: z.string().nullable(),
+    beats: z.array(reportBeatSchema),
+    beat_count: z.number().int()
+  })),
+  pagination: z.object({
+    limit: z.number().int().nullable(),
+    returned: z.number().int(),
+    next_cursor: z.string().nullable().describe('Pass as cursor to fetch the next page; null on the last page')
+  }).optional().describe('JSON only')
+});
+
+/**
+ * GET /api/reports/tension
+ */
+export const tensionReportSchema = z.object({
+  report_type: z.literal('tension_arc'),
+  generated_at: z.string(),
+  summary: z.object({
+    total_beats: z.number().int(),
+    rated_beats: z.number().int().describe('Beats with a tension_level'),
+    avg_tension: z.number().nullable(),
+    peak: z.object({
+      position: z.number().int(),
+      act_no: z.number().int(),
+      beat_number: z.number().int(),
+      tension_level: z.number().int()
+    }).nullable().describe('First beat at the highest tension')
+  }),
+  acts: z.array(z.object({
+    act_no: z.number().int(),
+    act_title: z.string().nullable(),
+    beat_count: z.number().int(),
+    avg_tension: z.number().nullable(),
+    min_tension: z.number().int().nullable(),
+    max_tension: z.number().int().nullable(),
+    first_position: z.number().int().nullable().describe('Position of the act\'s first beat; null when the act has none'),
+    last_position: z.number().int().nullable()
+  })),
+  points: z.array(z.object({
+    position: z.number().int().describe('1-based position in script order'),
+    id: z.number().int(),
+    act_no: z.number().int(),
+    beat_number: z.number().int(),
+    title: z.string(),
+    tension_level: z.number().int().nullable(),
+    url: z.string().describe('Beat page, /ally/act/{actNo}/beat/{beatNo}')
+  }))
+});
+
+const pacingBeatSchema = z.object({
+  id: z.number().int(),
+  act_no: z.number().int(),
+  beat_number: z.number().int(),
+  title: z.string(),
+  pages: z.number().nullable(),
+  minutes: z.number().nullable(),
+  minutes_estimated: z.boolean().describe('Whether minutes were estimated from page_count'),
+  url: z.string()
+});
+
+/**
+ * GET /api/reports/pacing
+ */
+export const pacingReportSchema = z.object({
+  report_type: z.literal('pacing'),
+  generated_at: z.string(),
+  settings: z.object({
+    targets: z.record(z.number()).describe('Target share of the runtime per act number, in percent'),
+    tolerance: z.number(),
+    max_beat_minutes: z.number(),
+    minutes_per_page: z.number().describe('Used to estimate minutes when estimated_minutes is missing')
+  }),
+  summary: z.object({
+    total_beats: z.number().int(),
+    total_pages: z.number(),
+    total_minutes: z.number(),
+    estimated_beats: z.number().int().describe('Beats whose minutes were estimated from page_count'),
+    untimed_beats: z.number().int().describe('Beats with neither estimated_minutes nor page_count'),
+    overlong_acts: z.number().int(),
+    overlong_beats: z.number().int()
+  }),
+  acts: z.array(z.object({
+    act_no: z.number().int(),
+    act_title: z.string().nullable(),
+    beat_count: z.number().int(),
+    pages: z.number(),
+    minutes: z.number(),
+    share: z.number().nullable().describe('Percent of the total runtime; null when nothing is timed'),
+    target_share: z.number().nullable(),
+    difference: z.number().nullable().describe('share minus target_share, in percentage points'),
+    status: z.enum(['over', 'under', 'on_target']).nullable().describe('null when the act has no target'),
+    overlong: z.boolean(),
+    overlong_beats: z.number().int()
+  })),
+  overlong_beats: z.array(pacingBeatSchema).describe('Beats longer than max_beat_minutes, longest first')
+});
+
+const appearanceSchema = z.object({
+  position: z.number().int().describe('1-based position in script order'),
+  act_no: z.number().int(),
+  beat_number: z.number().int()
+});
+
+/**
+ * GET /api/reports/characters
+ */
+export const characterMatrixSchema = z.object({
+  report_type: z.literal('character_presence'),
+  generated_at: z.string(),
+  summary: z.object({
+    total_beats: z.number().int(),
+    total_characters: z.number().int(),
+    uncredited_beats: z.number().int().describe('Beats with no characters listed')
+  }),
+  beats: z.array(z.object({
+    position: z.number().int(),
+    id: z.number().int(),
+    act_no: z.number().int(),
+    beat_number: z.number().int(),
+    title: z.string(),
+    url: z.string()
+  })).describe('Columns of the matrix, in script order'),
+  characters: z.array(z.object({
+    name: z.string(),
+    beat_count: z.number().int(),
+    presence: z.number().describe('Percent of beats the character appears in'),
+    first_appearance: appearanceSchema,
+    last_appearance: appearanceSchema,
+    longest_absence: z.object({
+      beats: z.number().int(),
+      from_position: z.number().int(),
+      to_position: z.number().int()
+    }).nullable().describe('Longest run of beats without the character after their first appearance, up to the end of the script; null if none'),
+    positions: z.array(z.number().int()).describe('Positions of the beats the character appears in')
+  }))
+});
+
+/**
+ * GET /api/reports/locations
+ */
+export const locationReportSchema = z.object({
+  report_type: z.literal('location_breakdown'),
+  generated_at: z.string(),
+  summary: z.object({
+    total_beats: z.number().int(),
+    total_locations: z.number().int(),
+    interior_locations: z.number().int().describe('Locations with an INT or INT/EXT beat'),
+    exterior_locations: z.number().int().describe('Locations with an EXT or INT/EXT beat'),
+    night_locations: z.number().int().describe('Locations with at least one night beat'),
+    day_beats: z.number().int(),
+    night_beats: z.number().int(),
+    unlocated_beats: z.number().int().describe('Beats with no location')
+  }),
+  locations: z.array(z.object({
+    location: z.string().describe('Normalised location name, without INT./EXT. or time of day'),
+    settings: z.array(z.enum(['INT', 'EXT', 'INT/EXT'])),
+    beat_count: z.number().int(),
+    day_beats: z.number().int(),
+    night_beats: z.number().int(),
+    pages: z.number(),
+    minutes: z.number(),
+    beats: z.array(z.object({
+      id: z.number().int(),
+      act_no: z.number().int(),
+      beat_number: z.number().int(),
+      title: z.string(),
+      url: z.string(),
+      setting: z.enum(['INT', 'EXT', 'INT/EXT']).nullable(),
+      time_of_day: z.string().nullable(),
+      day_night: z.enum(['day', 'night']).nullable(),
+      pages: z.number().nullable(),
+      minutes: z.number().nullable(),
+      minutes_estimated: z.boolean().describe('True when minutes come from the page count')
+    }))
+  })).describe('Most used locations first')
+});
+
+const templateSchema = z.object({
+  key: z.string(),
+  name: z.string(),
+  slots: z.array(z.object({
+    key: z.string(),
+    name: z.string(),
+    position: z.number().describe('Ideal position as a percent of the runtime')
+  })).describe('Slots in story order')
+});
+
+/**
+ * GET /api/structure/templates
+ */
+export const structureTemplatesSchema = z.object({
+  default_template: z.string().describe('Template used when none is asked for'),
+  templates: z.array(templateSchema)
+});
+
+/**
+ * GET /api/reports/structure
+ */
+export const structureReportSchema = z.object({
+  report_type: z.literal('structure'),
+  generated_at: z.string(),
+  template: templateSchema,
+  settings: z.object({
+    template: z.string(),
+    tolerance: z.number()
+  }),
+  summary: z.object({
+    total_beats: z.number().int(),
+    measured_by: z.enum(['runtime', 'beat_order']).describe('runtime when beats have minutes or pages, else beat order'),
+    total_slots: z.number().int(),
+    filled_slots: z.number().int(),
+    missing_slots: z.number().int(),
+    off_position_slots: z.number().int().describe('Filled slots more than tolerance points from their ideal position'),
+    assigned_beats: z.number().int(),
+    other_slot_beats: z.number().int().describe('Beats assigned to a slot this template does not have')
+  }),
+  slots: z.array(z.object({
+    key: z.string(),
+    name: z.string(),
+    ideal_position: z.number(),
+    filled: z.boolean(),
+    position: z.number().nullable().describe('Percent of the runtime where the first of its beats starts'),
+    difference: z.number().nullable().describe('position - ideal_position, in percentage points'),
+    status: z.enum(['early', 'late', 'on_target', 'missing']),
+    beats: z.array(z.number().int()).describe('Positions (in beats) of the beats filling the slot')
+  })),
+  beats: z.array(z.object({
+    position: z.number().int(),
+    id: z.number().int(),
+    act_no: z.number().int(),
+    beat_number: z.number().int(),
+    title: z.string(),
+    url: z.string(),
+    runtime_position: z.number().describe('Percent of the runtime where the beat starts'),
+    slot: z.string().nullable(),
+    in_template: z.boolean().describe('False when slot is set but not part of this template')
+  })).describe('Beats in script order')
+});
+
+/**
+ * GET /api/beats/{id}/history
+ */
+export const beatHistorySchema = z.object({
+  beat_id: z.number().int(),
+  current_version: z.number().int(),
+  versions: z.array(z.object({
+    version: z.number().int(),
+    is_current: z.boolean(),
+    updated_at: z.string().nullable(),
+    updated_by: z.string().nullable(),
+    changed_fields: z.array(z.string()),
+    beat: beatSchema
+  }))
+});
+
+const beatSlotSchema = z.object({
+  act_no: z.number().int(),
+  beat_number: z.number().int()
+});
+
+/**
+ * Dry-run diff (or applied result) of an import
+ */
+export const importResultSchema = z.object({
+  dry_run: z.boolean(),
+  applied: z.boolean().optional(),
+  summary: z.object({
+    added: z.number().int(),
+    changed: z.number().int(),
+    removed: z.number().int(),
+    unchanged: z.number().int(),
+    errors: z.number().int()
+  }),
+  added: z.array(beatSlotSchema.extend({ title: z.string().nullable() })),
+  changed: z.array(beatSlotSchema.extend({
+    id: z.number().int(),
+    changes: z.record(z.object({ from: z.any(), to: z.any() }))
+  })),
+  removed: z.array(beatSlotSchema.extend({ id: z.number().int(), title: z.string().nullable() })),
+  errors: z.array(z.object({
+    row: z.number().int(),
+    path: z.string().nullable(),
+    message: z.string()
+  })),
+  preview: z.array(z.object({
+    act_no: z.number().int(),
+    title: z.string().nullable(),
+    beats: z.array(z.record(z.any()))
+  })).optional().describe('Parsed acts and beats (Fountain and FDX imports)')
+});
+
+/**
+ * GET /api/audit
+ */
+export const auditLogSchema = z.object({
+  filters: z.object({
+    user: z.string().nullable(),
+    beat: z.number().int().nullable(),
+    act: z.number().int().nullable(),
+    action: z.string().nullable(),
+    since: z.string().nullable(),
+    until: z.string().nullable()
+  }),
+  entries: z.array(z.object({
+    id: z.number().int(),
+    beat_id: z.number().int().nullable(),
+    act_no: z.number().int().nullable(),
+    beat_number: z.number().int().nullable(),
+    action: z.enum(AUDIT_ACTIONS),
+    route: z.string().nullable(),
+    changed_by: z.string().nullable(),
+    changed_at: z.string(),
+    changes: z.record(z.object({ from: z.any(), to: z.any() }))
+  })),
+  next_before: z.number().int().nullable().describe('Pass as before to fetch the next page; null on the last page')
+});
+
+/**
+ * GET /api/search
+ */
+export const searchResultSchema = z.object({
+  query: z.string(),
+  total: z.number().int(),
+  results: z.array(z.object({
+    id: z.number().int(),
+    act_no: z.number().int(),
+    act_title: z.string().nullable(),
+    beat_number: z.number().int(),
+    title: z.string(),
+    url: z.string().describe('Beat page, /ally/act/{actNo}/beat/{beatNo}'),
+    rank: z.number().describe('bm25 score; lower is a better match'),
+    matched_fields: z.array(z.string()),
+    snippets: z.record(z.string()).describe('HTML-escaped excerpt per matching field, with matches wrapped in <mark>')
+  }))
+});
+
+const tagCountSchema = z.object({
+  tag: z.string(),
+  count: z.number().int()
+});
+
+/**
+ * GET /api/tags
+ */
+export const tagListSchema = z.object({
+  total: z.number().int(),
+  tags: z.array(tagCountSchema)
+});
+
+/**
+ * GET /api/tags/{tag}
+ */
+export const tagBeatsSchema = z.object({
+  tag: z.string(),
+  tags: z.array(z.string()).describe('The tag followed by any and tags'),
+  total: z.number().int(),
+  beats: z.array(beatResponseSchema),
+  related: z.array(tagCountSchema).describe('Other tags on these beats, with how many of them carry each')
+});
+
+/**
+ * POST /api/tags/{tag}/rename
+ */
+export const renameTagResultSchema = z.object({
+  from: z.string(),
+  to: z.string(),
+  merged: z.boolean().describe('Whether beats already carried the new name'),
+  beats: z.number().int().describe('Beats changed')
+});
+
+/**
+ * Error body returned by every API route
+ */
+export const errorSchema = z.object({
+  error: z.string(),
+  message: z.string(),
+  details: z.union([
+    z.array(z.object({
+      path: z.string().nullable(),
+      message: z.string(),
+      row: z.number().int().optional()
+    })),
+    z.record(z.any())
+  ]).optional().describe('Field level validation errors, or extra context')
+});
+
+/**
+ * Flatten Zod issues into { path, message } entries
+ */
+export function formatIssues(error) {
+  return error.issues.map(issue => ({
+    path: issue.path.join('.') || null,
+    message: issue.message
+  }));
+}
+
+/**
+ * Parse data with a schema, throwing a 422 HttpError that lists each field path
+ */
+export function parseWith(schema, data, message = 'Request data is invalid') {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw new HttpError(422, 'Validation failed', message, formatIssues(result.error));
+  }
+  return result.data;
+}
+
+/**
+ * Parse a URL's query string with a schema (last value wins for repeated keys)
+ */
+export function parseQuery(schema, url) {
+  return parseWith(schema, Object.fromEntries(url.searchParams), 'Query parameters are invalid');
+}
@@ -0,0 +1,159 @@
+/**
+ * Full-text search for ALLY Beat Sheets Worker
+ *
+ * Searches the beats_fts FTS5 index (schema.sql) over title, description,
+ * conflict, emotion, purpose, stakes and notes. Triggers on beats keep the
+ * index in sync with every write, so nothing here writes to it. Results are
+ * ranked with bm25, title matches weighing most, and only current,
+ * non-deleted beats are returned.
+ *
+ * Queries are never passed to MATCH as typed: words become prefix terms and
+ * "quoted phrases" exact phrases, so FTS5 operators and stray punctuation
+ * cannot cause syntax errors.
+ *
+ * ROUTES:
+ * - GET /api/search?q= : Ranked beats with highlighted snippets (filters: act, limit)
+ */
+
+import { jsonResponse, apiErrorResponse, escapeHTML, HttpError } from './utils.js';
+import { searchQuerySchema, parseQuery } from './schemas.js';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+
+// Indexed columns, in beats_fts order, with their bm25 weights
+export const SEARCH_FIELDS = {
+  title: 10,
+  description: 5,
+  conflict: 3,
+  emotion: 2,
+  purpose: 3,
+  stakes: 3,
+  notes: 1
+};
+
+const MAX_TERMS = 10;
+
+// Tokens per snippet
+const SNIPPET_LENGTH = 12;
+
+// Control characters marking matches in snippet() output until it is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Handle /api/search
+ */
+export async function handleSearchRouting(request, env, path, method, corsHeaders) {
+  try {
+    const query = parseQuery(searchQuerySchema, new URL(request.url));
+    return jsonResponse(await searchBeats(env.SCREENPLAY_DRAFT, query.q, query), 200, corsHeaders);
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Search current beats. Options: act (act number) and limit.
+ * Throws a 422 HttpError when the text has nothing to search for.
+ */
+export async function searchBeats(db, text, { act = null, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const match = buildMatchQuery(text);
+  if (!match) {
+    throw new HttpError(422, 'Validation failed', 'Query parameters are invalid', [
+      { path: 'q', message: 'Must contain at least one letter or number' }
+    ]);
+  }
+
+  const fields = Object.keys(SEARCH_FIELDS);
+  const snippets = fields.map((field, index) =>
+    `snippet(beats_fts, ${index}, char(2), char(3), '…', ${SNIPPET_LENGTH}) as ${field}_snippet`
+  ).join(',\n      ');
+  const where = `
+    WHERE beats_fts MATCH ?1
+      AND b.is_current = 1 AND b.is_deleted = 0
+      AND (?2 IS NULL OR a.act_no = ?2)
+  `;
+
+  const [count, rows] = await db.batch([
+    db.prepare(`
+      SELECT COUNT(*) as total
+      FROM beats_fts
+      JOIN beats b ON b.id = beats_fts.rowid
+      JOIN acts a ON b.act_id = a.id
+      ${where}
+    `).bind(match, act ?? null),
+    db.prepare(`
+      SELECT
+        b.id,
+        b.beat_number,
+        b.title,
+        a.act_no,
+        a.title as act_title,
+        bm25(beats_fts, ${Object.values(SEARCH_FIELDS).join(', ')}) as rank,
+        ${snippets}
+      FROM beats_fts
+      JOIN beats b ON b.id = beats_fts.rowid
+      JOIN acts a ON b.act_id = a.id
+      ${where}
+      ORDER BY rank, a.act_no, b.beat_number
+      LIMIT ?3
+    `).bind(match, act ?? null, limit ?? DEFAULT_SEARCH_LIMIT)
+  ]);
+
+  return {
+    query: text,
+    total: count.results[0]?.total || 0,
+    results: rows.results.map(row => formatSearchResult(row, fields))
+  };
+}
+
+/**
+ * FTS5 MATCH expression for search text: every word becomes a prefix term
+ * and every "quoted phrase" a phrase, all of which must match. Returns ''
+ * when the text holds no letters or numbers.
+ */
+export function buildMatchQuery(text) {
+  const terms = [];
+
+  for (const [, phrase, word] of String(text || '').matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+    const tokens = (phrase ?? word ?? '').match(/[\p{L}\p{N}]+/gu);
+    if (!tokens) continue;
+    terms.push(phrase !== undefined ? `"${tokens.join(' ')}"` : `"${tokens.join(' ')}"*`);
+  }
+
+  return terms.slice(0, MAX_TERMS).join(' ');
+}
+
+/**
+ * Shape a search row: a snippet for each field that matched
+ */
+function formatSearchResult(row, fields) {
+  const snippets = {};
+  for (const field of fields) {
+    const snippet = row[`${field}_snippet`];
+    if (snippet && snippet.includes(MATCH_START)) {
+      snippets[field] = highlight(snippet);
+    }
+  }
+
+  return {
+    id: row.id,
+    act_no: row.act_no,
+    act_title: row.act_title,
+    beat_number: row.beat_number,
+    title: row.title,
+    url: `/ally/act/${row.act_no}/beat/${row.beat_number}`,
+    rank: row.rank,
+    matched_fields: Object.keys(snippets),
+    snippets
+  };
+}
+
+/**
+ * Escape a snippet for HTML and turn the match markers into <mark> tags
+ */
+function highlight(snippet) {
+  return escapeHTML(snippet)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
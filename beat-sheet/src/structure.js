@@ -0,0 +1,279 @@
+/**
+ * Story-structure templates for ALLY Beat Sheets Worker
+ *
+ * A template is a list of slots in story order (Save the Cat's 15 beats, the
+ * Hero's Journey, or a custom list from the STRUCTURE setting), each with the
+ * percent of the runtime where it ideally starts. A beat is assigned to a
+ * slot through beats.structure_slot, which holds the slot key; the write goes
+ * through the same versioned update as any other beat edit.
+ *
+ * The report places every beat on the runtime: where it starts as a percent
+ * of the total minutes (timed as in the pacing report), or of the beat count
+ * when no beat has minutes or pages. A slot is filled by its beats and falls
+ * where the first of them starts; slots more than tolerance percentage
+ * points from their ideal position are early or late, and slots without a
+ * beat are missing.
+ *
+ * ROUTES:
+ * - GET /api/structure/templates : Available templates with their slots
+ * - GET /api/reports/structure : Filled, missing and off-position slots of a template
+ * - PUT /api/beats/{id}/structure : Assign a beat to a slot (null clears it)
+ *
+ * ENVIRONMENT:
+ * - STRUCTURE : optional JSON choosing the default template and tolerance
+ *   and defining the custom template, e.g. { "template": "custom",
+ *   "custom": { "name": "Four acts", "slots": [{ "key": "hook", "name": "Hook", "position": 0 }] } }
+ */
+
+import { jsonResponse, apiErrorResponse, HttpError, readJSONSetting } from './utils.js';
+import { structureQuerySchema, structureSettingsSchema, assignSlotSchema, parseQuery, parseWith, formatIssues } from './schemas.js';
+import { getBeatById, requireBeat, readBeatBody, updateBeat, serializeBeat } from './beats.js';
+import { beatETag, assertIfMatch, withConditionalGet } from './cache.js';
+import { estimateMinutes } from './pacing.js';
+
+/**
+ * Built-in templates. Save the Cat positions are Blake Snyder's page numbers
+ * for a 110-page script; ranged beats such as Set-Up start where they begin.
+ */
+export const STRUCTURE_TEMPLATES = {
+  save_the_cat: {
+    name: 'Save the Cat',
+    slots: [
+      { key: 'opening_image', name: 'Opening Image', position: 0 },
+      { key: 'theme_stated', name: 'Theme Stated', position: 4.5 },
+      { key: 'set_up', name: 'Set-Up', position: 0.9 },
+      { key: 'catalyst', name: 'Catalyst', position: 10.9 },
+      { key: 'debate', name: 'Debate', position: 10.9 },
+      { key: 'break_into_two', name: 'Break into Two', position: 22.7 },
+      { key: 'b_story', name: 'B Story', position: 27.3 },
+      { key: 'fun_and_games', name: 'Fun and Games', position: 27.3 },
+      { key: 'midpoint', name: 'Midpoint', position: 50 },
+      { key: 'bad_guys_close_in', name: 'Bad Guys Close In', position: 50 },
+      { key: 'all_is_lost', name: 'All Is Lost', position: 68.2 },
+      { key: 'dark_night_of_the_soul', name: 'Dark Night of the Soul', position: 68.2 },
+      { key: 'break_into_three', name: 'Break into Three', position: 77.3 },
+      { key: 'finale', name: 'Finale', position: 77.3 },
+      { key: 'final_image', name: 'Final Image', position: 100 }
+    ]
+  },
+  heros_journey: {
+    name: "Hero's Journey",
+    slots: [
+      { key: 'ordinary_world', name: 'Ordinary World', position: 0 },
+      { key: 'call_to_adventure', name: 'Call to Adventure', position: 10 },
+      { key: 'refusal_of_the_call', name: 'Refusal of the Call', position: 15 },
+      { key: 'meeting_the_mentor', name: 'Meeting the Mentor', position: 20 },
+      { key: 'crossing_the_threshold', name: 'Crossing the Threshold', position: 25 },
+      { key: 'tests_allies_enemies', name: 'Tests, Allies, Enemies', position: 30 },
+      { key: 'approach', name: 'Approach to the Inmost Cave', position: 45 },
+      { key: 'ordeal', name: 'The Ordeal', position: 50 },
+      { key: 'reward', name: 'Reward', position: 60 },
+      { key: 'road_back', name: 'The Road Back', position: 75 },
+      { key: 'resurrection', name: 'Resurrection', position: 90 },
+      { key: 'return_with_the_elixir', name: 'Return with the Elixir', position: 95 }
+    ]
+  }
+};
+
+/**
+ * Template used when none is asked for, and how far (percentage points) a
+ * slot may miss its ideal position
+ */
+export const DEFAULT_STRUCTURE = {
+  template: 'save_the_cat',
+  tolerance: 5
+};
+
+/**
+ * Handle /api/structure/templates, /api/reports/structure and
+ * /api/beats/{id}/structure
+ */
+export async function handleStructureRouting(request, env, path, method, corsHeaders, identity = null) {
+  try {
+    const db = env.SCREENPLAY_DRAFT;
+    let match;
+
+    if (path.replace(/\/$/, '') === '/api/structure/templates') {
+      const templates = readStructureTemplates(env);
+      return jsonResponse({
+        default_template: readStructureSettings(env).template.key,
+        templates: Object.values(templates)
+      }, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)\/structure\/?$/))) {
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      await assertIfMatch(request, beat);
+      const data = parseWith(assignSlotSchema, await readBeatBody(request), 'Slot assignment is invalid');
+      const template = data.template === undefined
+        ? readStructureSettings(env).template
+        : readStructureTemplates(env)[data.template];
+      if (!template) {
+        throw new HttpError(422, 'Validation failed', 'Slot assignment is invalid', [
+          { path: 'template', message: `Must be one of: ${Object.keys(readStructureTemplates(env)).join(', ')}` }
+        ]);
+      }
+      if (data.slot !== null && !template.slots.some(slot => slot.key === data.slot)) {
+        throw new HttpError(422, 'Validation failed', 'Slot assignment is invalid', [
+          { path: 'slot', message: `${template.name} has no slot ${data.slot}; use one of: ${template.slots.map(slot => slot.key).join(', ')}` }
+        ]);
+      }
+
+      const updated = await updateBeat(db, beat, { structure_slot: data.slot }, {
+        partial: true,
+        user: identity?.user ?? null,
+        route: `${method} ${path}`
+      });
+      return jsonResponse(serializeBeat(updated), 200, { ...corsHeaders, 'ETag': await beatETag(updated) });
+    }
+
+    const settings = readStructureSettings(env, parseQuery(structureQuerySchema, new URL(request.url)));
+    return await withConditionalGet(request, db, {
+      scope: {},
+      variant: [path, settings],
+      corsHeaders
+    }, async () => jsonResponse(await getStructureReport(db, settings), 200, corsHeaders));
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Templates by key: the built-in ones, plus custom when the STRUCTURE
+ * setting defines it
+ */
+export function readStructureTemplates(env) {
+  return listTemplates(readStructureSetting(env).custom);
+}
+
+/**
+ * Structure settings: DEFAULT_STRUCTURE, then the STRUCTURE setting, then
+ * the parsed query (structureQuerySchema), with the template resolved to
+ * { key, name, slots }. Throws 422 when the query names a template that does
+ * not exist; an unknown template in the setting is logged and ignored.
+ */
+export function readStructureSettings(env, query = {}) {
+  const configured = readStructureSetting(env);
+  const templates = listTemplates(configured.custom);
+
+  if (query.template !== undefined && !templates[query.template]) {
+    throw new HttpError(422, 'Validation failed', 'Query parameters are invalid', [
+      { path: 'template', message: `Must be one of: ${Object.keys(templates).join(', ')}` }
+    ]);
+  }
+  if (configured.template !== undefined && !templates[configured.template]) {
+    console.error(`STRUCTURE is invalid: template: Must be one of: ${Object.keys(templates).join(', ')}`);
+  }
+
+  const key = [query.template, configured.template].find(template => templates[template]) ?? DEFAULT_STRUCTURE.template;
+  return {
+    template: templates[key],
+    tolerance: query.tolerance ?? configured.tolerance ?? DEFAULT_STRUCTURE.tolerance
+  };
+}
+
+/**
+ * Structure report for the current beats against settings.template (see
+ * structureReportSchema)
+ */
+export async function getStructureReport(db, settings = readStructureSettings({})) {
+  const { template, tolerance } = settings;
+  const rows = await db.prepare(`
+    SELECT b.id, b.beat_number, b.title, b.page_count, b.estimated_minutes, b.structure_slot, a.act_no
+    FROM beats b
+    JOIN acts a ON b.act_id = a.id
+    WHERE b.is_current = 1 AND b.is_deleted = 0
+    ORDER BY a.act_no, b.beat_number
+  `).all();
+
+  const minutes = rows.results.map(row => estimateMinutes(row).minutes ?? 0);
+  const totalMinutes = minutes.reduce((sum, value) => sum + value, 0);
+  const measuredBy = totalMinutes > 0 ? 'runtime' : 'beat_order';
+  const slotKeys = new Set(template.slots.map(slot => slot.key));
+
+  let elapsed = 0;
+  const beats = rows.results.map((row, index) => {
+    const start = measuredBy === 'runtime' ? elapsed / totalMinutes : index / rows.results.length;
+    elapsed += minutes[index];
+    return {
+      position: index + 1,
+      id: row.id,
+      act_no: row.act_no,
+      beat_number: row.beat_number,
+      title: row.title,
+      url: `/ally/act/${row.act_no}/beat/${row.beat_number}`,
+      runtime_position: round(start * 100),
+      slot: row.structure_slot ?? null,
+      in_template: !row.structure_slot || slotKeys.has(row.structure_slot)
+    };
+  });
+
+  const slots = template.slots.map(slot => {
+    const filling = beats.filter(beat => beat.slot === slot.key);
+    const position = filling.length > 0 ? filling[0].runtime_position : null;
+    const difference = position !== null ? round(position - slot.position) : null;
+
+    let status = 'missing';
+    if (difference !== null) {
+      status = difference > tolerance ? 'late' : difference < -tolerance ? 'early' : 'on_target';
+    }
+
+    return {
+      key: slot.key,
+      name: slot.name,
+      ideal_position: slot.position,
+      filled: filling.length > 0,
+      position,
+      difference,
+      status,
+      beats: filling.map(beat => beat.position)
+    };
+  });
+
+  return {
+    report_type: 'structure',
+    generated_at: new Date().toISOString(),
+    template,
+    settings: { template: template.key, tolerance },
+    summary: {
+      total_beats: beats.length,
+      measured_by: measuredBy,
+      total_slots: slots.length,
+      filled_slots: slots.filter(slot => slot.filled).length,
+      missing_slots: slots.filter(slot => !slot.filled).length,
+      off_position_slots: slots.filter(slot => slot.status === 'early' || slot.status === 'late').length,
+      assigned_beats: beats.filter(beat => beat.slot && beat.in_template).length,
+      other_slot_beats: beats.filter(beat => !beat.in_template).length
+    },
+    slots,
+    beats
+  };
+}
+
+/**
+ * The STRUCTURE setting (structureSettingsSchema). An invalid setting is
+ * logged and ignored.
+ */
+function readStructureSetting(env) {
+  const parsed = structureSettingsSchema.safeParse(readJSONSetting(env, 'STRUCTURE'));
+  if (!parsed.success) {
+    console.error(`STRUCTURE is invalid: ${formatIssues(parsed.error).map(issue => `${issue.path}: ${issue.message}`).join('; ')}`);
+    return {};
+  }
+  return parsed.data;
+}
+
+/**
+ * Built-in templates and the custom one, by key, each with its key
+ */
+function listTemplates(custom) {
+  const templates = { ...STRUCTURE_TEMPLATES, ...(custom ? { custom } : {}) };
+  return Object.fromEntries(Object.entries(templates).map(([key, template]) => [key, { key, ...template }]));
+}
+
+/**
+ * Percentages to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
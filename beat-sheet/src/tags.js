@@ -0,0 +1,239 @@
+/**
+ * Tags for ALLY Beat Sheets Worker
+ *
+ * Tags live in the beats.tags JSON array. They are matched case-insensitively
+ * and listed under the spelling used first in script order. Adding, removing
+ * and renaming tags goes through the same versioned writes as any other beat
+ * edit, so every change has a version and an audit entry; a rename or merge
+ * changes every beat (trashed ones included) in one batch.
+ *
+ * ROUTES:
+ * - GET /api/tags : Every tag with the number of beats carrying it
+ * - GET /api/tags/{tag} : Beats carrying a tag, with related tags as facets
+ * - POST /api/tags/{tag}/rename : Rename a tag on every beat, merging into an existing tag
+ * - POST /api/beats/{id}/tags : Add tags to a beat
+ * - DELETE /api/beats/{id}/tags/{tag} : Remove a tag from a beat
+ */
+
+import { jsonResponse, apiErrorResponse, HttpError } from './utils.js';
+import {
+  addTagsSchema,
+  renameTagSchema,
+  tagQuerySchema,
+  tagBeatsQuerySchema,
+  tagNameSchema,
+  parseWith,
+  parseQuery
+} from './schemas.js';
+import {
+  getBeatById,
+  requireBeat,
+  readBeatBody,
+  listCurrentBeats,
+  listDeletedBeats,
+  updateBeat,
+  updateStatements,
+  serializeBeat,
+  parseTags,
+  runWrite
+} from './beats.js';
+import { beatETag, assertIfMatch } from './cache.js';
+
+/**
+ * Handle /api/tags and /api/beats/{id}/tags routes
+ */
+export async function handleTagRouting(request, env, path, method, corsHeaders, identity = null) {
+  try {
+    const db = env.SCREENPLAY_DRAFT;
+    const actor = { user: identity?.user ?? null, route: `${method} ${path}` };
+    const url = new URL(request.url);
+    let match;
+
+    if (path === '/api/tags' || path === '/api/tags/') {
+      const query = parseQuery(tagQuerySchema, url);
+      const tags = countTags(await listBeats(db, query.act));
+      return jsonResponse({ total: tags.length, tags }, 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/tags\/([^/]+)$/))) {
+      const query = parseQuery(tagBeatsQuerySchema, url);
+      const tag = readTagParam(match[1]);
+      return jsonResponse(await getTagFacets(db, [tag, ...(query.and || [])], query.act), 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/tags\/([^/]+)\/rename$/))) {
+      const data = parseWith(renameTagSchema, await readBeatBody(request), 'Rename request is invalid');
+      return jsonResponse(await renameTag(db, readTagParam(match[1]), data.to, actor), 200, corsHeaders);
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)\/tags$/))) {
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      await assertIfMatch(request, beat);
+      const data = parseWith(addTagsSchema, await readBeatBody(request), 'Tags are invalid');
+      const updated = await addTags(db, beat, data.tags, actor);
+      return jsonResponse(serializeBeat(updated), 200, { ...corsHeaders, 'ETag': await beatETag(updated) });
+    }
+
+    if ((match = path.match(/^\/api\/beats\/(\d+)\/tags\/([^/]+)$/))) {
+      const beat = await requireBeat(getBeatById(db, parseInt(match[1])));
+      await assertIfMatch(request, beat);
+      const updated = await removeTag(db, beat, readTagParam(match[2]), actor);
+      return jsonResponse(serializeBeat(updated), 200, { ...corsHeaders, 'ETag': await beatETag(updated) });
+    }
+
+    return jsonResponse({ error: 'Not found' }, 404, corsHeaders);
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Tags on a list of beats with the number of beats carrying each, most used
+ * first: [{ tag, count }]
+ */
+export function countTags(beats) {
+  const counts = new Map();
+  for (const beat of beats) {
+    const seen = new Set();
+    for (const tag of parseTags(beat.tags)) {
+      const key = tagKey(tag);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = counts.get(key) || { tag: String(tag), count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'en', { sensitivity: 'base' }));
+}
+
+/**
+ * Beats carrying every one of the tags, and the other tags on those beats
+ * as facets for narrowing further. Throws 404 when no beat carries them.
+ */
+export async function getTagFacets(db, tags, act = null) {
+  const keys = [...new Set(tags.map(tagKey))];
+  const beats = (await listBeats(db, act)).filter(beat => {
+    const carried = new Set(parseTags(beat.tags).map(tagKey));
+    return keys.every(key => carried.has(key));
+  });
+
+  if (beats.length === 0) {
+    throw new HttpError(404, 'Not found', `No beats are tagged ${tags.map(tag => `"${tag}"`).join(' and ')}`);
+  }
+
+  const counted = countTags(beats);
+  const byKey = new Map(counted.map(entry => [tagKey(entry.tag), entry]));
+  return {
+    tag: byKey.get(keys[0])?.tag ?? tags[0],
+    tags: keys.map(key => byKey.get(key)?.tag ?? key),
+    total: beats.length,
+    beats: beats.map(serializeBeat),
+    related: counted.filter(entry => !keys.includes(tagKey(entry.tag)))
+  };
+}
+
+/**
+ * Add tags to a beat, skipping any it already carries in another case
+ */
+export async function addTags(db, beat, tags, actor = {}) {
+  const current = parseTags(beat.tags);
+  const carried = new Set(current.map(tagKey));
+  const added = tags.filter(tag => {
+    const key = tagKey(tag);
+    if (carried.has(key)) return false;
+    carried.add(key);
+    return true;
+  });
+
+  return await updateBeat(db, beat, { tags: [...current, ...added] }, { partial: true, ...actor });
+}
+
+/**
+ * Remove a tag (in any case) from a beat. Throws 404 if the beat does not carry it.
+ */
+export async function removeTag(db, beat, tag, actor = {}) {
+  const current = parseTags(beat.tags);
+  const remaining = current.filter(value => tagKey(value) !== tagKey(tag));
+  if (remaining.length === current.length) {
+    throw new HttpError(404, 'Not found', `Beat is not tagged "${tag}"`);
+  }
+
+  return await updateBeat(db, beat, { tags: remaining }, { partial: true, ...actor });
+}
+
+/**
+ * Rename a tag on every beat, trashed ones included, in one batch. When
+ * beats already carry the new name the two tags are merged. Throws 404 if
+ * no beat carries the tag.
+ */
+export async function renameTag(db, from, to, { user = null, route = null } = {}) {
+  const beats = [...await listCurrentBeats(db), ...await listDeletedBeats(db)];
+  const fromKey = tagKey(from);
+  const toKey = tagKey(to);
+
+  const tagged = beats.filter(beat => parseTags(beat.tags).some(tag => tagKey(tag) === fromKey));
+  if (tagged.length === 0) {
+    throw new HttpError(404, 'Not found', `No beats are tagged "${from}"`);
+  }
+
+  const merged = fromKey !== toKey && beats.some(beat => parseTags(beat.tags).some(tag => tagKey(tag) === toKey));
+  const statements = [];
+  let changed = 0;
+
+  for (const beat of tagged) {
+    const seen = new Set();
+    const tags = [];
+    for (const tag of parseTags(beat.tags)) {
+      const renamed = tagKey(tag) === fromKey ? to : tag;
+      if (seen.has(tagKey(renamed))) continue;
+      seen.add(tagKey(renamed));
+      tags.push(renamed);
+    }
+    const beatStatements = updateStatements(db, beat, { tags: JSON.stringify(tags) }, { user, route });
+    if (beatStatements.length > 0) {
+      statements.push(...beatStatements);
+      changed++;
+    }
+  }
+
+  if (statements.length > 0) {
+    await runWrite(db.batch(statements));
+  }
+
+  return {
+    from: countTags(tagged).find(entry => tagKey(entry.tag) === fromKey)?.tag ?? from,
+    to,
+    merged,
+    beats: changed
+  };
+}
+
+/**
+ * Current beats, optionally in one act
+ */
+async function listBeats(db, act = null) {
+  const beats = await listCurrentBeats(db);
+  return act ? beats.filter(beat => beat.act_no === act) : beats;
+}
+
+/**
+ * Key two spellings of the same tag share
+ */
+function tagKey(tag) {
+  return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Decode and validate a {tag} path segment
+ */
+function readTagParam(segment) {
+  let tag;
+  try {
+    tag = decodeURIComponent(segment);
+  } catch (error) {
+    tag = segment;
+  }
+  return parseWith(tagNameSchema, tag, 'Tag is invalid');
+}
@@ -0,0 +1,102 @@
+/**
+ * Tension arc for ALLY Beat Sheets Worker
+ *
+ * Plots beats.tension_level (1-10) across the whole script in script order,
+ * with the per-act averages from the beat_statistics view. The JSON report
+ * and the /ally/arc chart are built from the same data. Beats without a
+ * tension level stay on the x axis as gaps in the line so that positions
+ * still line up with the beat order.
+ *
+ * ROUTES:
+ * - GET /api/reports/tension : Tension by beat with act boundaries and averages
+ */
+
+import { jsonResponse, apiErrorResponse } from './utils.js';
+import { withConditionalGet } from './cache.js';
+
+/**
+ * Handle /api/reports/tension
+ */
+export async function handleTensionRouting(request, env, path, method, corsHeaders) {
+  try {
+    return await withConditionalGet(request, env.SCREENPLAY_DRAFT, {
+      scope: {},
+      variant: [path],
+      corsHeaders
+    }, async () => jsonResponse(await getTensionArc(env.SCREENPLAY_DRAFT), 200, corsHeaders));
+  } catch (error) {
+    return apiErrorResponse(error, corsHeaders);
+  }
+}
+
+/**
+ * Tension by beat across the script. points are numbered 1..n in script
+ * order; each act names the first and last of its points (null for an act
+ * without beats).
+ */
+export async function getTensionArc(db) {
+  const [actRows, beatRows] = await db.batch([
+    db.prepare(`
+      SELECT act_no, act_title, total_beats, avg_tension
+      FROM beat_statistics
+      ORDER BY act_no
+    `),
+    db.prepare(`
+      SELECT b.id, b.beat_number, b.title, b.tension_level, a.act_no
+      FROM beats b
+      JOIN acts a ON b.act_id = a.id
+      WHERE b.is_current = 1 AND b.is_deleted = 0
+      ORDER BY a.act_no, b.beat_number
+    `)
+  ]);
+
+  const points = beatRows.results.map((beat, index) => ({
+    position: index + 1,
+    id: beat.id,
+    act_no: beat.act_no,
+    beat_number: beat.beat_number,
+    title: beat.title,
+    tension_level: beat.tension_level ?? null,
+    url: `/ally/act/${beat.act_no}/beat/${beat.beat_number}`
+  }));
+
+  const acts = actRows.results.map(act => {
+    const actPoints = points.filter(point => point.act_no === act.act_no);
+    const levels = actPoints.map(point => point.tension_level).filter(level => level !== null);
+    return {
+      act_no: act.act_no,
+      act_title: act.act_title,
+      beat_count: act.total_beats,
+      avg_tension: roundTension(act.avg_tension),
+      min_tension: levels.length > 0 ? Math.min(...levels) : null,
+      max_tension: levels.length > 0 ? Math.max(...levels) : null,
+      first_position: actPoints[0]?.position ?? null,
+      last_position: actPoints[actPoints.length - 1]?.position ?? null
+    };
+  });
+
+  const rated = points.filter(point => point.tension_level !== null);
+  const peak = rated.reduce((best, point) => (!best || point.tension_level > best.tension_level ? point : best), null);
+
+  return {
+    report_type: 'tension_arc',
+    generated_at: new Date().toISOString(),
+    summary: {
+      total_beats: points.length,
+      rated_beats: rated.length,
+      avg_tension: rated.length > 0
+        ? roundTension(rated.reduce((sum, point) => sum + point.tension_level, 0) / rated.length)
+        : null,
+      peak: peak ? { position: peak.position, act_no: peak.act_no, beat_number: peak.beat_number, tension_level: peak.tension_level } : null
+    },
+    acts,
+    points
+  };
+}
+
+/**
+ * Averages to one decimal place
+ */
+function roundTension(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
@@ -4,16 +4,20 @@
  * Generates HTML pages for beat display and navigation
  */
 
+import { escapeHTML } from './utils.js';
+
 /**
  * Generate individual beat page
  */
-export function generateBeatPage(actNumber, beatNumber, beatData, actTitle) {
+export function generateBeatPage(actNumber, beatNumber, beatData, actTitle, history = [], options = {}) {
+  const { canEdit = false } = options;
+  const navigation = generateBeatNavigation(actNumber, beatNumber, beatData);
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>ALLY - ${actTitle} - Beat ${beatNumber}</title>
+    <title>ALLY - ${escapeHTML(actTitle)} - Beat ${beatNumber}</title>
     <style>
         * {
             margin: 0;
@@ -67,6 +71,57 @@ export function generateBeatPage(actNumber, beatNumber, beatData, actTitle) {
             flex-wrap: wrap;
         }
 
+        .tag-list {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+            margin-top: 1rem;
+        }
+
+        .tag-chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 0.35rem;
+            background: #161b22;
+            border: 1px solid #30363d;
+            border-radius: 999px;
+            padding: 0.15rem 0.75rem;
+            font-size: 0.85rem;
+        }
+
+        .tag-chip a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .tag-chip a:hover {
+            text-decoration: underline;
+        }
+
+        .tag-remove {
+            background: none;
+            border: none;
+            color: #8b949e;
+            cursor: pointer;
+            font-size: 1rem;
+            line-height: 1;
+        }
+
+        .tag-remove:hover {
+            color: #f85149;
+        }
+
+        .tag-form input {
+            background: #0d1117;
+            color: #c9d1d9;
+            border: 1px solid #30363d;
+            border-radius: 999px;
+            padding: 0.15rem 0.75rem;
+            font-size: 0.85rem;
+            width: 10rem;
+        }
+
         .content-section {
             background: #161b22;
             border: 1px solid #30363d;
@@ -144,6 +199,53 @@ export function generateBeatPage(actNumber, beatNumber, beatData, actTitle) {
             pointer-events: none;
         }
 
+        .history-list {
+            list-style: none;
+        }
+
+        .history-item {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            padding: 0.75rem 0;
+            border-bottom: 1px solid #21262d;
+        }
+
+        .history-item:last-child {
+            border-bottom: none;
+        }
+
+        .history-version {
+            color: #58a6ff;
+            font-weight: 600;
+            margin-right: 0.5rem;
+        }
+
+        .history-meta {
+            color: #8b949e;
+            font-size: 0.85rem;
+        }
+
+        .history-current {
+            color: #3fb950;
+            font-size: 0.85rem;
+        }
+
+        .restore-button {
+            background: transparent;
+            color: #58a6ff;
+            border: 1px solid #30363d;
+            border-radius: 4px;
+            padding: 0.35rem 0.75rem;
+            cursor: pointer;
+            font-size: 0.85rem;
+        }
+
+        .restore-button:hover {
+            background: #21262d;
+        }
+
         @media (max-width: 768px) {
             body {
                 padding: 1rem;
@@ -166,58 +268,61 @@ export function generateBeatPage(actNumber, beatNumber, beatData, actTitle) {
 </head>
 <body>
     <div class="container">
-        <a href="/ally/act/${actNumber}" class="back-link">← Back to ${actTitle}</a>
+        <a href="/ally/act/${actNumber}" class="back-link">← Back to ${escapeHTML(actTitle)}</a>
         
         <div class="header">
-            <h1>Beat ${beatNumber} ${beatData.sceneNumber ? `(Scene ${beatData.sceneNumber})` : ''}</h1>
+            <h1>Beat ${beatNumber} ${beatData.sceneNumber ? `(Scene ${escapeHTML(beatData.sceneNumber)})` : ''}</h1>
             <div class="metadata">
                 <span>Last updated: ${beatData.lastUpdated}</span>
                 <span>Created: ${beatData.createdDate}</span>
             </div>
+            ${generateTagChips(beatData.id, beatData.tags || [], canEdit, beatData.etag)}
         </div>
 
         <div class="content-section">
-            <h2>${beatData.title}</h2>
-            <p>${beatData.description}</p>
+            <h2>${escapeHTML(beatData.title)}</h2>
+            <p>${escapeHTML(beatData.description)}</p>
         </div>
 
         <div class="beat-details">
             <div class="detail-card">
                 <h3>Conflict</h3>
-                <p>${beatData.conflict}</p>
+                <p>${escapeHTML(beatData.conflict)}</p>
             </div>
             
             <div class="detail-card">
                 <h3>Emotion</h3>
-                <p>${beatData.emotion}</p>
+                <p>${escapeHTML(beatData.emotion)}</p>
             </div>
             
             <div class="detail-card">
                 <h3>Location</h3>
-                <p>${beatData.location}</p>
+                <p>${escapeHTML(beatData.location)}</p>
             </div>
             
             <div class="detail-card">
                 <h3>Time of Day</h3>
-                <p>${beatData.timeOfDay}</p>
+                <p>${escapeHTML(beatData.timeOfDay)}</p>
             </div>
             
             <div class="detail-card">
                 <h3>Characters</h3>
-                <p>${beatData.characters}</p>
+                <p>${escapeHTML(beatData.characters)}</p>
             </div>
         </div>
 
+        ${generateHistoryPanel(beatData.id, history, canEdit, beatData.etag)}
+
         <div class="navigation">
-            <a href="/ally/act/${actNumber}/beat/${beatNumber - 1}" class="nav-button" ${beatNumber <= 1 ? 'style="visibility: hidden;"' : ''}>
+            <a href="${navigation.previous.href}" class="nav-button" ${navigation.previous.hidden ? 'style="visibility: hidden;"' : ''}>
                 ← Previous Beat
             </a>
             
             <a href="/ally/act/${actNumber}" class="nav-button">
-                ${actTitle} Overview
+                ${escapeHTML(actTitle)} Overview
             </a>
             
-            <a href="/ally/act/${actNumber}/beat/${beatNumber + 1}" class="nav-button">
+            <a href="${navigation.next.href}" class="nav-button" ${navigation.next.hidden ? 'style="visibility: hidden;"' : ''}>
                 Next Beat →
             </a>
         </div>
@@ -228,6 +333,2067 @@ export function generateBeatPage(actNumber, beatNumber, beatData, actTitle) {
   return html;
 }
 
+/**
+ * Resolve previous/next links. Uses the neighbours looked up from the database
+ * when present (beatData.previous / beatData.next, null at either end of the
+ * script) and falls back to beat number +/- 1 otherwise.
+ */
+function generateBeatNavigation(actNumber, beatNumber, beatData) {
+  const link = (target, fallbackNumber) => {
+    if (target === undefined) {
+      return { href: `/ally/act/${actNumber}/beat/${fallbackNumber}`, hidden: fallbackNumber < 1 };
+    }
+    if (target === null) {
+      return { href: '#', hidden: true };
+    }
+    return { href: `/ally/act/${target.act_no}/beat/${target.beat_number}`, hidden: false };
+  };
+
+  return {
+    previous: link(beatData.previous, beatNumber - 1),
+    next: link(beatData.next, beatNumber + 1)
+  };
+}
+
+/**
+ * Generate the tag chips for a beat page, each linking to its tag page. Remove
+ * buttons and the add form are only rendered for callers who can edit beats;
+ * their requests send the beat's ETag as If-Match.
+ */
+function generateTagChips(beatId, tags, canEdit, etag) {
+  if (!beatId || (tags.length === 0 && !canEdit)) {
+    return '';
+  }
+
+  const chips = tags.map(tag => `
+                <span class="tag-chip">
+                    <a href="/ally/tags/${encodeURIComponent(tag)}">${escapeHTML(tag)}</a>
+                    ${canEdit ? `<button class="tag-remove" data-tag="${escapeHTML(tag)}" aria-label="Remove tag ${escapeHTML(tag)}">&times;</button>` : ''}
+                </span>`).join('');
+
+  return `
+            <div class="tag-list">${chips}
+                ${canEdit ? `<form class="tag-form">
+                    <input type="text" name="tags" placeholder="Add tags, comma separated" aria-label="Add tags" required>
+                </form>` : ''}
+            </div>
+            ${canEdit ? `<script>
+                const tagRequest = async (method, path, body) => {
+                    const response = await fetch('/api/beats/${beatId}/tags' + path, {
+                        method,
+                        headers: { 'If-Match': ${JSON.stringify(etag)}, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+                        body: body ? JSON.stringify(body) : undefined
+                    });
+                    if (response.ok) {
+                        location.reload();
+                    } else {
+                        const result = await response.json().catch(() => ({}));
+                        alert('Tag update failed: ' + (result.message || response.status));
+                    }
+                };
+                document.querySelectorAll('.tag-remove').forEach(button => {
+                    button.addEventListener('click', () => tagRequest('DELETE', '/' + encodeURIComponent(button.dataset.tag)));
+                });
+                document.querySelector('.tag-form').addEventListener('submit', event => {
+                    event.preventDefault();
+                    tagRequest('POST', '', { tags: event.target.tags.value });
+                });
+            </script>` : ''}`;
+}
+
+/**
+ * Generate the version history panel for a beat page. Restore buttons are
+ * only rendered for callers who can edit beats and send the beat's ETag as
+ * If-Match.
+ */
+function generateHistoryPanel(beatId, history, canRestore, etag) {
+  if (!beatId || history.length === 0) {
+    return '';
+  }
+
+  const items = history.map(entry => `
+                <li class="history-item">
+                    <div>
+                        <span class="history-version">v${entry.version}</span>
+                        <span>${escapeHTML(entry.beat.title)}</span>
+                        <div class="history-meta">
+                            ${escapeHTML(entry.updated_at || 'Unknown date')}${entry.updated_by ? ` by ${escapeHTML(entry.updated_by)}` : ''}
+                            ${entry.changed_fields.length > 0 ? ` &middot; Changed: ${entry.changed_fields.map(escapeHTML).join(', ')}` : ''}
+                        </div>
+                    </div>
+                    ${entry.is_current
+                      ? '<span class="history-current">Current</span>'
+                      : canRestore ? `<button class="restore-button" data-version="${entry.version}">Restore</button>` : ''}
+                </li>`).join('');
+
+  return `
+        <div class="content-section" id="history">
+            <h2>History</h2>
+            <ul class="history-list">${items}
+            </ul>
+        </div>
+        ${canRestore ? `<script>
+            document.querySelectorAll('.restore-button').forEach(button => {
+                button.addEventListener('click', async () => {
+                    const version = button.dataset.version;
+                    if (!confirm('Restore version ' + version + ' as the current beat?')) return;
+                    const response = await fetch('/api/beats/${beatId}/history/' + version + '/restore', {
+                        method: 'POST',
+                        headers: { 'If-Match': ${JSON.stringify(etag)} }
+                    });
+                    if (response.ok) {
+                        location.reload();
+                    } else {
+                        const result = await response.json().catch(() => ({}));
+                        alert('Restore failed: ' + (result.message || response.status));
+                    }
+                });
+            });
+        </script>` : ''}`;
+}
+
+/**
+ * Generate consistent header template for all pages
+ */
+export function generatePageHeader(title, subtitle, subtitleColor = '#888') {
+  return `
+    <div class="header">
+        <h1>${title}</h1>
+        <p class="subtitle" style="color: ${subtitleColor}; font-weight: 600;">${subtitle}</p>
+    </div>
+  `;
+}
+
+/**
+ * Wrap page content in the shared /ally layout (dark theme, header, back link)
+ */
+export function generateAllyLayout(pageTitle, subtitle, content, options = {}) {
+  const {
+    subtitleColor = '#f85149',
+    backLink = '/ally',
+    backLabel = 'Back to Acts',
+    styles = '',
+    script = ''
+  } = options;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>ALLY - ${escapeHTML(pageTitle)}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: #0a0a0a;
+            min-height: 100vh;
+            color: #fff;
+            padding: 2rem;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+        }
+
+        .header {
+            text-align: center;
+            margin-bottom: 3rem;
+            padding-bottom: 2rem;
+            border-bottom: 1px solid #333;
+        }
+
+        .header h1 {
+            font-size: 3rem;
+            font-weight: 300;
+            margin-bottom: 1rem;
+            font-family: Georgia, 'Times New Roman', serif;
+            letter-spacing: 2px;
+        }
+
+        .header .subtitle {
+            font-size: 1.2rem;
+            color: #888;
+        }
+
+        .nav {
+            margin-bottom: 2rem;
+        }
+
+        .nav a {
+            color: #fff;
+            text-decoration: none;
+            font-size: 1rem;
+            padding: 0.5rem 1rem;
+            border-radius: 4px;
+            transition: background 0.2s;
+        }
+
+        .nav a:hover {
+            background: #333;
+        }
+
+        .panel {
+            background: #111;
+            border: 1px solid #333;
+            border-radius: 8px;
+            padding: 2rem;
+            margin-bottom: 2rem;
+        }
+
+        .empty-state {
+            text-align: center;
+            padding: 3rem;
+            color: #8b949e;
+        }
+
+        .action-button {
+            background: transparent;
+            color: #58a6ff;
+            border: 1px solid #333;
+            border-radius: 4px;
+            padding: 0.35rem 0.75rem;
+            cursor: pointer;
+            font-size: 0.85rem;
+        }
+
+        .action-button:hover {
+            background: #222;
+        }
+
+        .action-button.danger {
+            color: #f85149;
+        }
+
+        @media (max-width: 768px) {
+            .header h1 {
+                font-size: 2rem;
+            }
+        }
+${styles}
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${generatePageHeader('ALLY', subtitle, subtitleColor)}
+        
+        <div class="nav">
+            <a href="${backLink}">&larr; ${backLabel}</a>
+        </div>
+
+        ${content}
+    </div>
+    ${script ? `<script>${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Generate trash page listing soft deleted beats. Restore and purge buttons
+ * are only rendered when options.canManage is set (admins).
+ */
+export function generateTrashPage(deletedBeats, options = {}) {
+  const { canManage = false } = options;
+  const rows = deletedBeats.map(beat => `
+            <tr>
+                <td>Act ${beat.act_no}</td>
+                <td>Beat ${beat.beat_number}</td>
+                <td>${escapeHTML(beat.title)}</td>
+                <td>${escapeHTML(beat.updated_at || '')}</td>
+                <td class="trash-actions">${canManage ? `
+                    <button class="action-button" data-action="restore" data-id="${beat.id}">Restore</button>
+                    <button class="action-button danger" data-action="purge" data-id="${beat.id}">Delete forever</button>` : ''}
+                </td>
+            </tr>`).join('');
+
+  const content = deletedBeats.length === 0
+    ? `<div class="panel empty-state">
+            <h3>Trash is empty</h3>
+            <p>Deleted beats appear here and can be restored or removed permanently.</p>
+        </div>`
+    : `<div class="panel">
+            <div class="trash-toolbar">
+                <span>${deletedBeats.length} deleted beat${deletedBeats.length === 1 ? '' : 's'}</span>
+                ${canManage ? '<button class="action-button danger" data-action="purge-all">Empty trash</button>' : ''}
+            </div>
+            <table class="trash-table">
+                <thead>
+                    <tr><th>Act</th><th>Beat</th><th>Title</th><th>Deleted</th><th></th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>`;
+
+  const styles = `
+        .trash-toolbar {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 1rem;
+            color: #8b949e;
+        }
+
+        .trash-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+
+        .trash-table th,
+        .trash-table td {
+            text-align: left;
+            padding: 0.75rem 0.5rem;
+            border-bottom: 1px solid #222;
+        }
+
+        .trash-table th {
+            color: #8b949e;
+            font-weight: 500;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+        }
+
+        .trash-actions {
+            white-space: nowrap;
+            text-align: right;
+        }
+`;
+
+  const script = `
+        const requests = {
+            'restore': id => fetch('/api/trash/' + id + '/restore', { method: 'POST' }),
+            'purge': id => fetch('/api/trash/' + id, { method: 'DELETE' }),
+            'purge-all': () => fetch('/api/trash', { method: 'DELETE' })
+        };
+        const prompts = {
+            'purge': 'Permanently delete this beat and its history?',
+            'purge-all': 'Permanently delete every beat in the trash?'
+        };
+        document.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.action;
+                if (prompts[action] && !confirm(prompts[action])) return;
+                const response = await requests[action](button.dataset.id);
+                if (response.ok) {
+                    location.reload();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Request failed: ' + (result.message || response.status));
+                }
+            });
+        });
+`;
+
+  return generateAllyLayout('Trash', 'TRASH - DELETED BEATS', content, { styles, script: canManage ? script : '' });
+}
+
+/**
+ * Generate the activity page from an audit log listing (listAuditEntries).
+ * options.error lists query problems to show above the filters.
+ */
+export function generateActivityPage(log, options = {}) {
+  const { error = null, actions = [] } = options;
+  const filters = log.filters;
+
+  const formatValue = value => {
+    if (value === null || value === undefined || value === '') return '<span class="empty-value">empty</span>';
+    const text = String(value);
+    return escapeHTML(text.length > 120 ? `${text.slice(0, 117)}...` : text);
+  };
+
+  const beatLabel = entry => {
+    const label = `Act ${entry.act_no ?? '?'} &middot; Beat ${entry.beat_number ?? '?'}`;
+    const live = entry.act_no && entry.beat_number && !['delete', 'purge'].includes(entry.action);
+    return live ? `<a href="/ally/act/${entry.act_no}/beat/${entry.beat_number}">${label}</a>` : label;
+  };
+
+  const rows = log.entries.map(entry => {
+    const changes = Object.entries(entry.changes).map(([field, change]) => `
+                        <li><code>${escapeHTML(field)}</code> ${formatValue(change.from)} &rarr; ${formatValue(change.to)}</li>`).join('');
+
+    return `
+            <tr>
+                <td class="nowrap">${escapeHTML(entry.changed_at)}</td>
+                <td>${escapeHTML(entry.changed_by || 'unknown')}</td>
+                <td><span class="audit-action audit-${escapeHTML(entry.action)}">${escapeHTML(entry.action.replace('_', ' '))}</span></td>
+                <td class="nowrap">${beatLabel(entry)}<div class="audit-meta">id ${entry.beat_id ?? '?'}</div></td>
+                <td><code class="audit-route">${escapeHTML(entry.route || '')}</code></td>
+                <td><ul class="audit-changes">${changes}
+                    </ul></td>
+            </tr>`;
+  }).join('');
+
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== null && value !== undefined));
+  if (log.next_before) query.set('before', log.next_before);
+
+  const value = key => escapeHTML(filters[key] ?? '');
+  const form = `
+        <form class="panel audit-filters" method="get" action="/ally/activity">
+            <label>User <input type="text" name="user" value="${value('user')}" placeholder="email or api-key"></label>
+            <label>Act <input type="number" name="act" min="1" value="${value('act')}"></label>
+            <label>Beat id <input type="number" name="beat" min="1" value="${value('beat')}"></label>
+            <label>Action
+                <select name="action">
+                    <option value="">Any</option>${actions.map(action => `
+                    <option value="${action}"${filters.action === action ? ' selected' : ''}>${action.replace('_', ' ')}</option>`).join('')}
+                </select>
+            </label>
+            <label>Since <input type="date" name="since" value="${value('since')}"></label>
+            <label>Until <input type="date" name="until" value="${value('until')}"></label>
+            <button class="action-button" type="submit">Filter</button>
+            <a class="action-button" href="/ally/activity">Clear</a>
+        </form>`;
+
+  const problems = error ? `
+        <div class="panel audit-error">
+            <strong>Some filters were ignored:</strong>
+            <ul>${error.map(issue => `<li><code>${escapeHTML(issue.path || 'query')}</code> ${escapeHTML(issue.message)}</li>`).join('')}</ul>
+        </div>` : '';
+
+  const content = `${problems}${form}
+        ${log.entries.length === 0
+          ? `<div class="panel empty-state">
+            <h3>No activity</h3>
+            <p>Beat changes appear here with who made them and what changed.</p>
+        </div>`
+          : `<div class="panel">
+            <table class="audit-table">
+                <thead>
+                    <tr><th>When (UTC)</th><th>Who</th><th>Action</th><th>Beat</th><th>Route</th><th>Changes</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            ${log.next_before ? `<p class="audit-more"><a class="action-button" href="/ally/activity?${escapeHTML(query.toString())}">Older entries &rarr;</a></p>` : ''}
+        </div>`}`;
+
+  const styles = `
+        .audit-filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            align-items: flex-end;
+        }
+
+        .audit-filters label {
+            display: flex;
+            flex-direction: column;
+            gap: 0.35rem;
+            color: #8b949e;
+            font-size: 0.85rem;
+        }
+
+        .audit-filters input,
+        .audit-filters select {
+            background: #0a0a0a;
+            color: #fff;
+            border: 1px solid #333;
+            border-radius: 4px;
+            padding: 0.35rem 0.5rem;
+        }
+
+        .audit-filters a.action-button {
+            text-decoration: none;
+        }
+
+        .audit-error {
+            border-color: #f85149;
+            color: #f85149;
+        }
+
+        .audit-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+        }
+
+        .audit-table th,
+        .audit-table td {
+            text-align: left;
+            vertical-align: top;
+            padding: 0.75rem 0.5rem;
+            border-bottom: 1px solid #222;
+        }
+
+        .audit-table th {
+            color: #8b949e;
+            font-weight: 500;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+        }
+
+        .audit-table a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .nowrap {
+            white-space: nowrap;
+        }
+
+        .audit-meta,
+        .empty-value {
+            color: #8b949e;
+            font-size: 0.8rem;
+        }
+
+        .audit-action {
+            text-transform: capitalize;
+            color: #58a6ff;
+        }
+
+        .audit-delete,
+        .audit-purge {
+            color: #f85149;
+        }
+
+        .audit-create,
+        .audit-restore {
+            color: #3fb950;
+        }
+
+        .audit-route {
+            color: #8b949e;
+            font-size: 0.8rem;
+        }
+
+        .audit-changes {
+            list-style: none;
+        }
+
+        .audit-changes li {
+            margin-bottom: 0.25rem;
+            word-break: break-word;
+        }
+
+        .audit-more {
+            margin-top: 1rem;
+            text-align: center;
+        }
+
+        .audit-more a {
+            text-decoration: none;
+        }
+`;
+
+  return generateAllyLayout('Activity', 'ACTIVITY - BEAT CHANGES', content, { styles });
+}
+
+/**
+ * Search box submitting to /ally/search. Styled inline so it can sit on any
+ * /ally page.
+ */
+export function generateSearchForm(query = '') {
+  return `<form method="get" action="/ally/search" role="search" style="display: flex; gap: 0.5rem; margin-bottom: 2rem;">
+            <input type="search" name="q" value="${escapeHTML(query)}" placeholder="Search beats: titles, descriptions, conflict, notes..." aria-label="Search beats" style="flex: 1; background: #111; color: #fff; border: 1px solid #333; border-radius: 4px; padding: 0.6rem 0.75rem; font-size: 1rem;">
+            <button type="submit" style="background: transparent; color: #58a6ff; border: 1px solid #333; border-radius: 4px; padding: 0.6rem 1rem; cursor: pointer; font-size: 1rem;">Search</button>
+        </form>`;
+}
+
+/**
+ * Generate the search page from searchBeats results (null before a search).
+ * Snippets are already escaped, with matches in <mark>.
+ */
+export function generateSearchPage(results, options = {}) {
+  const { query = '', error = null } = options;
+  const fieldLabel = field => field.charAt(0).toUpperCase() + field.slice(1);
+
+  const problems = error ? `
+        <div class="panel search-error">
+            <strong>Search failed:</strong>
+            <ul>${error.map(issue => `<li><code>${escapeHTML(issue.path || 'query')}</code> ${escapeHTML(issue.message)}</li>`).join('')}</ul>
+        </div>` : '';
+
+  let body = '';
+  if (results && results.results.length === 0) {
+    body = `<div class="panel empty-state">
+            <h3>No beats found</h3>
+            <p>Try fewer words or the start of a word; every word must appear in the beat.</p>
+        </div>`;
+  } else if (results) {
+    const items = results.results.map(result => `
+            <li class="search-result">
+                <a href="${result.url}">
+                    <span class="search-location">Act ${result.act_no} &middot; Beat ${result.beat_number}</span>
+                    <span class="search-title">${result.snippets.title || escapeHTML(result.title)}</span>
+                </a>
+                ${Object.entries(result.snippets).filter(([field]) => field !== 'title').map(([field, snippet]) => `
+                <p class="search-snippet"><span class="search-field">${fieldLabel(field)}</span> ${snippet}</p>`).join('')}
+            </li>`).join('');
+
+    body = `<div class="panel">
+            <div class="search-count">${results.total} beat${results.total === 1 ? '' : 's'} found${results.total > results.results.length ? `, showing the best ${results.results.length}` : ''}</div>
+            <ol class="search-results">${items}
+            </ol>
+        </div>`;
+  }
+
+  const content = `${generateSearchForm(query)}${problems}
+        ${body}`;
+
+  const styles = `
+        .search-error {
+            border-color: #f85149;
+        }
+
+        .search-error ul {
+            margin: 0.5rem 0 0 1.25rem;
+        }
+
+        .search-count {
+            color: #8b949e;
+            margin-bottom: 1rem;
+        }
+
+        .search-results {
+            list-style: none;
+        }
+
+        .search-result {
+            padding: 1rem 0;
+            border-bottom: 1px solid #222;
+        }
+
+        .search-result a {
+            color: inherit;
+            text-decoration: none;
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            margin-bottom: 0.5rem;
+        }
+
+        .search-location {
+            color: #8b949e;
+            font-size: 0.8rem;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .search-title {
+            color: #58a6ff;
+            font-size: 1.2rem;
+        }
+
+        .search-snippet {
+            color: #ccc;
+            line-height: 1.6;
+            margin-top: 0.25rem;
+        }
+
+        .search-field {
+            color: #8b949e;
+            font-size: 0.8rem;
+            margin-right: 0.5rem;
+        }
+
+        .search-result mark {
+            background: rgba(248, 81, 73, 0.25);
+            color: #fff;
+            border-radius: 2px;
+            padding: 0 2px;
+        }
+`;
+
+  return generateAllyLayout('Search', 'SEARCH - BEATS', content, { styles });
+}
+
+/**
+ * Styles shared by the tag index and tag pages
+ */
+const TAG_PAGE_STYLES = `
+        .tag-cloud {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.75rem;
+        }
+
+        .tag-cloud a {
+            display: inline-flex;
+            align-items: center;
+            gap: 0.5rem;
+            color: #58a6ff;
+            text-decoration: none;
+            border: 1px solid #333;
+            border-radius: 999px;
+            padding: 0.35rem 0.9rem;
+        }
+
+        .tag-cloud a:hover {
+            background: #222;
+        }
+
+        .tag-count {
+            color: #8b949e;
+            font-size: 0.8rem;
+        }
+
+        .tag-heading {
+            color: #8b949e;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            margin-bottom: 1rem;
+        }
+
+        .tag-beats {
+            list-style: none;
+        }
+
+        .tag-beats li {
+            padding: 0.75rem 0;
+            border-bottom: 1px solid #222;
+        }
+
+        .tag-beats a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .tag-beat-location {
+            color: #8b949e;
+            font-size: 0.8rem;
+            margin-right: 0.75rem;
+        }
+`;
+
+/**
+ * Generate the tag index from countTags: every tag with its beat count
+ */
+export function generateTagsPage(tags) {
+  const content = tags.length === 0
+    ? `<div class="panel empty-state">
+            <h3>No tags yet</h3>
+            <p>Tags added to beats appear here with the number of beats carrying each.</p>
+        </div>`
+    : `<div class="panel">
+            <div class="tag-heading">${tags.length} tag${tags.length === 1 ? '' : 's'}</div>
+            <div class="tag-cloud">${tags.map(entry => `
+                <a href="/ally/tags/${encodeURIComponent(entry.tag)}">${escapeHTML(entry.tag)} <span class="tag-count">${entry.count}</span></a>`).join('')}
+            </div>
+        </div>`;
+
+  return generateAllyLayout('Tags', 'TAGS', content, { styles: TAG_PAGE_STYLES });
+}
+
+/**
+ * Generate a tag page from getTagFacets (null when no beat carries the tags).
+ * Related tags link to the same page with the tag added to and, and the
+ * chips of the selected tags link to it with that tag left out. options.act
+ * keeps those links within one act.
+ */
+export function generateTagPage(tags, facets, options = {}) {
+  const { act = null, error = null } = options;
+  const [tag, ...and] = facets ? facets.tags : tags;
+  const tagURL = (first, rest) => {
+    const params = new URLSearchParams();
+    if (rest.length > 0) params.set('and', rest.join(','));
+    if (act) params.set('act', act);
+    const query = params.toString();
+    return `/ally/tags/${encodeURIComponent(first)}${query ? `?${query}` : ''}`;
+  };
+
+  const problems = error ? `
+        <div class="panel" style="border-color: #f85149;">
+            <strong>Some filters were ignored:</strong>
+            <ul style="margin: 0.5rem 0 0 1.25rem;">${error.map(issue => `<li><code>${escapeHTML(issue.path || 'query')}</code> ${escapeHTML(issue.message)}</li>`).join('')}</ul>
+        </div>` : '';
+
+  const selected = and.length > 0 ? `
+            <div class="tag-heading">Narrowed to beats also tagged</div>
+            <div class="tag-cloud" style="margin-bottom: 1.5rem;">${and.map(extra => `
+                <a href="${tagURL(tag, and.filter(other => other !== extra))}" title="Remove this filter">${escapeHTML(extra)} <span class="tag-count">&times;</span></a>`).join('')}
+            </div>` : '';
+
+  let body;
+  if (!facets) {
+    body = `<div class="panel empty-state">
+            <h3>No beats found</h3>
+            <p>No beat is tagged ${[tag, ...and].map(name => `&ldquo;${escapeHTML(name)}&rdquo;`).join(' and ')}${act ? ` in Act ${act}` : ''}. <a href="/ally/tags" style="color: #58a6ff;">See every tag</a>.</p>
+        </div>`;
+  } else {
+    const related = facets.related.length > 0 ? `
+        <div class="panel">
+            <div class="tag-heading">Narrow by a related tag</div>
+            <div class="tag-cloud">${facets.related.map(entry => `
+                <a href="${tagURL(tag, [...and, entry.tag])}">${escapeHTML(entry.tag)} <span class="tag-count">${entry.count}</span></a>`).join('')}
+            </div>
+        </div>` : '';
+
+    body = `<div class="panel">${selected}
+            <div class="tag-heading">${facets.total} beat${facets.total === 1 ? '' : 's'}${act ? ` in Act ${act}` : ''}</div>
+            <ul class="tag-beats">${facets.beats.map(beat => `
+                <li>
+                    <span class="tag-beat-location">Act ${beat.act_no} &middot; Beat ${beat.beat_number}</span>
+                    <a href="/ally/act/${beat.act_no}/beat/${beat.beat_number}">${escapeHTML(beat.title)}</a>
+                </li>`).join('')}
+            </ul>
+        </div>${related}`;
+  }
+
+  return generateAllyLayout(`Tag: ${tag}`, `TAG - ${escapeHTML(tag.toUpperCase())}`, `${problems}
+        ${body}`, {
+    styles: TAG_PAGE_STYLES,
+    backLink: '/ally/tags',
+    backLabel: 'All tags'
+  });
+}
+
+// Tension chart geometry (SVG user units)
+const ARC_CHART = { width: 960, height: 360, left: 44, right: 16, top: 40, bottom: 36 };
+
+/**
+ * Server-rendered SVG line chart of a tension arc (getTensionArc). Each beat
+ * gets an equal slot along the x axis; acts are shaded with their average as
+ * a band, and every point links to its beat with a <title> tooltip.
+ */
+export function generateTensionChart(arc) {
+  const { width, height, left, right, top, bottom } = ARC_CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const slot = plotWidth / Math.max(arc.points.length, 1);
+  const x = position => left + (position - 0.5) * slot;
+  const y = level => top + (10 - level) / 9 * plotHeight;
+  const round = value => Math.round(value * 10) / 10;
+
+  const grid = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(level => `
+            <line class="arc-grid" x1="${left}" x2="${width - right}" y1="${round(y(level))}" y2="${round(y(level))}"/>
+            <text class="arc-axis" x="${left - 8}" y="${round(y(level)) + 4}" text-anchor="end">${level}</text>`).join('');
+
+  const acts = arc.acts.filter(act => act.first_position !== null).map((act, index) => {
+    const start = left + (act.first_position - 1) * slot;
+    const end = left + act.last_position * slot;
+    const band = act.avg_tension === null ? '' : `
+            <rect class="arc-band" x="${round(start)}" width="${round(end - start)}" y="${round(y(Math.min(act.avg_tension + 0.25, 10)))}" height="${round(y(Math.max(act.avg_tension - 0.25, 1)) - y(Math.min(act.avg_tension + 0.25, 10)))}">
+                <title>Act ${act.act_no} average tension ${act.avg_tension}</title>
+            </rect>`;
+    return `
+            <rect class="arc-act${index % 2 ? ' alt' : ''}" x="${round(start)}" y="${top}" width="${round(end - start)}" height="${plotHeight}"/>${band}
+            ${index > 0 ? `<line class="arc-boundary" x1="${round(start)}" x2="${round(start)}" y1="${top - 24}" y2="${top + plotHeight}"/>` : ''}
+            <text class="arc-act-label" x="${round(start + 6)}" y="${top - 10}">Act ${act.act_no}${act.avg_tension === null ? '' : ` &middot; avg ${act.avg_tension}`}</text>`;
+  }).join('');
+
+  // One path segment per run of rated beats; unrated beats leave a gap
+  let line = '';
+  let drawing = false;
+  for (const point of arc.points) {
+    if (point.tension_level === null) {
+      drawing = false;
+      continue;
+    }
+    line += `${drawing ? 'L' : 'M'}${round(x(point.position))},${round(y(point.tension_level))} `;
+    drawing = true;
+  }
+
+  const points = arc.points.filter(point => point.tension_level !== null).map(point => `
+            <a href="${point.url}">
+                <circle class="arc-point" cx="${round(x(point.position))}" cy="${round(y(point.tension_level))}" r="5">
+                    <title>Act ${point.act_no} &middot; Beat ${point.beat_number}: ${escapeHTML(point.title)} (tension ${point.tension_level})</title>
+                </circle>
+            </a>`).join('');
+
+  const beatLabels = arc.points.length <= 40 ? arc.points.map(point => `
+            <text class="arc-axis" x="${round(x(point.position))}" y="${height - bottom + 16}" text-anchor="middle">${point.beat_number}</text>`).join('') : '';
+
+  return `<svg class="arc-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Tension level by beat across the script">${acts}${grid}
+            <path class="arc-line" d="${line.trim()}"/>${points}${beatLabels}
+            <text class="arc-axis" x="${left + plotWidth / 2}" y="${height - 4}" text-anchor="middle">${arc.points.length <= 40 ? 'Beat number within act' : 'Beats in script order'}</text>
+        </svg>`;
+}
+
+/**
+ * Generate the /ally/arc page from getTensionArc: the chart and a table of
+ * act averages
+ */
+export function generateArcPage(arc) {
+  if (arc.points.length === 0) {
+    return generateAllyLayout('Tension Arc', 'TENSION ARC', `<div class="panel empty-state">
+            <h3>No beats yet</h3>
+            <p>The arc plots each beat's tension level (1-10) across the script.</p>
+        </div>`);
+  }
+
+  const rows = arc.acts.map(act => `
+                <tr>
+                    <td><a href="/ally/act/${act.act_no}">Act ${act.act_no}</a>${act.act_title ? ` &middot; ${escapeHTML(act.act_title)}` : ''}</td>
+                    <td>${act.beat_count}</td>
+                    <td>${act.avg_tension ?? '&ndash;'}</td>
+                    <td>${act.min_tension === null ? '&ndash;' : `${act.min_tension}&ndash;${act.max_tension}`}</td>
+                </tr>`).join('');
+
+  const { summary } = arc;
+  const content = `<div class="panel">
+            <div class="arc-summary">
+                ${summary.total_beats} beat${summary.total_beats === 1 ? '' : 's'}${summary.rated_beats < summary.total_beats ? ` (${summary.total_beats - summary.rated_beats} without a tension level)` : ''}
+                ${summary.avg_tension === null ? '' : ` &middot; average tension ${summary.avg_tension}`}
+                ${summary.peak ? ` &middot; peak <a href="/ally/act/${summary.peak.act_no}/beat/${summary.peak.beat_number}">Act ${summary.peak.act_no}, Beat ${summary.peak.beat_number}</a> at ${summary.peak.tension_level}` : ''}
+            </div>
+            ${generateTensionChart(arc)}
+        </div>
+
+        <div class="panel">
+            <table class="arc-table">
+                <thead>
+                    <tr><th>Act</th><th>Beats</th><th>Average</th><th>Range</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+            <p class="arc-note">Data: <a href="/api/reports/tension">/api/reports/tension</a></p>
+        </div>`;
+
+  const styles = `
+        .arc-summary {
+            color: #8b949e;
+            margin-bottom: 1rem;
+        }
+
+        .arc-summary a,
+        .arc-table a,
+        .arc-note a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .arc-chart {
+            width: 100%;
+            height: auto;
+            display: block;
+        }
+
+        .arc-act {
+            fill: #141414;
+        }
+
+        .arc-act.alt {
+            fill: #1b1b1b;
+        }
+
+        .arc-band {
+            fill: rgba(88, 166, 255, 0.18);
+        }
+
+        .arc-grid {
+            stroke: #2a2a2a;
+            stroke-width: 1;
+        }
+
+        .arc-boundary {
+            stroke: #8b949e;
+            stroke-dasharray: 4 4;
+        }
+
+        .arc-axis {
+            fill: #8b949e;
+            font-size: 11px;
+        }
+
+        .arc-act-label {
+            fill: #ccc;
+            font-size: 12px;
+        }
+
+        .arc-line {
+            fill: none;
+            stroke: #f85149;
+            stroke-width: 2;
+            stroke-linejoin: round;
+        }
+
+        .arc-point {
+            fill: #0a0a0a;
+            stroke: #f85149;
+            stroke-width: 2;
+            cursor: pointer;
+        }
+
+        .arc-point:hover {
+            fill: #f85149;
+            r: 7;
+        }
+
+        .arc-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+
+        .arc-table th,
+        .arc-table td {
+            text-align: left;
+            padding: 0.6rem 0.5rem;
+            border-bottom: 1px solid #222;
+        }
+
+        .arc-table th {
+            color: #8b949e;
+            font-weight: 500;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+        }
+
+        .arc-note {
+            color: #8b949e;
+            font-size: 0.85rem;
+            margin-top: 1rem;
+        }
+`;
+
+  return generateAllyLayout('Tension Arc', 'TENSION ARC', content, { styles });
+}
+
+/**
+ * Generate the /ally/pacing page from getPacingReport: act shares against
+ * their targets, the targets form and the overlong beats. options.query is
+ * the raw query string (to refill the form) and options.errors lists
+ * settings that were ignored.
+ */
+export function generatePacingPage(report, options = {}) {
+  const { query = {}, errors = null } = options;
+  const { settings, summary } = report;
+  const statusLabels = { over: 'Over target', under: 'Under target', on_target: 'On target' };
+  const minutes = value => `${Math.round(value * 10) / 10} min`;
+  const targetText = Object.entries(settings.targets).map(([act, percent]) => `${act}:${percent}`).join(',');
+  const formValue = name => escapeHTML(query[name] ?? (name === 'targets' ? targetText : settings[name]));
+
+  const problems = errors ? `
+        <div class="panel" style="border-color: #f85149;">
+            <strong>Some settings were ignored:</strong>
+            <ul style="margin: 0.5rem 0 0 1.25rem;">${errors.map(issue => `<li><code>${escapeHTML(issue.path || 'query')}</code> ${escapeHTML(issue.message)}</li>`).join('')}</ul>
+        </div>` : '';
+
+  const form = `
+        <form method="get" action="/ally/pacing" class="panel pacing-form">
+            <label>Target share per act <input type="text" name="targets" value="${formValue('targets')}" placeholder="1:25,2:50,3:25"></label>
+            <label>Tolerance (points) <input type="number" name="tolerance" min="0" max="50" step="0.5" value="${formValue('tolerance')}"></label>
+            <label>Longest beat (minutes) <input type="number" name="max_beat_minutes" min="0" max="120" step="0.5" value="${formValue('max_beat_minutes')}"></label>
+            <button type="submit" class="action-button">Compare</button>
+            <a href="/ally/pacing">Reset</a>
+        </form>`;
+
+  if (summary.total_beats === 0) {
+    return generateAllyLayout('Pacing', 'PACING', `${problems}
+        <div class="panel empty-state">
+            <h3>No beats yet</h3>
+            <p>Pacing totals each act's pages and minutes once beats have a page count or estimated minutes.</p>
+        </div>`);
+  }
+
+  const rows = report.acts.map(act => `
+                <tr class="${act.overlong ? 'pacing-flagged' : ''}">
+                    <td><a href="/ally/act/${act.act_no}">Act ${act.act_no}</a>${act.act_title ? ` &middot; ${escapeHTML(act.act_title)}` : ''}</td>
+                    <td>${act.beat_count}</td>
+                    <td>${act.pages}</td>
+                    <td>${minutes(act.minutes)}</td>
+                    <td class="pacing-share">
+                        <div class="pacing-bar">
+                            <div class="pacing-fill ${act.status || ''}" style="width: ${Math.min(act.share ?? 0, 100)}%;"></div>
+                            ${act.target_share !== null ? `<div class="pacing-target" style="left: ${act.target_share}%;" title="Target ${act.target_share}%"></div>` : ''}
+                        </div>
+                        <span>${act.share === null ? '&ndash;' : `${act.share}%`}${act.target_share !== null ? ` <span class="pacing-muted">of ${act.target_share}%</span>` : ''}</span>
+                    </td>
+                    <td>${act.status ? `<span class="pacing-status ${act.status}">${statusLabels[act.status]}${act.difference ? ` (${act.difference > 0 ? '+' : ''}${act.difference})` : ''}</span>` : '<span class="pacing-muted">No target</span>'}</td>
+                    <td>${act.overlong_beats || ''}</td>
+                </tr>`).join('');
+
+  const overlong = report.overlong_beats.length === 0
+    ? `<p class="pacing-muted">No beat runs longer than ${settings.max_beat_minutes} minutes.</p>`
+    : `<ul class="pacing-beats">${report.overlong_beats.map(beat => `
+                <li>
+                    <a href="${beat.url}">Act ${beat.act_no} &middot; Beat ${beat.beat_number}: ${escapeHTML(beat.title)}</a>
+                    <span class="pacing-muted">${minutes(beat.minutes)}${beat.minutes_estimated ? ' (from page count)' : ''}</span>
+                </li>`).join('')}
+            </ul>`;
+
+  const notes = [
+    summary.estimated_beats > 0 ? `${summary.estimated_beats} beat${summary.estimated_beats === 1 ? '' : 's'} timed from page count at ${settings.minutes_per_page} minute per page` : '',
+    summary.untimed_beats > 0 ? `${summary.untimed_beats} beat${summary.untimed_beats === 1 ? '' : 's'} with no page count or minutes` : ''
+  ].filter(Boolean).join(' &middot; ');
+
+  const content = `${problems}${form}
+        <div class="panel">
+            <div class="pacing-summary">
+                <span><strong>${summary.total_pages}</strong> pages</span>
+                <span><strong>${minutes(summary.total_minutes)}</strong> runtime</span>
+                <span><strong>${summary.total_beats}</strong> beats</span>
+                <span><strong>${summary.overlong_acts}</strong> overlong act${summary.overlong_acts === 1 ? '' : 's'}</span>
+                <span><strong>${summary.overlong_beats}</strong> overlong beat${summary.overlong_beats === 1 ? '' : 's'}</span>
+            </div>
+            ${notes ? `<p class="pacing-muted">${notes}</p>` : ''}
+            <table class="pacing-table">
+                <thead>
+                    <tr><th>Act</th><th>Beats</th><th>Pages</th><th>Minutes</th><th>Share of runtime</th><th>Status</th><th>Overlong beats</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="panel">
+            <h3 class="pacing-heading">Beats over ${settings.max_beat_minutes} minutes</h3>
+            ${overlong}
+            <p class="pacing-muted" style="margin-top: 1rem;">Data: <a href="/api/reports/pacing">/api/reports/pacing</a></p>
+        </div>`;
+
+  const styles = `
+        .pacing-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            align-items: flex-end;
+        }
+
+        .pacing-form label {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            font-size: 0.8rem;
+            color: #8b949e;
+        }
+
+        .pacing-form input {
+            background: transparent;
+            color: #fff;
+            border: 1px solid #333;
+            border-radius: 4px;
+            padding: 0.4rem 0.5rem;
+            font-size: 0.9rem;
+        }
+
+        .pacing-form a,
+        .pacing-table a,
+        .pacing-beats a,
+        .pacing-muted a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .pacing-summary {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 2rem;
+            margin-bottom: 1rem;
+            color: #8b949e;
+        }
+
+        .pacing-summary strong {
+            color: #fff;
+            font-size: 1.3rem;
+        }
+
+        .pacing-muted {
+            color: #8b949e;
+            font-size: 0.85rem;
+        }
+
+        .pacing-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 1rem;
+        }
+
+        .pacing-table th,
+        .pacing-table td {
+            text-align: left;
+            padding: 0.6rem 0.5rem;
+            border-bottom: 1px solid #222;
+            vertical-align: middle;
+        }
+
+        .pacing-table th {
+            color: #8b949e;
+            font-weight: 500;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+        }
+
+        .pacing-flagged td:first-child {
+            border-left: 3px solid #f85149;
+        }
+
+        .pacing-share {
+            min-width: 220px;
+        }
+
+        .pacing-bar {
+            position: relative;
+            height: 10px;
+            background: #222;
+            border-radius: 5px;
+            margin-bottom: 0.3rem;
+        }
+
+        .pacing-fill {
+            height: 100%;
+            border-radius: 5px;
+            background: #58a6ff;
+        }
+
+        .pacing-fill.over {
+            background: #f85149;
+        }
+
+        .pacing-fill.under {
+            background: #d29922;
+        }
+
+        .pacing-fill.on_target {
+            background: #3fb950;
+        }
+
+        .pacing-target {
+            position: absolute;
+            top: -3px;
+            width: 2px;
+            height: 16px;
+            background: #fff;
+        }
+
+        .pacing-status {
+            font-size: 0.85rem;
+        }
+
+        .pacing-status.over {
+            color: #f85149;
+        }
+
+        .pacing-status.under {
+            color: #d29922;
+        }
+
+        .pacing-status.on_target {
+            color: #3fb950;
+        }
+
+        .pacing-heading {
+            font-weight: 400;
+            margin-bottom: 1rem;
+        }
+
+        .pacing-beats {
+            list-style: none;
+        }
+
+        .pacing-beats li {
+            display: flex;
+            justify-content: space-between;
+            gap: 1rem;
+            padding: 0.5rem 0;
+            border-bottom: 1px solid #222;
+        }
+`;
+
+  return generateAllyLayout('Pacing', 'PACING', content, { styles });
+}
+
+/**
+ * Generate the /ally/characters page from getCharacterMatrix: a character x
+ * beat grid with each character's appearance stats. Absences of half the
+ * script or more are flagged, and the cells of each character's longest
+ * absence are shaded.
+ */
+export function generateCharactersPage(matrix) {
+  const { beats, characters, summary } = matrix;
+
+  if (characters.length === 0) {
+    return generateAllyLayout('Characters', 'CHARACTERS', `<div class="panel empty-state">
+            <h3>No characters yet</h3>
+            <p>Characters listed on beats (comma separated) appear here with the beats they are in.</p>
+        </div>`);
+  }
+
+  const where = appearance => `<a href="/ally/act/${appearance.act_no}/beat/${appearance.beat_number}">${appearance.act_no}.${appearance.beat_number}</a>`;
+  const acts = [];
+  for (const beat of beats) {
+    const last = acts[acts.length - 1];
+    if (last && last.act_no === beat.act_no) {
+      last.span++;
+    } else {
+      acts.push({ act_no: beat.act_no, span: 1 });
+    }
+  }
+  const actStarts = new Set(beats.filter((beat, index) => index > 0 && beats[index - 1].act_no !== beat.act_no).map(beat => beat.position));
+
+  const rows = characters.map(character => {
+    const present = new Set(character.positions);
+    const absence = character.longest_absence;
+    const flagged = absence && absence.beats * 2 >= summary.total_beats;
+    const cells = beats.map(beat => {
+      const classes = [
+        present.has(beat.position) ? 'present' : '',
+        absence && beat.position >= absence.from_position && beat.position <= absence.to_position ? 'gap' : '',
+        actStarts.has(beat.position) ? 'act-start' : ''
+      ].filter(Boolean).join(' ');
+      return `<td class="${classes}" title="${escapeHTML(character.name)} &middot; Act ${beat.act_no} Beat ${beat.beat_number}: ${escapeHTML(beat.title)}"></td>`;
+    }).join('');
+
+    return `
+                <tr>
+                    <th class="character-name">${escapeHTML(character.name)}</th>
+                    <td class="stat">${character.beat_count}</td>
+                    <td class="stat">${where(character.first_appearance)}</td>
+                    <td class="stat">${where(character.last_appearance)}</td>
+                    <td class="stat${flagged ? ' flagged' : ''}">${absence ? `${absence.beats}` : '&ndash;'}</td>
+                    ${cells}
+                </tr>`;
+  }).join('');
+
+  const content = `<div class="panel">
+            <div class="characters-summary">
+                ${summary.total_characters} character${summary.total_characters === 1 ? '' : 's'} across ${summary.total_beats} beat${summary.total_beats === 1 ? '' : 's'}${summary.uncredited_beats > 0 ? ` &middot; ${summary.uncredited_beats} beat${summary.uncredited_beats === 1 ? '' : 's'} with no characters listed` : ''}
+                &middot; <a href="/api/reports/characters/csv">Download CSV</a>
+            </div>
+            <div class="characters-scroll">
+                <table class="characters-grid">
+                    <thead>
+                        <tr>
+                            <th class="character-name" rowspan="2">Character</th>
+                            <th class="stat" rowspan="2">Beats</th>
+                            <th class="stat" rowspan="2">First</th>
+                            <th class="stat" rowspan="2">Last</th>
+                            <th class="stat" rowspan="2" title="Longest run of beats without the character after their first appearance">Longest absence</th>
+                            ${acts.map((act, index) => `<th class="act-heading${index > 0 ? ' act-start' : ''}" colspan="${act.span}">Act ${act.act_no}</th>`).join('')}
+                        </tr>
+                        <tr>
+                            ${beats.map(beat => `<th class="beat-heading${actStarts.has(beat.position) ? ' act-start' : ''}"><a href="${beat.url}" title="${escapeHTML(beat.title)}">${beat.beat_number}</a></th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </div>
+            <p class="characters-note">Shaded cells mark each character's longest absence; red counts are absences of half the script or more.</p>
+        </div>`;
+
+  const styles = `
+        .characters-summary,
+        .characters-note {
+            color: #8b949e;
+            margin-bottom: 1rem;
+        }
+
+        .characters-note {
+            font-size: 0.85rem;
+            margin: 1rem 0 0;
+        }
+
+        .characters-summary a,
+        .characters-grid a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .characters-scroll {
+            overflow-x: auto;
+        }
+
+        .characters-grid {
+            border-collapse: collapse;
+            font-size: 0.85rem;
+        }
+
+        .characters-grid th,
+        .characters-grid td {
+            border-bottom: 1px solid #222;
+            padding: 0.3rem 0.4rem;
+            text-align: center;
+            white-space: nowrap;
+        }
+
+        .characters-grid thead th {
+            color: #8b949e;
+            font-weight: 500;
+        }
+
+        .characters-grid .character-name {
+            position: sticky;
+            left: 0;
+            background: #111;
+            text-align: left;
+            font-weight: 500;
+            z-index: 1;
+        }
+
+        .characters-grid .stat {
+            color: #ccc;
+        }
+
+        .characters-grid .stat.flagged {
+            color: #f85149;
+            font-weight: 600;
+        }
+
+        .characters-grid tbody td:not(.stat) {
+            min-width: 1.1rem;
+        }
+
+        .characters-grid td.present {
+            background: #58a6ff;
+        }
+
+        .characters-grid td.gap {
+            background: rgba(248, 81, 73, 0.12);
+        }
+
+        .characters-grid .act-start {
+            border-left: 1px solid #444;
+        }
+`;
+
+  return generateAllyLayout('Characters', 'CHARACTERS', content, { styles });
+}
+
+/**
+ * Generate the /ally/locations page from getLocationBreakdown: one panel per
+ * location with its INT/EXT settings, day and night counts, pages and
+ * minutes, and links to its beats.
+ */
+export function generateLocationsPage(breakdown) {
+  const { locations, summary } = breakdown;
+
+  if (locations.length === 0) {
+    return generateAllyLayout('Locations', 'LOCATIONS', `<div class="panel empty-state">
+            <h3>No locations yet</h3>
+            <p>Beats with a location (such as <code>INT. KITCHEN - NIGHT</code>) are grouped here by set.</p>
+        </div>`);
+  }
+
+  const minutes = value => `${Math.round(value * 10) / 10} min`;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  const panels = locations.map(location => `
+        <div class="panel location-panel">
+            <div class="location-header">
+                <h3>${escapeHTML(location.location)}</h3>
+                <div class="location-badges">
+                    ${location.settings.map(setting => `<span class="location-badge">${setting}</span>`).join('')}
+                    ${location.night_beats > 0 ? '<span class="location-badge night">NIGHT</span>' : ''}
+                </div>
+            </div>
+            <div class="location-stats">
+                <span>${plural(location.beat_count, 'beat')}</span>
+                <span>${location.day_beats} day</span>
+                <span>${location.night_beats} night</span>
+                <span>${location.pages} pages</span>
+                <span>${minutes(location.minutes)}</span>
+            </div>
+            <ul class="location-beats">${location.beats.map(beat => `
+                <li>
+                    <a href="${beat.url}">Act ${beat.act_no} &middot; Beat ${beat.beat_number}: ${escapeHTML(beat.title)}</a>
+                    <span class="location-muted">${[beat.setting, beat.time_of_day ? escapeHTML(beat.time_of_day) : ''].filter(Boolean).join(' &middot; ')}</span>
+                </li>`).join('')}
+            </ul>
+        </div>`).join('');
+
+  const content = `<div class="panel">
+            <div class="location-summary">
+                <span><strong>${summary.total_locations}</strong> location${summary.total_locations === 1 ? '' : 's'}</span>
+                <span><strong>${summary.interior_locations}</strong> interior</span>
+                <span><strong>${summary.exterior_locations}</strong> exterior</span>
+                <span><strong>${summary.night_locations}</strong> with night beats</span>
+                <span><strong>${summary.day_beats}</strong> day / <strong>${summary.night_beats}</strong> night beats</span>
+            </div>
+            <p class="location-muted">${summary.unlocated_beats > 0 ? `${plural(summary.unlocated_beats, 'beat')} with no location &middot; ` : ''}<a href="/api/reports/locations/csv">Download CSV</a> &middot; Data: <a href="/api/reports/locations">/api/reports/locations</a></p>
+        </div>
+${panels}`;
+
+  const styles = `
+        .location-summary {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1.5rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .location-summary strong {
+            color: #fff;
+            font-size: 1.3rem;
+        }
+
+        .location-muted {
+            color: #8b949e;
+            font-size: 0.85rem;
+        }
+
+        .location-panel a,
+        .location-muted a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .location-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+        }
+
+        .location-header h3 {
+            font-weight: 500;
+        }
+
+        .location-badge {
+            display: inline-block;
+            margin-left: 0.4rem;
+            padding: 0.1rem 0.5rem;
+            border: 1px solid #333;
+            border-radius: 4px;
+            color: #8b949e;
+            font-size: 0.75rem;
+        }
+
+        .location-badge.night {
+            border-color: #58a6ff;
+            color: #58a6ff;
+        }
+
+        .location-stats {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            margin: 0.5rem 0;
+            color: #ccc;
+            font-size: 0.9rem;
+        }
+
+        .location-beats {
+            list-style: none;
+        }
+
+        .location-beats li {
+            display: flex;
+            justify-content: space-between;
+            gap: 1rem;
+            padding: 0.5rem 0;
+            border-bottom: 1px solid #222;
+        }
+`;
+
+  return generateAllyLayout('Locations', 'LOCATIONS', content, { styles });
+}
+
+/**
+ * Generate the /ally/structure page from getStructureReport: every slot of
+ * the template against its ideal position, the missing slots and the beats
+ * with their slot. options.templates lists the templates for the picker,
+ * options.query and options.errors are as for the pacing page, and
+ * options.canEdit renders a slot picker on each beat.
+ */
+export function generateStructurePage(report, options = {}) {
+  const { templates = [], query = {}, errors = null, canEdit = false, etags = new Map() } = options;
+  const { template, settings, summary } = report;
+  const statusLabels = { early: 'Early', late: 'Late', on_target: 'On target', missing: 'Missing' };
+  const slotNames = new Map(template.slots.map(slot => [slot.key, slot.name]));
+  const signed = value => `${value > 0 ? '+' : ''}${value}`;
+
+  const problems = errors ? `
+        <div class="panel" style="border-color: #f85149;">
+            <strong>Some settings were ignored:</strong>
+            <ul style="margin: 0.5rem 0 0 1.25rem;">${errors.map(issue => `<li><code>${escapeHTML(issue.path || 'query')}</code> ${escapeHTML(issue.message)}</li>`).join('')}</ul>
+        </div>` : '';
+
+  const form = `
+        <form method="get" action="/ally/structure" class="panel structure-form">
+            <label>Template <select name="template">${templates.map(option => `
+                <option value="${option.key}"${option.key === template.key ? ' selected' : ''}>${escapeHTML(option.name)}</option>`).join('')}
+            </select></label>
+            <label>Tolerance (points) <input type="number" name="tolerance" min="0" max="50" step="0.5" value="${escapeHTML(query.tolerance ?? settings.tolerance)}"></label>
+            <button type="submit" class="action-button">Compare</button>
+            <a href="/ally/structure">Reset</a>
+        </form>`;
+
+  if (summary.total_beats === 0) {
+    return generateAllyLayout('Structure', 'STRUCTURE', `${problems}${form}
+        <div class="panel empty-state">
+            <h3>No beats yet</h3>
+            <p>Assign beats to the ${escapeHTML(template.name)} slots here once the script has beats.</p>
+        </div>`);
+  }
+
+  const rows = report.slots.map(slot => `
+                <tr class="${slot.filled ? '' : 'structure-missing'}">
+                    <td>${escapeHTML(slot.name)}</td>
+                    <td>${slot.ideal_position}%</td>
+                    <td class="structure-position">
+                        <div class="structure-track">
+                            <div class="structure-ideal" style="left: ${slot.ideal_position}%;" title="Ideal ${slot.ideal_position}%"></div>
+                            ${slot.filled ? `<div class="structure-actual ${slot.status}" style="left: ${slot.position}%;" title="Starts at ${slot.position}%"></div>` : ''}
+                        </div>
+                        <span>${slot.filled ? `${slot.position}%` : '&ndash;'}</span>
+                    </td>
+                    <td>${slot.difference === null ? '' : signed(slot.difference)}</td>
+                    <td><span class="structure-status ${slot.status}">${statusLabels[slot.status]}</span></td>
+                    <td>${slot.beats.map(position => {
+                      const beat = report.beats[position - 1];
+                      return `<a href="${beat.url}" title="${escapeHTML(beat.title)}">${beat.act_no}.${beat.beat_number}</a>`;
+                    }).join(' ')}</td>
+                </tr>`).join('');
+
+  const missing = report.slots.filter(slot => !slot.filled);
+  const missingPanel = missing.length === 0
+    ? '<p class="structure-muted">Every slot has a beat.</p>'
+    : `<ul class="structure-list">${missing.map(slot => `
+                <li><span>${escapeHTML(slot.name)}</span><span class="structure-muted">ideally at ${slot.ideal_position}%</span></li>`).join('')}
+            </ul>`;
+
+  const slotCell = beat => {
+    if (canEdit) {
+      return `<select class="structure-slot" data-id="${beat.id}" data-etag="${escapeHTML(etags.get(beat.id) || '')}" aria-label="Slot for Act ${beat.act_no} Beat ${beat.beat_number}">
+                            <option value="">&ndash;</option>${template.slots.map(slot => `
+                            <option value="${slot.key}"${slot.key === beat.slot ? ' selected' : ''}>${escapeHTML(slot.name)}</option>`).join('')}
+                            ${beat.in_template ? '' : `<option value="${escapeHTML(beat.slot)}" selected disabled>${escapeHTML(beat.slot)} (other template)</option>`}
+                        </select>`;
+    }
+    if (!beat.slot) return '<span class="structure-muted">&ndash;</span>';
+    return beat.in_template ? escapeHTML(slotNames.get(beat.slot)) : `<span class="structure-muted">${escapeHTML(beat.slot)} (other template)</span>`;
+  };
+
+  const beatRows = report.beats.map(beat => `
+                <tr>
+                    <td><a href="${beat.url}">Act ${beat.act_no} &middot; Beat ${beat.beat_number}: ${escapeHTML(beat.title)}</a></td>
+                    <td>${beat.runtime_position}%</td>
+                    <td>${slotCell(beat)}</td>
+                </tr>`).join('');
+
+  const notes = [
+    summary.measured_by === 'beat_order' ? 'No beat has minutes or pages, so positions are by beat order' : '',
+    summary.other_slot_beats > 0 ? `${summary.other_slot_beats} beat${summary.other_slot_beats === 1 ? '' : 's'} assigned to another template's slots` : ''
+  ].filter(Boolean).join(' &middot; ');
+
+  const content = `${problems}${form}
+        <div class="panel">
+            <div class="structure-summary">
+                <span><strong>${summary.filled_slots}</strong> of ${summary.total_slots} slots filled</span>
+                <span><strong>${summary.missing_slots}</strong> missing</span>
+                <span><strong>${summary.off_position_slots}</strong> more than ${settings.tolerance} points off</span>
+                <span><strong>${summary.assigned_beats}</strong> of ${summary.total_beats} beats assigned</span>
+            </div>
+            ${notes ? `<p class="structure-muted">${notes}</p>` : ''}
+            <table class="structure-table">
+                <thead>
+                    <tr><th>${escapeHTML(template.name)}</th><th>Ideal</th><th>Position in runtime</th><th>Difference</th><th>Status</th><th>Beats</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="panel">
+            <h3 class="structure-heading">Missing slots</h3>
+            ${missingPanel}
+        </div>
+
+        <div class="panel">
+            <h3 class="structure-heading">Beats</h3>
+            <table class="structure-table">
+                <thead>
+                    <tr><th>Beat</th><th>Starts at</th><th>Slot</th></tr>
+                </thead>
+                <tbody>${beatRows}
+                </tbody>
+            </table>
+            <p class="structure-muted" style="margin-top: 1rem;">Data: <a href="/api/reports/structure?template=${template.key}">/api/reports/structure</a></p>
+        </div>`;
+
+  const script = `
+        document.querySelectorAll('.structure-slot').forEach(select => {
+            select.addEventListener('change', async () => {
+                const response = await fetch('/api/beats/' + select.dataset.id + '/structure', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json', 'If-Match': select.dataset.etag },
+                    body: JSON.stringify({ slot: select.value || null, template: ${JSON.stringify(template.key)} })
+                });
+                if (response.ok) {
+                    location.reload();
+                } else {
+                    const result = await response.json().catch(() => ({}));
+                    alert('Slot update failed: ' + (result.message || response.status));
+                }
+            });
+        });
+`;
+
+  const styles = `
+        .structure-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            align-items: flex-end;
+        }
+
+        .structure-form label {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            font-size: 0.8rem;
+            color: #8b949e;
+        }
+
+        .structure-form input,
+        .structure-form select,
+        .structure-slot {
+            background: transparent;
+            color: #fff;
+            border: 1px solid #333;
+            border-radius: 4px;
+            padding: 0.4rem 0.5rem;
+            font-size: 0.9rem;
+        }
+
+        .structure-form option,
+        .structure-slot option {
+            background: #111;
+        }
+
+        .structure-form a,
+        .structure-table a,
+        .structure-muted a {
+            color: #58a6ff;
+            text-decoration: none;
+        }
+
+        .structure-summary {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 2rem;
+            margin-bottom: 1rem;
+            color: #8b949e;
+        }
+
+        .structure-summary strong {
+            color: #fff;
+            font-size: 1.3rem;
+        }
+
+        .structure-muted {
+            color: #8b949e;
+            font-size: 0.85rem;
+        }
+
+        .structure-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 1rem;
+        }
+
+        .structure-table th,
+        .structure-table td {
+            text-align: left;
+            padding: 0.6rem 0.5rem;
+            border-bottom: 1px solid #222;
+            vertical-align: middle;
+        }
+
+        .structure-table th {
+            color: #8b949e;
+            font-weight: 500;
+            font-size: 0.85rem;
+            text-transform: uppercase;
+        }
+
+        .structure-missing td {
+            color: #8b949e;
+        }
+
+        .structure-position {
+            min-width: 220px;
+        }
+
+        .structure-track {
+            position: relative;
+            height: 10px;
+            background: #222;
+            border-radius: 5px;
+            margin-bottom: 0.3rem;
+        }
+
+        .structure-ideal {
+            position: absolute;
+            top: -3px;
+            width: 2px;
+            height: 16px;
+            background: #fff;
+        }
+
+        .structure-actual {
+            position: absolute;
+            top: 0;
+            width: 10px;
+            height: 10px;
+            margin-left: -5px;
+            border-radius: 50%;
+            background: #58a6ff;
+        }
+
+        .structure-actual.on_target {
+            background: #3fb950;
+        }
+
+        .structure-actual.early,
+        .structure-actual.late {
+            background: #d29922;
+        }
+
+        .structure-status {
+            font-size: 0.85rem;
+        }
+
+        .structure-status.on_target {
+            color: #3fb950;
+        }
+
+        .structure-status.early,
+        .structure-status.late {
+            color: #d29922;
+        }
+
+        .structure-status.missing {
+            color: #f85149;
+        }
+
+        .structure-heading {
+            font-weight: 400;
+            margin-bottom: 1rem;
+        }
+
+        .structure-list {
+            list-style: none;
+        }
+
+        .structure-list li {
+            display: flex;
+            justify-content: space-between;
+            gap: 1rem;
+            padding: 0.5rem 0;
+            border-bottom: 1px solid #222;
+        }
+`;
+
+  return generateAllyLayout('Structure', 'STRUCTURE', content, { styles, script: canEdit ? script : '' });
+}
+
+/**
+ * Generate the browsable API documentation page from the OpenAPI document
+ */
+export function generateApiDocsPage(spec) {
+  const resolve = schema => {
+    const ref = schema?.$ref?.match(/^#\/components\/schemas\/(\w+)$/);
+    return ref ? { name: ref[1], schema: spec.components.schemas[ref[1]] } : { name: null, schema: schema || {} };
+  };
+
+  const typeLabel = schema => {
+    const { name, schema: resolved } = resolve(schema);
+    if (name) return `<a href="#schema-${name}">${name}</a>`;
+    if (resolved.enum) return resolved.enum.map(value => escapeHTML(JSON.stringify(value))).join(' | ');
+    if ('const' in resolved) return escapeHTML(JSON.stringify(resolved.const));
+    if (resolved.anyOf) return resolved.anyOf.map(typeLabel).join(' | ');
+    const types = [].concat(resolved.type || 'any');
+    return types.map(type => (type === 'array' ? `${typeLabel(resolved.items)}[]` : type)).join(' | ');
+  };
+
+  const constraints = schema => [
+    schema.minimum !== undefined ? `min ${schema.minimum}` : '',
+    schema.maximum !== undefined ? `max ${schema.maximum}` : '',
+    schema.maxLength !== undefined ? `max ${schema.maxLength} chars` : '',
+    schema.maxItems !== undefined ? `max ${schema.maxItems} items` : '',
+    schema.format || ''
+  ].filter(Boolean).join(', ');
+
+  const fieldRows = fields => fields.map(field => `
+                    <tr>
+                        <td><code>${escapeHTML(field.name)}</code>${field.required ? ' <span class="required">required</span>' : ''}</td>
+                        <td class="type">${typeLabel(field.schema)}</td>
+                        <td>${escapeHTML([field.description, constraints(resolve(field.schema).schema)].filter(Boolean).join(' · '))}</td>
+                    </tr>`).join('');
+
+  const fieldTable = fields => fields.length === 0 ? '' : `
+                <table class="field-table">
+                    <thead><tr><th>Name</th><th>Type</th><th>Notes</th></tr></thead>
+                    <tbody>${fieldRows(fields)}
+                    </tbody>
+                </table>`;
+
+  const objectFields = schema => Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    schema: property,
+    required: (schema.required || []).includes(name),
+    description: property.description
+  }));
+
+  const operations = spec.tags.map(tag => {
+    const entries = [];
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        if (!operation.tags.includes(tag.name)) continue;
+
+        const parameters = (operation.parameters || []).map(parameter => ({
+          name: `${parameter.name} (${parameter.in})`,
+          schema: parameter.schema,
+          required: parameter.required,
+          description: parameter.description
+        }));
+        const body = operation.requestBody
+          ? Object.entries(operation.requestBody.content).map(([type, media]) => `
+                <div class="media"><span class="label">Body</span> <code>${escapeHTML(type)}</code> ${typeLabel(media.schema)}</div>`).join('')
+          : '';
+        const responses = Object.entries(operation.responses).map(([status, response]) => {
+          const media = Object.entries(response.content || {})[0];
+          return `
+                <div class="media"><span class="status status-${status[0]}">${status}</span> ${escapeHTML(response.description)}${media ? ` &middot; <code>${escapeHTML(media[0])}</code> ${typeLabel(media[1].schema)}` : ''}</div>`;
+        }).join('');
+
+        entries.push(`
+            <details class="operation" id="${escapeHTML(operation.operationId)}">
+                <summary>
+                    <span class="method method-${method}">${method.toUpperCase()}</span>
+                    <code class="path">${escapeHTML(path)}</code>
+                    <span class="summary">${escapeHTML(operation.summary)}</span>
+                </summary>
+                <div class="operation-id">operationId: <code>${escapeHTML(operation.operationId)}</code>${operation['x-required-role'] ? ` &middot; role: <code>${escapeHTML(operation['x-required-role'])}</code>` : ''}</div>
+                ${fieldTable(parameters)}${body}${responses}
+            </details>`);
+      }
+    }
+
+    return `
+        <div class="panel">
+            <h2>${escapeHTML(tag.name)}</h2>${entries.join('')}
+        </div>`;
+  }).join('');
+
+  const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => `
+            <details class="operation" id="schema-${name}">
+                <summary><code class="path">${name}</code></summary>
+                ${fieldTable(objectFields(schema))}
+            </details>`).join('');
+
+  const content = `
+        <div class="panel intro">
+            <p>${escapeHTML(spec.info.description)}</p>
+            <p>Authenticate with an <code>X-API-Key</code> header, <code>Authorization: Bearer</code> or Cloudflare Access.
+               Machine readable: <a href="/api/openapi.json">/api/openapi.json</a> (OpenAPI ${escapeHTML(spec.openapi)}).</p>
+        </div>
+        ${operations}
+        <div class="panel">
+            <h2>Schemas</h2>${schemas}
+        </div>`;
+
+  const styles = `
+        .panel h2 {
+            font-family: Georgia, 'Times New Roman', serif;
+            font-weight: 300;
+            margin-bottom: 1rem;
+        }
+
+        .intro p {
+            color: #ccc;
+            line-height: 1.6;
+            margin-bottom: 0.5rem;
+        }
+
+        a {
+            color: #58a6ff;
+        }
+
+        code {
+            font-family: SFMono-Regular, Consolas, 'Liberation Mono', Menlo, monospace;
+            font-size: 0.85rem;
+        }
+
+        .operation {
+            border-top: 1px solid #222;
+            padding: 0.75rem 0;
+        }
+
+        .operation summary {
+            cursor: pointer;
+            display: flex;
+            gap: 0.75rem;
+            align-items: baseline;
+            flex-wrap: wrap;
+        }
+
+        .method {
+            display: inline-block;
+            min-width: 4.5rem;
+            text-align: center;
+            font-size: 0.75rem;
+            font-weight: 600;
+            padding: 0.2rem 0.5rem;
+            border-radius: 4px;
+            background: #222;
+        }
+
+        .method-get { color: #58a6ff; }
+        .method-post { color: #3fb950; }
+        .method-put, .method-patch { color: #d29922; }
+        .method-delete { color: #f85149; }
+
+        .summary {
+            color: #8b949e;
+        }
+
+        .operation-id, .media {
+            color: #8b949e;
+            font-size: 0.85rem;
+            margin: 0.5rem 0 0 5.25rem;
+        }
+
+        .label {
+            color: #fff;
+        }
+
+        .status {
+            font-weight: 600;
+        }
+
+        .status-2 { color: #3fb950; }
+        .status-4 { color: #f85149; }
+
+        .field-table {
+            width: calc(100% - 5.25rem);
+            margin: 0.75rem 0 0 5.25rem;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+        }
+
+        .field-table th,
+        .field-table td {
+            text-align: left;
+            padding: 0.4rem 0.5rem;
+            border-bottom: 1px solid #222;
+            vertical-align: top;
+        }
+
+        .field-table th {
+            color: #8b949e;
+            font-weight: 500;
+            text-transform: uppercase;
+        }
+
+        .type {
+            color: #d2a8ff;
+            white-space: nowrap;
+        }
+
+        .required {
+            color: #f85149;
+            font-size: 0.75rem;
+        }
+`;
+
+  return generateAllyLayout('API Docs', 'API DOCUMENTATION', content, {
+    backLink: '/api',
+    backLabel: 'API index',
+    styles
+  });
+}
+
 /**
  * Generate MobiCycle Productions homepage with project links
  */
@@ -39,39 +39,6 @@ export async function parseRequestBody(request) {
   }
 }
 
-/**
- * Validate beat data structure
- */
-export function validateBeatData(data) {
-  const errors = [];
-  
-  if (!data) {
-    errors.push('Beat data is required');
-    return { isValid: false, errors };
-  }
-  
-  if (!data.title || data.title.trim().length === 0) {
-    errors.push('Beat title is required');
-  }
-  
-  if (!data.description || data.description.trim().length === 0) {
-    errors.push('Beat description is required');
-  }
-  
-  if (data.beat_number !== undefined && (isNaN(data.beat_number) || data.beat_number < 1)) {
-    errors.push('Beat number must be a positive integer');
-  }
-  
-  if (data.scene_number !== undefined && (isNaN(data.scene_number) || data.scene_number < 1)) {
-    errors.push('Scene number must be a positive integer');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
 /**
  * Sanitize HTML content for safe display
  */
@@ -86,6 +53,34 @@ export function sanitizeHTML(html) {
     .replace(/javascript:/gi, '');
 }
 
+/**
+ * Escape text for insertion into HTML
+ */
+export function escapeHTML(text) {
+  if (text === null || text === undefined) return '';
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for insertion into XML documents
+ */
+export function escapeXML(text) {
+  if (text === null || text === undefined) return '';
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 /**
  * Format date for display
  */
@@ -166,6 +161,56 @@ export function errorResponse(message, status = 400, details = null) {
   return jsonResponse(error, status);
 }
 
+/**
+ * Error carrying an HTTP status for API handlers
+ */
+export class HttpError extends Error {
+  constructor(status, error, message = error, details = null, headers = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Convert a thrown error into a JSON API response
+ */
+export function apiErrorResponse(error, corsHeaders = {}) {
+  if (error instanceof HttpError) {
+    const body = { error: error.error, message: error.message };
+    if (error.details) {
+      body.details = error.details;
+    }
+    return jsonResponse(body, error.status, { ...corsHeaders, ...error.headers });
+  }
+
+  console.error('API request failed:', error);
+  return jsonResponse({
+    error: 'Internal server error',
+    message: error.message
+  }, 500, corsHeaders);
+}
+
+/**
+ * Read an object-valued JSON setting; a malformed value is logged and ignored
+ */
+export function readJSONSetting(env, name) {
+  const value = env[name];
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error(`${name} is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
 /**
  * Create success response with standard format
  */
@@ -253,48 +298,52 @@ export function mergeObjects(target, source) {
 }
 
 /**
- * Rate limiting helper
+ * Fixed-window rate limiter. Counters live in the rate_limits table of D1,
+ * so every isolate shares them; one upsert per request counts and reads the
+ * window atomically.
  */
 export class RateLimiter {
-  constructor(maxRequests = 100, windowMs = 60000) {
+  constructor(db, maxRequests = 100, windowMs = 60000) {
+    this.db = db;
     this.maxRequests = maxRequests;
     this.windowMs = windowMs;
-    this.requests = new Map();
   }
-  
-  isAllowed(identifier) {
+
+  /**
+   * Count a request against the identifier's current window.
+   * Returns { allowed, limit, remaining, reset }, reset in seconds.
+   */
+  async check(identifier) {
     const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    if (!this.requests.has(identifier)) {
-      this.requests.set(identifier, []);
-    }
-    
-    const userRequests = this.requests.get(identifier);
-    
-    // Remove old requests outside the window
-    const validRequests = userRequests.filter(timestamp => timestamp > windowStart);
-    this.requests.set(identifier, validRequests);
-    
-    if (validRequests.length >= this.maxRequests) {
-      return false;
-    }
-    
-    validRequests.push(now);
-    return true;
+    const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+
+    const row = await this.db.prepare(`
+      INSERT INTO rate_limits (key, window_start, count) VALUES (?1, ?2, 1)
+      ON CONFLICT(key) DO UPDATE SET
+        count = CASE WHEN window_start = ?2 THEN count + 1 ELSE 1 END,
+        window_start = ?2
+      RETURNING count
+    `).bind(identifier, windowStart).first();
+
+    const count = row ? row.count : 1;
+    return {
+      allowed: count <= this.maxRequests,
+      limit: this.maxRequests,
+      remaining: Math.max(0, this.maxRequests - count),
+      reset: Math.max(1, Math.ceil((windowStart + this.windowMs - now) / 1000))
+    };
   }
-  
-  getRemainingRequests(identifier) {
-    const now = Date.now();
-    const windowStart = now - this.windowMs;
-    
-    if (!this.requests.has(identifier)) {
-      return this.maxRequests;
-    }
-    
-    const userRequests = this.requests.get(identifier);
-    const validRequests = userRequests.filter(timestamp => timestamp > windowStart);
-    
-    return Math.max(0, this.maxRequests - validRequests.length);
+
+  async isAllowed(identifier) {
+    return (await this.check(identifier)).allowed;
   }
-}
\ No newline at end of file
+
+  async getRemainingRequests(identifier) {
+    const windowStart = Math.floor(Date.now() / this.windowMs) * this.windowMs;
+    const row = await this.db.prepare(`
+      SELECT count FROM rate_limits WHERE key = ? AND window_start = ?
+    `).bind(identifier, windowStart).first();
+
+    return Math.max(0, this.maxRequests - (row ? row.count : 0));
+  }
+}
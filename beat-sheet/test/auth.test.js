@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { authenticate, verifyAccessJWT } from '../src/auth.js';
+import { createTestEnv, request } from './helpers/worker.js';
+
+const ISSUER = 'https://team.cloudflareaccess.com';
+const AUDIENCE = 'test-aud';
+
+const generateKeys = () => crypto.subtle.generateKey(
+  { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+  true,
+  ['sign', 'verify']
+);
+const publicJWK = async (pair, kid) => ({ ...(await crypto.subtle.exportKey('jwk', pair.publicKey)), kid, use: 'sig' });
+
+const keys = await generateKeys();
+const otherKeys = await generateKeys();
+const jwk = await publicJWK(keys, 'test');
+
+async function accessToken(claims, { privateKey = keys.privateKey, header = {} } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${encode({ alg: 'RS256', kid: 'test', typ: 'JWT', ...header })}.${encode({ aud: [AUDIENCE], iss: ISSUER, iat: now, exp: now + 600, ...claims })}`;
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, new TextEncoder().encode(unsigned));
+  return `${unsigned}.${Buffer.from(signature).toString('base64url')}`;
+}
+
+async function setup() {
+  return await createTestEnv({
+    ACCESS_TEAM_DOMAIN: ISSUER,
+    ACCESS_AUD: AUDIENCE,
+    ACCESS_JWKS: JSON.stringify({ keys: [jwk] }),
+    ACCESS_DEFAULT_ROLE: 'writer'
+  });
+}
+
+const BEAT = { act_no: 1, title: 'Opening', description: 'Ally finds the ledger' };
+
+test('the Access cookie authorizes reads from anywhere', async () => {
+  const env = await setup();
+  const cookie = `CF_Authorization=${await accessToken({ email: 'writer@example.com' })}`;
+  const response = await request(env, 'GET', '/api/reports/beats', { headers: { 'X-API-Key': '', Cookie: cookie } });
+
+  assert.equal(response.status, 200);
+});
+
+test('cookie-authenticated writes need the worker origin', async () => {
+  const env = await setup();
+  const cookie = `CF_Authorization=${await accessToken({ email: 'writer@example.com' })}`;
+  const write = headers => request(env, 'POST', '/api/beats', { body: BEAT, headers: { 'X-API-Key': '', Cookie: cookie, ...headers } });
+
+  assert.equal((await write({})).status, 403);
+  assert.equal((await write({ Origin: 'https://evil.example' })).status, 403);
+  assert.equal((await write({ Referer: 'https://evil.example/page' })).status, 403);
+  assert.equal((await write({ Origin: 'http://beats.test' })).status, 201);
+  assert.equal((await write({ Referer: 'http://beats.test/ally/act/1' })).status, 201);
+});
+
+test('the Access header is not subject to the origin check', async () => {
+  const env = await setup();
+  const token = await accessToken({ email: 'writer@example.com' });
+  const response = await request(env, 'POST', '/api/beats', { body: BEAT, headers: { 'X-API-Key': '', 'Cf-Access-Jwt-Assertion': token } });
+
+  assert.equal(response.status, 201);
+});
+
+test('cookie-authenticated beat writes must send If-Match', async () => {
+  const env = await setup();
+  const cookie = `CF_Authorization=${await accessToken({ email: 'writer@example.com' })}`;
+  const headers = { 'X-API-Key': '', Cookie: cookie, Origin: 'http://beats.test' };
+  await request(env, 'POST', '/api/beats', { body: BEAT, headers });
+  const etag = (await request(env, 'GET', '/api/beats/1', { headers })).headers.get('ETag');
+  const patch = extra => request(env, 'PATCH', '/api/beats/1', { body: { tension_level: 5 }, headers: { ...headers, ...extra } });
+
+  assert.equal((await patch({})).status, 428);
+  assert.equal((await patch({ 'If-Match': etag })).status, 200);
+  assert.equal((await patch({ 'If-Match': etag })).status, 412);
+});
+
+const ACCESS_ENV = { ACCESS_TEAM_DOMAIN: ISSUER, ACCESS_AUD: AUDIENCE, ACCESS_JWKS: JSON.stringify({ keys: [jwk] }) };
+
+// Status of the HttpError verifyAccessJWT throws, or 200 when it accepts the token
+async function verifyStatus(token, env = ACCESS_ENV) {
+  try {
+    await verifyAccessJWT(token, env);
+    return 200;
+  } catch (error) {
+    return error.status;
+  }
+}
+
+test('a token signed with the Access key is accepted with its claims', async () => {
+  const claims = await verifyAccessJWT(await accessToken({ email: 'ally@example.com' }), ACCESS_ENV);
+
+  assert.equal(claims.email, 'ally@example.com');
+  assert.deepEqual(claims.aud, [AUDIENCE]);
+});
+
+test('tokens are rejected on signature, algorithm, audience, issuer and lifetime', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const valid = await accessToken({});
+  const [header, payload] = valid.split('.');
+
+  assert.equal(await verifyStatus(await accessToken({}, { privateKey: otherKeys.privateKey })), 401, 'signed with another key');
+  assert.equal(await verifyStatus(`${header}.${Buffer.from(JSON.stringify({ aud: [AUDIENCE], iss: ISSUER, exp: now + 600, email: 'x@example.com' })).toString('base64url')}.${valid.split('.')[2]}`), 401, 'claims swapped');
+  assert.equal(await verifyStatus(await accessToken({}, { header: { alg: 'HS256' } })), 401, 'HS256');
+  assert.equal(await verifyStatus(await accessToken({}, { header: { kid: 'unknown' } })), 401, 'unknown key id');
+  assert.equal(await verifyStatus(await accessToken({ aud: ['other-aud'] })), 401, 'audience');
+  assert.equal(await verifyStatus(await accessToken({ iss: 'https://other.cloudflareaccess.com' })), 401, 'issuer');
+  assert.equal(await verifyStatus(await accessToken({ exp: now - 120 })), 401, 'expired');
+  assert.equal(await verifyStatus(await accessToken({ exp: undefined })), 401, 'no expiry');
+  assert.equal(await verifyStatus(await accessToken({ nbf: now + 120 })), 401, 'not valid yet');
+  assert.equal(await verifyStatus(`${header}.${payload}`), 401, 'unsigned');
+  assert.equal(await verifyStatus(valid, { ...ACCESS_ENV, ACCESS_AUD: undefined }), 401, 'not configured');
+
+  // Within the allowed clock skew
+  assert.equal(await verifyStatus(await accessToken({ exp: now - 30, nbf: now + 30 })), 200);
+  assert.equal(await verifyStatus(await accessToken({ aud: AUDIENCE, iss: 'team.cloudflareaccess.com/' })), 200);
+});
+
+test('signing keys are fetched once and refetched for a new key id', async t => {
+  const issuer = 'https://jwks-cache.cloudflareaccess.com';
+  const env = { ACCESS_TEAM_DOMAIN: issuer, ACCESS_AUD: AUDIENCE };
+  const rotated = await publicJWK(otherKeys, 'rotated');
+  let served = [jwk];
+  const fetches = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    fetches.push(url);
+    return new Response(JSON.stringify({ keys: served }), { headers: { 'Content-Type': 'application/json' } });
+  });
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  // Valid for longer than the test moves the clock on
+  const token = await accessToken({ iss: issuer, exp: Math.floor(now / 1000) + 3 * 60 * 60 });
+  const rotatedToken = await accessToken({ iss: issuer }, { privateKey: otherKeys.privateKey, header: { kid: 'rotated' } });
+
+  assert.equal(await verifyStatus(token, env), 200);
+  assert.equal(await verifyStatus(token, env), 200);
+  assert.deepEqual(fetches, [`${issuer}/cdn-cgi/access/certs`]);
+
+  // An unknown key id only refetches once the keys are 30 seconds old
+  served = [jwk, rotated];
+  assert.equal(await verifyStatus(rotatedToken, env), 401);
+  assert.equal(fetches.length, 1);
+  now += 31 * 1000;
+  assert.equal(await verifyStatus(rotatedToken, env), 200);
+  assert.equal(fetches.length, 2);
+
+  // Known keys are reused for an hour
+  now += 30 * 60 * 1000;
+  assert.equal(await verifyStatus(token, env), 200);
+  assert.equal(fetches.length, 2);
+  now += 31 * 60 * 1000;
+  assert.equal(await verifyStatus(token, env), 200);
+  assert.equal(fetches.length, 3);
+});
+
+test('Access users get the most privileged role that lists them', async () => {
+  const env = {
+    ...ACCESS_ENV,
+    ACCESS_ROLES: JSON.stringify({
+      admin: ['Producer@Example.com'],
+      writer: ['@example.com', 'ci-token'],
+      viewer: ['guest@other.com']
+    })
+  };
+  const roleOf = async (claims, settings = env) => {
+    const request = new Request('http://beats.test/api/reports/beats', { headers: { 'Cf-Access-Jwt-Assertion': await accessToken(claims) } });
+    return (await authenticate(request, settings)).role;
+  };
+
+  assert.equal(await roleOf({ email: 'producer@example.com' }), 'admin');
+  assert.equal(await roleOf({ email: 'ally@example.com' }), 'writer');
+  assert.equal(await roleOf({ common_name: 'ci-token' }), 'writer');
+  assert.equal(await roleOf({ email: 'guest@other.com' }), 'viewer');
+  assert.equal(await roleOf({ email: 'someone@notexample.com' }), 'viewer');
+  assert.equal(await roleOf({ email: 'someone@else.com' }, { ...env, ACCESS_DEFAULT_ROLE: 'writer' }), 'writer');
+  assert.equal(await roleOf({ email: 'someone@else.com' }, { ...env, ACCESS_DEFAULT_ROLE: 'owner' }), 'viewer');
+});
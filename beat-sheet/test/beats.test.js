@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger' },
+  { act_no: 1, title: 'Debate', description: 'She hesitates' }
+];
+
+test('a beat number can be left out but not cleared', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+
+  const cleared = await request(env, 'PATCH', '/api/beats/1', { body: { beat_number: null } });
+  assert.equal(cleared.status, 422);
+  assert.equal(cleared.body.details[0].path, 'beat_number');
+
+  const blank = await request(env, 'PATCH', '/api/beats/1', { body: { beat_number: '', title: 'Opening Image' } });
+  assert.equal(blank.status, 200);
+  assert.equal(blank.body.beat_number, 1);
+
+  const appended = await request(env, 'POST', '/api/beats', { body: { act_no: 1, title: 'Catalyst', description: 'The call', beat_number: '' } });
+  assert.equal(appended.status, 201);
+  assert.equal(appended.body.beat_number, 3);
+});
+
+const SCRIPT = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', scene_number: 1 },
+  { act_no: 1, title: 'Debate', description: 'She hesitates', scene_number: 2 },
+  { act_no: 1, title: 'Catalyst', description: 'The call', scene_number: 3 },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', scene_number: 4 },
+  { act_no: 2, title: 'Hideout', description: 'Regroup', scene_number: 5 }
+];
+
+async function setupScript() {
+  const env = await createTestEnv();
+  await createBeats(env, SCRIPT);
+  // Moves only prove the slot index never trips if the index is there
+  const index = await env.SCREENPLAY_DRAFT.prepare("SELECT name FROM sqlite_master WHERE name = 'idx_beats_current_slot'").first();
+  assert.ok(index, 'the partial unique index exists');
+  return env;
+}
+
+// "act.beat title" (plus " #scene" when withScenes) for every current beat in script order
+async function listBeats(env, { withScenes = false } = {}) {
+  const report = (await request(env, 'GET', '/api/reports/beats')).body;
+  return report.acts.flatMap(act => act.beats.map(beat =>
+    `${act.act_no}.${beat.beat_number} ${beat.title}${withScenes ? ` #${beat.scene_number}` : ''}`));
+}
+
+test('a move within an act shifts the beats between', async () => {
+  const env = await setupScript();
+  const response = await request(env, 'POST', '/api/beats/3/move', { body: { position: 1 } });
+
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.beat.beat_number, 1);
+  assert.deepEqual(response.body.renumbered.map(row => row.id).sort(), [1, 2]);
+  assert.deepEqual(await listBeats(env), ['1.1 Catalyst', '1.2 Opening', '1.3 Debate', '2.1 Chase', '2.2 Hideout']);
+});
+
+test('a move to another act closes the gap it leaves', async () => {
+  const env = await setupScript();
+  const response = await request(env, 'POST', '/api/beats/1/move', { body: { act_no: 2, position: 2 } });
+
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(await listBeats(env), ['1.1 Debate', '1.2 Catalyst', '2.1 Chase', '2.2 Opening', '2.3 Hideout']);
+
+  const appended = await request(env, 'POST', '/api/beats/2/move', { body: { act_no: 2 } });
+  assert.equal(appended.status, 200, appended.text);
+  assert.deepEqual(await listBeats(env), ['1.1 Catalyst', '2.1 Chase', '2.2 Opening', '2.3 Hideout', '2.4 Debate']);
+});
+
+test('sync_scenes renumbers scenes across the script after a move', async () => {
+  const env = await setupScript();
+  const response = await request(env, 'POST', '/api/beats/5/move', { body: { act_no: 1, position: 1, sync_scenes: true } });
+
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(await listBeats(env, { withScenes: true }), [
+    '1.1 Hideout #1', '1.2 Opening #2', '1.3 Debate #3', '1.4 Catalyst #4', '2.1 Chase #5'
+  ]);
+});
+
+test('a move needs a target and takes no other keys', async () => {
+  const env = await setupScript();
+
+  for (const body of [{}, { sync_scenes: true }, { act_no: 1, beat_number: 1 }, { act_no: null, position: null }]) {
+    const response = await request(env, 'POST', '/api/beats/1/move', { body });
+    assert.equal(response.status, 422, JSON.stringify(body));
+  }
+  assert.deepEqual(await listBeats(env), ['1.1 Opening', '1.2 Debate', '1.3 Catalyst', '2.1 Chase', '2.2 Hideout']);
+});
+
+test('renumbering closes gaps, parking beats on negative numbers in one batch', async () => {
+  const env = await setupScript();
+  // Gaps at 1.1 and 1.4, so Catalyst and Debate each shift into a slot another beat holds
+  await request(env, 'PATCH', '/api/beats/2', { body: { beat_number: 5 } });
+  await request(env, 'PATCH', '/api/beats/1', { body: { beat_number: 2 } });
+  assert.deepEqual(await listBeats(env), ['1.2 Opening', '1.3 Catalyst', '1.5 Debate', '2.1 Chase', '2.2 Hideout']);
+
+  const batches = env.SCREENPLAY_DRAFT.batches;
+  const response = await request(env, 'POST', '/api/acts/1/renumber', { body: { sync_scenes: true } });
+
+  assert.equal(response.status, 200, response.text);
+  assert.equal(env.SCREENPLAY_DRAFT.batches - batches, 1);
+  assert.deepEqual(await listBeats(env, { withScenes: true }), [
+    '1.1 Opening #1', '1.2 Catalyst #2', '1.3 Debate #3', '2.1 Chase #4', '2.2 Hideout #5'
+  ]);
+  const parked = await env.SCREENPLAY_DRAFT.prepare('SELECT COUNT(*) as count FROM beats WHERE beat_number < 1').first();
+  assert.equal(parked.count, 0);
+
+  const again = await request(env, 'POST', '/api/acts/1/renumber');
+  assert.deepEqual(again.body.renumbered, []);
+});
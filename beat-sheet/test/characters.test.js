@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCharacters, readCharacterAliases, getCharacterMatrix } from '../src/characters.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+test('names are split on separators and "and", without parentheticals', () => {
+  assert.deepEqual(parseCharacters('ALLY, Mark (V.O.) and the Mayor'), ['ALLY', 'Mark', 'the Mayor']);
+  assert.deepEqual(parseCharacters('Ally; Marcus / Dee & Sam + Jo\nAndrea'), ['Ally', 'Marcus', 'Dee', 'Sam', 'Jo', 'Andrea']);
+  assert.deepEqual(parseCharacters('  "Ally"  ,  Mr.   Briggs (CONT\'D) -'), ['Ally', 'Mr. Briggs']);
+});
+
+test('repeats are listed once under the first spelling', () => {
+  assert.deepEqual(parseCharacters('Ally, ALLY, marcus, Marcus'), ['Ally', 'marcus']);
+});
+
+test('empty values and placeholders have no names', () => {
+  for (const text of [null, '', '  ', 'N/A', 'none', 'TBD', 'Characters not specified', ', ,']) {
+    assert.deepEqual(parseCharacters(text), [], JSON.stringify(text));
+  }
+  assert.deepEqual(parseCharacters('Ally, none, -'), ['Ally']);
+});
+
+test('aliases resolve to their canonical name, case-insensitively', () => {
+  const aliases = { ALLY: ['Alison', 'Al'], MAYOR: ['Mayor Briggs'] };
+
+  assert.deepEqual(parseCharacters('alison, Mayor Briggs and Marcus', aliases), ['ALLY', 'MAYOR', 'Marcus']);
+  assert.deepEqual(parseCharacters('Al, Ally, ally', aliases), ['ALLY']);
+});
+
+test('the CHARACTER_ALIASES setting is read, and ignored when invalid', t => {
+  const errors = t.mock.method(console, 'error', () => {});
+
+  assert.deepEqual(readCharacterAliases({ CHARACTER_ALIASES: '{"ALLY": "Al", "MAYOR": ["Mayor Briggs"]}' }), { ALLY: ['Al'], MAYOR: ['Mayor Briggs'] });
+  assert.deepEqual(readCharacterAliases({}), {});
+  assert.equal(errors.mock.callCount(), 0);
+
+  assert.deepEqual(readCharacterAliases({ CHARACTER_ALIASES: '{"ALLY": 5}' }), {});
+  assert.equal(errors.mock.callCount(), 1);
+});
+
+test('the matrix counts appearances and the longest absence', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [
+    { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', characters: 'Ally, Marcus' },
+    { act_no: 1, title: 'Debate', description: 'She hesitates', characters: 'Al' },
+    { act_no: 2, title: 'Chase', description: 'Through the docks', characters: 'none' },
+    { act_no: 2, title: 'Hideout', description: 'Regroup', characters: 'Ally' },
+    { act_no: 3, title: 'Finale', description: 'The vote', characters: 'Marcus' }
+  ]);
+  const matrix = await getCharacterMatrix(env.SCREENPLAY_DRAFT, { Ally: ['Al'] });
+
+  assert.deepEqual(matrix.summary, { total_beats: 5, total_characters: 2, uncredited_beats: 1 });
+  const [ally, marcus] = matrix.characters;
+  assert.deepEqual(
+    [ally.name, ally.beat_count, ally.positions, ally.longest_absence],
+    ['Ally', 3, [1, 2, 4], { beats: 1, from_position: 3, to_position: 3 }]
+  );
+  assert.deepEqual(
+    [marcus.name, marcus.beat_count, marcus.positions, marcus.longest_absence],
+    ['Marcus', 2, [1, 5], { beats: 3, from_position: 2, to_position: 4 }]
+  );
+  assert.deepEqual(marcus.last_appearance, { position: 5, act_no: 3, beat_number: 1 });
+
+  const csv = await request(env, 'GET', '/api/reports/characters/csv');
+  assert.equal(csv.status, 200);
+  assert.equal(csv.text.split('\n')[1], 'Ally,2,Act 1 Beat 1,Act 2 Beat 2,2,X,,,X,');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFDX } from '../src/fdx.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening <Scene> & "more"', description: 'Ally finds the ledger.\nShe hides it.', location: 'City Hall Office', time_of_day: 'Morning', scene_number: 1, characters: 'Ally, Marcus' },
+  { act_no: 1, title: 'Debate', description: 'She hesitates' },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', location: 'EXT. STREET', time_of_day: 'night' }
+];
+
+test('an unchanged FDX export imports with no changes', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  const fdx = (await request(env, 'GET', '/api/reports/beats/fdx')).text;
+  const response = await request(env, 'POST', '/api/import/beats/fdx', { body: fdx, headers: { 'Content-Type': 'application/xml' } });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 3, errors: 0 });
+});
+
+test('scene numbers and characters are only read when present', () => {
+  const [act] = parseFDX(`<?xml version="1.0" encoding="UTF-8"?>
+<FinalDraft DocumentType="Script" Version="5">
+  <Content>
+    <Paragraph Type="Scene Heading">
+      <SceneProperties Title="Debate"><Summary><Paragraph><Text>She hesitates</Text></Paragraph><Paragraph><Text>Then decides</Text></Paragraph></Summary></SceneProperties>
+      <Text>INT. UNSPECIFIED LOCATION</Text>
+    </Paragraph>
+    <Paragraph Number="4" Type="Scene Heading">
+      <Text>EXT. DOCKS - NIGHT</Text>
+    </Paragraph>
+    <Paragraph Type="Character"><Text>MARCUS</Text></Paragraph>
+    <Paragraph Type="Dialogue"><Text>Run.</Text></Paragraph>
+  </Content>
+</FinalDraft>`);
+  const [debate, docks] = act.beats;
+
+  assert.equal(debate.description, 'She hesitates\nThen decides');
+  assert.equal(debate.location, undefined);
+  assert.equal(debate.scene_number, undefined);
+  assert.equal(debate.characters, undefined);
+  assert.equal(docks.scene_number, 4);
+  assert.equal(docks.characters, 'Marcus');
+});
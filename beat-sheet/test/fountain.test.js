@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFountain, parseSceneHeading } from '../src/fountain.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger.\nShe hides it.', location: 'City Hall Office', time_of_day: 'Morning', conflict: 'Duty vs. fear', scene_number: 1, characters: 'Ally, Marcus' },
+  { act_no: 1, title: 'Debate', description: 'She hesitates' },
+  { act_no: 2, title: 'Chase', description: 'Through   the docks', location: 'EXT. STREET', time_of_day: 'night', notes: 'Night shoot' },
+  { act_no: 2, title: 'Kitchen', description: 'Regroup', location: 'INT. Kitchen', scene_number: 7 }
+];
+
+test('an unchanged Fountain export imports with no changes', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  const fountain = (await request(env, 'GET', '/api/reports/beats/fountain')).text;
+  const response = await request(env, 'POST', '/api/import/beats/fountain', { body: fountain });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 4, errors: 0 });
+});
+
+test('fields the draft does not carry are left out', () => {
+  const [act] = parseFountain('# Act 1\n\nINT. UNSPECIFIED LOCATION\n\n= Debate\n= She hesitates\n= Then decides\n');
+  const [beat] = act.beats;
+
+  assert.equal(beat.title, 'Debate');
+  assert.equal(beat.description, 'She hesitates\nThen decides');
+  assert.equal(beat.location, undefined);
+  assert.equal(beat.scene_number, undefined);
+  assert.equal(beat.characters, undefined);
+});
+
+test('scene numbers only come from #n#', () => {
+  assert.equal(parseSceneHeading('EXT. STREET - NIGHT #12#').scene_number, 12);
+  assert.equal(parseSceneHeading('EXT. STREET - NIGHT').scene_number, null);
+});
+
+test('a dash in the location is not read as a time of day', () => {
+  assert.deepEqual(parseSceneHeading('INT. BAR - BACK ROOM'), { location: 'Bar - Back Room', time_of_day: null, scene_number: null });
+  assert.deepEqual(parseSceneHeading('INT. BAR - BACK ROOM - NIGHT'), { location: 'Bar - Back Room', time_of_day: 'Night', scene_number: null });
+});
+
+test('dashed locations and unusual times survive a round trip', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [
+    { act_no: 1, title: 'Back room', description: 'The deal', location: 'INT. BAR - BACK ROOM' },
+    { act_no: 1, title: 'Rooftop', description: 'The reveal', location: 'Rooftop', time_of_day: 'Golden hour' }
+  ]);
+  const fountain = (await request(env, 'GET', '/api/reports/beats/fountain')).text;
+  const response = await request(env, 'POST', '/api/import/beats/fountain', { body: fountain });
+
+  assert.match(fountain, /\[\[Time: Golden hour\]\]/);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 2, errors: 0 });
+});
@@ -0,0 +1,130 @@
+/**
+ * In-memory D1 database for tests
+ *
+ * Implements the part of the D1 binding the worker uses (prepare, bind,
+ * first, all, run and a transactional batch) over sql.js, loaded with
+ * schema.sql and the acts table the worker expects to exist.
+ *
+ * sql.js is built without FTS5, so beats_fts is created as a plain table
+ * with the same columns; the schema's triggers still write to it, but
+ * full-text search itself is not available in tests.
+ */
+
+import { readFileSync } from 'node:fs';
+import initSqlJs from 'sql.js';
+
+const SCHEMA = new URL('../../schema.sql', import.meta.url);
+
+const ACTS = [
+  [1, 1, 'Act One'],
+  [2, 2, 'Act Two'],
+  [3, 3, 'Act Three']
+];
+
+// A plain stand-in for the FTS5 table; declaring rowid as a column lets the
+// triggers' "delete" rows repeat a beat id
+const FTS_STAND_IN = 'CREATE TABLE IF NOT EXISTS beats_fts (beats_fts, rowid, title, description, conflict, emotion, purpose, stakes, notes);';
+
+let SQL = null;
+
+/**
+ * A fresh database with the schema and three acts
+ */
+export async function createTestDatabase() {
+  SQL ??= await initSqlJs();
+  const db = new SQL.Database();
+
+  db.exec('PRAGMA foreign_keys = ON;');
+  db.exec('CREATE TABLE acts (id INTEGER PRIMARY KEY, act_no INTEGER UNIQUE, title TEXT);');
+  for (const act of ACTS) {
+    db.run('INSERT INTO acts (id, act_no, title) VALUES (?, ?, ?)', act);
+  }
+  db.exec(readFileSync(SCHEMA, 'utf8').replace(/CREATE VIRTUAL TABLE IF NOT EXISTS beats_fts USING fts5\([\s\S]*?\);/, FTS_STAND_IN));
+
+  return new TestD1Database(db);
+}
+
+class TestD1Database {
+  constructor(db) {
+    this.db = db;
+    this.batches = 0;
+  }
+
+  prepare(sql) {
+    return new TestD1Statement(this, sql);
+  }
+
+  /**
+   * Run statements in one transaction, as D1 does
+   */
+  async batch(statements) {
+    this.batches++;
+    this.db.exec('BEGIN');
+    try {
+      const results = statements.map(statement => statement.execute());
+      this.db.exec('COMMIT');
+      return results;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+}
+
+class TestD1Statement {
+  constructor(database, sql, params = []) {
+    this.database = database;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    for (const param of params) {
+      if (param === undefined) {
+        throw new Error('D1_TYPE_ERROR: Type \'undefined\' not supported for value \'undefined\'');
+      }
+    }
+    return new TestD1Statement(this.database, this.sql, params.map(param => (typeof param === 'boolean' ? Number(param) : param)));
+  }
+
+  async first(column) {
+    const [row] = this.execute().results;
+    if (!row) return null;
+    return column ? row[column] : row;
+  }
+
+  async all() {
+    return this.execute();
+  }
+
+  async run() {
+    return this.execute();
+  }
+
+  /**
+   * Run the statement and return a D1 result
+   */
+  execute() {
+    const { db } = this.database;
+    const statement = db.prepare(this.sql);
+    const results = [];
+
+    try {
+      statement.bind(this.params);
+      while (statement.step()) {
+        results.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+
+    return {
+      success: true,
+      results,
+      meta: {
+        changes: db.getRowsModified(),
+        last_row_id: db.exec('SELECT last_insert_rowid()')[0].values[0][0]
+      }
+    };
+  }
+}
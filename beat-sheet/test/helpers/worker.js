@@ -0,0 +1,57 @@
+/**
+ * Calls the worker's fetch handler the way the Workers runtime would
+ */
+
+import worker from '../../src/index.js';
+import { createTestDatabase } from './d1.js';
+
+export const API_KEY = 'test-admin-key';
+
+/**
+ * A worker environment with a fresh database and the admin API key
+ */
+export async function createTestEnv(settings = {}) {
+  return {
+    SCREENPLAY_DRAFT: await createTestDatabase(),
+    API_KEY,
+    ...settings
+  };
+}
+
+/**
+ * Send a request to the worker. Objects are sent as JSON, strings as
+ * text/plain. Resolves to { status, headers, body, text }, with body parsed
+ * when the response is JSON.
+ */
+export async function request(env, method, path, { body, headers = {} } = {}) {
+  const init = { method, headers: { 'X-API-Key': API_KEY, ...headers } };
+
+  if (typeof body === 'string') {
+    init.body = body;
+    init.headers['Content-Type'] ??= 'text/plain';
+  } else if (body !== undefined) {
+    init.body = JSON.stringify(body);
+    init.headers['Content-Type'] ??= 'application/json';
+  }
+
+  const response = await worker.fetch(new Request(`http://beats.test${path}`, init), env, { waitUntil() {} });
+  const text = await response.text();
+  let parsed = null;
+  if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+    parsed = JSON.parse(text);
+  }
+
+  return { status: response.status, headers: response.headers, body: parsed, text };
+}
+
+/**
+ * Create beats through the API, failing on the first error
+ */
+export async function createBeats(env, beats) {
+  for (const beat of beats) {
+    const response = await request(env, 'POST', '/api/beats', { body: beat });
+    if (response.status !== 201) {
+      throw new Error(`Creating "${beat.title}" failed with ${response.status}: ${response.text}`);
+    }
+  }
+}
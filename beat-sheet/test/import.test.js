@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', location: 'City Hall Office', time_of_day: 'Morning', scene_number: 1, characters: 'Ally, Marcus' },
+  { act_no: 1, title: 'Debate', description: 'She hesitates' },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', location: 'EXT. DOCKS', time_of_day: 'Night' },
+  { act_no: 2, title: 'Hideout', description: 'Regroup' }
+];
+
+async function setup() {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  return env;
+}
+
+async function exportCSV(env, query = '') {
+  return (await request(env, 'GET', `/api/reports/beats/csv${query}`)).text;
+}
+
+async function listBeats(env) {
+  const report = (await request(env, 'GET', '/api/reports/beats')).body;
+  return report.acts.flatMap(act => act.beats.map(beat => `${act.act_no}.${beat.beat_number} ${beat.title}`));
+}
+
+// Header plus the data rows whose Act Number is in actNumbers
+function keepActs(csv, actNumbers) {
+  const [header, ...rows] = csv.trim().split('\n');
+  return [header, ...rows.filter(row => actNumbers.includes(Number(row.split(',')[0])))].join('\n') + '\n';
+}
+
+test('an unchanged CSV export imports with no changes', async () => {
+  const env = await setup();
+  const response = await request(env, 'POST', '/api/import/beats/csv', { body: await exportCSV(env) });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 4, errors: 0 });
+});
+
+test('beats missing from the file are kept without prune', async () => {
+  const env = await setup();
+  const before = await listBeats(env);
+  const response = await request(env, 'POST', '/api/import/beats/csv?confirm=true', { body: keepActs(await exportCSV(env), [1]) });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.summary.removed, 0);
+  assert.deepEqual(await listBeats(env), before);
+});
+
+test('a filtered export leaves the other beats alone', async () => {
+  const env = await setup();
+  const before = await listBeats(env);
+  const filtered = await exportCSV(env, '?character=ally');
+  const response = await request(env, 'POST', '/api/import/beats/csv?confirm=true', { body: filtered });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 1, errors: 0 });
+  assert.deepEqual(await listBeats(env), before);
+});
+
+test('prune only removes beats of the acts in the file', async () => {
+  const env = await setup();
+  const [header, opening] = (await exportCSV(env)).trim().split('\n');
+  const response = await request(env, 'POST', '/api/import/beats/csv?prune=true&confirm=true', { body: `${header}\n${opening}\n` });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.removed.map(beat => beat.title), ['Debate']);
+  assert.deepEqual(await listBeats(env), ['1.1 Opening', '2.1 Chase', '2.2 Hideout']);
+});
+
+test('a confirmed import is applied in one batch', async () => {
+  const env = await setup();
+  const csv = keepActs(await exportCSV(env), [1])
+    .replace(',Opening,', ',Opening Image,')
+    .replace(/\n1,Act One,2,[^\n]*/, '') + '1,Act One,3,,Catalyst,The call arrives,,,,,,,,\n';
+  const batches = env.SCREENPLAY_DRAFT.batches;
+  const response = await request(env, 'POST', '/api/import/beats/csv?prune=true&confirm=true', { body: csv });
+
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body.summary, { added: 1, changed: 1, removed: 1, unchanged: 0, errors: 0 });
+  assert.equal(env.SCREENPLAY_DRAFT.batches - batches, 1);
+  assert.deepEqual(await listBeats(env), ['1.1 Opening Image', '1.3 Catalyst', '2.1 Chase', '2.2 Hideout']);
+});
+
+test('a failing import applies nothing', async () => {
+  const env = await setup();
+  const before = await listBeats(env);
+  const csv = keepActs(await exportCSV(env), [1])
+    .replace(',Opening,', ',Opening Image,')
+    .replace(/\n1,Act One,2,[^\n]*/, '') + '1,Act One,3,,Catalyst,The call arrives,,,,,,,,\n';
+
+  // Fail at the very end of the batch, after every import statement ran
+  const db = env.SCREENPLAY_DRAFT;
+  const batch = db.batch.bind(db);
+  db.batch = statements => batch([...statements, db.prepare('INSERT INTO missing_table VALUES (1)')]);
+  const response = await request(env, 'POST', '/api/import/beats/csv?prune=true&confirm=true', { body: csv });
+  db.batch = batch;
+
+  assert.equal(response.status, 500);
+  assert.deepEqual(await listBeats(env), before);
+});
+
+test('a filtered export cannot prune', async () => {
+  const env = await setup();
+  const before = await listBeats(env);
+  const filtered = await exportCSV(env, '?character=ally');
+  const response = await request(env, 'POST', '/api/import/beats/csv?prune=true&confirm=true', { body: filtered });
+
+  assert.match(filtered, /^# Filtered export: character=ally\n/);
+  assert.equal(response.status, 422);
+  assert.equal(response.body.details[0].path, 'prune');
+  assert.deepEqual(await listBeats(env), before);
+});
+
+test('an act export is not marked as filtered', async () => {
+  const env = await setup();
+  const response = await request(env, 'POST', '/api/import/beats/csv?prune=true', { body: await exportCSV(env, '?act=2&sort=-beat_number') });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 2, errors: 0 });
+});
+
+test('a beat number taken while importing is a 409', async () => {
+  const env = await setup();
+  const before = await listBeats(env);
+  const csv = keepActs(await exportCSV(env), [1]) + '1,Act One,3,,Catalyst,The call arrives,,,,,,,,\n';
+
+  // Another writer takes 1.3 between the diff and the apply
+  const db = env.SCREENPLAY_DRAFT;
+  const batch = db.batch.bind(db);
+  db.batch = async statements => {
+    db.batch = batch;
+    await createBeats(env, [{ act_no: 1, beat_number: 3, title: 'Break into Two', description: 'She decides' }]);
+    return await batch(statements);
+  };
+  const response = await request(env, 'POST', '/api/import/beats/csv?confirm=true', { body: csv });
+
+  assert.equal(response.status, 409, response.text);
+  assert.deepEqual(await listBeats(env), [...before.slice(0, 2), '1.3 Break into Two', ...before.slice(2)]);
+});
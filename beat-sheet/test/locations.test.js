@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLocation, getLocationBreakdown } from '../src/locations.js';
+import { createTestEnv, createBeats } from './helpers/worker.js';
+
+test('a scene heading splits into setting, location and time', () => {
+  assert.deepEqual(parseLocation('INT. KITCHEN - NIGHT'), { location: 'KITCHEN', setting: 'INT', time_of_day: 'NIGHT', day_night: 'night' });
+  assert.deepEqual(parseLocation('  int.   city   hall  office  '), { location: 'CITY HALL OFFICE', setting: 'INT', time_of_day: null, day_night: null });
+  assert.deepEqual(parseLocation('EXT STREET – DAY'), { location: 'STREET', setting: 'EXT', time_of_day: 'DAY', day_night: 'day' });
+});
+
+test('combined settings are read in each spelling', () => {
+  for (const heading of ['INT./EXT. CAR', 'EXT/INT CAR', 'I/E CAR', 'int / ext. car']) {
+    assert.deepEqual([parseLocation(heading).setting, parseLocation(heading).location], ['INT/EXT', 'CAR'], heading);
+  }
+});
+
+test('a bare name has no setting, even when it starts with INT', () => {
+  assert.deepEqual(parseLocation('Kitchen', 'Morning'), { location: 'KITCHEN', setting: null, time_of_day: 'MORNING', day_night: 'day' });
+  assert.equal(parseLocation('Interior Design Studio').setting, null);
+  assert.equal(parseLocation('Interior Design Studio').location, 'INTERIOR DESIGN STUDIO');
+});
+
+test('only a known time after a dash is taken as the time of day', () => {
+  assert.deepEqual(parseLocation('INT. BAR - BACK ROOM'), { location: 'BAR - BACK ROOM', setting: 'INT', time_of_day: null, day_night: null });
+  assert.equal(parseLocation('INT. BAR - BACK ROOM - NIGHT').location, 'BAR - BACK ROOM');
+  assert.deepEqual(parseLocation('INT. HALLWAY - CONTINUOUS'), { location: 'HALLWAY', setting: 'INT', time_of_day: 'CONTINUOUS', day_night: null });
+});
+
+test('beats.time_of_day wins over the heading\'s time', () => {
+  assert.deepEqual(parseLocation('EXT. STREET - NIGHT', 'dawn'), { location: 'STREET', setting: 'EXT', time_of_day: 'DAWN', day_night: 'day' });
+});
+
+test('times sort into day and night by whole words', () => {
+  assert.equal(parseLocation('Roof', 'Late evening').day_night, 'night');
+  assert.equal(parseLocation('Roof', 'Early morning').day_night, 'day');
+  assert.equal(parseLocation('Roof', 'Dusk').day_night, 'night');
+  assert.equal(parseLocation('Roof', 'Holiday').day_night, null);
+  assert.equal(parseLocation('Roof', 'Later').day_night, null);
+});
+
+test('empty locations have no name', () => {
+  assert.equal(parseLocation(null).location, null);
+  assert.equal(parseLocation('   ').location, null);
+  assert.deepEqual(parseLocation('INT.'), { location: null, setting: 'INT', time_of_day: null, day_night: null });
+});
+
+test('beats at the same set are grouped across spellings', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [
+    { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', location: 'INT. KITCHEN - NIGHT', page_count: 2 },
+    { act_no: 1, title: 'Debate', description: 'She hesitates', location: 'Kitchen', time_of_day: 'Morning', estimated_minutes: 3 },
+    { act_no: 2, title: 'Chase', description: 'Through the docks', location: 'EXT. DOCKS - NIGHT' },
+    { act_no: 2, title: 'Hideout', description: 'Regroup' }
+  ]);
+  const breakdown = await getLocationBreakdown(env.SCREENPLAY_DRAFT);
+
+  assert.deepEqual(breakdown.locations.map(location => [location.location, location.settings, location.beat_count, location.day_beats, location.night_beats, location.minutes]), [
+    ['KITCHEN', ['INT'], 2, 1, 1, 5],
+    ['DOCKS', ['EXT'], 1, 0, 1, 0]
+  ]);
+  assert.deepEqual(breakdown.summary, {
+    total_beats: 4,
+    total_locations: 2,
+    interior_locations: 1,
+    exterior_locations: 1,
+    night_locations: 2,
+    day_beats: 1,
+    night_beats: 2,
+    unlocated_beats: 1
+  });
+});
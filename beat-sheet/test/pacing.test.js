@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateMinutes, getPacingReport, readPacingSettings } from '../src/pacing.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', estimated_minutes: 10, page_count: 3 },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', page_count: 24 },
+  { act_no: 2, title: 'Hideout', description: 'Regroup', estimated_minutes: 6 },
+  { act_no: 3, title: 'Finale', description: 'The vote' }
+];
+
+test('minutes come from estimated_minutes, then the page count', () => {
+  assert.deepEqual(estimateMinutes({ estimated_minutes: 4, page_count: 3 }), { minutes: 4, estimated: false });
+  assert.deepEqual(estimateMinutes({ estimated_minutes: 0, page_count: 3 }), { minutes: 0, estimated: false });
+  assert.deepEqual(estimateMinutes({ estimated_minutes: null, page_count: 1.5 }), { minutes: 1.5, estimated: true });
+  assert.deepEqual(estimateMinutes({ page_count: 0.125 }), { minutes: 0.13, estimated: true });
+  assert.deepEqual(estimateMinutes({ estimated_minutes: null, page_count: null }), { minutes: null, estimated: false });
+});
+
+test('acts are flagged only when they miss the target by more than the tolerance', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  const report = await getPacingReport(env.SCREENPLAY_DRAFT);
+
+  assert.deepEqual(report.acts.map(act => [act.act_no, act.minutes, act.share, act.difference, act.status, act.overlong_beats]), [
+    [1, 10, 25, 0, 'on_target', 1],
+    [2, 30, 75, 25, 'over', 2],
+    [3, 0, 0, -25, 'under', 0]
+  ]);
+  assert.deepEqual(report.overlong_beats.map(beat => [beat.title, beat.minutes, beat.minutes_estimated]), [
+    ['Chase', 24, true], ['Opening', 10, false], ['Hideout', 6, false]
+  ]);
+  assert.deepEqual(report.summary, {
+    total_beats: 4, total_pages: 27, total_minutes: 40, estimated_beats: 1, untimed_beats: 1, overlong_acts: 1, overlong_beats: 3
+  });
+
+  // A difference equal to the tolerance is still on target; an act with no target has no status
+  const settings = readPacingSettings({}, { targets: { 1: 20, 2: 70 }, tolerance: 5, max_beat_minutes: 30 });
+  const tuned = await getPacingReport(env.SCREENPLAY_DRAFT, settings);
+  assert.deepEqual(tuned.acts.map(act => [act.difference, act.status]), [[5, 'on_target'], [5, 'on_target'], [null, null]]);
+  assert.equal(tuned.summary.overlong_beats, 0);
+});
+
+test('a script with no runtime has no shares or statuses', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [{ act_no: 1, title: 'Opening', description: 'Ally finds the ledger' }]);
+  const report = await getPacingReport(env.SCREENPLAY_DRAFT);
+
+  assert.deepEqual(report.acts.map(act => [act.share, act.status]), [[null, null], [null, null], [null, null]]);
+  assert.equal(report.summary.untimed_beats, 1);
+});
+
+test('the PACING setting and the query override the defaults', async () => {
+  const env = await createTestEnv({ PACING: '{"tolerance": 30, "max_beat_minutes": 8}' });
+  await createBeats(env, BEATS);
+
+  const configured = await request(env, 'GET', '/api/reports/pacing');
+  assert.equal(configured.status, 200);
+  assert.deepEqual(configured.body.acts.map(act => act.status), ['on_target', 'on_target', 'on_target']);
+  assert.equal(configured.body.summary.overlong_beats, 2);
+
+  const queried = await request(env, 'GET', '/api/reports/pacing?targets=1:25,2:75&tolerance=0');
+  assert.deepEqual(queried.body.settings.targets, { 1: 25, 2: 75 });
+  assert.deepEqual(queried.body.acts.map(act => act.status), ['on_target', 'on_target', null]);
+
+  assert.equal((await request(env, 'GET', '/api/reports/pacing?targets=1:60,2:60')).status, 422);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+test('beat fields are escaped on every page that shows them', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [{
+    act_no: 1,
+    title: PAYLOAD,
+    description: PAYLOAD,
+    conflict: PAYLOAD,
+    emotion: PAYLOAD,
+    location: PAYLOAD,
+    time_of_day: PAYLOAD,
+    characters: PAYLOAD
+  }]);
+
+  for (const path of ['/ally/act/1/beat/1', '/ally/act/1', '/ally/beats/all', '/api/reports/beats/html', '/dashboard']) {
+    const response = await request(env, 'GET', path);
+    assert.equal(response.status, 200, path);
+    assert.ok(!response.text.includes(PAYLOAD), `${path} renders the field unescaped`);
+    assert.ok(response.text.includes('&lt;img src=x onerror=alert(1)&gt;'), `${path} does not show the field`);
+  }
+});
+
+test('page writes send the beat ETag as If-Match', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [{ act_no: 1, title: 'Opening', description: 'Ally finds the ledger', tags: ['setup'] }]);
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image' } });
+  const etag = (await request(env, 'GET', '/api/beats/1')).headers.get('ETag');
+
+  const beatPage = (await request(env, 'GET', '/ally/act/1/beat/1')).text;
+  assert.equal(beatPage.split(`'If-Match': ${JSON.stringify(etag)}`).length - 1, 2, 'tag and restore requests');
+
+  const structurePage = (await request(env, 'GET', '/ally/structure')).text;
+  assert.ok(structurePage.includes(`data-etag="${etag.replace(/"/g, '&quot;')}"`));
+});
+
+test('page ETags change with the settings and the deployed version', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [{ act_no: 1, title: 'Opening', description: 'Ally finds the ledger', characters: 'Ally' }]);
+  const etag = async path => (await request(env, 'GET', path)).headers.get('ETag');
+
+  for (const [path, setting, value] of [
+    ['/ally/characters', 'CHARACTER_ALIASES', '{"Ally": ["Al"]}'],
+    ['/ally/pacing', 'PACING', '{"tolerance": 10}'],
+    ['/ally/structure', 'STRUCTURE', '{"template": "heros_journey"}'],
+    ['/ally/arc', 'CF_VERSION_METADATA', { id: 'next-deploy' }]
+  ]) {
+    const before = await etag(path);
+    env[setting] = value;
+    assert.notEqual(await etag(path), before, `${path} ignores ${setting}`);
+  }
+});
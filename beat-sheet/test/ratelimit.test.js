@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRateLimit, rateLimitClass, RATE_LIMITS } from '../src/ratelimit.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const KEYS = { alice: 'alice-key', bob: 'bob-key', viewer: 'viewer-key' };
+
+async function setup(t, limits) {
+  // One fixed instant, so no test straddles two rate limit windows
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  const env = await createTestEnv({
+    API_KEYS: JSON.stringify({
+      alice: { key: KEYS.alice, role: 'writer' },
+      bob: { key: KEYS.bob, role: 'writer' },
+      viewer: { key: KEYS.viewer, role: 'viewer' }
+    })
+  });
+  await createBeats(env, [{ act_no: 1, title: 'Opening', description: 'Ally finds the ledger' }]);
+  env.RATE_LIMITS = JSON.stringify(limits);
+  return env;
+}
+
+const as = (env, name) => (method, path, body) => request(env, method, path, { body, headers: { 'X-API-Key': KEYS[name] } });
+
+test('routes are limited by class', () => {
+  assert.equal(rateLimitClass({ method: 'GET', path: '/api/beats/{id}' }), 'reads');
+  assert.equal(rateLimitClass({ method: 'PATCH', path: '/api/beats/{id}' }), 'writes');
+  assert.equal(rateLimitClass({ method: 'POST', path: '/api/import/beats/csv' }), 'writes');
+  assert.equal(rateLimitClass({ method: 'GET', path: '/api/reports/beats/csv' }), 'exports');
+});
+
+test('RATE_LIMITS overrides single limits and ignores invalid ones', () => {
+  const env = { RATE_LIMITS: JSON.stringify({ viewer: { exports: 5, reads: -1 }, writer: { writes: 'many' } }) };
+
+  assert.equal(getRateLimit(env, 'viewer', 'exports'), 5);
+  assert.equal(getRateLimit(env, 'viewer', 'reads'), RATE_LIMITS.viewer.reads);
+  assert.equal(getRateLimit(env, 'writer', 'writes'), RATE_LIMITS.writer.writes);
+  assert.equal(getRateLimit({ RATE_LIMITS: 'not json' }, 'admin', 'reads'), RATE_LIMITS.admin.reads);
+  assert.equal(getRateLimit({}, 'unknown', 'writes'), RATE_LIMITS.viewer.writes);
+});
+
+test('each class has its own budget per caller', async t => {
+  const env = await setup(t, { writer: { writes: 2, reads: 3, exports: 1 } });
+  const alice = as(env, 'alice');
+
+  const first = await alice('PATCH', '/api/beats/1', { tension_level: 2 });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('RateLimit-Limit'), '2');
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  assert.equal(first.headers.get('RateLimit-Policy'), '2;w=60');
+  assert.equal((await alice('PATCH', '/api/beats/1', { tension_level: 3 })).status, 200);
+  assert.equal((await alice('PATCH', '/api/beats/1', { tension_level: 4 })).status, 429);
+
+  // Reads, exports and other callers are counted separately
+  assert.equal((await alice('GET', '/api/beats/1')).status, 200);
+  assert.equal((await alice('GET', '/api/reports/beats')).status, 200);
+  assert.equal((await alice('GET', '/api/reports/beats/csv')).status, 429);
+  assert.equal((await as(env, 'bob')('PATCH', '/api/beats/1', { tension_level: 5 })).status, 200);
+});
+
+test('limits depend on the role', async t => {
+  const env = await setup(t, { viewer: { reads: 1 }, writer: { reads: 2 } });
+
+  assert.equal((await as(env, 'viewer')('GET', '/api/beats/1')).status, 200);
+  assert.equal((await as(env, 'viewer')('GET', '/api/beats/1')).status, 429);
+  assert.equal((await as(env, 'alice')('GET', '/api/beats/1')).status, 200);
+  assert.equal((await as(env, 'alice')('GET', '/api/beats/1')).status, 200);
+  assert.equal((await as(env, 'alice')('GET', '/api/beats/1')).status, 429);
+});
+
+test('over the limit the response is 429 with Retry-After', async t => {
+  const env = await setup(t, { writer: { reads: 0 } });
+  const response = await as(env, 'alice')('GET', '/api/beats/1');
+
+  assert.equal(response.status, 429);
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  assert.equal(response.headers.get('RateLimit-Remaining'), '0');
+  assert.deepEqual(response.body.details, { limit: 0, class: 'reads', retry_after: retryAfter });
+});
+
+test('requests are let through when the counter cannot be stored', async t => {
+  const env = await setup(t, { writer: { reads: 0 } });
+  await env.SCREENPLAY_DRAFT.prepare('DROP TABLE rate_limits').run();
+  t.mock.method(console, 'error', () => {});
+
+  const response = await as(env, 'alice')('GET', '/api/beats/1');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('RateLimit-Limit'), null);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', tension_level: 3 },
+  { act_no: 1, title: 'Debate', description: 'She hesitates', tension_level: 5 },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', tension_level: 9 },
+  { act_no: 2, title: 'Hideout', description: 'Regroup', tension_level: 4 }
+];
+
+async function setup() {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  return env;
+}
+
+// Titles of the CSV data rows, in file order
+function csvTitles(csv) {
+  return csv.trim().split('\n').slice(1).map(row => row.split(',')[4]);
+}
+
+test('CSV sorts across acts while grouped reports sort within them', async () => {
+  const env = await setup();
+  const csv = (await request(env, 'GET', '/api/reports/beats/csv?sort=-tension_level')).text;
+  const json = (await request(env, 'GET', '/api/reports/beats?sort=-tension_level')).body;
+
+  assert.deepEqual(csvTitles(csv), ['Chase', 'Debate', 'Hideout', 'Opening']);
+  assert.deepEqual(json.acts.flatMap(act => act.beats.map(beat => beat.title)), ['Debate', 'Opening', 'Chase', 'Hideout']);
+});
+
+test('a globally sorted CSV imports with no changes', async () => {
+  const env = await setup();
+  const csv = (await request(env, 'GET', '/api/reports/beats/csv?sort=title')).text;
+  const response = await request(env, 'POST', '/api/import/beats/csv', { body: csv });
+
+  assert.deepEqual(csvTitles(csv), ['Chase', 'Debate', 'Hideout', 'Opening']);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { added: 0, changed: 0, removed: 0, unchanged: 4, errors: 0 });
+});
+
+const MARKUP_BEATS = [
+  { act_no: 1, title: 'Opening *bold* #1', description: '- not a list\n1. nor this', location: 'INT. KITCHEN', tags: ['setup'] },
+  { act_no: 2, title: 'Chase <&>', description: 'Line one\nLine two', tension_level: 9 }
+];
+
+test('the Markdown outline escapes beat text and lists the set fields', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, MARKUP_BEATS);
+  const response = await request(env, 'GET', '/api/reports/beats/md');
+  const body = response.text.split('\n').slice(4).join('\n');
+
+  assert.equal(response.headers.get('Content-Type'), 'text/markdown; charset=utf-8');
+  assert.equal(body, [
+    '## Act 1: Act One',
+    '',
+    '### Beat 1: Opening \\*bold\\* \\#1',
+    '',
+    '\\- not a list',
+    '1\\. nor this',
+    '',
+    '- **Location:** INT. KITCHEN',
+    '- **Tension:** 1',
+    '- **Tags:** `setup`',
+    '',
+    '## Act 2: Act Two',
+    '',
+    '### Beat 1: Chase \\<&\\>',
+    '',
+    'Line one',
+    'Line two',
+    '',
+    '- **Tension:** 9',
+    ''
+  ].join('\n'));
+});
+
+test('the OPML outline nests beats and their fields under acts', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, MARKUP_BEATS);
+  const response = await request(env, 'GET', '/api/reports/beats/opml');
+
+  assert.equal(response.headers.get('Content-Type'), 'text/x-opml; charset=utf-8');
+  assert.ok(response.text.includes([
+    '    <outline text="Act 2: Act Two">',
+    '      <outline text="Beat 1: Chase &lt;&amp;&gt;" _note="Line one&#10;Line two">',
+    '        <outline text="Description: Line one Line two"/>',
+    '        <outline text="Tension: 9"/>',
+    '      </outline>',
+    '    </outline>'
+  ].join('\n')));
+  assert.ok(response.text.includes('<outline text="Tags: setup"/>'));
+});
+
+test('the outlines only include the act asked for', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, MARKUP_BEATS);
+
+  const markdown = (await request(env, 'GET', '/api/reports/beats/md?act=2')).text;
+  assert.match(markdown, /· 1 acts · 1 beats_/);
+  assert.ok(markdown.includes('## Act 2: Act Two'));
+  assert.ok(!markdown.includes('## Act 1'));
+
+  const opml = (await request(env, 'GET', '/api/reports/beats/opml?act=2')).text;
+  assert.equal(opml.match(/<outline text="Act /g).length, 1);
+  assert.ok(opml.includes('<outline text="Act 2: Act Two">'));
+
+  assert.match((await request(env, 'GET', '/api/reports/beats/md?act=3')).text, /There are currently no beats in the database\./);
+  assert.equal((await request(env, 'GET', '/api/reports/beats/opml?act=0')).status, 422);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const KEYS = {
+  viewer: 'viewer-key',
+  writer: 'writer-key',
+  admin: 'admin-key'
+};
+
+async function setup() {
+  const env = await createTestEnv({
+    API_KEYS: JSON.stringify(Object.fromEntries(Object.entries(KEYS).map(([role, key]) => [role, { key, role }])))
+  });
+  await createBeats(env, [
+    { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', tags: ['setup'] },
+    { act_no: 1, title: 'Debate', description: 'She hesitates' }
+  ]);
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image' } });
+  await request(env, 'DELETE', '/api/beats/2');
+  return env;
+}
+
+const as = (env, role) => (method, path, options = {}) =>
+  request(env, method, path, { ...options, headers: { 'X-API-Key': KEYS[role], ...options.headers } });
+
+test('a viewer can read but not write', async () => {
+  const env = await setup();
+  const viewer = as(env, 'viewer');
+
+  assert.equal((await viewer('GET', '/api/reports/beats')).status, 200);
+  assert.equal((await viewer('GET', '/api/beats/1')).status, 200);
+  for (const [method, path, body] of [
+    ['POST', '/api/beats', { act_no: 1, title: 'Catalyst', description: 'The call' }],
+    ['PATCH', '/api/beats/1', { title: 'Changed' }],
+    ['POST', '/api/beats/1/move', { position: 1 }],
+    ['POST', '/api/beats/1/tags', { tags: ['theme'] }],
+    ['POST', '/api/beats/1/history/1/restore'],
+    ['PUT', '/api/beats/1/structure', { slot: 'catalyst' }],
+    ['GET', '/api/trash']
+  ]) {
+    const response = await viewer(method, path, { body });
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.deepEqual(response.body.details, { role: 'viewer', required: 'writer' });
+  }
+  assert.equal((await request(env, 'GET', '/api/beats/1')).body.title, 'Opening Image');
+});
+
+test('a writer can edit but not delete, purge, restore from the trash or import', async () => {
+  const env = await setup();
+  const writer = as(env, 'writer');
+
+  assert.equal((await writer('PATCH', '/api/beats/1', { body: { tension_level: 6 } })).status, 200);
+  assert.equal((await writer('GET', '/api/trash')).status, 200);
+  for (const [method, path, body] of [
+    ['DELETE', '/api/beats/1'],
+    ['DELETE', '/api/acts/1/beats/1'],
+    ['DELETE', '/api/trash/2'],
+    ['DELETE', '/api/trash'],
+    ['POST', '/api/trash/2/restore'],
+    ['POST', '/api/import/beats/csv', 'Act Number\n'],
+    ['POST', '/api/import/beats/fountain', '# Act 1\n']
+  ]) {
+    const response = await writer(method, path, { body });
+    assert.equal(response.status, 403, `${method} ${path}`);
+    assert.deepEqual(response.body.details, { role: 'writer', required: 'admin' });
+  }
+  assert.equal((await request(env, 'GET', '/api/trash')).body.total, 1);
+});
+
+test('an admin can delete, purge and import', async () => {
+  const env = await setup();
+  const admin = as(env, 'admin');
+
+  assert.equal((await admin('DELETE', '/api/beats/1')).status, 200);
+  assert.equal((await admin('POST', '/api/trash/1/restore')).status, 200);
+  assert.equal((await admin('DELETE', '/api/trash/2')).status, 200);
+  const csv = (await admin('GET', '/api/reports/beats/csv')).text;
+  assert.equal((await admin('POST', '/api/import/beats/csv', { body: csv })).status, 200);
+});
+
+test('pages hide the actions a role cannot take', async () => {
+  const env = await setup();
+  const page = async (role, path) => (await as(env, role)('GET', path)).text;
+
+  const viewerBeat = await page('viewer', '/ally/act/1/beat/1');
+  assert.ok(viewerBeat.includes('Opening Image'));
+  assert.ok(!viewerBeat.includes('class="restore-button"'));
+  assert.ok(!viewerBeat.includes('class="tag-form"'));
+  assert.ok(!viewerBeat.includes('class="tag-remove"'));
+
+  const writerBeat = await page('writer', '/ally/act/1/beat/1');
+  assert.ok(writerBeat.includes('class="restore-button"'));
+  assert.ok(writerBeat.includes('class="tag-form"'));
+  assert.ok(writerBeat.includes('class="tag-remove"'));
+
+  assert.ok(!(await page('viewer', '/ally/structure')).includes('structure-slot"'));
+  assert.ok((await page('writer', '/ally/structure')).includes('structure-slot"'));
+
+  assert.equal((await as(env, 'viewer')('GET', '/ally/trash')).status, 403);
+  const writerTrash = await page('writer', '/ally/trash');
+  assert.ok(writerTrash.includes('Debate'));
+  assert.ok(!writerTrash.includes('data-action'));
+  const adminTrash = await page('admin', '/ally/trash');
+  assert.ok(adminTrash.includes('data-action="restore"'));
+  assert.ok(adminTrash.includes('data-action="purge-all"'));
+});
+
+test('pages for different roles never share an ETag', async () => {
+  const env = await setup();
+  const etag = async role => (await as(env, role)('GET', '/ally/act/1/beat/1')).headers.get('ETag');
+
+  const viewerTag = await etag('viewer');
+  assert.notEqual(viewerTag, await etag('writer'));
+  const response = await as(env, 'writer')('GET', '/ally/act/1/beat/1', { headers: { 'If-None-Match': viewerTag } });
+  assert.equal(response.status, 200);
+});
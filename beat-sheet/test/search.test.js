@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMatchQuery } from '../src/search.js';
+import { createTestEnv, request } from './helpers/worker.js';
+
+test('words become prefix terms and quoted text a phrase', () => {
+  assert.equal(buildMatchQuery('ledger'), '"ledger"*');
+  assert.equal(buildMatchQuery('ally ledger'), '"ally"* "ledger"*');
+  assert.equal(buildMatchQuery('"city hall" office'), '"city hall" "office"*');
+  assert.equal(buildMatchQuery('café 2nd'), '"café"* "2nd"*');
+});
+
+test('FTS5 syntax in search text is taken literally', () => {
+  assert.equal(buildMatchQuery('ally OR NOT marcus'), '"ally"* "OR"* "NOT"* "marcus"*');
+  assert.equal(buildMatchQuery('title:ledger* (hall)'), '"title ledger"* "hall"*');
+  assert.equal(buildMatchQuery('"unclosed phrase'), '"unclosed phrase"');
+  assert.equal(buildMatchQuery('don\'t'), '"don t"*');
+});
+
+test('text without letters or numbers gives no query', async () => {
+  assert.equal(buildMatchQuery(''), '');
+  assert.equal(buildMatchQuery(null), '');
+  assert.equal(buildMatchQuery('"" * - ()'), '');
+
+  const env = await createTestEnv();
+  const response = await request(env, 'GET', '/api/search?q=%22%22%20*');
+  assert.equal(response.status, 422);
+  assert.equal(response.body.details[0].path, 'q');
+});
+
+test('at most ten terms are used', () => {
+  const words = Array.from({ length: 12 }, (_, i) => `w${i}`);
+  assert.equal(buildMatchQuery(words.join(' ')), words.slice(0, 10).map(word => `"${word}"*`).join(' '));
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStructureReport, readStructureSettings } from '../src/structure.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const STRUCTURE = JSON.stringify({
+  template: 'custom',
+  custom: {
+    name: 'Test',
+    slots: [
+      { key: 'hook', name: 'Hook', position: 0 },
+      { key: 'turn', name: 'Turn', position: 20 },
+      { key: 'middle', name: 'Middle', position: 40 },
+      { key: 'end', name: 'End', position: 90 },
+      { key: 'coda', name: 'Coda', position: 100 }
+    ]
+  }
+});
+
+test('beats start at their share of the runtime and slots fall where their beats start', async () => {
+  const env = await createTestEnv({ STRUCTURE });
+  await createBeats(env, [
+    { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', estimated_minutes: 10, structure_slot: 'hook' },
+    { act_no: 1, title: 'Debate', description: 'She hesitates', page_count: 10, structure_slot: 'turn' },
+    { act_no: 2, title: 'Chase', description: 'Through the docks', estimated_minutes: 10, structure_slot: 'middle' },
+    { act_no: 3, title: 'Finale', description: 'The vote', estimated_minutes: 10, structure_slot: 'end' },
+    { act_no: 3, title: 'Epilogue', description: 'After the vote', structure_slot: 'theme_stated' }
+  ]);
+  const report = await getStructureReport(env.SCREENPLAY_DRAFT, readStructureSettings(env));
+
+  assert.equal(report.summary.measured_by, 'runtime');
+  assert.deepEqual(report.beats.map(beat => [beat.position, beat.runtime_position, beat.in_template]), [
+    [1, 0, true], [2, 25, true], [3, 50, true], [4, 75, true], [5, 100, false]
+  ]);
+  assert.deepEqual(report.slots.map(slot => [slot.key, slot.position, slot.difference, slot.status, slot.beats]), [
+    ['hook', 0, 0, 'on_target', [1]],
+    ['turn', 25, 5, 'on_target', [2]],
+    ['middle', 50, 10, 'late', [3]],
+    ['end', 75, -15, 'early', [4]],
+    ['coda', null, null, 'missing', []]
+  ]);
+  assert.deepEqual(report.summary, {
+    total_beats: 5,
+    measured_by: 'runtime',
+    total_slots: 5,
+    filled_slots: 4,
+    missing_slots: 1,
+    off_position_slots: 2,
+    assigned_beats: 4,
+    other_slot_beats: 1
+  });
+});
+
+test('without minutes or pages beats are placed by their order', async () => {
+  const env = await createTestEnv({ STRUCTURE });
+  await createBeats(env, [
+    { act_no: 1, title: 'Opening', description: 'Ally finds the ledger' },
+    { act_no: 1, title: 'Debate', description: 'She hesitates', structure_slot: 'turn' },
+    { act_no: 2, title: 'Chase', description: 'Through the docks' },
+    { act_no: 2, title: 'Hideout', description: 'Regroup', structure_slot: 'turn' }
+  ]);
+  const report = await getStructureReport(env.SCREENPLAY_DRAFT, readStructureSettings(env, { tolerance: 2 }));
+
+  assert.equal(report.summary.measured_by, 'beat_order');
+  assert.deepEqual(report.beats.map(beat => beat.runtime_position), [0, 25, 50, 75]);
+  const turn = report.slots.find(slot => slot.key === 'turn');
+  assert.deepEqual([turn.position, turn.status, turn.beats], [25, 'late', [2, 4]]);
+});
+
+test('an empty script leaves every slot missing', async () => {
+  const env = await createTestEnv();
+  const report = await getStructureReport(env.SCREENPLAY_DRAFT);
+
+  assert.equal(report.template.key, 'save_the_cat');
+  assert.equal(report.summary.missing_slots, 15);
+  assert.deepEqual(report.beats, []);
+});
+
+test('the report refuses a template that does not exist', async () => {
+  const env = await createTestEnv();
+  const response = await request(env, 'GET', '/api/reports/structure?template=custom');
+
+  assert.equal(response.status, 422);
+  assert.equal(response.body.details[0].path, 'template');
+  assert.equal((await request(env, 'GET', '/api/reports/structure?template=heros_journey')).body.summary.total_slots, 12);
+});
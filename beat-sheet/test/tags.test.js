@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTags } from '../src/tags.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', tags: ['Setup', 'ledger'] },
+  { act_no: 1, title: 'Debate', description: 'She hesitates', tags: ['theme'] },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', tags: ['setup', 'Action'] }
+];
+
+async function setup() {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  return env;
+}
+
+// Tags of every beat, trashed ones included, by title
+async function tagsByTitle(env) {
+  const rows = await env.SCREENPLAY_DRAFT.prepare('SELECT title, tags FROM beats WHERE is_current = 1 ORDER BY id').all();
+  return Object.fromEntries(rows.results.map(row => [row.title, JSON.parse(row.tags || '[]')]));
+}
+
+test('tags are counted once per beat, case-insensitively, most used first', () => {
+  const counts = countTags([
+    { tags: '["Setup","ledger","setup"]' },
+    { tags: '["theme"]' },
+    { tags: '["setup","Action"]' },
+    { tags: null }
+  ]);
+
+  assert.deepEqual(counts, [
+    { tag: 'Setup', count: 2 },
+    { tag: 'Action', count: 1 },
+    { tag: 'ledger', count: 1 },
+    { tag: 'theme', count: 1 }
+  ]);
+});
+
+test('the tag list and facets count current beats', async () => {
+  const env = await setup();
+  await request(env, 'DELETE', '/api/beats/2');
+
+  const list = (await request(env, 'GET', '/api/tags')).body;
+  assert.deepEqual(list.tags.map(entry => [entry.tag, entry.count]), [['Setup', 2], ['Action', 1], ['ledger', 1]]);
+
+  const facets = (await request(env, 'GET', '/api/tags/SETUP')).body;
+  assert.equal(facets.tag, 'Setup');
+  assert.equal(facets.total, 2);
+  assert.deepEqual(facets.related.map(entry => entry.tag), ['Action', 'ledger']);
+  assert.equal((await request(env, 'GET', '/api/tags/theme')).status, 404);
+});
+
+test('a rename changes every beat in one batch, trashed ones included', async () => {
+  const env = await setup();
+  await request(env, 'DELETE', '/api/beats/2');
+  const batches = env.SCREENPLAY_DRAFT.batches;
+  const response = await request(env, 'POST', '/api/tags/theme/rename', { body: { to: 'Motif' } });
+
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body, { from: 'theme', to: 'Motif', merged: false, beats: 1 });
+  assert.equal(env.SCREENPLAY_DRAFT.batches - batches, 1);
+  assert.deepEqual((await tagsByTitle(env)).Debate, ['Motif']);
+});
+
+test('renaming onto an existing tag merges the two', async () => {
+  const env = await setup();
+  await request(env, 'PATCH', '/api/beats/2', { body: { tags: ['theme', 'Ledger'] } });
+  const response = await request(env, 'POST', '/api/tags/ledger/rename', { body: { to: 'theme' } });
+
+  assert.equal(response.status, 200, response.text);
+  assert.deepEqual(response.body, { from: 'ledger', to: 'theme', merged: true, beats: 2 });
+  assert.deepEqual(await tagsByTitle(env), {
+    Opening: ['Setup', 'theme'],
+    Debate: ['theme'],
+    Chase: ['setup', 'Action']
+  });
+  assert.equal((await request(env, 'POST', '/api/tags/ledger/rename', { body: { to: 'x' } })).status, 404);
+});
+
+test('a rename that hits a constraint is reported, not a 500', async () => {
+  const env = await setup();
+  const db = env.SCREENPLAY_DRAFT;
+  const batch = db.batch.bind(db);
+  db.batch = async () => {
+    throw new Error('D1_ERROR: UNIQUE constraint failed: beats.act_id, beats.beat_number');
+  };
+  const response = await request(env, 'POST', '/api/tags/setup/rename', { body: { to: 'opening' } });
+  db.batch = batch;
+
+  assert.equal(response.status, 409, response.text);
+});
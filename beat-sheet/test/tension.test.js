@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTensionArc } from '../src/tension.js';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger', tension_level: 2 },
+  { act_no: 1, title: 'Debate', description: 'She hesitates', tension_level: null },
+  { act_no: 1, title: 'Catalyst', description: 'The call', tension_level: 5 },
+  { act_no: 2, title: 'Chase', description: 'Through the docks', tension_level: 9 },
+  { act_no: 2, title: 'Hideout', description: 'Regroup', tension_level: 4 }
+];
+
+test('points run through the script in order with each act\'s range', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  const arc = await getTensionArc(env.SCREENPLAY_DRAFT);
+
+  assert.deepEqual(arc.points.map(point => [point.position, point.act_no, point.beat_number, point.tension_level]), [
+    [1, 1, 1, 2], [2, 1, 2, null], [3, 1, 3, 5], [4, 2, 1, 9], [5, 2, 2, 4]
+  ]);
+  assert.equal(arc.points[3].url, '/ally/act/2/beat/1');
+  assert.deepEqual(arc.acts.map(({ act_title, ...act }) => act), [
+    { act_no: 1, beat_count: 3, avg_tension: 3.5, min_tension: 2, max_tension: 5, first_position: 1, last_position: 3 },
+    { act_no: 2, beat_count: 2, avg_tension: 6.5, min_tension: 4, max_tension: 9, first_position: 4, last_position: 5 },
+    { act_no: 3, beat_count: 0, avg_tension: null, min_tension: null, max_tension: null, first_position: null, last_position: null }
+  ]);
+});
+
+test('the summary skips unrated beats and names the first peak', async () => {
+  const env = await createTestEnv();
+  await createBeats(env, [...BEATS, { act_no: 3, title: 'Finale', description: 'The vote', tension_level: 9 }]);
+  const { summary } = await getTensionArc(env.SCREENPLAY_DRAFT);
+
+  assert.deepEqual(summary, {
+    total_beats: 6,
+    rated_beats: 5,
+    avg_tension: 5.8,
+    peak: { position: 4, act_no: 2, beat_number: 1, tension_level: 9 }
+  });
+});
+
+test('an empty or unrated script has no averages or peak', async () => {
+  const env = await createTestEnv();
+  assert.deepEqual((await getTensionArc(env.SCREENPLAY_DRAFT)).summary, { total_beats: 0, rated_beats: 0, avg_tension: null, peak: null });
+
+  await createBeats(env, [BEATS[1]]);
+  const response = await request(env, 'GET', '/api/reports/tension');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { total_beats: 1, rated_beats: 0, avg_tension: null, peak: null });
+});
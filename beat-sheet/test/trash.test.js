@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+const BEATS = [
+  { act_no: 1, title: 'Opening', description: 'Ally finds the ledger' },
+  { act_no: 1, title: 'Debate', description: 'She hesitates' },
+  { act_no: 1, title: 'Catalyst', description: 'The call' }
+];
+
+async function setup() {
+  const env = await createTestEnv();
+  await createBeats(env, BEATS);
+  return env;
+}
+
+async function listBeats(env) {
+  const report = (await request(env, 'GET', '/api/reports/beats')).body;
+  return report.acts.flatMap(act => act.beats.map(beat => `${act.act_no}.${beat.beat_number} ${beat.title}`));
+}
+
+async function countRows(env, id) {
+  const result = await env.SCREENPLAY_DRAFT.prepare('SELECT COUNT(*) as count FROM beats WHERE id = ? OR version_of = ?').bind(id, id).first();
+  return result.count;
+}
+
+test('deleted beats are listed in the trash and hidden elsewhere', async () => {
+  const env = await setup();
+  assert.equal((await request(env, 'DELETE', '/api/beats/2')).status, 200);
+
+  const trash = (await request(env, 'GET', '/api/trash')).body;
+  assert.equal(trash.total, 1);
+  assert.deepEqual(trash.beats.map(beat => [beat.id, beat.title]), [[2, 'Debate']]);
+  assert.equal((await request(env, 'GET', '/api/trash/2')).body.title, 'Debate');
+  assert.equal((await request(env, 'GET', '/api/trash/1')).status, 404);
+  assert.equal((await request(env, 'GET', '/api/beats/2')).status, 404);
+  assert.deepEqual(await listBeats(env), ['1.1 Opening', '1.3 Catalyst']);
+});
+
+test('a restored beat gets its old number back when it is free', async () => {
+  const env = await setup();
+  await request(env, 'DELETE', '/api/beats/2');
+  const response = await request(env, 'POST', '/api/trash/2/restore');
+
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.beat_number, 2);
+  assert.deepEqual(await listBeats(env), ['1.1 Opening', '1.2 Debate', '1.3 Catalyst']);
+  assert.equal((await request(env, 'GET', '/api/trash')).body.total, 0);
+});
+
+test('a restored beat whose number was taken is appended to its act', async () => {
+  const env = await setup();
+  await request(env, 'DELETE', '/api/beats/2');
+  await createBeats(env, [{ act_no: 1, beat_number: 2, title: 'New Debate', description: 'She refuses' }]);
+  const response = await request(env, 'POST', '/api/trash/2/restore');
+
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.beat_number, 4);
+  assert.deepEqual(await listBeats(env), ['1.1 Opening', '1.2 New Debate', '1.3 Catalyst', '1.4 Debate']);
+});
+
+test('purging a beat deletes its versions too', async () => {
+  const env = await setup();
+  await request(env, 'PATCH', '/api/beats/2', { body: { title: 'Debate, revised' } });
+  await request(env, 'PATCH', '/api/beats/2', { body: { title: 'Debate, final' } });
+  await request(env, 'DELETE', '/api/beats/2');
+  assert.equal(await countRows(env, 2), 3);
+
+  const response = await request(env, 'DELETE', '/api/trash/2');
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.purged, 1);
+  assert.equal(await countRows(env, 2), 0);
+  assert.equal((await request(env, 'POST', '/api/trash/2/restore')).status, 404);
+
+  const audit = (await request(env, 'GET', '/api/audit?beat=2&action=purge')).body;
+  assert.equal(audit.entries.length, 1);
+});
+
+test('emptying the trash purges every deleted beat and its versions', async () => {
+  const env = await setup();
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image' } });
+  await request(env, 'DELETE', '/api/beats/1');
+  await request(env, 'DELETE', '/api/beats/3');
+
+  const response = await request(env, 'DELETE', '/api/trash');
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.purged, 2);
+  assert.equal(await countRows(env, 1), 0);
+  assert.equal(await countRows(env, 3), 0);
+  assert.deepEqual(await listBeats(env), ['1.2 Debate']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createBeats, request } from './helpers/worker.js';
+
+async function setup() {
+  const env = await createTestEnv();
+  await createBeats(env, [{ act_no: 1, title: 'Opening', description: 'Ally finds the ledger' }]);
+  return env;
+}
+
+async function rows(env) {
+  const result = await env.SCREENPLAY_DRAFT.prepare('SELECT id, version, version_of, is_current, title FROM beats ORDER BY version').all();
+  return result.results;
+}
+
+test('an edit archives the previous version and keeps the beat id', async () => {
+  const env = await setup();
+  const response = await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image' } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.id, 1);
+  assert.equal(response.body.version, 2);
+  assert.deepEqual((await rows(env)).map(({ id, ...row }) => row), [
+    { version: 1, version_of: 1, is_current: 0, title: 'Opening' },
+    { version: 2, version_of: null, is_current: 1, title: 'Opening Image' }
+  ]);
+});
+
+test('every earlier version is kept', async () => {
+  const env = await setup();
+  for (let i = 2; i <= 12; i++) {
+    const response = await request(env, 'PATCH', '/api/beats/1', { body: { title: `Draft ${i}` } });
+    assert.equal(response.status, 200, response.text);
+  }
+
+  const history = (await request(env, 'GET', '/api/beats/1/history')).body;
+  assert.equal(history.beat_id, 1);
+  assert.equal(history.current_version, 12);
+  assert.deepEqual(history.versions.map(entry => entry.version), [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  assert.deepEqual(history.versions.map(entry => entry.is_current), [true, ...Array(11).fill(false)]);
+  assert.equal(history.versions[11].beat.title, 'Opening');
+});
+
+test('history lists what each version changed', async () => {
+  const env = await setup();
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image' } });
+  await request(env, 'PATCH', '/api/beats/1', { body: { conflict: 'Duty vs. fear', tension_level: 4 } });
+
+  const { versions } = (await request(env, 'GET', '/api/beats/1/history')).body;
+  assert.deepEqual(versions.map(entry => entry.changed_fields), [['conflict', 'tension_level'], ['title'], []]);
+  assert.equal(versions[0].updated_by, 'api-key');
+  assert.equal(versions[1].beat.title, 'Opening Image');
+  assert.equal(versions[1].beat.conflict, null);
+});
+
+test('restoring a version saves its content as a new current version', async () => {
+  const env = await setup();
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image', conflict: 'Duty vs. fear' } });
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Final Opening' } });
+
+  const response = await request(env, 'POST', '/api/beats/1/history/1/restore');
+  assert.equal(response.status, 200, response.text);
+  assert.equal(response.body.id, 1);
+  assert.equal(response.body.version, 4);
+  assert.equal(response.body.title, 'Opening');
+  assert.equal(response.body.conflict, null);
+
+  const history = (await request(env, 'GET', '/api/beats/1/history')).body;
+  assert.deepEqual(history.versions.map(entry => [entry.version, entry.beat.title]), [
+    [4, 'Opening'], [3, 'Final Opening'], [2, 'Opening Image'], [1, 'Opening']
+  ]);
+  assert.deepEqual(history.versions[0].changed_fields, ['title', 'conflict']);
+  assert.equal((await rows(env)).filter(row => row.is_current === 1).length, 1);
+});
+
+test('restoring a version that does not exist is a 404', async () => {
+  const env = await setup();
+  await request(env, 'PATCH', '/api/beats/1', { body: { title: 'Opening Image' } });
+
+  for (const version of [2, 7]) {
+    const response = await request(env, 'POST', `/api/beats/1/history/${version}/restore`);
+    assert.equal(response.status, 404, `version ${version}`);
+  }
+});